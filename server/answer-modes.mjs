@@ -0,0 +1,105 @@
+// server/answer-modes.mjs - Estilos de resposta: instruções de formato, orçamento de tokens e sugestão pelo tipo da pergunta
+//
+// O modo entra no system prompt depois do template (a persona continua a mesma, muda só o formato) e
+// define max_tokens/temperature. Sem modo na requisição (ou com "auto"), suggestMode escolhe pelo texto.
+
+export const ANSWER_MODES = {
+  talking_points: {
+    label: 'Talking points',
+    description: 'Three to five short bullets to glance at while speaking',
+    maxTokens: 300,
+    temperature: 0.3,
+    instruction: 'ANSWER FORMAT: terse talking points. Reply with 3 to 5 Markdown bullets of at most 15 words each, most important first. No introduction, no conclusion, no code unless the question is literally about syntax.'
+  },
+  star: {
+    label: 'STAR',
+    description: 'Situation, Task, Action, Result for behavioral questions',
+    maxTokens: 600,
+    temperature: 0.5,
+    instruction: 'ANSWER FORMAT: STAR story for a behavioral question. Use four short sections headed **Situation**, **Task**, **Action** and **Result**, written in the first person as the candidate. Keep it realistic and specific to the role, put most of the words in Action, and end Result with a measurable outcome and one lesson learned.'
+  },
+  code_first: {
+    label: 'Code first',
+    description: 'A working snippet, then a short explanation',
+    maxTokens: 900,
+    temperature: 0.2,
+    instruction: 'ANSWER FORMAT: code first. Start with a single complete, runnable code block (pick the language the question implies; SQL for data questions). Then at most 4 bullets covering how it works, complexity or performance, and one edge case.'
+  },
+  deep_dive: {
+    label: 'Deep dive',
+    description: 'Long-form explanation with trade-offs',
+    maxTokens: 1500,
+    temperature: 0.4,
+    instruction: 'ANSWER FORMAT: deep dive. Open with a one-sentence summary, then explain the approach in Markdown sections: how it works, design choices and trade-offs, failure modes, and how you would validate or monitor it. Include a short code or diagram block only where it helps.'
+  }
+};
+
+export const DEFAULT_ANSWER_MODE = 'talking_points';
+
+// Pistas (sem acento, minúsculas) em en/pt/es; a primeira regra que casar vence
+const MODE_RULES = [
+  {
+    mode: 'star',
+    reason: 'behavioral question',
+    patterns: [
+      /\btell me about a time\b/, /\b(describe|give me an example of) a (time|situation)\b/, /\bhave you ever\b/,
+      /\b(conflict|disagree\w*|proud|stakeholder|deadline|feedback|mentor\w*)\b/, /\b(a|your) (mistake|failure)\b/,
+      /\bme (fale|conte) (sobre )?uma (vez|situacao)\b/, /\b(conflito|fracasso|orgulho)\b/,
+      /\bcuentame (de|sobre) una (vez|situacion)\b/, /\b(desacuerdo|fracaso)\b/
+    ]
+  },
+  {
+    mode: 'code_first',
+    reason: 'coding question',
+    patterns: [
+      /\b(write|implement|code|coding|function|query|snippet|regex|algorithm)\b/,
+      /\bhow would you (write|implement|code)\b/, /\b(sql|python|scala|pyspark|java|javascript|typescript|bash)\b/,
+      /\b(escreva|implemente|codigo|funcao|consulta)\b/, /\b(escribe|implementa|funcion)\b/
+    ]
+  },
+  {
+    mode: 'deep_dive',
+    reason: 'design or in-depth question',
+    patterns: [
+      /\b(design|architect\w*|trade-?offs?|scal\w+|internals?|under the hood|in depth|in detail|deep dive)\b/,
+      /\bwalk me through\b/, /\b(compare|difference between|pros and cons)\b/,
+      /\b(projete|arquitetura|em detalhes|diferenca entre|vantagens e desvantagens)\b/,
+      /\b(disena|arquitectura|en detalle|diferencia entre)\b/
+    ]
+  }
+];
+
+// Retorna { mode, reason }: o tipo da pergunta decide o formato; sem pista, talking points
+export function suggestMode(question) {
+  const text = (question || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  for (const { mode, reason, patterns } of MODE_RULES) {
+    if (patterns.some(pattern => pattern.test(text))) return { mode, reason };
+  }
+  return { mode: DEFAULT_ANSWER_MODE, reason: 'general question' };
+}
+
+// maxTokens/temperature pedidos no body só podem reduzir o orçamento do modo; ausente ou inválido fica o do modo
+export function modeLimits(mode, { maxTokens, temperature } = {}) {
+  const limits = ANSWER_MODES[mode];
+  const clamp = (value, min, max) => (Number.isFinite(value) ? Math.min(Math.max(value, min), max) : max);
+  return {
+    maxTokens: Math.floor(clamp(maxTokens, 1, limits.maxTokens)),
+    temperature: clamp(temperature, 0, limits.temperature)
+  };
+}
+
+// Modo pedido (ou "auto"/ausente -> sugerido). Retorna { mode, suggested, reason } ou { error }.
+export function resolveMode(requested, question) {
+  const suggestion = suggestMode(question);
+  if (!requested || requested === 'auto') return { mode: suggestion.mode, suggested: true, reason: suggestion.reason };
+  if (!ANSWER_MODES[requested]) {
+    return { error: `Unknown answer mode: ${requested} (expected auto, ${Object.keys(ANSWER_MODES).join(', ')})` };
+  }
+  return { mode: requested, suggested: false, reason: 'chosen by the user' };
+}
+
+export function listModes() {
+  return Object.entries(ANSWER_MODES).map(([id, { label, description, maxTokens, temperature }]) => ({
+    id, label, description, maxTokens, temperature
+  }));
+}
@@ -0,0 +1,20 @@
+// server/answer-modes.test.mjs - Sugestão de modo pelo texto da pergunta e limites do modo (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANSWER_MODES, suggestMode, modeLimits } from './answer-modes.mjs';
+
+test('deep_dive needs an explicit cue for depth', () => {
+  assert.equal(suggestMode('How does a hash map work?').mode, 'talking_points');
+  assert.equal(suggestMode('Walk me through how a hash map works').mode, 'deep_dive');
+  assert.equal(suggestMode('How does Kafka replication work in detail?').mode, 'deep_dive');
+  assert.equal(suggestMode('Explain the internals of the Spark shuffle').mode, 'deep_dive');
+});
+
+test('body maxTokens and temperature cannot exceed the mode limits', () => {
+  const { maxTokens, temperature } = ANSWER_MODES.talking_points;
+  assert.deepEqual(modeLimits('talking_points', { maxTokens: 100000, temperature: 2 }), { maxTokens, temperature });
+  assert.deepEqual(modeLimits('talking_points', { maxTokens: 120, temperature: 0.1 }), { maxTokens: 120, temperature: 0.1 });
+  assert.deepEqual(modeLimits('talking_points', { maxTokens: -5, temperature: -1 }), { maxTokens: 1, temperature: 0 });
+  assert.deepEqual(modeLimits('talking_points', { maxTokens: '900' }), { maxTokens, temperature });
+  assert.deepEqual(modeLimits('talking_points'), { maxTokens, temperature });
+});
@@ -0,0 +1,120 @@
+// server/audio-input.mjs - Ingestão de áudio: multipart (campo "audio") ou JSON { audioBase64, mimeType }
+import multer from 'multer';
+
+// Segmentos do VAD têm poucos KB; o limite existe para barrar abuso. O base64 (4/3 do binário)
+// precisa caber também no limite global do express.json (10mb).
+export const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES || String(5 * 1024 * 1024), 10);
+
+// Quem fala em cada canal da captura: o áudio do sistema é o entrevistador, o microfone é o candidato.
+// Só o entrevistador vira pergunta; a fala do candidato fica na transcrição da sessão.
+export const SPEAKERS = ['interviewer', 'candidate'];
+
+// MIME base -> extensão. O Whisper deduz o formato pela extensão do arquivo.
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/flac': 'flac'
+};
+
+// Assinatura do container para cada extensão
+const MAGIC = {
+  webm: (b) => b.length >= 4 && b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3,
+  ogg: (b) => b.toString('latin1', 0, 4) === 'OggS',
+  wav: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE',
+  mp3: (b) => b.toString('latin1', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  m4a: (b) => b.toString('latin1', 4, 8) === 'ftyp',
+  flac: (b) => b.toString('latin1', 0, 4) === 'fLaC'
+};
+
+// O buffer começa com a assinatura do container? (o WebSocket usa para achar o início de cada gravação WebM)
+export function hasAudioSignature(extension, buffer) {
+  return Boolean(MAGIC[extension]?.(buffer));
+}
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+function audioError(res, status, code, error, extra = {}) {
+  return res.status(status).json({ error, code, ...extra });
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 }
+}).single('audio');
+
+// Valida e normaliza o áudio recebido em req.audio = { buffer, mimeType, filename, speaker, estimatedDuration }
+function finalize(req, res, next, buffer, rawMimeType) {
+  const mimeType = (rawMimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = AUDIO_TYPES[mimeType];
+
+  if (!extension) {
+    return audioError(res, 415, 'UNSUPPORTED_AUDIO_TYPE', `Unsupported audio type: ${rawMimeType || 'unknown'}`, {
+      supported: Object.keys(AUDIO_TYPES)
+    });
+  }
+  if (buffer.length === 0) {
+    return audioError(res, 422, 'MALFORMED_AUDIO', 'Audio payload is empty');
+  }
+  if (buffer.length > MAX_AUDIO_BYTES) {
+    return audioError(res, 413, 'AUDIO_TOO_LARGE', 'Audio payload too large', { maxBytes: MAX_AUDIO_BYTES });
+  }
+  if (!hasAudioSignature(extension, buffer)) {
+    return audioError(res, 422, 'MALFORMED_AUDIO', `Audio content does not look like ${mimeType}`);
+  }
+
+  const speaker = req.body.speaker || 'interviewer';
+  if (!SPEAKERS.includes(speaker)) {
+    return audioError(res, 400, 'INVALID_SPEAKER', `speaker must be one of: ${SPEAKERS.join(', ')}`);
+  }
+
+  const estimatedDuration = parseFloat(req.body.estimatedDuration);
+  req.audio = {
+    buffer,
+    mimeType,
+    filename: `audio.${extension}`,
+    speaker,
+    estimatedDuration: Number.isFinite(estimatedDuration) && estimatedDuration > 0 ? estimatedDuration : 0
+  };
+  next();
+}
+
+export function parseAudioInput(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    return upload(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        return audioError(res, 413, 'AUDIO_TOO_LARGE', 'Audio payload too large', { maxBytes: MAX_AUDIO_BYTES });
+      }
+      if (err) return audioError(res, 400, 'BAD_UPLOAD', err.message);
+      if (!req.file) return audioError(res, 400, 'NO_AUDIO', 'No audio file');
+      finalize(req, res, next, req.file.buffer, req.body.mimeType || req.file.mimetype);
+    });
+  }
+
+  const { audioBase64, mimeType } = req.body || {};
+  if (!audioBase64) return audioError(res, 400, 'NO_AUDIO', 'No audio file');
+  if (typeof audioBase64 !== 'string') {
+    return audioError(res, 422, 'MALFORMED_AUDIO', 'audioBase64 must be a string');
+  }
+
+  // Aceita também data URLs ("data:audio/webm;base64,...")
+  const dataUrl = audioBase64.match(/^data:([^,]*?)(;base64)?,/);
+  const payload = (dataUrl ? audioBase64.slice(dataUrl[0].length) : audioBase64).replace(/\s/g, '');
+
+  if (payload.length > Math.ceil(MAX_AUDIO_BYTES / 3) * 4) {
+    return audioError(res, 413, 'AUDIO_TOO_LARGE', 'Audio payload too large', { maxBytes: MAX_AUDIO_BYTES });
+  }
+  if (!BASE64_PATTERN.test(payload) || payload.length % 4 === 1) {
+    return audioError(res, 422, 'MALFORMED_AUDIO', 'audioBase64 is not valid base64');
+  }
+
+  finalize(req, res, next, Buffer.from(payload, 'base64'), mimeType || dataUrl?.[1]);
+}
@@ -0,0 +1,60 @@
+// server/audio-input.test.mjs - Assinatura do container e validação do áudio em base64 (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasAudioSignature, parseAudioInput } from './audio-input.mjs';
+
+const WEBM = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81]);
+const WAV = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt ')]);
+
+// Roda o middleware com um body JSON: { audio } quando passou, { status, body } quando recusou
+function parseJson(body) {
+  const req = { is: () => false, body };
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+    }
+  };
+  let passed = false;
+  parseAudioInput(req, res, () => {
+    passed = true;
+  });
+  return passed ? { audio: req.audio } : { status: res.code, body: res.payload };
+}
+
+test('hasAudioSignature checks the magic bytes of each container', () => {
+  assert.ok(hasAudioSignature('webm', WEBM));
+  assert.ok(hasAudioSignature('wav', WAV));
+  assert.ok(hasAudioSignature('ogg', Buffer.from('OggS\0\x02')));
+  assert.ok(hasAudioSignature('mp3', Buffer.from('ID3\x04')));
+  assert.ok(hasAudioSignature('mp3', Buffer.from([0xff, 0xfb, 0x90, 0x00])));
+  assert.ok(hasAudioSignature('m4a', Buffer.from('\0\0\0\x20ftypM4A ')));
+  assert.ok(hasAudioSignature('flac', Buffer.from('fLaC\0')));
+
+  assert.ok(!hasAudioSignature('webm', WAV));
+  assert.ok(!hasAudioSignature('webm', Buffer.from([0x1a, 0x45])));
+  assert.ok(!hasAudioSignature('wav', Buffer.from('RIFF\0\0\0\0AVI ')));
+  assert.ok(!hasAudioSignature('aiff', WAV));
+});
+
+test('base64 audio is decoded and normalised into req.audio', () => {
+  const { audio } = parseJson({ audioBase64: WEBM.toString('base64'), mimeType: 'audio/webm;codecs=opus', speaker: 'candidate', estimatedDuration: '2.5' });
+  assert.deepEqual(audio, { buffer: WEBM, mimeType: 'audio/webm', filename: 'audio.webm', speaker: 'candidate', estimatedDuration: 2.5 });
+
+  const fromDataUrl = parseJson({ audioBase64: `data:audio/wav;base64,${WAV.toString('base64')}` }).audio;
+  assert.deepEqual([fromDataUrl.filename, fromDataUrl.speaker, fromDataUrl.estimatedDuration], ['audio.wav', 'interviewer', 0]);
+});
+
+test('content that does not match the declared type is rejected', () => {
+  assert.deepEqual(parseJson({ audioBase64: WAV.toString('base64'), mimeType: 'audio/webm' }), {
+    status: 422,
+    body: { error: 'Audio content does not look like audio/webm', code: 'MALFORMED_AUDIO' }
+  });
+  assert.equal(parseJson({ audioBase64: WEBM.toString('base64'), mimeType: 'audio/aiff' }).status, 415);
+  assert.equal(parseJson({ audioBase64: 'not base64!', mimeType: 'audio/webm' }).status, 422);
+  assert.equal(parseJson({ mimeType: 'audio/webm' }).body.code, 'NO_AUDIO');
+  assert.equal(parseJson({ audioBase64: WEBM.toString('base64'), mimeType: 'audio/webm', speaker: 'narrator' }).body.code, 'INVALID_SPEAKER');
+});
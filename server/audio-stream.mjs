@@ -0,0 +1,308 @@
+// server/audio-stream.mjs - Transcrição incremental por WebSocket (GET /api/voice/stream)
+//
+// O cliente abre ws://host/api/voice/stream?sessionId=..&format=webm|pcm16&speaker=..&access_token=.. e manda o
+// áudio em frames binários, sem um POST por segmento. O servidor acumula o segmento atual, transcreve o
+// que já chegou a cada STREAM_PARTIAL_INTERVAL_MS (evento "partial") e o segmento inteiro quando ele fecha
+// (evento "final", mesmo formato da resposta de POST /api/voice/transcribe).
+//
+//   webm  - slices do MediaRecorder (Opus). Cada segmento é uma gravação inteira: o cliente reinicia o
+//           MediaRecorder a cada flush, e o primeiro slice de cada gravação traz o cabeçalho EBML. Slices de
+//           outra gravação não são emendados: sem cabeçalho (ex.: o servidor fechou o segmento pelo teto),
+//           são descartados até a próxima gravação. O VAD é do cliente: {"type":"speech"} ao detectar fala,
+//           {"type":"flush"} no silêncio.
+//   pcm16 - PCM 16 bits mono little-endian (sampleRate, padrão 16000). O VAD é do servidor (energia por
+//           frame de 20ms) e o segmento vai para o provider como WAV.
+//
+// Em ambos: {"type":"flush"} fecha o segmento na hora, {"type":"end"} fecha, espera os finais e encerra.
+import { WebSocketServer } from 'ws';
+import { MAX_AUDIO_BYTES, SPEAKERS, hasAudioSignature } from './audio-input.mjs';
+
+export const STREAM_FORMATS = ['webm', 'pcm16'];
+
+const FRAME_MS = 20;
+const PREROLL_MS = 300; // áudio antes da fala detectada que entra no segmento (início da palavra)
+const KEEPALIVE_MS = 30000;
+
+export function streamConfigFromEnv(env = process.env) {
+  return {
+    // 0 desliga os parciais (cada parcial é uma chamada paga ao provider)
+    partialIntervalMs: parseInt(env.STREAM_PARTIAL_INTERVAL_MS || '1500', 10),
+    maxSegmentMs: parseInt(env.STREAM_MAX_SEGMENT_MS || '12000', 10),
+    // VAD do formato pcm16
+    silenceMs: parseInt(env.STREAM_SILENCE_MS || '800', 10),
+    minSpeechMs: parseInt(env.STREAM_MIN_SPEECH_MS || '300', 10),
+    speechThreshold: parseInt(env.STREAM_SPEECH_THRESHOLD || '500', 10) // RMS na escala de int16
+  };
+}
+
+// Cabeçalho RIFF de 44 bytes para PCM 16 bits mono
+export function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+function frameRms(frame) {
+  let sum = 0;
+  const samples = frame.length / 2;
+  for (let i = 0; i < frame.length; i += 2) {
+    const sample = frame.readInt16LE(i);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+function positiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Recusa o upgrade com uma resposta HTTP normal (o navegador só vê a conexão falhar)
+function rejectUpgrade(socket, status, body) {
+  const payload = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : status === 404 ? 'Not Found' : 'Bad Request'}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(payload)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    payload
+  );
+}
+
+// Erros do provider (ProviderCallError) e do orçamento saem com os mesmos campos das rotas HTTP
+function errorEvent(err, segmentId) {
+  const { error, ...rest } = typeof err.toJSON === 'function' ? err.toJSON() : { error: err.message, code: err.code, budget: err.budget };
+  return { type: 'error', segmentId, message: error || 'Transcription failed', ...rest, code: rest.code || 'TRANSCRIPTION_FAILED' };
+}
+
+/**
+ * Liga o endpoint ao servidor HTTP (o retorno de app.listen).
+ *   authenticate(req) -> user | null (o navegador não manda header no WebSocket: token em ?access_token=)
+ *   openSession(user, sessionId) -> contexto da transcrição | null (sessão inexistente ou de outro usuário)
+ *   transcribe(context, { buffer, filename, mimeType, speaker, estimatedDuration }, { partial }) -> resposta do POST /api/voice/transcribe
+ */
+export function attachAudioStream(server, { path = '/api/voice/stream', config, authenticate, openSession, transcribe }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_AUDIO_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return socket.destroy();
+
+    const user = authenticate(req);
+    if (!user) return rejectUpgrade(socket, 401, { error: 'Authentication required', code: 'UNAUTHENTICATED' });
+
+    const format = url.searchParams.get('format') || 'webm';
+    if (!STREAM_FORMATS.includes(format)) {
+      return rejectUpgrade(socket, 400, { error: `Unsupported stream format: ${format}`, code: 'UNSUPPORTED_AUDIO_TYPE', supported: STREAM_FORMATS });
+    }
+
+    // Captura com dois canais = dois sockets, um por speaker
+    const speaker = url.searchParams.get('speaker') || 'interviewer';
+    if (!SPEAKERS.includes(speaker)) {
+      return rejectUpgrade(socket, 400, { error: `speaker must be one of: ${SPEAKERS.join(', ')}`, code: 'INVALID_SPEAKER' });
+    }
+
+    const context = openSession(user, url.searchParams.get('sessionId'));
+    if (!context) return rejectUpgrade(socket, 404, { error: 'Session not found' });
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, {
+        context,
+        format,
+        speaker,
+        sampleRate: positiveInt(url.searchParams.get('sampleRate'), 16000),
+        sliceMs: positiveInt(url.searchParams.get('sliceMs'), 500)
+      });
+    });
+  });
+
+  // Conexões que não respondem ao ping (rede caiu sem fechar) são derrubadas
+  const keepalive = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+  server.on('close', () => clearInterval(keepalive));
+
+  function handleConnection(ws, { context, format, speaker, sampleRate, sliceMs }) {
+    const frameBytes = (sampleRate * FRAME_MS / 1000) * 2;
+    let recording = false; // webm: os próximos slices continuam uma gravação que começou com cabeçalho
+    let remainder = Buffer.alloc(0); // pcm16: bytes que ainda não fecham um frame de 20ms
+    let preroll = [];
+    let segment = null;
+    let nextSegmentId = 1;
+    let finals = Promise.resolve(); // finais saem na ordem dos segmentos
+    let partialInFlight = false;
+    let ending = false;
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const send = (event) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    };
+
+    const newSegment = () => ({ id: nextSegmentId++, frames: [], bytes: 0, durationMs: 0, speech: false, speechMs: 0, silenceMs: 0, lastPartialAt: 0, partialMs: 0 });
+
+    function audioFor(target) {
+      const body = Buffer.concat(target.frames);
+      const estimatedDuration = target.durationMs / 1000;
+      return format === 'webm'
+        ? { buffer: body, filename: 'audio.webm', mimeType: 'audio/webm', speaker, estimatedDuration }
+        : { buffer: pcmToWav(body, sampleRate), filename: 'audio.wav', mimeType: 'audio/wav', speaker, estimatedDuration };
+    }
+
+    function append(frame, durationMs) {
+      segment ??= newSegment();
+      segment.frames.push(frame);
+      segment.bytes += frame.length;
+      segment.durationMs += durationMs;
+    }
+
+    function closeSegment() {
+      const closed = segment;
+      segment = null;
+      if (!closed || closed.frames.length === 0) return;
+      // pcm16: ruído curto que passou do limiar não vira pergunta. webm: sem {"type":"speech"} do VAD do cliente o
+      // segmento é só silêncio/ruído (flush, teto de duração ou end) e não vai para o provider pago
+      if (format === 'pcm16' && closed.speechMs < config.minSpeechMs) return;
+      if (format === 'webm' && !closed.speech) return;
+
+      const audio = audioFor(closed);
+      finals = finals.then(async () => {
+        try {
+          const result = await transcribe(context, audio, { partial: false });
+          send({ type: 'final', segmentId: closed.id, ...result });
+        } catch (err) {
+          console.error('Stream transcription error:', err.message);
+          send(errorEvent(err, closed.id));
+        }
+      });
+    }
+
+    // Parciais são best-effort: um por vez, só com áudio novo, e falhas não chegam ao cliente
+    function maybePartial() {
+      const target = segment;
+      if (!config.partialIntervalMs || partialInFlight || !target?.speech) return;
+      if (format === 'pcm16' && target.speechMs < config.minSpeechMs) return;
+      if (target.durationMs === target.partialMs || Date.now() - target.lastPartialAt < config.partialIntervalMs) return;
+
+      partialInFlight = true;
+      target.lastPartialAt = Date.now();
+      target.partialMs = target.durationMs;
+      transcribe(context, audioFor(target), { partial: true })
+        .then((result) => {
+          // O segmento pode ter fechado enquanto o parcial rodava; aí o final já vem a caminho
+          if (segment === target) send({ type: 'partial', segmentId: target.id, speaker, text: result.text });
+        })
+        .catch((err) => console.error('Stream partial error:', err.message))
+        .finally(() => {
+          partialInFlight = false;
+        });
+    }
+
+    // Um cabeçalho abre uma gravação nova; o segmento anterior, se o cliente não mandou flush, fecha antes
+    function handleWebm(data) {
+      if (hasAudioSignature('webm', data)) {
+        if (segment?.frames.length) closeSegment();
+        recording = true;
+      }
+      if (!recording) return;
+      append(data, sliceMs);
+    }
+
+    // VAD por energia: a fala abre o segmento (com PREROLL_MS antes), STREAM_SILENCE_MS de silêncio fecha
+    function handlePcm(data) {
+      let buffer = remainder.length ? Buffer.concat([remainder, data]) : data;
+      let offset = 0;
+      for (; offset + frameBytes <= buffer.length; offset += frameBytes) {
+        const frame = buffer.subarray(offset, offset + frameBytes);
+        const isSpeech = frameRms(frame) >= config.speechThreshold;
+
+        if (!segment) {
+          if (!isSpeech) {
+            preroll.push(frame);
+            if (preroll.length * FRAME_MS > PREROLL_MS) preroll.shift();
+            continue;
+          }
+          for (const previous of preroll) append(previous, FRAME_MS);
+          preroll = [];
+        }
+
+        append(frame, FRAME_MS);
+        segment.speech = true;
+        if (isSpeech) segment.speechMs += FRAME_MS;
+        segment.silenceMs = isSpeech ? 0 : segment.silenceMs + FRAME_MS;
+        if (segment.silenceMs >= config.silenceMs) closeSegment();
+        else if (segment.durationMs >= config.maxSegmentMs) closeSegment();
+      }
+      remainder = Buffer.from(buffer.subarray(offset));
+    }
+
+    ws.on('message', (data, isBinary) => {
+      if (ending) return;
+
+      if (!isBinary) {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          return send({ type: 'error', message: 'Invalid control message', code: 'INVALID_JSON' });
+        }
+        if (message.type === 'speech') {
+          // pcm16 usa o VAD do servidor; o aviso só vale para webm
+          if (format === 'webm') {
+            segment ??= newSegment();
+            segment.speech = true;
+          }
+        } else if (message.type === 'flush') {
+          closeSegment();
+          recording = false; // webm: a próxima gravação começa com cabeçalho próprio
+        } else if (message.type === 'end') {
+          ending = true;
+          closeSegment();
+          finals.then(() => ws.close(1000, 'end'));
+        } else {
+          send({ type: 'error', message: `Unknown message type: ${message.type}`, code: 'UNKNOWN_MESSAGE' });
+        }
+        return;
+      }
+
+      if (format === 'webm') handleWebm(data);
+      else handlePcm(data);
+
+      // Limites do segmento: duração máxima e o mesmo teto de bytes do upload HTTP
+      if (segment && (segment.durationMs >= config.maxSegmentMs || segment.bytes + 44 >= MAX_AUDIO_BYTES)) {
+        closeSegment();
+        recording = false; // webm: o resto desta gravação não tem cabeçalho
+      }
+      maybePartial();
+    });
+
+    ws.on('error', (err) => console.error('Voice stream error:', err.message));
+
+    send({ type: 'ready', format, speaker, sampleRate: format === 'pcm16' ? sampleRate : undefined, partialIntervalMs: config.partialIntervalMs });
+  }
+
+  return wss;
+}
@@ -0,0 +1,81 @@
+// server/audio-stream.test.mjs - Segmentos do WebSocket de transcrição (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { attachAudioStream } from './audio-stream.mjs';
+
+const config = { partialIntervalMs: 0, maxSegmentMs: 12000, silenceMs: 800, minSpeechMs: 300, speechThreshold: 500 };
+
+// Servidor com um transcribe falso que só conta as chamadas; resolve com elas quando o cliente manda "end"
+async function streamWebm(messages, overrides = {}) {
+  const calls = [];
+  const server = http.createServer();
+  attachAudioStream(server, {
+    config: { ...config, ...overrides },
+    authenticate: () => ({ id: 1 }),
+    openSession: () => ({ sessionId: 'test' }),
+    transcribe: async (context, audio, options) => {
+      calls.push({ audio, options });
+      return { text: 'hello', speaker: audio.speaker };
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    const ws = new WebSocket(`ws://localhost:${server.address().port}/api/voice/stream?format=webm&sessionId=test`);
+    await new Promise((resolve, reject) => {
+      ws.on('message', data => {
+        if (JSON.parse(data.toString()).type === 'ready') resolve();
+      });
+      ws.on('error', reject);
+    });
+    for (const message of [...messages, { type: 'end' }]) {
+      ws.send(Buffer.isBuffer(message) ? message : JSON.stringify(message), { binary: Buffer.isBuffer(message) });
+    }
+    await new Promise(resolve => ws.on('close', resolve));
+    return calls;
+  } finally {
+    server.close();
+  }
+}
+
+// Cada gravação do MediaRecorder começa com o cabeçalho EBML
+const header = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('webm-header')]);
+const slice = Buffer.alloc(64, 1);
+
+test('webm slices without a speech message are not transcribed', async () => {
+  const calls = await streamWebm([header, slice, slice, { type: 'flush' }, slice]);
+  assert.equal(calls.length, 0);
+});
+
+test('webm segment after a speech message is transcribed once on flush', async () => {
+  const calls = await streamWebm([header, slice, { type: 'speech' }, slice, { type: 'flush' }]);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].options.partial, false);
+  assert.equal(calls[0].audio.mimeType, 'audio/webm');
+});
+
+test('each webm segment is one recording that starts with its own header', async () => {
+  const second = Buffer.alloc(64, 2);
+  const calls = await streamWebm([
+    { type: 'speech' }, header, slice, { type: 'flush' },
+    { type: 'speech' }, header, second, { type: 'flush' }
+  ]);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[0].audio.buffer, Buffer.concat([header, slice]));
+  assert.deepEqual(calls[1].audio.buffer, Buffer.concat([header, second]));
+});
+
+test('webm slices without a header of their own are dropped, not glued to an earlier one', async () => {
+  // O teto fecha o segmento no segundo slice; o terceiro continua uma gravação sem cabeçalho
+  const calls = await streamWebm([{ type: 'speech' }, header, slice, { type: 'speech' }, slice, { type: 'flush' }], { maxSegmentMs: 1000 });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].audio.buffer, Buffer.concat([header, slice]));
+});
+
+test('a new webm header closes the previous recording even without a flush', async () => {
+  const calls = await streamWebm([{ type: 'speech' }, header, slice, header, { type: 'speech' }, slice]);
+  assert.equal(calls.length, 2);
+  assert.ok(calls.every(call => call.audio.buffer.subarray(0, 4).equals(header.subarray(0, 4))));
+});
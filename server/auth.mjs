@@ -0,0 +1,189 @@
+// server/auth.mjs - Contas locais (senha com scrypt), tokens de sessão e API keys
+//
+// O token só existe em claro na resposta que o cria; o banco guarda o SHA-256.
+// Tokens de login expiram (AUTH_SESSION_TTL_HOURS); API keys valem até serem revogadas.
+import { scrypt, randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = { session: 'ias', api_key: 'iak' };
+export const ROLES = ['admin', 'member'];
+
+export function authConfigFromEnv(env = process.env) {
+  return {
+    sessionTtlHours: parseFloat(env.AUTH_SESSION_TTL_HOURS || '168'),
+    // Sem isso, só o primeiro usuário se cadastra sozinho; os demais são criados por um admin
+    allowSignup: env.AUTH_ALLOW_SIGNUP === 'true',
+    minPasswordLength: parseInt(env.AUTH_MIN_PASSWORD_LENGTH || '8', 10),
+    // Falhas de login (por IP e por usuário) e cadastros (por IP) numa janela; acima disso, 429
+    maxAttempts: parseInt(env.AUTH_MAX_ATTEMPTS || '10', 10),
+    attemptWindowMinutes: parseFloat(env.AUTH_ATTEMPT_WINDOW_MINUTES || '15')
+  };
+}
+
+// Contador em memória por chave ("ip:..", "user:..", "signup:..") com janela fixa. Reiniciar o servidor zera as contagens.
+export function createAttemptLimiter({ maxAttempts, windowMs, now = Date.now }) {
+  const attempts = new Map(); // chave -> { count, resetAt }
+
+  const active = (key) => {
+    const entry = attempts.get(key);
+    if (entry && entry.resetAt <= now()) attempts.delete(key);
+    return attempts.get(key) || null;
+  };
+
+  return {
+    // ms até a chave mais bloqueada liberar; 0 = pode tentar
+    blockedFor(...keys) {
+      return Math.max(0, ...keys.map(key => {
+        const entry = active(key);
+        return entry && entry.count >= maxAttempts ? entry.resetAt - now() : 0;
+      }));
+    },
+
+    record(...keys) {
+      for (const key of keys) {
+        const entry = active(key);
+        if (entry) entry.count++;
+        else attempts.set(key, { count: 1, resetAt: now() + windowMs });
+      }
+      // Chaves vencidas de quem não voltou
+      if (attempts.size > 10000) for (const key of attempts.keys()) active(key);
+    },
+
+    reset(...keys) {
+      for (const key of keys) attempts.delete(key);
+    }
+  };
+}
+
+// Formato: scrypt$<salt hex>$<hash hex>
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scryptAsync(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Colunas expostas pela API (nunca o hash da senha)
+const USER_COLUMNS = 'id, username, role, created_at';
+
+export function createAuth(db, config) {
+  const selectUser = db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`);
+  const selectByUsername = db.prepare('SELECT * FROM users WHERE username = ?');
+  const countUsers = db.prepare('SELECT COUNT(*) as count FROM users');
+  const insertUser = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)');
+  const insertToken = db.prepare(`
+    INSERT INTO auth_tokens (user_id, kind, name, token_hash, prefix, expires_at) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const selectToken = db.prepare(`
+    SELECT t.id as token_id, t.kind, t.expires_at, u.id, u.username, u.role
+    FROM auth_tokens t JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ?
+  `);
+  const touchToken = db.prepare('UPDATE auth_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?');
+  const deleteExpired = db.prepare("DELETE FROM auth_tokens WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')");
+  // Usuário inexistente também paga um scrypt, para o tempo de resposta não revelar quais nomes existem
+  const dummyHash = hashPassword(randomBytes(16).toString('hex'));
+
+  function issueToken(userId, kind, name = null) {
+    const token = `${TOKEN_PREFIX[kind]}_${randomBytes(32).toString('base64url')}`;
+    const expiresAt = kind === 'session'
+      ? new Date(Date.now() + config.sessionTtlHours * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19)
+      : null;
+    const { lastInsertRowid } = insertToken.run(userId, kind, name, hashToken(token), token.slice(0, 8), expiresAt);
+    return { id: lastInsertRowid, token, expiresAt };
+  }
+
+  // Dados de antes das contas (owner_id NULL) passam a ser do primeiro usuário
+  const claimOrphans = db.transaction((userId) => {
+    for (const table of ['job_profiles', 'interview_sessions', 'question_answers', 'semantic_cache', 'transcriptions']) {
+      db.prepare(`UPDATE ${table} SET owner_id = ? WHERE owner_id IS NULL`).run(userId);
+    }
+  });
+
+  return {
+    config,
+
+    hasUsers: () => countUsers.get().count > 0,
+
+    // Retorna a mensagem de erro ou null
+    validateCredentials(username, password) {
+      if (!username || !/^[\w.@-]{3,64}$/.test(username)) {
+        return 'Username must have 3-64 letters, digits or . _ @ -';
+      }
+      if (!password || password.length < config.minPasswordLength) {
+        return `Password must have at least ${config.minPasswordLength} characters`;
+      }
+      return null;
+    },
+
+    // O primeiro usuário vira admin e herda os dados existentes
+    async createUser(username, password, role = 'member') {
+      const first = countUsers.get().count === 0;
+      const passwordHash = await hashPassword(password);
+      const { lastInsertRowid } = insertUser.run(username, passwordHash, first ? 'admin' : role);
+      if (first) claimOrphans(lastInsertRowid);
+      return selectUser.get(lastInsertRowid);
+    },
+
+    // Retorna { user, token, expiresAt } ou null (usuário inexistente e senha errada respondem igual)
+    async login(username, password) {
+      const row = selectByUsername.get(username || '');
+      const valid = await verifyPassword(password || '', row ? row.password_hash : await dummyHash);
+      if (!row || !valid) return null;
+      deleteExpired.run();
+      const { token, expiresAt } = issueToken(row.id, 'session');
+      return { user: selectUser.get(row.id), token, expiresAt };
+    },
+
+    // Retorna { user, tokenId, kind } ou null
+    authenticate(token) {
+      if (!token) return null;
+      const row = selectToken.get(hashToken(token));
+      if (!row) return null;
+      if (row.expires_at && new Date(`${row.expires_at.replace(' ', 'T')}Z`) <= new Date()) return null;
+      touchToken.run(row.token_id);
+      return { user: { id: row.id, username: row.username, role: row.role }, tokenId: row.token_id, kind: row.kind };
+    },
+
+    revokeToken: (tokenId, userId) => db.prepare('DELETE FROM auth_tokens WHERE id = ? AND user_id = ?').run(tokenId, userId).changes > 0,
+
+    createApiKey: (userId, name) => issueToken(userId, 'api_key', name),
+
+    listApiKeys: (userId) => db.prepare(`
+      SELECT id, name, prefix, created_at, last_used_at FROM auth_tokens
+      WHERE user_id = ? AND kind = 'api_key' ORDER BY created_at DESC
+    `).all(userId),
+
+    async changePassword(userId, password) {
+      db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(await hashPassword(password), userId);
+      // Derruba os logins abertos; API keys continuam valendo
+      db.prepare("DELETE FROM auth_tokens WHERE user_id = ? AND kind = 'session'").run(userId);
+    },
+
+    listUsers: () => db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`).all(),
+
+    getUser: (id) => selectUser.get(id),
+
+    deleteUser: (id) => db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0
+  };
+}
+
+// Token no header Authorization (Bearer) ou X-API-Key. ?access_token= só vale no upgrade do WebSocket (request cru,
+// sem req.query), onde o navegador não manda header; nas rotas HTTP o token na URL iria para histórico, logs e Referer
+export function tokenFromRequest(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  return req.query ? null : new URL(req.url, 'http://localhost').searchParams.get('access_token');
+}
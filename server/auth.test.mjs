@@ -0,0 +1,46 @@
+// server/auth.test.mjs - Contas, login e de onde sai o token (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { createAuth, authConfigFromEnv, createAttemptLimiter, tokenFromRequest } from './auth.mjs';
+
+test('token comes from the Authorization or X-API-Key header', () => {
+  assert.equal(tokenFromRequest({ headers: { authorization: 'Bearer ias_abc' }, query: {} }), 'ias_abc');
+  assert.equal(tokenFromRequest({ headers: { 'x-api-key': 'iak_abc' }, query: {} }), 'iak_abc');
+});
+
+test('?access_token= is only accepted on the raw WebSocket upgrade request', () => {
+  assert.equal(tokenFromRequest({ headers: {}, query: { access_token: 'ias_abc' }, url: '/api/session/1/export?access_token=ias_abc' }), null);
+  assert.equal(tokenFromRequest({ headers: {}, url: '/api/voice/stream?sessionId=1&access_token=ias_abc' }), 'ias_abc');
+});
+
+test('login takes the same scrypt path for unknown users and wrong passwords', async () => {
+  const db = new Database(':memory:');
+  migrate(db);
+  const auth = createAuth(db, authConfigFromEnv({}));
+  await auth.createUser('alice', 'password1');
+
+  assert.equal(await auth.login('nobody', 'password1'), null);
+  assert.equal(await auth.login('alice', 'wrong-password'), null);
+  assert.equal((await auth.login('alice', 'password1')).user.username, 'alice');
+});
+
+test('attempt limiter blocks a key after maxAttempts until the window ends', () => {
+  let clock = 0;
+  const limiter = createAttemptLimiter({ maxAttempts: 3, windowMs: 1000, now: () => clock });
+
+  limiter.record('ip:1', 'user:alice');
+  limiter.record('ip:1', 'user:alice');
+  assert.equal(limiter.blockedFor('ip:1', 'user:alice'), 0);
+  limiter.record('ip:1', 'user:alice');
+  assert.equal(limiter.blockedFor('ip:2', 'user:alice'), 1000);
+  assert.equal(limiter.blockedFor('ip:2', 'user:bob'), 0);
+
+  limiter.reset('user:alice');
+  assert.equal(limiter.blockedFor('ip:2', 'user:alice'), 0);
+  assert.equal(limiter.blockedFor('ip:1'), 1000);
+
+  clock = 1000;
+  assert.equal(limiter.blockedFor('ip:1'), 0);
+});
@@ -0,0 +1,134 @@
+// server/budget.mjs - Limites de gasto por sessão, por perfil (dia) e total (dia), calculados do que já foi gasto
+//
+// Gasto = question_answers.cost + follow_up_cost + cloud_estimate_cost + practice_cost, mais transcriptions.cost +
+// classification_cost, mais session_reports.cost. Os embeddings do cache semântico ficam de fora (custo de
+// frações de centavo por pergunta, não registrado).
+// "Dia" = dia UTC, o mesmo do CURRENT_TIMESTAMP do SQLite. O limite diário (DAILY_BUDGET_USD) é por usuário.
+
+// O que acontece quando um limite é atingido:
+//   block      - recusa respostas e transcrições
+//   cache-only - só responde o que estiver no cache semântico (custo zero)
+//   downgrade  - continua gerando com BUDGET_FALLBACK_MODEL (sem ele, vira cache-only)
+export const BUDGET_ACTIONS = ['block', 'cache-only', 'downgrade'];
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return null;
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+export function budgetConfigFromEnv(env = process.env) {
+  const action = env.BUDGET_EXCEEDED_ACTION || 'cache-only';
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`Invalid BUDGET_EXCEEDED_ACTION "${action}" (expected ${BUDGET_ACTIONS.join(', ')})`);
+  }
+  return {
+    sessionLimit: parseLimit(env.SESSION_BUDGET_USD),
+    dailyLimit: parseLimit(env.DAILY_BUDGET_USD),
+    warnPercent: parseFloat(env.BUDGET_WARNING_PERCENT || '80'),
+    action,
+    fallbackModel: env.BUDGET_FALLBACK_MODEL || null
+  };
+}
+
+// Limite vindo da API: ausente/null = sem limite próprio; retorna a mensagem de erro ou null
+export function validateBudget(value, name = 'budget') {
+  if (value === undefined || value === null || value === '') return null;
+  return Number.isFinite(Number(value)) && Number(value) >= 0 ? null : `${name} must be a non-negative number (USD)`;
+}
+
+const startOfDay = () => `${new Date().toISOString().slice(0, 10)} 00:00:00`;
+
+export function createBudget(db, config) {
+  const selectSession = db.prepare(`
+    SELECT s.id, s.budget_usd, s.job_profile_id, s.owner_id, j.daily_budget_usd
+    FROM interview_sessions s
+    LEFT JOIN job_profiles j ON j.id = s.job_profile_id
+    WHERE s.id = ?
+  `);
+  const sessionSpend = db.prepare(`
+    SELECT (SELECT COALESCE(SUM(COALESCE(cost, 0) + follow_up_cost + cloud_estimate_cost + practice_cost), 0) FROM question_answers WHERE session_id = ?)
+      + (SELECT COALESCE(SUM(cost + classification_cost), 0) FROM transcriptions WHERE session_id = ?)
+      + (SELECT COALESCE(SUM(cost), 0) FROM session_reports WHERE session_id = ?) as spent
+  `);
+  const profileSpend = db.prepare(`
+    SELECT (SELECT COALESCE(SUM(COALESCE(qa.cost, 0) + qa.follow_up_cost + qa.cloud_estimate_cost + qa.practice_cost), 0) FROM question_answers qa
+            JOIN interview_sessions s ON s.id = qa.session_id
+            WHERE s.job_profile_id = ? AND qa.created_at >= ?)
+      + (SELECT COALESCE(SUM(t.cost + t.classification_cost), 0) FROM transcriptions t
+         JOIN interview_sessions s ON s.id = t.session_id
+         WHERE s.job_profile_id = ? AND t.created_at >= ?)
+      + (SELECT COALESCE(SUM(r.cost), 0) FROM session_reports r
+         JOIN interview_sessions s ON s.id = r.session_id
+         WHERE s.job_profile_id = ? AND r.created_at >= ?) as spent
+  `);
+  const dailySpend = db.prepare(`
+    SELECT (SELECT COALESCE(SUM(COALESCE(cost, 0) + follow_up_cost + cloud_estimate_cost + practice_cost), 0) FROM question_answers
+            WHERE owner_id = ? AND created_at >= ?)
+      + (SELECT COALESCE(SUM(cost + classification_cost), 0) FROM transcriptions WHERE owner_id = ? AND created_at >= ?)
+      + (SELECT COALESCE(SUM(r.cost), 0) FROM session_reports r
+         JOIN interview_sessions s ON s.id = r.session_id
+         WHERE s.owner_id = ? AND r.created_at >= ?) as spent
+  `);
+  const insertTranscription = db.prepare(`
+    INSERT INTO transcriptions (
+      session_id, provider, model, duration_seconds, cost, speaker, text, language,
+      classification, confidence, classification_source, classification_cost, owner_id
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const cap = (scope, limit, spent) => ({ scope, limit, spent, percent: limit > 0 ? Math.round((spent / limit) * 100) : 100 });
+
+  return {
+    config,
+
+    // text só vem nos segmentos finais (é a transcrição da sessão); parciais entram só no custo.
+    // classification = resultado de question-detection.mjs (só nas falas finais do entrevistador). Retorna o id.
+    recordTranscription({
+      sessionId = null, ownerId = null, provider, model, durationSeconds, cost, speaker = 'interviewer', text = null, language = null,
+      classification = null
+    }) {
+      return insertTranscription.run(
+        sessionId, provider, model, durationSeconds, cost, speaker, text, language,
+        classification?.type ?? null, classification?.confidence ?? null, classification?.source ?? null,
+        classification?.cost ?? 0, ownerId
+      ).lastInsertRowid;
+    },
+
+    // Retorna { caps, warning, exceeded, action }. warning/exceeded = o limite mais apertado (ou null).
+    // ownerId vale para chamadas sem sessão; com sessão, o limite diário é o do dono dela.
+    status(sessionId, ownerId = null) {
+      const session = sessionId ? selectSession.get(sessionId) : null;
+      const owner = session?.owner_id ?? ownerId;
+      const since = startOfDay();
+      const caps = [];
+
+      const sessionLimit = session?.budget_usd ?? config.sessionLimit;
+      if (session && sessionLimit !== null) {
+        caps.push(cap('session', sessionLimit, sessionSpend.get(session.id, session.id, session.id).spent));
+      }
+      if (session?.job_profile_id && session.daily_budget_usd !== null) {
+        const { spent } = profileSpend.get(session.job_profile_id, since, session.job_profile_id, since, session.job_profile_id, since);
+        caps.push(cap('profile', session.daily_budget_usd, spent));
+      }
+      if (config.dailyLimit !== null && owner !== null) {
+        caps.push(cap('daily', config.dailyLimit, dailySpend.get(owner, since, owner, since, owner, since).spent));
+      }
+
+      const tightest = [...caps].sort((a, b) => b.percent - a.percent)[0] || null;
+      return {
+        caps,
+        warning: tightest && tightest.percent >= config.warnPercent ? tightest : null,
+        exceeded: caps.find(c => c.spent >= c.limit) || null,
+        action: config.action
+      };
+    }
+  };
+}
+
+const SCOPE_LABELS = { session: 'Session', profile: 'Job profile daily', daily: 'Daily' };
+
+export function budgetMessage({ scope, spent, limit }) {
+  return `${SCOPE_LABELS[scope]} budget reached: $${spent.toFixed(4)} of $${limit.toFixed(2)}`;
+}
@@ -0,0 +1,78 @@
+// server/budget.test.mjs - Configuração da ação, limites por sessão/perfil/dia e o que entra no gasto (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { budgetConfigFromEnv, budgetMessage, createBudget, validateBudget } from './budget.mjs';
+
+// Dois usuários; a sessão s1 é do usuário 1 e usa o perfil 1
+function setup(env = {}) {
+  const db = new Database(':memory:');
+  migrate(db);
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')").run();
+  db.prepare("INSERT INTO job_profiles (id, name, owner_id, daily_budget_usd) VALUES (1, 'Data Engineer', 1, NULL)").run();
+  db.prepare("INSERT INTO interview_sessions (id, job_profile_id, owner_id) VALUES ('s1', 1, 1)").run();
+  return { db, budget: createBudget(db, budgetConfigFromEnv(env)) };
+}
+
+const spend = (db, { sessionId = null, ownerId = 1, cost = 0, followUp = 0 }) => db.prepare(`
+  INSERT INTO question_answers (session_id, question, answer, cost, follow_up_cost, owner_id) VALUES (?, 'q', 'a', ?, ?, ?)
+`).run(sessionId, cost, followUp, ownerId);
+
+test('the exceeded action defaults to cache-only and rejects unknown values', () => {
+  assert.equal(budgetConfigFromEnv({}).action, 'cache-only');
+  assert.equal(budgetConfigFromEnv({ BUDGET_EXCEEDED_ACTION: 'downgrade' }).action, 'downgrade');
+  assert.throws(() => budgetConfigFromEnv({ BUDGET_EXCEEDED_ACTION: 'panic' }), /Invalid BUDGET_EXCEEDED_ACTION/);
+  assert.deepEqual([budgetConfigFromEnv({ SESSION_BUDGET_USD: '-1' }).sessionLimit, budgetConfigFromEnv({}).dailyLimit], [null, null]);
+});
+
+test('validateBudget accepts empty and non-negative values only', () => {
+  assert.equal(validateBudget(null), null);
+  assert.equal(validateBudget('0.5'), null);
+  assert.match(validateBudget(-1, 'budget_usd'), /budget_usd must be a non-negative number/);
+  assert.match(validateBudget('abc'), /non-negative/);
+});
+
+test('session spend adds answers, follow-ups, transcriptions and the report', () => {
+  const { db, budget } = setup({ SESSION_BUDGET_USD: '1', BUDGET_EXCEEDED_ACTION: 'block' });
+  spend(db, { sessionId: 's1', cost: 0.5, followUp: 0.1 });
+  budget.recordTranscription({ sessionId: 's1', ownerId: 1, provider: 'fake', model: 'fake', durationSeconds: 3, cost: 0.1, classification: { type: 'question', confidence: 0.9, source: 'llm', cost: 0.1 } });
+
+  let status = budget.status('s1');
+  assert.equal(status.exceeded, null);
+  assert.deepEqual(status.warning, { scope: 'session', limit: 1, spent: 0.8, percent: 80 });
+
+  db.prepare("INSERT INTO session_reports (session_id, report, cost) VALUES ('s1', '{}', 0.2)").run();
+  status = budget.status('s1');
+  assert.equal(status.exceeded.scope, 'session');
+  assert.equal(status.action, 'block');
+  assert.equal(budgetMessage(status.exceeded), 'Session budget reached: $1.0000 of $1.00');
+});
+
+test('a session budget_usd overrides SESSION_BUDGET_USD', () => {
+  const { db, budget } = setup({ SESSION_BUDGET_USD: '1' });
+  db.prepare("UPDATE interview_sessions SET budget_usd = 0.1 WHERE id = 's1'").run();
+  spend(db, { sessionId: 's1', cost: 0.2 });
+  assert.deepEqual(budget.status('s1').exceeded, { scope: 'session', limit: 0.1, spent: 0.2, percent: 200 });
+});
+
+test('the job profile daily budget counts every session of the profile', () => {
+  const { db, budget } = setup();
+  db.prepare('UPDATE job_profiles SET daily_budget_usd = 0.5 WHERE id = 1').run();
+  db.prepare("INSERT INTO interview_sessions (id, job_profile_id, owner_id) VALUES ('s2', 1, 1)").run();
+  spend(db, { sessionId: 's2', cost: 0.6 });
+  assert.equal(budget.status('s1').exceeded.scope, 'profile');
+});
+
+test('the daily budget is per user and includes sessionless answers', () => {
+  const { db, budget } = setup({ DAILY_BUDGET_USD: '1' });
+  spend(db, { ownerId: 1, cost: 0.7 });
+  spend(db, { ownerId: 2, cost: 5 });
+  spend(db, { sessionId: 's1', cost: 0.4 });
+
+  assert.deepEqual(budget.status(null, 1).exceeded, { scope: 'daily', limit: 1, spent: 1.1, percent: 110 });
+  assert.equal(budget.status('s1').exceeded.scope, 'daily');
+  assert.equal(budget.status(null, 2).caps[0].spent, 5);
+  // Sem sessão e sem usuário não há de quem cobrar
+  assert.deepEqual(budget.status(null).caps, []);
+});
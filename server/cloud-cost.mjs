@@ -0,0 +1,123 @@
+// server/cloud-cost.mjs - Estimativa mensal de custo de nuvem (AWS/GCP/Azure) para perguntas de system design
+//
+// O modelo só dimensiona a solução (quais serviços de cloud-prices.json e quanto de cada um); os preços vêm
+// da tabela local, editável, e a conta é feita aqui. Não há API de preço ao vivo: é uma ordem de grandeza
+// para sustentar a conversa, não um orçamento.
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { completeChat, parseJsonReply } from './models.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PRICES_PATH = path.join(__dirname, 'cloud-prices.json');
+
+export function cloudCostConfigFromEnv(env = process.env) {
+  return {
+    enabled: env.CLOUD_COST_ESTIMATES !== 'false',
+    model: env.CLOUD_COST_MODEL || null, // null = o mesmo modelo da resposta
+    timeoutMs: parseInt(env.CLOUD_COST_TIMEOUT_MS || '15000', 10),
+    pricesPath: env.CLOUD_PRICES_CONFIG || DEFAULT_PRICES_PATH
+  };
+}
+
+// Validada na subida: um erro de digitação na tabela não pode virar NaN no meio da entrevista
+export function loadPriceTable(pricesPath = DEFAULT_PRICES_PATH) {
+  const table = JSON.parse(readFileSync(pricesPath, 'utf8'));
+  const providers = Object.keys(table.providers || {});
+  if (providers.length === 0) throw new Error(`${pricesPath}: "providers" must list at least one provider`);
+  for (const [key, service] of Object.entries(table.services || {})) {
+    for (const provider of providers) {
+      if (!Number.isFinite(service[provider]?.price)) {
+        throw new Error(`${pricesPath}: services.${key}.${provider}.price must be a number`);
+      }
+    }
+  }
+  return { currency: 'USD', hoursPerMonth: 730, ...table };
+}
+
+// Verbo de construção + algo de infraestrutura, ou pergunta direta sobre custo (en/pt/es, sem acento)
+const BUILD_PATTERN = /\b(design\w*|architect\w*|build|set up|scale|scaling|migrat\w+|deploy|host|projet\w*|constru\w*|montar|escal\w+|disen\w*|cost\w*|custo\w*|costo\w*|how much)\b/;
+const INFRA_PATTERN = /\b(system|pipelines?|platform|infrastructure|architecture|data lake|lakehouse|(data )?warehouse|cluster|services?|apis?|stream\w*|ingestion|etl|elt|backend|cloud|apps?|applications?|websites?|shortener|queues?|databases?|storage|sistema|plataforma|arquitetura|arquitectura|infraestrutura|infraestructura)\b/;
+
+export function needsCostEstimate(question) {
+  const text = (question || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return BUILD_PATTERN.test(text) && INFRA_PATTERN.test(text);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Aplica a tabela ao dimensionamento do modelo. Serviços fora da tabela e quantidades inválidas são descartados.
+export function priceEstimate(table, sizing) {
+  const providers = Object.keys(table.providers);
+  const items = [];
+  for (const item of sizing?.items || []) {
+    const service = table.services[item?.service];
+    const quantity = Number(item?.quantity);
+    if (!service || !Number.isFinite(quantity) || quantity <= 0) continue;
+
+    // Unidades por hora: quantity = média de unidades ligadas o mês todo
+    const monthly = service.hourly ? quantity * table.hoursPerMonth : quantity;
+    items.push({
+      service: item.service,
+      label: service.label,
+      purpose: typeof item.purpose === 'string' ? item.purpose : '',
+      quantity,
+      unit: service.hourly ? `${service.unit} (always on)` : `${service.unit} / month`,
+      products: Object.fromEntries(providers.map(p => [p, service[p].product])),
+      costs: Object.fromEntries(providers.map(p => [p, round(monthly * service[p].price)]))
+    });
+  }
+
+  return {
+    currency: table.currency,
+    region: table.region || null,
+    pricesUpdated: table.updated || null,
+    providers: table.providers,
+    assumptions: (sizing?.assumptions || []).filter(a => typeof a === 'string' && a.trim()).slice(0, 8),
+    items,
+    totals: Object.fromEntries(providers.map(p => [p, round(items.reduce((acc, item) => acc + item.costs[p], 0))]))
+  };
+}
+
+function sizingPrompt(table) {
+  const services = Object.entries(table.services).map(([key, service]) =>
+    `- ${key}: ${service.label}; quantity = ${service.hourly ? `average number of ${service.unit} running all month` : `${service.unit} per month`}`
+  ).join('\n');
+  return `You size cloud infrastructure for a system design answer given in a job interview. Pick only the services below that the design actually needs and estimate a realistic quantity for a typical production workload of the size the question implies. State the workload assumptions you made (data volume, requests, retention, environments) in a few short sentences.
+
+Services (use these keys only):
+${services}
+
+Reply with JSON only: {"assumptions": ["..."], "items": [{"service": "<key>", "purpose": "<what it runs in this design>", "quantity": <number>}]}`;
+}
+
+/**
+ * estimate({ question, answer, modelId }) -> { estimate, cost } (estimate = null se o modelo não dimensionou nada)
+ * modelId = modelo da resposta; CLOUD_COST_MODEL, quando definido, tem preferência.
+ */
+export function createCloudCostEstimator({ config, table, chatModels, providerGuard }) {
+  const systemPrompt = sizingPrompt(table);
+
+  return {
+    config,
+    table,
+    shouldEstimate: (question) => config.enabled && needsCostEstimate(question),
+
+    async estimate({ question, answer, modelId = null }) {
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Question: ${question}\n\nAnswer: ${answer.slice(0, 4000)}` }
+      ];
+
+      const { reply, model: id, cost } = await completeChat(
+        { chatModels, providerGuard },
+        { modelId: config.model || modelId, messages, maxTokens: 600, temperature: 0.2 },
+        { timeoutMs: config.timeoutMs, retries: 0 }
+      );
+
+      // Resposta fora do formato: sem estimativa, mas o custo da chamada conta
+      const estimate = priceEstimate(table, parseJsonReply(reply, /\{[\s\S]*\}/));
+      return { estimate: estimate.items.length > 0 ? { ...estimate, model: id } : null, cost };
+    }
+  };
+}
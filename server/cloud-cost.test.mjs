@@ -0,0 +1,71 @@
+// server/cloud-cost.test.mjs - Quando estimar, a conta sobre a tabela e a validação da tabela (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { needsCostEstimate, priceEstimate, loadPriceTable } from './cloud-cost.mjs';
+
+const table = {
+  currency: 'USD',
+  hoursPerMonth: 730,
+  providers: { aws: 'AWS', gcp: 'Google Cloud' },
+  services: {
+    compute: { label: 'VMs', unit: 'vCPU', hourly: true, aws: { product: 'EC2', price: 0.05 }, gcp: { product: 'GCE', price: 0.04 } },
+    storage: { label: 'Object storage', unit: 'GB', aws: { product: 'S3', price: 0.023 }, gcp: { product: 'GCS', price: 0.02 } }
+  }
+};
+
+test('only design or cost questions about infrastructure get an estimate', () => {
+  assert.ok(needsCostEstimate('How would you design a data pipeline for clickstream events?'));
+  assert.ok(needsCostEstimate('Como você projetaria a arquitetura de um data lake?'));
+  assert.ok(needsCostEstimate('How much would this platform cost per month?'));
+  assert.ok(!needsCostEstimate('What is the difference between a process and a thread?'));
+  assert.ok(!needsCostEstimate('Tell me about a time you disagreed with your manager'));
+  assert.ok(!needsCostEstimate(''));
+});
+
+test('hourly services run all month and storage is priced per unit', () => {
+  const estimate = priceEstimate(table, {
+    assumptions: ['1 TB of events', '  ', 42],
+    items: [
+      { service: 'compute', purpose: 'workers', quantity: 4 },
+      { service: 'storage', purpose: 'raw events', quantity: 1000 }
+    ]
+  });
+
+  assert.deepEqual(estimate.assumptions, ['1 TB of events']);
+  assert.deepEqual(estimate.items.map(item => item.costs), [{ aws: 146, gcp: 116.8 }, { aws: 23, gcp: 20 }]);
+  assert.equal(estimate.items[0].unit, 'vCPU (always on)');
+  assert.equal(estimate.items[1].unit, 'GB / month');
+  assert.deepEqual(estimate.items[0].products, { aws: 'EC2', gcp: 'GCE' });
+  assert.deepEqual(estimate.totals, { aws: 169, gcp: 136.8 });
+});
+
+test('unknown services and invalid quantities are dropped', () => {
+  const estimate = priceEstimate(table, {
+    items: [
+      { service: 'mainframe', quantity: 1 },
+      { service: 'compute', quantity: 0 },
+      { service: 'compute', quantity: 'lots' },
+      null
+    ]
+  });
+  assert.deepEqual(estimate.items, []);
+  assert.deepEqual(estimate.totals, { aws: 0, gcp: 0 });
+  assert.deepEqual(priceEstimate(table, null).items, []);
+});
+
+test('the bundled price table loads and a missing price fails at startup', () => {
+  const bundled = loadPriceTable();
+  assert.ok(Object.keys(bundled.providers).length > 0);
+
+  const dir = mkdtempSync(path.join(tmpdir(), 'cloud-prices-'));
+  const broken = path.join(dir, 'prices.json');
+  try {
+    writeFileSync(broken, JSON.stringify({ providers: { aws: 'AWS' }, services: { compute: { aws: { product: 'EC2' } } } }));
+    assert.throws(() => loadPriceTable(broken), /services\.compute\.aws\.price must be a number/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
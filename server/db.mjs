@@ -0,0 +1,20 @@
+// server/db.mjs - Abre o SQLite e aplica as migrações pendentes
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { migrate, schemaVersion } from './migrations.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'interview-agent.db');
+
+export function openDatabase(dbPath = DB_PATH) {
+  mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  const applied = migrate(db);
+  return { db, applied, version: schemaVersion(db) };
+}
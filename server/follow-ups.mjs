@@ -0,0 +1,69 @@
+// server/follow-ups.mjs - Previsão das próximas perguntas do entrevistador a partir da pergunta e da resposta
+//
+// Roda depois da resposta (evento SSE "followups", depois do "done") para não atrasar o texto principal.
+// As perguntas ficam em question_answers.follow_up_question como array JSON; a coluna vem do setup-db.mjs,
+// onde guardava uma pergunta só, então parseFollowUps também aceita texto puro.
+import { LANGUAGES } from './languages.mjs';
+import { completeChat, parseJsonReply } from './models.mjs';
+
+export function followUpConfigFromEnv(env = process.env) {
+  return {
+    count: parseInt(env.FOLLOW_UPS_COUNT ?? '3', 10), // 0 desliga
+    model: env.FOLLOW_UP_MODEL || null, // null = o mesmo modelo da resposta
+    timeoutMs: parseInt(env.FOLLOW_UP_TIMEOUT_MS || '8000', 10)
+  };
+}
+
+export function parseFollowUps(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.filter(q => typeof q === 'string' && q.trim());
+  } catch {
+    // Texto puro (layout antigo)
+  }
+  return [String(value)];
+}
+
+const PROMPT = `You predict what a job interviewer will ask next. Given the interviewer's question and the candidate's answer, list the {{count}} follow-up questions the interviewer is most likely to ask, most likely first: digging into a claim, asking for numbers or trade-offs, or probing a weak spot of the answer. Each question must be short and self-contained. {{language}}
+Reply with a JSON array of strings only.`;
+
+/**
+ * predict({ question, answer, questionLanguage, modelId }) -> { questions, model, cost }
+ * modelId = modelo da resposta; FOLLOW_UP_MODEL, quando definido, tem preferência.
+ */
+export function createFollowUpPredictor({ config, chatModels, providerGuard }) {
+  return {
+    config,
+    enabled: config.count > 0,
+
+    async predict({ question, answer, questionLanguage = null, modelId = null }) {
+      const language = LANGUAGES[questionLanguage]
+        ? `Write them in ${LANGUAGES[questionLanguage].name}.`
+        : 'Write them in the language of the question.';
+      const messages = [
+        { role: 'system', content: PROMPT.replace('{{count}}', String(config.count)).replace('{{language}}', language) },
+        // A resposta inteira não é necessária para prever o rumo da conversa
+        { role: 'user', content: `Question: ${question}\n\nAnswer: ${answer.slice(0, 3000)}` }
+      ];
+
+      const { reply, model: id, cost } = await completeChat(
+        { chatModels, providerGuard },
+        { modelId: config.model || modelId, messages, maxTokens: 60 * config.count, temperature: 0.5 },
+        { timeoutMs: config.timeoutMs, retries: 0 }
+      );
+
+      // JSON pedido; se o modelo devolver uma lista em texto, vale uma pergunta por linha
+      let questions = parseJsonReply(reply, /\[[\s\S]*\]/);
+      if (!Array.isArray(questions)) {
+        questions = reply.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(line => line.endsWith('?'));
+      }
+
+      return {
+        questions: questions.filter(q => typeof q === 'string' && q.trim()).map(q => q.trim()).slice(0, config.count),
+        model: id,
+        cost
+      };
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// server/follow-ups.test.mjs - Leitura da coluna follow_up_question e da resposta do modelo (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFollowUps, createFollowUpPredictor, followUpConfigFromEnv } from './follow-ups.mjs';
+
+// Modelo falso que responde sempre o mesmo texto e guarda o prompt recebido
+function predictorReplying(reply, env = {}) {
+  const bodies = [];
+  const chatModels = {
+    resolve: (id) => ({
+      id: id || 'fake', provider: 'fake', model: 'fake', tokenizer: 'o200k_base',
+      client: { chat: { completions: { create: async (body) => { bodies.push(body); return { choices: [{ message: { content: reply } }] }; } } } }
+    }),
+    estimateCost: () => 0
+  };
+  const providerGuard = { call: (provider, fn) => fn({ signal: null }) };
+  return { predictor: createFollowUpPredictor({ config: followUpConfigFromEnv(env), chatModels, providerGuard }), bodies };
+}
+
+test('parseFollowUps reads the JSON array and the old single-question text', () => {
+  assert.deepEqual(parseFollowUps('["Why Kafka?", "  ", 3, "How many partitions?"]'), ['Why Kafka?', 'How many partitions?']);
+  assert.deepEqual(parseFollowUps('Why not RabbitMQ?'), ['Why not RabbitMQ?']);
+  assert.deepEqual(parseFollowUps(null), []);
+  assert.deepEqual(parseFollowUps(''), []);
+});
+
+test('predict keeps at most FOLLOW_UPS_COUNT questions from the JSON reply', async () => {
+  const { predictor, bodies } = predictorReplying('Here: [" Why Kafka? ", "How do you size partitions?", "What about ordering?"]', { FOLLOW_UPS_COUNT: '2' });
+  const { questions } = await predictor.predict({ question: 'Why did you pick Kafka?', answer: 'Throughput.', questionLanguage: 'pt' });
+
+  assert.deepEqual(questions, ['Why Kafka?', 'How do you size partitions?']);
+  assert.match(bodies[0].messages[0].content, /list the 2 follow-up questions/);
+  assert.match(bodies[0].messages[0].content, /Write them in Portuguese/);
+});
+
+test('predict falls back to one question per line when the reply is a plain list', async () => {
+  const { predictor } = predictorReplying('1. Why Kafka?\n- How many partitions?\nThat is all.');
+  const { questions } = await predictor.predict({ question: 'Why Kafka?', answer: 'Throughput.' });
+  assert.deepEqual(questions, ['Why Kafka?', 'How many partitions?']);
+});
+
+test('FOLLOW_UPS_COUNT=0 turns the predictor off', () => {
+  assert.equal(predictorReplying('[]', { FOLLOW_UPS_COUNT: '0' }).predictor.enabled, false);
+});
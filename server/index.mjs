@@ -1,13 +1,35 @@
 import express from 'express';
 import cors from 'cors';
-import multer from 'multer';
-import { OpenAI } from 'openai';
-import Database from 'better-sqlite3';
 import { createHash } from 'crypto';
-import { LRUCache } from 'lru-cache';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createTranscriptionRegistry } from './transcription.mjs';
+import { createModelRegistry } from './models.mjs';
+import { parseAudioInput } from './audio-input.mjs';
+import { attachAudioStream, streamConfigFromEnv } from './audio-stream.mjs';
+import { countMessageTokens, countTextTokens } from './tokens.mjs';
+import { createSemanticCache } from './semantic-cache.mjs';
+import { createQASearch } from './search.mjs';
+import { parseJobDocument, extractJobText, analyzeJobPosting, loadSkillsDictionary } from './job-import.mjs';
+import { EXPORT_FORMATS, loadSessionExport, renderSessionExport, streamSessionsZip, importSessionExport } from './session-export.mjs';
+import { openDatabase } from './db.mjs';
+import {
+  LANGUAGES, DEFAULT_LANGUAGE, DEFAULT_ANSWER_LANGUAGE,
+  isSpokenLanguage, isAnswerLanguage, languageCode, detectLanguage
+} from './languages.mjs';
+import { createVocabulary } from './vocabulary.mjs';
+import { createBudget, budgetConfigFromEnv, validateBudget, budgetMessage } from './budget.mjs';
+import { createProviderGuard, resilienceConfigFromEnv, ProviderCallError } from './resilience.mjs';
+import { createAuth, authConfigFromEnv, createAttemptLimiter, tokenFromRequest, ROLES } from './auth.mjs';
+import { TEMPLATE_VARIABLES, BUILTIN_TEMPLATES, DEFAULT_DESCRIPTION_LIMIT, validateTemplate, buildMessages } from './prompts.mjs';
+import { createQuestionDetector, detectionConfigFromEnv, DETECTION_MODES } from './question-detection.mjs';
+import { ANSWER_MODES, resolveMode, modeLimits, listModes } from './answer-modes.mjs';
+import { createFollowUpPredictor, followUpConfigFromEnv } from './follow-ups.mjs';
+import { createCloudCostEstimator, cloudCostConfigFromEnv, loadPriceTable } from './cloud-cost.mjs';
+import { createMockInterviewer, mockInterviewConfigFromEnv, MAX_MOCK_QUESTIONS } from './mock-interview.mjs';
+import { createSpeechRegistry } from './speech.mjs';
+import { createSessionReporter, reportConfigFromEnv } from './session-report.mjs';
 
 dotenv.config();
 
@@ -15,407 +37,1889 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Atrás de um proxy reverso: req.ip (limite de tentativas de login) vem do X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+const transcribers = createTranscriptionRegistry();
+const voices = createSpeechRegistry();
+const chatModels = createModelRegistry();
+// Retry, timeout, concorrência e circuit breaker de todas as chamadas a providers
+const providerGuard = createProviderGuard(resilienceConfigFromEnv());
+
+// --- Database (migrações aplicadas na abertura) --- //
+const { db, applied: appliedMigrations, version: schemaVersion } = openDatabase();
+for (const { version, name } of appliedMigrations) {
+  console.log(`Applied migration ${version}_${name}`);
+}
+console.log(`Database schema v${schemaVersion}`);
 
 // --- Cache Semântico --- //
-const semanticCache = new LRUCache({
-  max: 500,
-  ttl: 1000 * 60 * 60 * 24, // 24 horas
-  updateAgeOnGet: true
-});
-
-// --- Database --- //
-const dbPath = path.join(__dirname, '..', 'data', 'interview-agent.db');
-const db = new Database(dbPath);
-
-// --- Setup Tables (Full Relational) ---
-db.exec(`
-  CREATE TABLE IF NOT EXISTS job_profiles (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    company TEXT,
-    seniority TEXT,
-    key_skills TEXT,
-    job_description TEXT,
-    is_default BOOLEAN DEFAULT FALSE
-  )
+const semanticCache = createSemanticCache({
+  db,
+  // Sem retry: se o embedding falhar a pergunta segue sem cache em vez de atrasar a resposta
+  embed: (text) => (chatModels.embeddingProvider
+    ? providerGuard.call(
+        `embeddings:${chatModels.embeddingProvider}`,
+        ({ signal }) => chatModels.embed(text, { signal }),
+        { retries: 0, timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS || '5000', 10) }
+      )
+    : chatModels.embed(text)),
+  threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.9'),
+  ttlMs: parseFloat(process.env.SEMANTIC_CACHE_TTL_HOURS || '24') * 60 * 60 * 1000,
+  maxEntries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES || '500', 10)
+});
+
+const qaSearch = createQASearch(db);
+const skillsDictionary = loadSkillsDictionary();
+const vocabulary = createVocabulary(db);
+const auth = createAuth(db, authConfigFromEnv());
+
+// --- Limites de gasto --- //
+const budget = createBudget(db, budgetConfigFromEnv());
+if (budget.config.fallbackModel && !chatModels.has(budget.config.fallbackModel)) {
+  throw new Error(`BUDGET_FALLBACK_MODEL "${budget.config.fallbackModel}" is not in models.json`);
+}
+
+// --- Detecção de perguntas (só question/follow_up viram resposta) --- //
+const questionDetector = createQuestionDetector({ config: detectionConfigFromEnv(), chatModels, providerGuard });
+if (!DETECTION_MODES.includes(questionDetector.config.mode)) {
+  throw new Error(`Invalid QUESTION_DETECTION "${questionDetector.config.mode}" (expected ${DETECTION_MODES.join(', ')})`);
+}
+if (questionDetector.config.model && !chatModels.has(questionDetector.config.model)) {
+  throw new Error(`QUESTION_DETECTION_MODEL "${questionDetector.config.model}" is not in models.json`);
+}
+const selectLastQuestion = db.prepare('SELECT question FROM question_answers WHERE session_id = ? ORDER BY created_at DESC, id DESC LIMIT 1');
+
+// Classificação de uma fala, com a última pergunta respondida da sessão como contexto dos follow-ups.
+// Com o limite de gasto atingido, o classificador LLM não é chamado (ficam as heurísticas).
+function classifyUtterance(text, sessionId, ownerId) {
+  const previousQuestion = sessionId ? selectLastQuestion.get(sessionId)?.question ?? null : null;
+  return questionDetector.classify(text, { previousQuestion, heuristicOnly: Boolean(budget.status(sessionId, ownerId).exceeded) });
+}
+
+// Formato devolvido à UI (o custo do classificador entra no gasto, não na resposta)
+function classificationBody({ type, confidence, source, reason, answerable }) {
+  return { type, confidence, source, reason, answerable };
+}
+
+const selectTranscriptionClassification = db.prepare(`
+  SELECT classification as type, confidence, classification_source as source FROM transcriptions WHERE id = ? AND owner_id = ?
+`);
+
+// A mesma regra da UI, para clientes da API: só perguntas gastam resposta. Vale a classificação salva da transcrição
+// (transcriptionId); sem ela (ou numa fala não classificada), as heurísticas sobre o texto, que não custam nada.
+// Retorna a classificação, ou null se o transcriptionId não for do usuário.
+async function answerableClassification(question, transcriptionId, ownerId) {
+  if (transcriptionId) {
+    const stored = selectTranscriptionClassification.get(transcriptionId, ownerId);
+    if (!stored) return null;
+    if (stored.type) return { ...stored, reason: 'classified at transcription', answerable: questionDetector.isAnswerable(stored) };
+  }
+  return questionDetector.classify(question, { heuristicOnly: true });
+}
+
+// Erro estruturado para a UI (402 = limite atingido)
+function budgetExceeded(res, status) {
+  return res.status(402).json(budgetErrorBody(status));
+}
+
+function budgetErrorBody(status) {
+  return {
+    error: budgetMessage(status.exceeded),
+    code: 'BUDGET_EXCEEDED',
+    budget: { ...status.exceeded, action: status.action }
+  };
+}
+
+// Evento SSE emitido ao cruzar BUDGET_WARNING_PERCENT de qualquer limite (ou depois de estourar)
+function writeBudgetWarning(res, status) {
+  const cap = status.exceeded || status.warning;
+  if (!cap) return;
+  res.write(`data: ${JSON.stringify({
+    type: 'budget_warning',
+    ...cap,
+    exceeded: Boolean(status.exceeded),
+    action: status.action,
+    message: status.exceeded ? budgetMessage(cap) : `${cap.percent}% of the ${cap.scope} budget used ($${cap.spent.toFixed(4)} of $${cap.limit.toFixed(2)})`
+  })}\n\n`);
+}
+
+// --- Perguntas de follow-up previstas --- //
+const followUps = createFollowUpPredictor({ config: followUpConfigFromEnv(), chatModels, providerGuard });
+if (followUps.config.model && !chatModels.has(followUps.config.model)) {
+  throw new Error(`FOLLOW_UP_MODEL "${followUps.config.model}" is not in models.json`);
+}
+const updateFollowUps = db.prepare('UPDATE question_answers SET follow_up_question = ?, follow_up_cost = ? WHERE id = ?');
+
+// Evento SSE "followups", depois do "done": a resposta já foi entregue, então uma falha aqui só é logada.
+// Com o limite de gasto atingido não há previsão (nem no cache-only).
+async function writeFollowUps(res, { qaId, sessionId, ownerId, question, answer, questionLanguage, modelId }) {
+  if (!followUps.enabled || budget.status(sessionId, ownerId).exceeded) return;
+  try {
+    const { questions, cost } = await followUps.predict({ question, answer, questionLanguage, modelId });
+    if (qaId) updateFollowUps.run(JSON.stringify(questions), cost, qaId);
+    res.write(`data: ${JSON.stringify({ type: 'followups', qaId, questions, cost })}\n\n`);
+  } catch (err) {
+    console.error('Follow-up prediction failed:', err.message);
+  }
+}
+
+// --- Estimativa de custo de nuvem (perguntas de system design) --- //
+const cloudCostConfig = cloudCostConfigFromEnv();
+const cloudCost = createCloudCostEstimator({
+  config: cloudCostConfig,
+  table: loadPriceTable(cloudCostConfig.pricesPath),
+  chatModels,
+  providerGuard
+});
+if (cloudCost.config.model && !chatModels.has(cloudCost.config.model)) {
+  throw new Error(`CLOUD_COST_MODEL "${cloudCost.config.model}" is not in models.json`);
+}
+const updateCloudCostEstimate = db.prepare('UPDATE question_answers SET cloud_cost_estimate = ?, cloud_estimate_cost = ? WHERE id = ?');
+
+// Evento SSE "cloud_cost_estimate", depois do "done"; mesmas regras dos follow-ups
+async function writeCloudCostEstimate(res, { qaId, sessionId, ownerId, question, answer, modelId }) {
+  if (!cloudCost.shouldEstimate(question) || budget.status(sessionId, ownerId).exceeded) return;
+  try {
+    const { estimate, cost } = await cloudCost.estimate({ question, answer, modelId });
+    if (qaId) updateCloudCostEstimate.run(estimate ? JSON.stringify(estimate) : null, cost, qaId);
+    if (estimate) res.write(`data: ${JSON.stringify({ type: 'cloud_cost_estimate', qaId, estimate, cost })}\n\n`);
+  } catch (err) {
+    console.error('Cloud cost estimate failed:', err.message);
+  }
+}
+
+// O que vem depois da resposta, em paralelo: follow-ups e, em system design, a estimativa de custo
+function writeAnswerExtras(res, context) {
+  return Promise.all([writeFollowUps(res, context), writeCloudCostEstimate(res, context)]);
+}
+
+// --- Entrevista simulada (treino) --- //
+const mockInterviewer = createMockInterviewer({ config: mockInterviewConfigFromEnv(), chatModels, providerGuard });
+if (mockInterviewer.config.model && !chatModels.has(mockInterviewer.config.model)) {
+  throw new Error(`MOCK_INTERVIEW_MODEL "${mockInterviewer.config.model}" is not in models.json`);
+}
+
+// Treino não tem cache para cair: com o limite atingido, só continua no downgrade. Retorna o modelo barato ou null.
+function budgetFallbackModel(status) {
+  const { fallbackModel } = budget.config;
+  return status.action === 'downgrade' && fallbackModel && chatModels.isAvailable(fallbackModel) ? fallbackModel : null;
+}
+
+// --- Relatório pós-sessão --- //
+const sessionReporter = createSessionReporter({ config: reportConfigFromEnv(), db, chatModels, providerGuard, skillsDictionary });
+if (sessionReporter.config.model && !chatModels.has(sessionReporter.config.model)) {
+  throw new Error(`SESSION_REPORT_MODEL "${sessionReporter.config.model}" is not in models.json`);
+}
+const selectSessionReport = db.prepare('SELECT report, cost, created_at FROM session_reports WHERE session_id = ?');
+const selectReviewable = db.prepare(`
+  SELECT (SELECT COUNT(*) FROM question_answers WHERE session_id = ?)
+    + (SELECT COUNT(*) FROM transcriptions WHERE session_id = ? AND text IS NOT NULL) as items
+`);
+
+// Com o limite atingido o relatório sai só com a parte local (cobertura e tempo por tema), sem chamar o modelo
+function generateSessionReport(sessionId, ownerId) {
+  return sessionReporter.generate(sessionId, { llm: !budget.status(sessionId, ownerId).exceeded });
+}
+
+// --- Templates de prompt ---
+const selectPromptTemplate = db.prepare('SELECT * FROM prompt_templates WHERE id = ?');
+// Templates que o usuário enxerga: os compartilhados (owner_id NULL) e os dele
+const selectVisiblePromptTemplate = db.prepare('SELECT * FROM prompt_templates WHERE id = ? AND (owner_id IS NULL OR owner_id = ?)');
+const selectDefaultPromptTemplate = db.prepare('SELECT * FROM prompt_templates WHERE is_default = 1');
+
+// Template do perfil > template padrão > embutido (banco sem templates)
+function resolvePromptTemplate(templateId) {
+  return (templateId && selectPromptTemplate.get(templateId)) || selectDefaultPromptTemplate.get() || BUILTIN_TEMPLATES[0];
+}
+
+// CORS_ORIGIN=https://a.example,https://b.example restringe as origens; sem ele, qualquer origem (o token vai no header)
+// Content-Disposition exposto: os downloads são feitos por fetch (token no header) e o nome do arquivo vem dele
+app.use(cors({
+  exposedHeaders: ['Content-Disposition'],
+  ...(process.env.CORS_ORIGIN && { origin: process.env.CORS_ORIGIN.split(',').map(o => o.trim()) })
+}));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.static(path.join(__dirname, '..', 'dist')));
+
+// --- Autenticação: todo /api/* exige token, exceto as rotas de entrada ---
+const PUBLIC_ROUTES = new Set(['GET /auth/status', 'POST /auth/login', 'POST /auth/register']);
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) return next();
+  const session = auth.authenticate(tokenFromRequest(req));
+  if (!session) return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+  req.user = session.user;
+  req.auth = session;
+  next();
+});
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+  next();
+}
+
+// Perfis e sessões só existem para o dono; de outro usuário = 404 (não revela que existem)
+const selectOwnedJob = db.prepare('SELECT * FROM job_profiles WHERE id = ? AND owner_id = ?');
+const selectOwnedSession = db.prepare('SELECT * FROM interview_sessions WHERE id = ? AND owner_id = ?');
+
+// --- Funções de Custo ---
+// Preços de chat ficam em models.json; custo de transcrição em cada provider (costPerSecond)
+function estimateCost(tokensIn, tokensOut, model) {
+  return chatModels.estimateCost(tokensIn, tokensOut, model);
+}
+
+// --- Filtros de listagem (query string) ---
+
+// ?jobProfileId=<id> filtra por perfil; ?jobProfileId=none pega os registros sem perfil
+function parseJobProfileFilter(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'none') return null;
+  return parseInt(value, 10);
+}
+
+// ?cached=true|false etc.; ausente = sem filtro
+function parseBooleanFilter(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+// from/to no formato YYYY-MM-DD; retorna a mensagem de erro ou null
+function validateDateRange({ from, to }) {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}/.test(value)) return `Invalid ${name} date, expected YYYY-MM-DD`;
+  }
+  return null;
+}
+
+// --- API Endpoints: Job Profiles (Mantidos) ---
+
+// Idiomas do perfil/sessão: vazio = herdar o padrão; retorna a mensagem de erro ou null
+function validateLanguages(language, answerLanguage) {
+  if (language && !isSpokenLanguage(language)) return `Unknown language: ${language}`;
+  if (answerLanguage && !isAnswerLanguage(answerLanguage)) return `Unknown answer language: ${answerLanguage}`;
+  return null;
+}
+
+// --- API Endpoints: Contas ---
+
+// GET /api/auth/status - Se ainda não há usuários (primeiro cadastro vira admin) e se o cadastro está aberto
+app.get('/api/auth/status', (req, res) => {
+  const setupRequired = !auth.hasUsers();
+  res.json({ setupRequired, signupAllowed: setupRequired || auth.config.allowSignup });
+});
+
+const authAttempts = createAttemptLimiter({
+  maxAttempts: auth.config.maxAttempts,
+  windowMs: auth.config.attemptWindowMinutes * 60 * 1000
+});
+
+function tooManyAttempts(res, retryAfterMs) {
+  res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+  res.status(429).json({ error: 'Too many attempts, try again later', code: 'TOO_MANY_ATTEMPTS', retryAfterMs });
+}
+
+// POST /api/auth/register - Criar conta ({ username, password }) e já entrar
+app.post('/api/auth/register', async (req, res) => {
+  const { username, password } = req.body;
+  const retryAfterMs = authAttempts.blockedFor(`signup:${req.ip}`);
+  if (retryAfterMs) return tooManyAttempts(res, retryAfterMs);
+  authAttempts.record(`signup:${req.ip}`);
+
+  if (auth.hasUsers() && !auth.config.allowSignup) {
+    return res.status(403).json({ error: 'Sign-up is disabled, ask an admin for an account', code: 'SIGNUP_DISABLED' });
+  }
+  const error = auth.validateCredentials(username, password);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    await auth.createUser(username, password);
+    res.status(201).json(await auth.login(username, password));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: `Username "${username}" is taken`, code: 'DUPLICATE_USERNAME' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/login - Entrar ({ username, password }) -> { user, token, expiresAt }
+// Só as falhas contam; o login certo zera a contagem do usuário (a do IP continua)
+app.post('/api/auth/login', async (req, res) => {
+  const keys = [`ip:${req.ip}`, `user:${String(req.body.username || '').toLowerCase()}`];
+  const retryAfterMs = authAttempts.blockedFor(...keys);
+  if (retryAfterMs) return tooManyAttempts(res, retryAfterMs);
+
+  try {
+    const session = await auth.login(req.body.username, req.body.password);
+    if (!session) {
+      authAttempts.record(...keys);
+      return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+    }
+    authAttempts.reset(keys[1]);
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/logout - Revogar o token usado na requisição
+app.post('/api/auth/logout', (req, res) => {
+  if (req.auth.kind === 'session') auth.revokeToken(req.auth.tokenId, req.user.id);
+  res.status(204).send();
+});
+
+// GET /api/auth/me - Usuário do token
+app.get('/api/auth/me', (req, res) => {
+  res.json(auth.getUser(req.user.id));
+});
+
+// POST /api/auth/password - Trocar a senha ({ currentPassword, newPassword }); encerra os outros logins
+app.post('/api/auth/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const error = auth.validateCredentials(req.user.username, newPassword);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!(await auth.login(req.user.username, currentPassword))) {
+      // 400 e não 401: o token é válido, a UI não deve tratar como sessão expirada
+      return res.status(400).json({ error: 'Current password is wrong', code: 'INVALID_CREDENTIALS' });
+    }
+    await auth.changePassword(req.user.id, newPassword);
+    res.json(await auth.login(req.user.username, newPassword));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/auth/api-keys - API keys do usuário (só o prefixo; a chave aparece uma única vez, na criação)
+app.get('/api/auth/api-keys', (req, res) => {
+  res.json(auth.listApiKeys(req.user.id));
+});
+
+// POST /api/auth/api-keys - Criar API key para scripts ({ name })
+app.post('/api/auth/api-keys', (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Name is required' });
+  const { id, token } = auth.createApiKey(req.user.id, name);
+  res.status(201).json({ id, name, key: token });
+});
+
+// DELETE /api/auth/api-keys/:id - Revogar API key
+app.delete('/api/auth/api-keys/:id', (req, res) => {
+  if (!auth.revokeToken(req.params.id, req.user.id)) return res.status(404).json({ error: 'API key not found' });
+  res.status(204).send();
+});
+
+// GET /api/users - Listar usuários (admin)
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json(auth.listUsers());
+});
+
+// POST /api/users - Criar usuário (admin; { username, password, role })
+app.post('/api/users', requireAdmin, async (req, res) => {
+  const { username, password, role = 'member' } = req.body;
+  const error = auth.validateCredentials(username, password);
+  if (error) return res.status(400).json({ error });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+
+  try {
+    res.status(201).json(await auth.createUser(username, password, role));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: `Username "${username}" is taken`, code: 'DUPLICATE_USERNAME' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/users/:id - Remover usuário e todos os dados dele (admin)
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  if (Number(req.params.id) === req.user.id) {
+    return res.status(409).json({ error: 'You cannot delete your own account', code: 'SELF_DELETE' });
+  }
+  try {
+    if (!auth.deleteUser(req.params.id)) return res.status(404).json({ error: 'User not found' });
+    vocabulary.invalidate(); // vocabulário dos perfis dele sai junto (ON DELETE CASCADE)
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/languages - Idiomas suportados e padrões do servidor
+app.get('/api/languages', (req, res) => {
+  res.json({
+    languages: Object.entries(LANGUAGES).map(([code, { name }]) => ({ code, name })),
+    defaultLanguage: DEFAULT_LANGUAGE,
+    defaultAnswerLanguage: DEFAULT_ANSWER_LANGUAGE
+  });
+});
+
+// GET /api/jobs - Listar todos os perfis de vaga
+app.get('/api/jobs', (req, res) => {
+  try {
+    const jobs = db.prepare('SELECT * FROM job_profiles WHERE owner_id = ? ORDER BY name').all(req.user.id);
+    res.json(jobs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/jobs - Criar novo perfil de vaga
+app.post('/api/jobs', (req, res) => {
+  const { name, company, seniority, key_skills, job_description, focus_areas, model, language, answer_language, prompt_template_id, daily_budget_usd } = req.body;
+  if (!name) return res.status(400).json({ error: 'Name is required' });
+  if (model && !chatModels.has(model)) return res.status(400).json({ error: `Unknown model: ${model}` });
+  const languageError = validateLanguages(language, answer_language);
+  if (languageError) return res.status(400).json({ error: languageError });
+  if (prompt_template_id && !selectVisiblePromptTemplate.get(prompt_template_id, req.user.id)) {
+    return res.status(400).json({ error: `Unknown prompt template: ${prompt_template_id}` });
+  }
+  const budgetError = validateBudget(daily_budget_usd, 'daily_budget_usd');
+  if (budgetError) return res.status(400).json({ error: budgetError });
+
+  try {
+    const result = db.prepare(
+      'INSERT INTO job_profiles (name, company, seniority, key_skills, job_description, focus_areas, model, language, answer_language, prompt_template_id, daily_budget_usd, owner_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)'
+    ).run(
+      name, company, seniority, key_skills, job_description, focus_areas, model || null, language || null, answer_language || null,
+      prompt_template_id || null, daily_budget_usd ?? null, req.user.id
+    );
+    res.status(201).json({ id: result.lastInsertRowid, ...req.body });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/jobs/import - Extrair título, empresa, senioridade e skills de uma vaga (PDF, DOCX, HTML ou texto).
+// Não cria o perfil: o resultado pré-preenche o formulário para revisão.
+app.post('/api/jobs/import', parseJobDocument, async (req, res) => {
+  const { filename, type } = req.jobDocument;
+  try {
+    const { text, hints } = await extractJobText(req.jobDocument);
+    if (!text) {
+      return res.status(422).json({ error: 'No text found in document', code: 'UNREADABLE_DOCUMENT' });
+    }
+    res.json({
+      ...analyzeJobPosting(text, hints, skillsDictionary),
+      language: detectLanguage(text),
+      source: { filename, type, chars: text.length }
+    });
+  } catch (err) {
+    // pdf-parse/mammoth lançam erro em arquivo corrompido ou protegido
+    res.status(422).json({ error: `Could not read document: ${err.message}`, code: 'UNREADABLE_DOCUMENT' });
+  }
+});
+
+// PUT /api/jobs/:id - Atualizar perfil de vaga
+app.put('/api/jobs/:id', (req, res) => {
+  const { name, company, seniority, key_skills, job_description, focus_areas, model, language, answer_language, prompt_template_id, daily_budget_usd } = req.body;
+  if (model && !chatModels.has(model)) return res.status(400).json({ error: `Unknown model: ${model}` });
+  const languageError = validateLanguages(language, answer_language);
+  if (languageError) return res.status(400).json({ error: languageError });
+  if (prompt_template_id && !selectVisiblePromptTemplate.get(prompt_template_id, req.user.id)) {
+    return res.status(400).json({ error: `Unknown prompt template: ${prompt_template_id}` });
+  }
+  const budgetError = validateBudget(daily_budget_usd, 'daily_budget_usd');
+  if (budgetError) return res.status(400).json({ error: budgetError });
+
+  try {
+    const result = db.prepare(
+      'UPDATE job_profiles SET name = ?, company = ?, seniority = ?, key_skills = ?, job_description = ?, focus_areas = ?, model = ?, language = ?, answer_language = ?, prompt_template_id = ?, daily_budget_usd = ? WHERE id = ? AND owner_id = ?'
+    ).run(
+      name, company, seniority, key_skills, job_description, focus_areas, model || null, language || null, answer_language || null,
+      prompt_template_id || null, daily_budget_usd ?? null, req.params.id, req.user.id
+    );
+    if (result.changes === 0) return res.status(404).json({ error: 'Job profile not found' });
+    res.json({ id: req.params.id, ...req.body });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/jobs/:id - Deletar perfil de vaga
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM job_profiles WHERE id = ? AND owner_id = ?').run(req.params.id, req.user.id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Job profile not found' });
+    vocabulary.invalidate(); // vocabulário do perfil sai junto (ON DELETE CASCADE)
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/jobs/:id/default - Definir perfil padrão (cada usuário tem o seu)
+app.post('/api/jobs/:id/default', (req, res) => {
+  if (!selectOwnedJob.get(req.params.id, req.user.id)) return res.status(404).json({ error: 'Job profile not found' });
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE job_profiles SET is_default = 0 WHERE owner_id = ?').run(req.user.id);
+      db.prepare('UPDATE job_profiles SET is_default = 1 WHERE id = ?').run(req.params.id);
+    })();
+    res.status(200).json({ message: 'Default job updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/jobs/default - Obter perfil padrão
+app.get('/api/jobs/default', (req, res) => {
+  try {
+    const job = db.prepare('SELECT * FROM job_profiles WHERE is_default = 1 AND owner_id = ?').get(req.user.id);
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API Endpoints: Prompt Templates ---
+
+// Template que o usuário pode alterar: o dele, ou um compartilhado se for admin. Responde o erro e retorna null.
+function editablePromptTemplate(req, res) {
+  const template = selectVisiblePromptTemplate.get(req.params.id, req.user.id);
+  if (!template) {
+    res.status(404).json({ error: 'Prompt template not found' });
+    return null;
+  }
+  if (template.owner_id === null && req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Shared templates can only be changed by an admin', code: 'FORBIDDEN' });
+    return null;
+  }
+  return template;
+}
+
+// GET /api/prompts - Listar templates (compartilhados + os do usuário; jobs = perfis do usuário que usam o template)
+app.get('/api/prompts', (req, res) => {
+  try {
+    const templates = db.prepare(`
+      SELECT t.*, t.owner_id IS NULL as shared,
+        (SELECT COUNT(*) FROM job_profiles j WHERE j.prompt_template_id = t.id AND j.owner_id = ?) as jobs
+      FROM prompt_templates t
+      WHERE t.owner_id IS NULL OR t.owner_id = ?
+      ORDER BY t.is_default DESC, t.name
+    `).all(req.user.id, req.user.id);
+    res.json(templates);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/prompts/variables - Variáveis disponíveis nos templates
+app.get('/api/prompts/variables', (req, res) => {
+  res.json(Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({ name, description })));
+});
+
+// POST /api/prompts/preview - Mensagens exatas que seriam enviadas ao modelo.
+// Aceita um template salvo (templateId) ou um rascunho do editor (template); o perfil vem de jobId ou sessionId.
+app.post('/api/prompts/preview', (req, res) => {
+  const { templateId, template: draft, jobId, sessionId, question = 'Tell me about yourself.', previousQAs = [], language, mode: requestedMode } = req.body;
+  if (draft) {
+    const error = validateTemplate({ ...draft, name: 'preview' });
+    if (error) return res.status(400).json({ error });
+  }
+  if (templateId && !selectVisiblePromptTemplate.get(templateId, req.user.id)) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+  }
+  if (language && !LANGUAGES[language]) return res.status(400).json({ error: `Unknown language: ${language}` });
+  const answerMode = resolveMode(requestedMode, question);
+  if (answerMode.error) return res.status(400).json({ error: answerMode.error, code: 'INVALID_MODE' });
+
+  try {
+    const session = sessionId ? selectOwnedSession.get(sessionId, req.user.id) : null;
+    if (sessionId && !session) return res.status(404).json({ error: 'Session not found' });
+    const profileId = jobId ?? session?.job_profile_id;
+    const job = profileId ? selectOwnedJob.get(profileId, req.user.id) : null;
+    if (profileId && !job) return res.status(404).json({ error: 'Job profile not found' });
+
+    const template = draft || resolvePromptTemplate(templateId || job?.prompt_template_id);
+    // Sem sessão, os idiomas vêm do perfil (como no /api/session/create)
+    const { answerLanguage } = resolveLanguages(session || job, question, language);
+    const { messages, tailored } = buildMessages({ template, job, question, previousQAs, answerLanguage, mode: answerMode.mode });
+
+    // Contagem com o tokenizer do modelo que seria usado; provider não configurado cai no padrão
+    let tokenizer;
+    try {
+      tokenizer = chatModels.resolve(session?.model || job?.model).tokenizer;
+    } catch {
+      tokenizer = undefined;
+    }
+
+    res.json({
+      template: draft ? null : { id: template.id ?? null, name: template.name },
+      tailored,
+      answerLanguage,
+      mode: answerMode,
+      maxTokens: ANSWER_MODES[answerMode.mode].maxTokens,
+      messages,
+      tokens: countMessageTokens(messages, tokenizer)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/prompts/:id - Obter template
+app.get('/api/prompts/:id', (req, res) => {
+  const template = selectVisiblePromptTemplate.get(req.params.id, req.user.id);
+  if (!template) return res.status(404).json({ error: 'Prompt template not found' });
+  res.json(template);
+});
+
+// POST /api/prompts - Criar template (do usuário; { shared: true } cria um compartilhado, só admin)
+app.post('/api/prompts', (req, res) => {
+  const { name, description, system_prompt, job_context, description_limit, shared = false } = req.body;
+  const error = validateTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  if (shared && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Shared templates can only be created by an admin', code: 'FORBIDDEN' });
+  }
+
+  try {
+    const result = db.prepare(`
+      INSERT INTO prompt_templates (name, description, system_prompt, job_context, description_limit, owner_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      name.trim(), description || null, system_prompt, job_context || null, description_limit ?? DEFAULT_DESCRIPTION_LIMIT,
+      shared ? null : req.user.id
+    );
+    res.status(201).json(selectPromptTemplate.get(result.lastInsertRowid));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: `A template named "${name}" already exists`, code: 'DUPLICATE_NAME' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/prompts/:id - Atualizar template
+app.put('/api/prompts/:id', (req, res) => {
+  const { name, description, system_prompt, job_context, description_limit } = req.body;
+  const error = validateTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!editablePromptTemplate(req, res)) return;
+
+  try {
+    const result = db.prepare(`
+      UPDATE prompt_templates
+      SET name = ?, description = ?, system_prompt = ?, job_context = ?, description_limit = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name.trim(), description || null, system_prompt, job_context || null, description_limit ?? DEFAULT_DESCRIPTION_LIMIT, req.params.id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Prompt template not found' });
+    res.json(selectPromptTemplate.get(req.params.id));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: `A template named "${name}" already exists`, code: 'DUPLICATE_NAME' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/prompts/:id - Deletar template (perfis que o usavam voltam ao padrão)
+app.delete('/api/prompts/:id', (req, res) => {
+  const template = editablePromptTemplate(req, res);
+  if (!template) return;
+  if (template.is_default) {
+    return res.status(409).json({ error: 'Cannot delete the default template', code: 'DEFAULT_TEMPLATE' });
+  }
+
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE job_profiles SET prompt_template_id = NULL WHERE prompt_template_id = ?').run(template.id);
+      db.prepare('DELETE FROM prompt_templates WHERE id = ?').run(template.id);
+    })();
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/prompts/:id/default - Definir template padrão (usado por perfis sem template, de todos os usuários)
+app.post('/api/prompts/:id/default', requireAdmin, (req, res) => {
+  const template = selectVisiblePromptTemplate.get(req.params.id, req.user.id);
+  if (!template) return res.status(404).json({ error: 'Prompt template not found' });
+  if (template.owner_id !== null) {
+    return res.status(400).json({ error: 'Only shared templates can be the default', code: 'NOT_SHARED' });
+  }
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE prompt_templates SET is_default = 0').run();
+      db.prepare('UPDATE prompt_templates SET is_default = 1 WHERE id = ?').run(req.params.id);
+    })();
+    res.status(200).json({ message: 'Default template updated' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API Endpoints: Sessions (Mantidos) ---
+
+// Opções de sessão vindas da API (create e treino); retorna a mensagem de erro ou null
+function validateSessionOptions({ transcriptionProvider, model, language, answerLanguage, budgetUsd }) {
+  if (transcriptionProvider && !transcribers.has(transcriptionProvider)) return `Unknown transcription provider: ${transcriptionProvider}`;
+  if (model && !chatModels.has(model)) return `Unknown model: ${model}`;
+  return validateLanguages(language, answerLanguage) || validateBudget(budgetUsd, 'budgetUsd');
+}
+
+// Idiomas: pedido > perfil da vaga > padrão do servidor. Gravados na sessão para não mudarem no meio dela.
+function insertSession({ job, transcriptionProvider, model, language, answerLanguage, budgetUsd, ownerId, kind = 'live' }) {
+  const sessionId = createHash('sha1').update(Date.now().toString() + Math.random()).digest('hex').slice(0, 16);
+  db.prepare(
+    'INSERT INTO interview_sessions (id, job_profile_id, status, transcription_provider, model, language, answer_language, budget_usd, owner_id, kind) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  ).run(
+    sessionId, job?.id ?? null, 'active', transcriptionProvider || transcribers.defaultName, model || null,
+    language || job?.language || DEFAULT_LANGUAGE,
+    answerLanguage || job?.answer_language || DEFAULT_ANSWER_LANGUAGE,
+    budgetUsd ?? null, ownerId, kind
+  );
+  return sessionId;
+}
+
+const selectSessionDetails = db.prepare(`
+  SELECT s.id, s.job_profile_id, s.transcription_provider, COALESCE(s.model, j.model) as model,
+    s.language, s.answer_language as answerLanguage, s.budget_usd as budgetUsd, s.kind, j.name as jobName, j.company, j.key_skills, j.seniority
+  FROM interview_sessions s
+  LEFT JOIN job_profiles j ON s.job_profile_id = j.id
+  WHERE s.id = ?
 `);
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS interview_sessions (
-    id TEXT PRIMARY KEY,
-    job_profile_id INTEGER,
-    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    ended_at DATETIME,
-    status TEXT,
-    total_questions INTEGER,
-    total_cost REAL,
-    FOREIGN KEY (job_profile_id) REFERENCES job_profiles(id)
-  )
-`);
+// POST /api/session/create - Iniciar uma nova sessão
+app.post('/api/session/create', (req, res) => {
+  const { jobId } = req.body;
+  const optionsError = validateSessionOptions(req.body);
+  if (optionsError) return res.status(400).json({ error: optionsError });
+
+  try {
+    const job = jobId ? selectOwnedJob.get(jobId, req.user.id) : null;
+    if (jobId && !job) return res.status(404).json({ error: 'Job profile not found' });
+    const sessionId = insertSession({ ...req.body, job, ownerId: req.user.id });
+    res.json(selectSessionDetails.get(sessionId));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create session: ' + err.message });
+  }
+});
+
+// POST /api/session/end - Finalizar uma sessão
+app.post('/api/session/end', (req, res) => {
+  const { sessionId, totalQuestions } = req.body;
+  if (!selectOwnedSession.get(sessionId, req.user.id)) return res.status(404).json({ error: 'Session not found' });
+  try {
+    const costResult = db.prepare('SELECT SUM(cost) as totalCost FROM question_answers WHERE session_id = ?').get(sessionId);
+    const totalCost = costResult.totalCost || 0;
+
+    db.prepare(
+      'UPDATE interview_sessions SET status = ?, ended_at = ?, total_questions = ?, total_cost = ? WHERE id = ?'
+    ).run('completed', new Date().toISOString(), totalQuestions, totalCost, sessionId);
+
+    // O relatório é gerado depois da resposta; o cliente busca em GET /api/sessions/:id/report
+    const report = sessionReporter.config.enabled && selectReviewable.get(sessionId, sessionId).items > 0;
+    if (report) {
+      generateSessionReport(sessionId, req.user.id).catch(err => console.error(`Session report error (${sessionId}):`, err.message));
+    }
+    res.json({ message: 'Session ended', report: report ? 'pending' : null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/session/:id/budget - Alterar o limite da sessão ({ budgetUsd: null } volta ao SESSION_BUDGET_USD)
+app.post('/api/session/:id/budget', (req, res) => {
+  const { budgetUsd = null } = req.body;
+  const budgetError = validateBudget(budgetUsd, 'budgetUsd');
+  if (budgetError) return res.status(400).json({ error: budgetError });
+
+  try {
+    const result = db.prepare('UPDATE interview_sessions SET budget_usd = ? WHERE id = ? AND owner_id = ?').run(budgetUsd, req.params.id, req.user.id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Session not found' });
+    res.json(budget.status(req.params.id, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/budget - Limites e gasto atual (?sessionId= inclui os limites da sessão e do perfil dela)
+app.get('/api/budget', (req, res) => {
+  if (req.query.sessionId && !selectOwnedSession.get(req.query.sessionId, req.user.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  try {
+    const { warnPercent, fallbackModel } = budget.config;
+    res.json({ ...budget.status(req.query.sessionId, req.user.id), warnPercent, fallbackModel });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/session/:id/usage - Gasto da sessão (tokens estimados vs. reportados pelo provider)
+app.get('/api/session/:id/usage', (req, res) => {
+  try {
+    const session = selectOwnedSession.get(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const byModel = db.prepare(`
+      SELECT model, provider,
+        COUNT(*) as questions,
+        SUM(cached) as cached,
+        COALESCE(SUM(tokens_input), 0) as tokensInput,
+        COALESCE(SUM(tokens_output), 0) as tokensOutput,
+        COALESCE(SUM(tokens_input_estimated), 0) as tokensInputEstimated,
+        COALESCE(SUM(tokens_output_estimated), 0) as tokensOutputEstimated,
+        COALESCE(SUM(tokens_input_reported), 0) as tokensInputReported,
+        COALESCE(SUM(tokens_output_reported), 0) as tokensOutputReported,
+        SUM(CASE WHEN usage_source = 'provider' THEN 1 ELSE 0 END) as providerReported,
+        COALESCE(SUM(cost), 0) as cost,
+        COALESCE(SUM(follow_up_cost), 0) as followUpCost,
+        COALESCE(SUM(cloud_estimate_cost), 0) as cloudEstimateCost,
+        COALESCE(SUM(practice_cost), 0) as practiceCost
+      FROM question_answers
+      WHERE session_id = ?
+      GROUP BY model, provider
+    `).all(req.params.id);
+
+    const transcription = db.prepare(`
+      SELECT COUNT(*) as segments, COALESCE(SUM(duration_seconds), 0) as seconds, COALESCE(SUM(cost), 0) as cost,
+        COALESCE(SUM(classification_cost), 0) as classificationCost
+      FROM transcriptions WHERE session_id = ?
+    `).get(req.params.id);
+
+    res.json({
+      sessionId: session.id,
+      questions: byModel.reduce((acc, row) => acc + row.questions, 0),
+      cost: byModel.reduce((acc, row) => acc + row.cost, 0),
+      followUpCost: byModel.reduce((acc, row) => acc + row.followUpCost, 0),
+      cloudEstimateCost: byModel.reduce((acc, row) => acc + row.cloudEstimateCost, 0),
+      practiceCost: byModel.reduce((acc, row) => acc + row.practiceCost, 0),
+      byModel,
+      transcription
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/session/:id/export - Exportar sessão (?format=markdown|json|html|csv|transcript, padrão markdown)
+app.get('/api/session/:id/export', (req, res) => {
+  const format = req.query.format || 'markdown';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: Object.keys(EXPORT_FORMATS) });
+  }
+
+  try {
+    const data = loadSessionExport(db, req.params.id, req.user.id);
+    if (!data) return res.status(404).json({ error: 'Session not found' });
+
+    const { body, contentType, filename } = renderSessionExport(data, format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API Endpoints: Histórico de Sessões ---
+
+// GET /api/sessions - Listar sessões passadas (?jobProfileId, status, from, to, limit, offset)
+app.get('/api/sessions', (req, res) => {
+  const dateError = validateDateRange(req.query);
+  if (dateError) return res.status(400).json({ error: dateError });
+
+  const { status, from, to, limit = 20, offset = 0 } = req.query;
+  const where = ['s.owner_id = ?'];
+  const params = [req.user.id];
+  const jobProfileId = parseJobProfileFilter(req.query.jobProfileId);
+  if (jobProfileId !== undefined) {
+    where.push('s.job_profile_id IS ?');
+    params.push(jobProfileId);
+  }
+  if (status) {
+    where.push('s.status = ?');
+    params.push(status);
+  }
+  if (from) {
+    where.push('date(s.started_at) >= date(?)');
+    params.push(from);
+  }
+  if (to) {
+    where.push('date(s.started_at) <= date(?)');
+    params.push(to);
+  }
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  try {
+    const total = db.prepare(`SELECT COUNT(*) as count FROM interview_sessions s ${whereSql}`).get(...params).count;
+    const sessions = db.prepare(`
+      SELECT s.id, s.job_profile_id, s.started_at, s.ended_at, s.status, s.kind, s.transcription_provider,
+        COALESCE(s.model, j.model) as model, j.name as job_name, j.company,
+        COUNT(qa.id) as questions,
+        COALESCE(SUM(qa.cost), 0) as cost,
+        COALESCE(SUM(qa.cached), 0) as cached
+      FROM interview_sessions s
+      LEFT JOIN job_profiles j ON j.id = s.job_profile_id
+      LEFT JOIN question_answers qa ON qa.session_id = s.id
+      ${whereSql}
+      GROUP BY s.id
+      ORDER BY s.started_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, Math.min(parseInt(limit, 10) || 20, 100), parseInt(offset, 10) || 0);
+
+    res.json({ total, sessions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/sessions/export - Exportar várias sessões num zip (?ids=a,b,c&format=...)
+app.get('/api/sessions/export', async (req, res) => {
+  const format = req.query.format || 'markdown';
+  const ids = (req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: Object.keys(EXPORT_FORMATS) });
+  }
+  if (ids.length === 0) return res.status(400).json({ error: 'ids is required' });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename=interview-sessions-${format}-${Date.now()}.zip`);
+  try {
+    await streamSessionsZip(db, ids, format, res, req.user.id);
+  } catch (err) {
+    // Cabeçalhos já foram enviados; só resta abortar a conexão
+    console.error('Zip export error:', err.message);
+    res.destroy(err);
+  }
+});
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS question_answers (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT,
-    question TEXT,
-    answer TEXT,
-    processing_time_ms INTEGER,
-    tokens_input INTEGER,
-    tokens_output INTEGER,
-    cost REAL,
-    cached BOOLEAN,
-    tailored BOOLEAN,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (session_id) REFERENCES interview_sessions(id)
-  )
-`);
+// POST /api/sessions/import - Importar sessão exportada em JSON
+app.post('/api/sessions/import', (req, res) => {
+  try {
+    res.status(201).json(importSessionExport(db, req.body, req.user.id));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static(path.join(__dirname, '..', 'dist')));
+// GET /api/sessions/:id - Detalhe da sessão com todas as perguntas/respostas e métricas
+app.get('/api/sessions/:id', (req, res) => {
+  try {
+    const session = db.prepare(`
+      SELECT s.*, COALESCE(s.model, j.model) as model, j.name as job_name, j.company, j.seniority
+      FROM interview_sessions s
+      LEFT JOIN job_profiles j ON j.id = s.job_profile_id
+      WHERE s.id = ? AND s.owner_id = ?
+    `).get(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
 
-const upload = multer({ storage: multer.memoryStorage() });
+    const qas = db.prepare('SELECT * FROM question_answers WHERE session_id = ? ORDER BY created_at, id').all(req.params.id);
+    const generated = qas.filter(qa => !qa.cached);
+    const scored = qas.filter(qa => qa.score !== null);
+    // As duas falas, na ordem; só o entrevistador gerou perguntas
+    const transcript = db.prepare(`
+      SELECT id, speaker, text, language, classification, confidence, classification_source, created_at FROM transcriptions
+      WHERE session_id = ? AND text IS NOT NULL ORDER BY created_at, id
+    `).all(req.params.id);
 
-// --- Funções de Custo ---
-const COST_PER_MODEL = {
-  'whisper-1': 0.006 / 60, // por segundo
-  'gpt-4o-mini': { input: 0.15 / 1_000_000, output: 0.60 / 1_000_000 },
-};
+    res.json({
+      ...session,
+      qas,
+      transcript,
+      metrics: {
+        questions: qas.length,
+        cost: qas.reduce((acc, qa) => acc + (qa.cost || 0), 0),
+        cached: qas.length - generated.length,
+        tailored: qas.filter(qa => qa.tailored).length,
+        starred: qas.filter(qa => qa.starred).length,
+        tokensInput: qas.reduce((acc, qa) => acc + (qa.tokens_input || 0), 0),
+        tokensOutput: qas.reduce((acc, qa) => acc + (qa.tokens_output || 0), 0),
+        // Treino: média das notas das perguntas respondidas (null fora do treino ou sem respostas)
+        averageScore: scored.length ? Math.round((scored.reduce((acc, qa) => acc + qa.score, 0) / scored.length) * 10) / 10 : null,
+        // Latência média só das respostas geradas (replays do cache distorceriam a média)
+        avgProcessingMs: generated.length
+          ? Math.round(generated.reduce((acc, qa) => acc + (qa.processing_time_ms || 0), 0) / generated.length)
+          : 0
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-function estimateCost(tokensIn, tokensOut, model) {
-  if (!COST_PER_MODEL[model] || model === 'whisper-1') return 0;
-  const { input, output } = COST_PER_MODEL[model];
-  return (tokensIn * input) + (tokensOut * output);
-}
+// DELETE /api/sessions/:id - Remover sessão e suas respostas (o cache semântico é mantido)
+app.delete('/api/sessions/:id', (req, res) => {
+  if (!selectOwnedSession.get(req.params.id, req.user.id)) return res.status(404).json({ error: 'Session not found' });
+  try {
+    const deleted = db.transaction(() => {
+      db.prepare('DELETE FROM question_answers WHERE session_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM transcriptions WHERE session_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM session_reports WHERE session_id = ?').run(req.params.id);
+      return db.prepare('DELETE FROM interview_sessions WHERE id = ?').run(req.params.id).changes;
+    })();
+    if (!deleted) return res.status(404).json({ error: 'Session not found' });
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// --- Funções de Cache ---
-function generateSemanticKey(text) {
-  // Normaliza: lowercase, remove pontuação, palavras comuns
-  const normalized = text
-    .toLowerCase()
-    .replace(/[.,?!;:'"-]/g, '')
-    .replace(/\b(o|a|os|as|um|uma|de|da|do|em|no|na|que|e|ou|para|por)\b/g, '')
-    .trim()
-    .split(/\s+/)
-    .sort()
-    .join(' ');
-  return createHash('md5').update(normalized).digest('hex');
-}
+// GET /api/sessions/:id/report - Relatório de revisão (202 enquanto é gerado, 404 se não houver)
+app.get('/api/sessions/:id/report', (req, res) => {
+  if (!selectOwnedSession.get(req.params.id, req.user.id)) return res.status(404).json({ error: 'Session not found' });
+  if (sessionReporter.isPending(req.params.id)) return res.status(202).json({ status: 'pending' });
+  try {
+    const row = selectSessionReport.get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'No report for this session yet', code: 'REPORT_NOT_FOUND' });
+    res.json({ ...JSON.parse(row.report), cost: row.cost, status: 'ready' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// --- API Endpoints: Job Profiles (Mantidos) ---
+// POST /api/sessions/:id/report - Gerar (ou regerar) o relatório agora; espera a geração terminar
+app.post('/api/sessions/:id/report', async (req, res) => {
+  if (!selectOwnedSession.get(req.params.id, req.user.id)) return res.status(404).json({ error: 'Session not found' });
+  if (selectReviewable.get(req.params.id, req.params.id).items === 0) {
+    return res.status(400).json({ error: 'Nothing to review: the session has no questions or transcript', code: 'REPORT_EMPTY' });
+  }
+  try {
+    await generateSessionReport(req.params.id, req.user.id);
+    const row = selectSessionReport.get(req.params.id);
+    res.json({ ...JSON.parse(row.report), cost: row.cost, status: 'ready' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to generate report: ' + err.message });
+  }
+});
 
-// GET /api/jobs - Listar todos os perfis de vaga
-app.get('/api/jobs', (req, res) => {
+// --- API Endpoints: Cache Semântico (Administração) ---
+
+// GET /api/cache - Listar entradas do cache (sem embeddings)
+app.get('/api/cache', (req, res) => {
   try {
-    const jobs = db.prepare('SELECT * FROM job_profiles ORDER BY name').all();
-    res.json(jobs);
+    const { search, limit = 50, offset = 0 } = req.query;
+    res.json(semanticCache.list({
+      ownerId: req.user.id,
+      jobProfileId: parseJobProfileFilter(req.query.jobProfileId),
+      search,
+      limit: Math.min(parseInt(limit, 10) || 50, 500),
+      offset: parseInt(offset, 10) || 0
+    }));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/jobs - Criar novo perfil de vaga
-app.post('/api/jobs', (req, res) => {
-  const { name, company, seniority, key_skills, job_description } = req.body;
-  if (!name) return res.status(400).json({ error: 'Name is required' });
+// GET /api/cache/stats - Hits e economia por perfil (+ hits/misses da sessão com ?sessionId=)
+app.get('/api/cache/stats', (req, res) => {
+  try {
+    const stats = semanticCache.stats(req.user.id);
+    if (req.query.sessionId) {
+      const session = db.prepare(`
+        SELECT COALESCE(SUM(cached), 0) as hits, COUNT(*) - COALESCE(SUM(cached), 0) as misses
+        FROM question_answers WHERE session_id = ? AND owner_id = ?
+      `).get(req.query.sessionId, req.user.id);
+      stats.session = session;
+    }
+    res.json(stats);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// GET /api/cache/export - Exportar cache como JSON (com embeddings)
+app.get('/api/cache/export', (req, res) => {
   try {
-    const result = db.prepare(
-      'INSERT INTO job_profiles (name, company, seniority, key_skills, job_description) VALUES (?, ?, ?, ?, ?)'
-    ).run(name, company, seniority, key_skills, job_description);
-    res.status(201).json({ id: result.lastInsertRowid, ...req.body });
+    const data = semanticCache.exportEntries({ ownerId: req.user.id, jobProfileId: parseJobProfileFilter(req.query.jobProfileId) });
+    res.setHeader('Content-Disposition', `attachment; filename=semantic-cache-${Date.now()}.json`);
+    res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// PUT /api/jobs/:id - Atualizar perfil de vaga
-app.put('/api/jobs/:id', (req, res) => {
-  const { name, company, seniority, key_skills, job_description } = req.body;
+// POST /api/cache/import - Importar cache exportado
+app.post('/api/cache/import', async (req, res) => {
   try {
-    db.prepare(
-      'UPDATE job_profiles SET name = ?, company = ?, seniority = ?, key_skills = ?, job_description = ? WHERE id = ?'
-    ).run(name, company, seniority, key_skills, job_description, req.params.id);
-    res.json({ id: req.params.id, ...req.body });
+    res.json(await semanticCache.importEntries(req.body, {
+      ownerId: req.user.id,
+      ownsProfile: (id) => Boolean(selectOwnedJob.get(id, req.user.id))
+    }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/cache/:id - Detalhe de uma entrada
+app.get('/api/cache/:id', (req, res) => {
+  try {
+    const entry = semanticCache.get(req.params.id, req.user.id);
+    if (!entry) return res.status(404).json({ error: 'Cache entry not found' });
+    res.json(entry);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE /api/jobs/:id - Deletar perfil de vaga
-app.delete('/api/jobs/:id', (req, res) => {
+// POST /api/cache/:id/pin - Fixar/desafixar uma entrada ({ pinned: boolean })
+app.post('/api/cache/:id/pin', (req, res) => {
   try {
-    db.prepare('DELETE FROM job_profiles WHERE id = ?').run(req.params.id);
-    res.status(204).send();
+    const pinned = req.body.pinned !== false;
+    if (!semanticCache.setPinned(req.params.id, pinned, req.user.id)) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ id: Number(req.params.id), pinned });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/jobs/:id/default - Definir perfil padrão
-app.post('/api/jobs/:id/default', (req, res) => {
+// DELETE /api/cache/:id - Remover uma entrada (ex.: resposta errada)
+app.delete('/api/cache/:id', (req, res) => {
   try {
-    db.transaction(() => {
-      db.prepare('UPDATE job_profiles SET is_default = 0').run();
-      db.prepare('UPDATE job_profiles SET is_default = 1 WHERE id = ?').run(req.params.id);
-    })();
-    res.status(200).json({ message: 'Default job updated' });
+    if (!semanticCache.remove(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/jobs/default - Obter perfil padrão
-app.get('/api/jobs/default', (req, res) => {
+// DELETE /api/cache - Limpar cache (?jobProfileId=<id|none> ou ?all=true; ?includePinned=true remove fixadas)
+app.delete('/api/cache', (req, res) => {
+  const jobProfileId = parseJobProfileFilter(req.query.jobProfileId);
+  if (jobProfileId === undefined && req.query.all !== 'true') {
+    return res.status(400).json({ error: 'Pass jobProfileId or all=true' });
+  }
+
   try {
-    const job = db.prepare('SELECT * FROM job_profiles WHERE is_default = 1').get();
-    res.json(job);
+    const deleted = semanticCache.flush({ ownerId: req.user.id, jobProfileId, includePinned: req.query.includePinned === 'true' });
+    res.json({ deleted });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// --- API Endpoints: Sessions (Mantidos) ---
+// --- API Endpoints: Busca no Histórico ---
+
+// GET /api/search - Busca full-text em perguntas, respostas e perfis (?q, jobProfileId, from, to, cached, tailored, starred, sort)
+app.get('/api/search', (req, res) => {
+  const { q, from, to, sort, limit = 20, offset = 0 } = req.query;
+  const dateError = validateDateRange(req.query);
+  if (dateError) return res.status(400).json({ error: dateError });
 
-// POST /api/session/create - Iniciar uma nova sessão
-app.post('/api/session/create', (req, res) => {
-  const { jobId } = req.body;
   try {
-    const sessionId = createHash('sha1').update(Date.now().toString() + Math.random()).digest('hex').slice(0, 16);
-    db.prepare(
-      'INSERT INTO interview_sessions (id, job_profile_id, status) VALUES (?, ?, ?)'
-    ).run(sessionId, jobId, 'active');
-    
-    const sessionDetails = db.prepare(`
-      SELECT s.id, s.job_profile_id, j.name as jobName, j.company, j.key_skills, j.seniority
-      FROM interview_sessions s
-      LEFT JOIN job_profiles j ON s.job_profile_id = j.id
-      WHERE s.id = ?
-    `).get(sessionId);
+    res.json(qaSearch.search({
+      ownerId: req.user.id,
+      query: q,
+      sort,
+      jobProfileId: parseJobProfileFilter(req.query.jobProfileId),
+      from,
+      to,
+      cached: parseBooleanFilter(req.query.cached),
+      tailored: parseBooleanFilter(req.query.tailored),
+      starred: parseBooleanFilter(req.query.starred),
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+      offset: parseInt(offset, 10) || 0
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/qa/:id/star - Marcar/desmarcar uma resposta ({ starred: boolean })
+app.post('/api/qa/:id/star', (req, res) => {
+  try {
+    const starred = req.body.starred !== false;
+    const result = db.prepare('UPDATE question_answers SET starred = ? WHERE id = ? AND owner_id = ?').run(starred ? 1 : 0, req.params.id, req.user.id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Answer not found' });
+    res.json({ id: Number(req.params.id), starred });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API Endpoints: Vocabulary ---
+
+// Perfil informado no body: ausente/null = vocabulário global (compartilhado); retorna a mensagem de erro ou null
+function validateVocabularyProfile(jobProfileId, ownerId) {
+  if (jobProfileId === undefined || jobProfileId === null) return null;
+  return selectOwnedJob.get(jobProfileId, ownerId) ? null : `Unknown job profile: ${jobProfileId}`;
+}
 
-    res.json(sessionDetails);
+// Vocabulário visível para o usuário: o global e o dos perfis dele
+const VISIBLE_VOCABULARY = 'job_profile_id IS NULL OR job_profile_id IN (SELECT id FROM job_profiles WHERE owner_id = ?)';
+
+// O global vale para a transcrição de todos os usuários: só admin adiciona ou remove
+const GLOBAL_VOCABULARY_FORBIDDEN = { error: 'Global vocabulary can only be changed by an admin', code: 'FORBIDDEN' };
+const globalVocabularyForbidden = (jobProfileId, user) => (jobProfileId === undefined || jobProfileId === null) && user.role !== 'admin';
+
+// GET /api/vocabulary - Glossário e correções (?jobProfileId=<id|none>; ausente = global + perfis do usuário)
+app.get('/api/vocabulary', (req, res) => {
+  const jobProfileId = parseJobProfileFilter(req.query.jobProfileId);
+  if (jobProfileId && !selectOwnedJob.get(jobProfileId, req.user.id)) {
+    return res.status(404).json({ error: 'Job profile not found' });
+  }
+  const where = jobProfileId === undefined ? `WHERE ${VISIBLE_VOCABULARY}` : 'WHERE job_profile_id IS ?';
+  const params = jobProfileId === undefined ? [req.user.id] : [jobProfileId];
+  try {
+    res.json({
+      terms: db.prepare(`SELECT * FROM vocabulary_terms ${where} ORDER BY term COLLATE NOCASE`).all(...params),
+      corrections: db.prepare(`SELECT * FROM vocabulary_corrections ${where} ORDER BY heard COLLATE NOCASE`).all(...params)
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to create session: ' + err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/session/end - Finalizar uma sessão
-app.post('/api/session/end', (req, res) => {
-  const { sessionId, totalQuestions } = req.body;
+// POST /api/vocabulary/terms - Adicionar termo ao glossário (entra no prompt da transcrição)
+app.post('/api/vocabulary/terms', (req, res) => {
+  const { term, jobProfileId = null } = req.body;
+  if (!term || !String(term).trim()) return res.status(400).json({ error: 'Term is required' });
+  const profileError = validateVocabularyProfile(jobProfileId, req.user.id);
+  if (profileError) return res.status(400).json({ error: profileError });
+  if (globalVocabularyForbidden(jobProfileId, req.user)) return res.status(403).json(GLOBAL_VOCABULARY_FORBIDDEN);
+
   try {
-    const costResult = db.prepare('SELECT SUM(cost) as totalCost FROM question_answers WHERE session_id = ?').get(sessionId);
-    const totalCost = costResult.totalCost || 0;
+    const duplicate = db.prepare(
+      'SELECT id FROM vocabulary_terms WHERE job_profile_id IS ? AND LOWER(term) = LOWER(?)'
+    ).get(jobProfileId, term.trim());
+    if (duplicate) return res.status(409).json({ error: `Term "${term}" already exists`, code: 'DUPLICATE_TERM' });
 
-    db.prepare(
-      'UPDATE interview_sessions SET status = ?, ended_at = ?, total_questions = ?, total_cost = ? WHERE id = ?'
-    ).run('completed', new Date().toISOString(), totalQuestions, totalCost, sessionId);
-    
-    res.json({ message: 'Session ended' });
+    const result = db.prepare('INSERT INTO vocabulary_terms (term, job_profile_id) VALUES (?, ?)').run(term.trim(), jobProfileId);
+    vocabulary.invalidate();
+    res.status(201).json(db.prepare('SELECT * FROM vocabulary_terms WHERE id = ?').get(result.lastInsertRowid));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/session/:id/export - Exportar sessão como Markdown
-app.get('/api/session/:id/export', (req, res) => {
+// DELETE /api/vocabulary/terms/:id - Remover termo
+app.delete('/api/vocabulary/terms/:id', (req, res) => {
   try {
-    const session = db.prepare('SELECT * FROM interview_sessions WHERE id = ?').get(req.params.id);
-    if (!session) return res.status(404).send('Session not found');
+    const term = db.prepare(`SELECT * FROM vocabulary_terms WHERE id = ? AND (${VISIBLE_VOCABULARY})`).get(req.params.id, req.user.id);
+    if (!term) return res.status(404).json({ error: 'Term not found' });
+    if (globalVocabularyForbidden(term.job_profile_id, req.user)) return res.status(403).json(GLOBAL_VOCABULARY_FORBIDDEN);
+    db.prepare('DELETE FROM vocabulary_terms WHERE id = ?').run(term.id);
+    vocabulary.invalidate();
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const qas = db.prepare('SELECT * FROM question_answers WHERE session_id = ? ORDER BY created_at').all(req.params.id);
-    
-    let md = `# Interview Summary - Session ${session.id}\n\n`;
-    md += `**Date:** ${new Date(session.started_at).toLocaleString()}\n`;
-    md += `**Total Cost:** $${session.total_cost.toFixed(4)}\n\n---\n\n`;
-
-    qas.forEach((qa, i) => {
-      md += `### Q${i + 1}: ${qa.question}\n\n`;
-      md += `**Answer:**\n${qa.answer}\n\n`;
-      md += `*Cost: $${qa.cost.toFixed(4)} | Cached: ${qa.cached} | Tailored: ${qa.tailored}*\n\n---\n\n`;
-    });
+// POST /api/vocabulary/corrections - Adicionar correção ("air flow" -> "Airflow")
+app.post('/api/vocabulary/corrections', (req, res) => {
+  const { heard, replacement, jobProfileId = null } = req.body;
+  if (!heard || !String(heard).trim() || !replacement || !String(replacement).trim()) {
+    return res.status(400).json({ error: 'heard and replacement are required' });
+  }
+  const profileError = validateVocabularyProfile(jobProfileId, req.user.id);
+  if (profileError) return res.status(400).json({ error: profileError });
+  if (globalVocabularyForbidden(jobProfileId, req.user)) return res.status(403).json(GLOBAL_VOCABULARY_FORBIDDEN);
+
+  try {
+    const duplicate = db.prepare(
+      'SELECT id FROM vocabulary_corrections WHERE job_profile_id IS ? AND LOWER(heard) = LOWER(?)'
+    ).get(jobProfileId, heard.trim());
+    if (duplicate) {
+      return res.status(409).json({ error: `A correction for "${heard}" already exists`, code: 'DUPLICATE_CORRECTION' });
+    }
 
-    res.setHeader('Content-Type', 'text/markdown');
-    res.setHeader('Content-Disposition', `attachment; filename=interview-${session.id}.md`);
-    res.send(md);
+    const result = db.prepare(
+      'INSERT INTO vocabulary_corrections (heard, replacement, job_profile_id) VALUES (?, ?, ?)'
+    ).run(heard.trim().toLowerCase(), replacement.trim(), jobProfileId);
+    vocabulary.invalidate();
+    res.status(201).json(db.prepare('SELECT * FROM vocabulary_corrections WHERE id = ?').get(result.lastInsertRowid));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// DELETE /api/vocabulary/corrections/:id - Remover correção
+app.delete('/api/vocabulary/corrections/:id', (req, res) => {
+  try {
+    const correction = db.prepare(`SELECT * FROM vocabulary_corrections WHERE id = ? AND (${VISIBLE_VOCABULARY})`).get(req.params.id, req.user.id);
+    if (!correction) return res.status(404).json({ error: 'Correction not found' });
+    if (globalVocabularyForbidden(correction.job_profile_id, req.user)) return res.status(403).json(GLOBAL_VOCABULARY_FORBIDDEN);
+    db.prepare('DELETE FROM vocabulary_corrections WHERE id = ?').run(correction.id);
+    vocabulary.invalidate();
+    res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// POST /api/vocabulary/test - Aplica as correções a um texto e mostra a dica que iria para o Whisper
+app.post('/api/vocabulary/test', (req, res) => {
+  const { text = '', jobProfileId = null } = req.body;
+  const profileError = validateVocabularyProfile(jobProfileId, req.user.id);
+  if (profileError) return res.status(400).json({ error: profileError });
+
+  const job = jobProfileId ? selectOwnedJob.get(jobProfileId, req.user.id) : null;
+  res.json({ ...vocabulary.correct(text, jobProfileId), hint: vocabulary.hintPrompt(job) });
+});
+
 // --- API Endpoints: Core AI (Atualizados para Latência/Streaming) ---
 
-// POST /api/voice/transcribe - Transcrição de áudio (Simples)
-app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
+// GET /api/voice/providers - Listar backends de transcrição configurados
+app.get('/api/voice/providers', (req, res) => {
+  res.json(transcribers.list());
+});
+
+// Sessão, perfil, provider e idioma de uma transcrição (rota HTTP e stream); null = sessão de outro usuário
+function openTranscription(sessionId, ownerId) {
+  const session = sessionId ? selectOwnedSession.get(sessionId, ownerId) : null;
+  if (sessionId && !session) return null;
+  // 'auto' = o Whisper detecta; sem sessão vale o padrão do servidor
+  const spokenLanguage = session?.language || DEFAULT_LANGUAGE;
+  return {
+    sessionId: session ? session.id : null,
+    ownerId,
+    job: session?.job_profile_id ? selectOwnedJob.get(session.job_profile_id, ownerId) : null,
+    provider: transcribers.get(session?.transcription_provider),
+    language: spokenLanguage === 'auto' ? undefined : spokenLanguage
+  };
+}
+
+// Transcreve, aplica as correções de vocabulário, classifica as falas finais do entrevistador e registra o custo
+// (e o texto, se não for parcial do streaming); erros do provider saem como ProviderCallError
+async function transcribeAudio({ sessionId, ownerId, job, provider, language }, audio, { partial = false } = {}) {
   const startTime = Date.now();
+  const transcription = await providerGuard.call(`transcription:${provider.name}`, ({ signal }) => provider.transcribe({
+    buffer: audio.buffer,
+    filename: audio.filename,
+    mimeType: audio.mimeType,
+    language,
+    prompt: vocabulary.hintPrompt(job),
+    signal
+  }));
+
+  // Corrige nomes de produto mal transcritos antes de virar pergunta (e chave de cache)
+  const { text, corrections } = vocabulary.correct(transcription.text, job?.id ?? null);
+
+  // Idioma detectado pelo provider; sem ele, a heurística local sobre o texto
+  const detectedLanguage = language || languageCode(transcription.language) || detectLanguage(text);
+  const estimatedCost = audio.estimatedDuration * provider.costPerSecond;
+  // A fala do candidato e as parciais não viram resposta: não há o que classificar
+  const classification = partial || audio.speaker !== 'interviewer' ? null : await classifyUtterance(text, sessionId, ownerId);
+  const transcriptionId = budget.recordTranscription({
+    sessionId,
+    ownerId,
+    provider: provider.name,
+    model: provider.model,
+    durationSeconds: audio.estimatedDuration,
+    cost: estimatedCost,
+    speaker: audio.speaker,
+    text: partial || !sessionId ? null : text,
+    language: detectedLanguage,
+    classification
+  });
+
+  return {
+    transcriptionId,
+    text,
+    rawText: transcription.text,
+    corrections,
+    speaker: audio.speaker,
+    language: detectedLanguage,
+    ...(classification && { classification: classificationBody(classification) }),
+    provider: provider.name,
+    model: provider.model,
+    processingTime: Date.now() - startTime,
+    estimatedCost: estimatedCost.toFixed(4)
+  };
+}
+
+// POST /api/voice/transcribe - Transcrição de áudio (multipart ou base64 JSON; provider escolhido pela sessão)
+app.post('/api/voice/transcribe', parseAudioInput, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file' });
-    }
-    
-    const audioFile = new File([req.file.buffer], req.file.originalname, { type: req.file.mimetype });
-
-    const transcription = await openai.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-      language: process.env.DEFAULT_LANGUAGE || 'pt',
-      response_format: 'text',
-      prompt: 'Technical Data Engineering interview. Terms: SQL, Spark, Kafka, Airflow, ETL, Python, PySpark, dbt, AWS, GCP, Azure, Snowflake, Databricks.'
-    });
+    const context = openTranscription(req.body.sessionId, req.user.id);
+    if (!context) return res.status(404).json({ error: 'Session not found' });
 
-    const processingTime = Date.now() - startTime;
-    const duration = req.body.estimatedDuration ? parseFloat(req.body.estimatedDuration) : 0;
-    const estimatedCost = duration * COST_PER_MODEL['whisper-1'];
+    // Com "block" a captura para de gastar também na transcrição
+    const budgetStatus = budget.status(context.sessionId, context.ownerId);
+    if (budgetStatus.exceeded && budgetStatus.action === 'block') return budgetExceeded(res, budgetStatus);
 
-    res.json({
-      text: transcription.trim(),
-      processingTime,
-      estimatedCost: estimatedCost.toFixed(4)
-    });
+    res.json(await transcribeAudio(context, req.audio));
   } catch (err) {
     console.error('Transcription error:', err.message);
-    res.status(500).json({ error: 'Transcription failed' });
+    if (err instanceof ProviderCallError) return res.status(err.status).json(err.toJSON());
+    res.status(500).json({ error: 'Transcription failed', code: 'TRANSCRIPTION_FAILED' });
   }
 });
 
+// GET /api/providers/status - Estado dos circuit breakers e da fila de chamadas a providers
+app.get('/api/providers/status', (req, res) => {
+  res.json(providerGuard.status());
+});
+
+// GET /api/ai/models - Listar modelos de chat, preços e disponibilidade
+app.get('/api/ai/models', (req, res) => {
+  res.json(chatModels.list());
+});
+
+// GET /api/cloud-prices - Tabela de preços usada nas estimativas de custo (server/cloud-prices.json ou CLOUD_PRICES_CONFIG)
+app.get('/api/cloud-prices', (req, res) => {
+  res.json(cloudCost.table);
+});
+
+// GET /api/ai/modes - Modos de resposta (formato e orçamento de tokens de cada um)
+app.get('/api/ai/modes', (req, res) => {
+  res.json(listModes());
+});
+
+// Idioma da pergunta: informado pela transcrição > fixo na sessão (ou perfil) > detectado no texto.
+// Idioma da resposta: o da sessão, ou o da pergunta quando 'same'.
+function resolveLanguages(session, question, language) {
+  const spokenLanguage = session?.language || DEFAULT_LANGUAGE;
+  const questionLanguage = language || (spokenLanguage !== 'auto' ? spokenLanguage : detectLanguage(question));
+  const answerLanguage = (session?.answer_language || DEFAULT_ANSWER_LANGUAGE) === 'same'
+    ? questionLanguage
+    : session?.answer_language || DEFAULT_ANSWER_LANGUAGE;
+  return { questionLanguage, answerLanguage };
+}
+
 // POST /api/ai/answer-stream - Geração de resposta com Streaming e Cache Semântico
 app.post('/api/ai/answer-stream', async (req, res) => {
-  const { question, sessionId, previousQAs = [], maxTokens = 1024, temperature = 0.4 } = req.body;
+  const { question, sessionId, language, previousQAs = [], mode: requestedMode, transcriptionId = null, force = false } = req.body;
   if (!question) return res.status(400).json({ error: 'Question required' });
+  if (language && !LANGUAGES[language]) return res.status(400).json({ error: `Unknown language: ${language}` });
+
+  // force: true = o usuário pediu a resposta mesmo assim ("Answer anyway", follow-up sugerido)
+  if (!force) {
+    const classification = await answerableClassification(question, transcriptionId, req.user.id);
+    if (!classification) return res.status(404).json({ error: 'Transcription not found' });
+    if (!classification.answerable) {
+      return res.status(422).json({
+        error: `Not answered: classified as ${classification.type.replace('_', ' ')}`,
+        code: 'NOT_A_QUESTION',
+        classification: classificationBody(classification)
+      });
+    }
+  }
+
+  // Modo de resposta: pedido pela UI ou sugerido pelo tipo da pergunta; maxTokens/temperature no body ficam dentro dos limites do modo
+  const answerMode = resolveMode(requestedMode, question);
+  if (answerMode.error) return res.status(400).json({ error: answerMode.error, code: 'INVALID_MODE' });
+  const { maxTokens, temperature } = modeLimits(answerMode.mode, req.body);
 
   const startTime = Date.now();
-  const cacheKey = generateSemanticKey(question);
 
-  // 1. Verifica cache semântico
-  const cached = semanticCache.get(cacheKey);
-  
-  // Configura SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  if (cached) {
-    // Retorna do cache via stream simulado para UX consistente
-    const words = cached.answer.split(' ');
-    for (let i = 0; i < words.length; i += 3) {
-      const chunk = words.slice(i, i + 3).join(' ') + ' ';
-      res.write(`data: ${JSON.stringify({ type: 'content', content: chunk })}\n\n`);
-      await new Promise(r => setTimeout(r, 20)); // Delay artificial suave
-    }
-    
-    res.write(`data: ${JSON.stringify({
-      type: 'done',
-      fullAnswer: cached.answer,
-      usage: { cached: true, tokens: { input: 0, output: 0 } },
-      tailored: false,
-      cost: 0
-    })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    res.end();
+  // 1. Busca sessão e perfil da vaga (contexto, escolha de modelo e escopo do cache)
+  const ownerId = req.user.id;
+  const session = sessionId ? selectOwnedSession.get(sessionId, ownerId) : null;
+  if (sessionId && !session) return res.status(404).json({ error: 'Session not found' });
+  const job = session?.job_profile_id ? selectOwnedJob.get(session.job_profile_id, ownerId) : null;
+  const jobProfileId = job?.id ?? null;
 
-    // Salva no DB marcado como cache
-    db.prepare(`
-      INSERT INTO question_answers (session_id, question, answer, processing_time_ms, tokens_input, tokens_output, cost, cached, tailored)
-      VALUES (?, ?, ?, ?, 0, 0, 0, 1, 0)
-    `).run(sessionId, question, cached.answer, Date.now() - startTime);
-    
-    return;
+  const { questionLanguage, answerLanguage } = resolveLanguages(session, question, language);
+
+  // Limite atingido: block recusa tudo; cache-only só responde com cache; downgrade troca para o modelo barato
+  const budgetStatus = budget.status(sessionId, ownerId);
+  let budgetModel = null;
+  if (budgetStatus.exceeded) {
+    if (budgetStatus.action === 'block') return budgetExceeded(res, budgetStatus);
+    if (budgetStatus.action === 'downgrade' && budget.config.fallbackModel && chatModels.isAvailable(budget.config.fallbackModel)) {
+      budgetModel = budget.config.fallbackModel;
+    }
   }
 
-  // 2. Busca perfil da vaga (para RAG/Contexto)
-  const job = db.prepare(`
-    SELECT j.* FROM job_profiles j
-    JOIN interview_sessions s ON s.job_profile_id = j.id
-    WHERE s.id = ?
-  `).get(sessionId);
+  try {
+    // 2. Verifica cache semântico (vizinho mais próximo dentro do mesmo perfil de vaga e idioma de resposta)
+    const lookup = await semanticCache.lookup({
+      question, ownerId, jobProfileId, questionLanguage, answerLanguage, answerMode: answerMode.mode
+    });
+    const cached = lookup.entry;
 
-  // 3. Monta o prompt do sistema
-  let system_prompt = `You are a world-class Senior Data Engineer acting as a co-pilot during a live technical interview. Your goal is to provide answers that are technically accurate, concise, and demonstrate seniority. RULES: 1. Be direct. No fluff. 2. Use Markdown for code blocks and lists. 3. If the user provides context from a job description, tailor your answer to it.`;
+    if (!cached && budgetStatus.exceeded && !budgetModel) return budgetExceeded(res, budgetStatus);
+  
+    // Configura SSE
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
 
-  let tailored = false;
-  if (job) {
-    system_prompt += `\n\n### JOB CONTEXT FOR THIS INTERVIEW (TAILOR YOUR ANSWERS TO THIS):\n- **Position:** ${job.name} at ${job.company || 'the company'}\n- **Seniority:** ${job.seniority}\n- **Key Skills:** ${job.key_skills}\n- **Description:** ${job.job_description ? job.job_description.slice(0, 1000) : 'N/A'}`;
-    tailored = true;
-  }
+    if (cached) {
+      // Salva no DB marcado como cache (antes do stream, para devolver o id no evento done). Sem sessão a linha
+      // também é gravada (session_id NULL): é nela que o custo dos follow-ups entra no limite diário do usuário
+      const { lastInsertRowid: qaId } = db.prepare(`
+        INSERT INTO question_answers (
+          session_id, question, answer, processing_time_ms, tokens_input, tokens_output, cost, cached, tailored,
+          model, provider, cache_entry_id, cache_similarity, language, answer_language, owner_id, answer_mode
+        ) VALUES (?, ?, ?, ?, 0, 0, 0, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        sessionId || null, question, cached.answer, Date.now() - startTime, cached.tailored,
+        cached.model, cached.provider, cached.id, lookup.similarity, questionLanguage, answerLanguage, ownerId,
+        answerMode.mode
+      );
 
-  // 4. Prepara contexto da conversa (Last 3 Q&A)
-  const contextMessages = previousQAs.slice(-3).flatMap(qa => [
-    { role: 'user', content: qa.question },
-    { role: 'assistant', content: qa.answer }
-  ]);
+      // Retorna do cache via stream simulado para UX consistente
+      const words = cached.answer.split(' ');
+      for (let i = 0; i < words.length; i += 3) {
+        const chunk = words.slice(i, i + 3).join(' ') + ' ';
+        res.write(`data: ${JSON.stringify({ type: 'content', content: chunk })}\n\n`);
+        await new Promise(r => setTimeout(r, 20)); // Delay artificial suave
+      }
 
-  const messages = [
-    { role: 'system', content: system_prompt },
-    ...contextMessages,
-    { role: 'user', content: question }
-  ];
+      writeBudgetWarning(res, budgetStatus);
+    
+      res.write(`data: ${JSON.stringify({
+        type: 'done',
+        qaId,
+        fullAnswer: cached.answer,
+        usage: { cached: true, tokens: { input: 0, output: 0 } },
+        cache: { hit: true, entryId: cached.id, similarity: lookup.similarity, question: cached.question },
+        model: cached.model,
+        provider: cached.provider,
+        tailored: Boolean(cached.tailored),
+        language: questionLanguage,
+        answerLanguage,
+        mode: answerMode,
+        cost: 0
+      })}\n\n`);
+      await writeAnswerExtras(res, {
+        qaId, sessionId, ownerId, question, answer: cached.answer, questionLanguage, modelId: budgetModel || session?.model || job?.model
+      });
+      res.write('data: [DONE]\n\n');
+      res.end();
+      return;
+    }
 
-  // 5. Executa a chamada para a OpenAI com Streaming
-  try {
-    const model = 'gpt-4o-mini'; // Modelo fixo para custo/velocidade
+    // 3. Monta as mensagens a partir do template de prompt do perfil (ou do padrão)
+    const { messages, tailored } = buildMessages({
+      template: resolvePromptTemplate(job?.prompt_template_id),
+      job,
+      question,
+      previousQAs,
+      answerLanguage,
+      mode: answerMode.mode
+    });
+
+    // 5. Executa a chamada com Streaming (modelo: fallback do limite > sessão > perfil da vaga > padrão do models.json)
+    const { id: model, provider, model: providerModel, client, tokenizer, streamUsage } = chatModels.resolve(budgetModel || session?.model || job?.model);
     
-    const stream = await openai.chat.completions.create({
-      model,
+    const stream = await providerGuard.call(`chat:${provider}`, ({ signal }) => client.chat.completions.create({
+      model: providerModel,
       messages,
       max_tokens: maxTokens,
       temperature: temperature,
-      stream: true
-    });
+      stream: true,
+      ...(streamUsage && { stream_options: { include_usage: true } })
+    }, { signal }), { stream: true });
 
     let fullAnswer = '';
-    let tokensOut = 0;
-    let tokensIn = 0; // Será atualizado após a primeira resposta se o modelo retornar usage
+    let reportedUsage = null; // Chega no último chunk (choices vazio) quando include_usage é suportado
 
     for await (const chunk of stream) {
+      if (chunk.usage) reportedUsage = chunk.usage;
+
       const content = chunk.choices[0]?.delta?.content || '';
       if (content) {
         fullAnswer += content;
-        tokensOut++;
         
         res.write(`data: ${JSON.stringify({ type: 'content', content })}\n\n`);
         if (res.flush) res.flush();
       }
     }
     
-    // Estimativa de tokens de entrada (simples, baseado em caracteres)
-    tokensIn = Math.ceil(messages.reduce((acc, msg) => acc + msg.content.length, 0) / 4);
+    // Contagem local sempre é feita; o valor reportado pelo provider, quando existe, é o que se cobra
+    const estimated = {
+      input: countMessageTokens(messages, tokenizer),
+      output: countTextTokens(fullAnswer, tokenizer)
+    };
+    const reported = reportedUsage
+      ? { input: reportedUsage.prompt_tokens, output: reportedUsage.completion_tokens }
+      : null;
+    const usageSource = reported ? 'provider' : 'estimated';
+    const tokensIn = (reported || estimated).input;
+    const tokensOut = (reported || estimated).output;
     const cost = estimateCost(tokensIn, tokensOut, model);
     const processingTimeMs = Date.now() - startTime;
 
     // 6. Salva no cache e no banco de dados
-    semanticCache.set(cacheKey, { answer: fullAnswer, cost, tokens: { input: tokensIn, output: tokensOut }, processingTimeMs });
-
-    if (sessionId) {
-      db.prepare(
-        'INSERT INTO question_answers (session_id, question, answer, processing_time_ms, tokens_input, tokens_output, cost, cached, tailored) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)'
-      ).run(sessionId, question, fullAnswer, processingTimeMs, tokensIn, tokensOut, cost, tailored);
+    // Sem embedding (provider de embeddings indisponível) não há como indexar a resposta
+    if (lookup.embedding) {
+      await semanticCache.store({
+        question,
+        semanticKey: lookup.semanticKey,
+        embedding: lookup.embedding,
+        ownerId,
+        jobProfileId,
+        questionLanguage,
+        answerLanguage,
+        answerMode: answerMode.mode,
+        answer: fullAnswer,
+        model,
+        provider,
+        tailored,
+        tokens: { input: tokensIn, output: tokensOut },
+        cost
+      });
     }
 
+    // Com ou sem sessão: o gasto entra no limite diário do usuário (owner_id)
+    const { lastInsertRowid: qaId } = db.prepare(
+      `INSERT INTO question_answers (
+        session_id, question, answer, processing_time_ms, tokens_input, tokens_output,
+        tokens_input_estimated, tokens_output_estimated, tokens_input_reported, tokens_output_reported, usage_source,
+        cost, cached, tailored, model, provider, language, answer_language, owner_id, answer_mode
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      sessionId || null, question, fullAnswer, processingTimeMs, tokensIn, tokensOut,
+      estimated.input, estimated.output, reported?.input ?? null, reported?.output ?? null, usageSource,
+      cost, tailored ? 1 : 0, model, provider, questionLanguage, answerLanguage, ownerId, answerMode.mode
+    );
+
+    // Gasto já inclui esta resposta
+    writeBudgetWarning(res, budget.status(sessionId, ownerId));
+
     // Finaliza stream
     res.write(`data: ${JSON.stringify({
       type: 'done',
+      qaId,
       fullAnswer,
-      usage: { cached: false, tokens: { input: tokensIn, output: tokensOut } },
+      usage: { cached: false, tokens: { input: tokensIn, output: tokensOut }, estimated, reported, source: usageSource },
+      cache: { hit: false, bestSimilarity: lookup.similarity, threshold: semanticCache.threshold },
+      model,
+      provider,
       tailored,
+      language: questionLanguage,
+      answerLanguage,
+      mode: answerMode,
+      downgraded: Boolean(budgetModel),
       cost
     })}\n\n`);
+    await writeAnswerExtras(res, { qaId, sessionId, ownerId, question, answer: fullAnswer, questionLanguage, modelId: model });
     res.write('data: [DONE]\n\n');
     res.end();
 
   } catch (error) {
     console.error('Stream error:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+    const details = error instanceof ProviderCallError
+      ? { code: error.code, provider: error.provider, retryAfterMs: error.retryAfterMs }
+      : { code: 'ANSWER_FAILED' };
+    // Falha na busca do cache acontece antes do SSE estar configurado
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+    }
+    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message, ...details })}\n\n`);
     res.end();
   }
 });
 
+// --- API Endpoints: Entrevista simulada (treino) ---
+
+const selectMockQuestions = db.prepare('SELECT * FROM question_answers WHERE session_id = ? AND mock_position IS NOT NULL ORDER BY mock_position');
+const selectMockQuestion = db.prepare('SELECT * FROM question_answers WHERE id = ? AND session_id = ? AND mock_position IS NOT NULL');
+
+// A resposta ideal, a nota e o comentário só aparecem depois que o candidato responde
+function mockQuestionBody(row) {
+  const answered = row.candidate_answer !== null;
+  return {
+    id: row.id,
+    position: row.mock_position,
+    question: row.question,
+    skill: row.skill,
+    answered,
+    ...(answered && { answer: row.candidate_answer, score: row.score, feedback: row.feedback, idealAnswer: row.answer })
+  };
+}
+
+// Sessão de treino do usuário com o perfil da vaga; null = não existe, é de outro usuário ou é uma sessão ao vivo
+function openMockSession(sessionId, ownerId) {
+  const session = selectOwnedSession.get(sessionId, ownerId);
+  if (!session || session.kind !== 'mock') return null;
+  return { session, job: selectOwnedJob.get(session.job_profile_id, ownerId) || null };
+}
+
+// Idioma das perguntas e dos comentários: o falado na sessão ('auto' = deixa o modelo escolher)
+const mockLanguage = (session) => (session.language === 'auto' ? null : session.language);
+
+// GET /api/mock/voices - Vozes do entrevistador (text = só na tela, browser = Web Speech API do navegador)
+app.get('/api/mock/voices', (req, res) => {
+  res.json(voices.list());
+});
+
+// POST /api/mock/start - Cria a sessão de treino e o plano de perguntas a partir do perfil da vaga
+app.post('/api/mock/start', async (req, res) => {
+  const { jobId, questionCount = mockInterviewer.config.questions } = req.body;
+  if (!jobId) return res.status(400).json({ error: 'jobId is required: the question plan comes from the job profile' });
+  const count = Number(questionCount);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_MOCK_QUESTIONS) {
+    return res.status(400).json({ error: `questionCount must be an integer between 1 and ${MAX_MOCK_QUESTIONS}` });
+  }
+  const optionsError = validateSessionOptions(req.body);
+  if (optionsError) return res.status(400).json({ error: optionsError });
+  const job = selectOwnedJob.get(jobId, req.user.id);
+  if (!job) return res.status(404).json({ error: 'Job profile not found' });
+
+  // A sessão vem primeiro para o limite de gasto valer (sessão, perfil e dia); se o plano falhar, ela é removida
+  const sessionId = insertSession({ ...req.body, job, ownerId: req.user.id, kind: 'mock' });
+  const discard = () => db.prepare('DELETE FROM interview_sessions WHERE id = ?').run(sessionId);
+  const session = selectOwnedSession.get(sessionId, req.user.id);
+
+  const budgetStatus = budget.status(sessionId, req.user.id);
+  const fallbackModel = budgetStatus.exceeded ? budgetFallbackModel(budgetStatus) : null;
+  if (budgetStatus.exceeded && !fallbackModel) {
+    discard();
+    return budgetExceeded(res, budgetStatus);
+  }
+
+  try {
+    const startTime = Date.now();
+    const plan = await mockInterviewer.plan({
+      job, count, language: mockLanguage(session), modelId: fallbackModel || session.model || job.model
+    });
+
+    // Uma chamada gera o plano inteiro: custo e tokens são divididos entre as perguntas
+    const share = (value) => value / plan.questions.length;
+    const insert = db.prepare(`
+      INSERT INTO question_answers (
+        session_id, question, answer, processing_time_ms, tokens_input, tokens_output, cost, cached, tailored,
+        model, provider, language, answer_language, owner_id, mock_position, skill
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 1, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      plan.questions.forEach((item, i) => insert.run(
+        sessionId, item.question, item.idealAnswer, Date.now() - startTime,
+        Math.round(share(plan.tokens.input)), Math.round(share(plan.tokens.output)), share(plan.cost),
+        plan.model, plan.provider, session.language, session.language, req.user.id, i + 1, item.skill
+      ));
+    })();
+
+    res.status(201).json({
+      session: selectSessionDetails.get(sessionId),
+      questions: selectMockQuestions.all(sessionId).map(mockQuestionBody),
+      cost: plan.cost
+    });
+  } catch (err) {
+    console.error('Mock interview plan failed:', err.message);
+    discard();
+    if (err instanceof ProviderCallError) return res.status(err.status).json(err.toJSON());
+    res.status(502).json({ error: err.message, code: 'MOCK_PLAN_FAILED' });
+  }
+});
+
+// GET /api/mock/:id - Estado do treino (perguntas, respostas já corrigidas e nota média)
+app.get('/api/mock/:id', (req, res) => {
+  const mock = openMockSession(req.params.id, req.user.id);
+  if (!mock) return res.status(404).json({ error: 'Mock interview not found' });
+  const questions = selectMockQuestions.all(req.params.id).map(mockQuestionBody);
+  const scored = questions.filter(q => q.answered);
+  res.json({
+    session: selectSessionDetails.get(req.params.id),
+    status: mock.session.status,
+    questions,
+    averageScore: scored.length ? Math.round((scored.reduce((acc, q) => acc + q.score, 0) / scored.length) * 10) / 10 : null
+  });
+});
+
+// POST /api/mock/:id/questions/:qaId/speech - Áudio da pergunta na voz escolhida ({ voice }).
+// 204 = sem áudio do servidor: "text" só mostra a pergunta e "browser" fala com a Web Speech API.
+app.post('/api/mock/:id/questions/:qaId/speech', async (req, res) => {
+  const { voice: voiceName } = req.body;
+  if (voiceName && !voices.has(voiceName)) return res.status(400).json({ error: `Unknown speech provider: ${voiceName}` });
+  const mock = openMockSession(req.params.id, req.user.id);
+  const row = mock && selectMockQuestion.get(req.params.qaId, req.params.id);
+  if (!row) return res.status(404).json({ error: 'Mock interview question not found' });
+
+  const voice = voices.get(voiceName);
+  if (voice.client || voice.name === 'text') return res.status(204).send();
+  const budgetStatus = budget.status(req.params.id, req.user.id);
+  if (budgetStatus.exceeded && voice.costPerChar > 0) return budgetExceeded(res, budgetStatus);
+
+  try {
+    const speech = await providerGuard.call(`speech:${voice.name}`, ({ signal }) => voice.synthesize({
+      text: row.question,
+      language: mockLanguage(mock.session),
+      signal
+    }));
+    db.prepare('UPDATE question_answers SET practice_cost = practice_cost + ? WHERE id = ?').run(row.question.length * voice.costPerChar, row.id);
+    res.setHeader('Content-Type', speech.mimeType);
+    res.send(speech.audio);
+  } catch (err) {
+    console.error('Speech error:', err.message);
+    if (err instanceof ProviderCallError) return res.status(err.status).json(err.toJSON());
+    res.status(500).json({ error: 'Speech synthesis failed', code: 'SPEECH_FAILED' });
+  }
+});
+
+// POST /api/mock/:id/questions/:qaId/answer - Corrige a resposta do candidato ({ answer }: texto transcrito ou digitado).
+// Responder de novo substitui a correção anterior (o custo das duas conta).
+app.post('/api/mock/:id/questions/:qaId/answer', async (req, res) => {
+  const answer = typeof req.body.answer === 'string' ? req.body.answer.trim() : '';
+  if (!answer) return res.status(400).json({ error: 'answer is required' });
+  const mock = openMockSession(req.params.id, req.user.id);
+  const row = mock && selectMockQuestion.get(req.params.qaId, req.params.id);
+  if (!row) return res.status(404).json({ error: 'Mock interview question not found' });
+  if (!mock.job) return res.status(409).json({ error: 'The job profile of this mock interview was deleted' });
+
+  const budgetStatus = budget.status(req.params.id, req.user.id);
+  const fallbackModel = budgetStatus.exceeded ? budgetFallbackModel(budgetStatus) : null;
+  if (budgetStatus.exceeded && !fallbackModel) return budgetExceeded(res, budgetStatus);
+
+  try {
+    const { score, feedback, cost } = await mockInterviewer.grade({
+      job: mock.job,
+      question: row.question,
+      idealAnswer: row.answer,
+      answer,
+      language: mockLanguage(mock.session),
+      modelId: fallbackModel || mock.session.model || mock.job.model
+    });
+    db.prepare(`
+      UPDATE question_answers
+      SET candidate_answer = ?, score = ?, feedback = ?, answered_at = CURRENT_TIMESTAMP, practice_cost = practice_cost + ?
+      WHERE id = ?
+    `).run(answer, score, feedback, cost, row.id);
+
+    const questions = selectMockQuestions.all(req.params.id);
+    const next = questions.find(q => q.candidate_answer === null && q.mock_position > row.mock_position)
+      || questions.find(q => q.candidate_answer === null);
+    res.json({
+      ...mockQuestionBody(questions.find(q => q.id === row.id)),
+      cost,
+      next: next ? mockQuestionBody(next) : null
+    });
+  } catch (err) {
+    console.error('Mock interview grading failed:', err.message);
+    if (err instanceof ProviderCallError) return res.status(err.status).json(err.toJSON());
+    res.status(502).json({ error: err.message, code: 'MOCK_GRADE_FAILED' });
+  }
+});
+
+// Erros do body parser (JSON inválido, payload grande demais) também saem como JSON estruturado
+app.use('/api', (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body', code: 'INVALID_JSON' });
+  }
+  next(err);
+});
+
 // --- Servir o frontend --- //
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'dist', 'index.html'));
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}` );
 });
+
+// WS /api/voice/stream - Áudio contínuo com transcrição parcial e final (ver server/audio-stream.mjs)
+attachAudioStream(server, {
+  config: streamConfigFromEnv(),
+  authenticate: (req) => auth.authenticate(tokenFromRequest(req))?.user || null,
+  openSession: (user, sessionId) => openTranscription(sessionId, user.id),
+  transcribe: async (context, audio, options) => {
+    const budgetStatus = budget.status(context.sessionId, context.ownerId);
+    if (budgetStatus.exceeded && budgetStatus.action === 'block') {
+      const { error, ...details } = budgetErrorBody(budgetStatus);
+      throw Object.assign(new Error(error), details);
+    }
+    return transcribeAudio(context, audio, options);
+  }
+});
@@ -0,0 +1,275 @@
+// server/job-import.mjs - Importação de descrição de vaga (PDF, DOCX, HTML, texto) com extração local de skills
+import multer from 'multer';
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SKILLS_PATH = path.join(__dirname, 'skills.json');
+
+export const MAX_DOCUMENT_BYTES = parseInt(process.env.MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024), 10);
+
+// O prompt usa só o começo da descrição; o texto completo fica para a busca
+const MAX_DESCRIPTION_CHARS = 20000;
+
+const EXTENSION_TYPES = { pdf: 'pdf', docx: 'docx', html: 'html', htm: 'html', txt: 'text', md: 'text' };
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/plain': 'text',
+  'text/markdown': 'text'
+};
+
+function documentError(res, status, code, error, extra = {}) {
+  return res.status(status).json({ error, code, ...extra });
+}
+
+// Extensão tem prioridade (navegadores mandam application/octet-stream com frequência); o conteúdo confirma
+function detectType(buffer, filename, mimeType) {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  const type = EXTENSION_TYPES[extension] || MIME_TYPES[(mimeType || '').split(';')[0].trim().toLowerCase()];
+  if (type === 'pdf' && buffer.toString('latin1', 0, 5) !== '%PDF-') return null;
+  if (type === 'docx' && !(buffer[0] === 0x50 && buffer[1] === 0x4b)) return null;
+  if (type) return type;
+  if (buffer.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  return null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 }
+}).single('file');
+
+// Aceita multipart (campo "file") ou JSON { text } / { html } colado. Resultado em req.jobDocument.
+export function parseJobDocument(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    return upload(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        return documentError(res, 413, 'DOCUMENT_TOO_LARGE', 'Document too large', { maxBytes: MAX_DOCUMENT_BYTES });
+      }
+      if (err) return documentError(res, 400, 'BAD_UPLOAD', err.message);
+      if (!req.file) return documentError(res, 400, 'NO_DOCUMENT', 'No document file');
+
+      const type = detectType(req.file.buffer, req.file.originalname, req.file.mimetype);
+      if (!type) {
+        return documentError(res, 415, 'UNSUPPORTED_DOCUMENT_TYPE', `Unsupported document: ${req.file.originalname}`, {
+          supported: Object.keys(EXTENSION_TYPES)
+        });
+      }
+      req.jobDocument = { buffer: req.file.buffer, filename: req.file.originalname, type };
+      next();
+    });
+  }
+
+  const { text, html } = req.body || {};
+  const content = html ?? text;
+  if (!content) return documentError(res, 400, 'NO_DOCUMENT', 'Send a file, "text" or "html"');
+  if (typeof content !== 'string') return documentError(res, 422, 'UNREADABLE_DOCUMENT', '"text"/"html" must be a string');
+
+  req.jobDocument = { buffer: Buffer.from(content, 'utf8'), filename: null, type: html !== undefined ? 'html' : 'text' };
+  next();
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Páginas de vagas (LinkedIn, Greenhouse, Gupy...) costumam trazer um JobPosting em JSON-LD
+function jobPostingFromJsonLd(html) {
+  for (const [, json] of html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const data = JSON.parse(json);
+      const items = [data, ...(Array.isArray(data) ? data : data['@graph'] || [])];
+      const posting = items.find(item => item?.['@type'] === 'JobPosting');
+      if (posting) {
+        return {
+          name: posting.title,
+          company: typeof posting.hiringOrganization === 'object' ? posting.hiringOrganization.name : posting.hiringOrganization,
+          description: posting.description ? htmlToText(decodeEntities(posting.description)) : null
+        };
+      }
+    } catch {
+      // JSON-LD malformado: segue com o HTML
+    }
+  }
+  return null;
+}
+
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|noscript|svg)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|ul|ol|h[1-6]|tr|section|article|header)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''));
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Retorna { text, hints } — hints traz título/empresa quando o próprio documento os declara (JSON-LD, og:site_name)
+export async function extractJobText({ buffer, type }) {
+  switch (type) {
+    case 'pdf': {
+      const { text } = await pdfParse(buffer);
+      return { text: normalizeText(text), hints: {} };
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { text: normalizeText(value), hints: {} };
+    }
+    case 'html': {
+      const html = buffer.toString('utf8');
+      const posting = jobPostingFromJsonLd(html);
+      const siteName = html.match(/<meta[^>]+property=["']og:site_name["'][^>]+content=["']([^"']+)["']/i)?.[1];
+      const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+      return {
+        text: normalizeText(posting?.description || htmlToText(body)),
+        hints: {
+          name: posting?.name,
+          company: posting?.company || (siteName && decodeEntities(siteName))
+        }
+      };
+    }
+    default:
+      return { text: normalizeText(buffer.toString('utf8')), hints: {} };
+  }
+}
+
+// --- Dicionário de skills ---
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Uma regex por skill, aliases mais longos primeiro ("apache spark" antes de "spark") para não contar duas vezes.
+// Fronteiras explícitas: \b não funciona com "c++", "ci/cd" ou acentos.
+function skillPattern(names) {
+  const alternatives = [...new Set(names.map(name => name.toLowerCase()))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}+#/])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}+#/])`, 'giu');
+}
+
+export function loadSkillsDictionary(dictionaryPath = process.env.SKILLS_DICTIONARY || DEFAULT_SKILLS_PATH) {
+  const dictionary = JSON.parse(readFileSync(dictionaryPath, 'utf8'));
+  return {
+    focusAreas: dictionary.focusAreas || {},
+    skills: dictionary.skills.map(skill => ({
+      ...skill,
+      // Só os aliases: nomes como "Go" dariam falso positivo em texto corrido
+      pattern: skillPattern(skill.aliases?.length ? skill.aliases : [skill.name])
+    }))
+  };
+}
+
+// Regex de uma skill escrita à mão (key_skills do perfil): com os aliases do dicionário quando ela está lá
+export function skillPatternFor(name, dictionary) {
+  const lower = name.toLowerCase();
+  const known = dictionary.skills.find(skill => skill.name.toLowerCase() === lower || skill.aliases?.includes(lower));
+  return known ? skillPattern([name, ...(known.aliases || [])]) : skillPattern([name]);
+}
+
+// Ordena por número de menções (quem aparece mais é mais central na vaga)
+function extractSkills(text, dictionary) {
+  const found = [];
+  for (const skill of dictionary.skills) {
+    const mentions = (text.match(skill.pattern) || []).length;
+    if (mentions > 0) found.push({ name: skill.name, category: skill.category, mentions });
+  }
+  return found.sort((a, b) => b.mentions - a.mentions);
+}
+
+// --- Heurísticas de título, empresa e senioridade ---
+
+const ROLE_WORDS = /\b(engineer|developer|analyst|scientist|architect|manager|lead|engenheir[oa]|desenvolvedor[a]?|analista|cientista|arquitet[oa]|ingenier[oa]|desarrollador[a]?)\b/i;
+
+const SENIORITY_PATTERNS = [
+  ['staff', /\b(staff|principal|tech lead|lead|especialista|specialist)\b/i],
+  ['senior', /\b(senior|sênior|sr\.?)(?![\p{L}])/iu],
+  ['mid', /\b(pleno|mid[- ]?level|mid|intermediate|semi[- ]?senior|ssr)\b/i],
+  ['junior', /\b(junior|júnior|jr\.?|entry[- ]level|trainee)(?![\p{L}])/iu]
+];
+
+function labeled(text, labels) {
+  const match = text.match(new RegExp(`^\\s*(?:${labels})\\s*[:\\-–]\\s*(.+)$`, 'imu'));
+  return match?.[1].trim();
+}
+
+function detectSeniority(title, text) {
+  for (const source of [title, text.slice(0, 3000)]) {
+    if (!source) continue;
+    let best = null;
+    for (const [level, pattern] of SENIORITY_PATTERNS) {
+      const index = source.search(pattern);
+      if (index >= 0 && (!best || index < best.index)) best = { level, index };
+    }
+    if (best) return best.level;
+  }
+
+  // "5+ years of experience" / "3 anos de experiência"
+  const years = text.match(/(\d{1,2})\s*\+?\s*(?:years|anos|años)/i);
+  if (years) {
+    const n = parseInt(years[1], 10);
+    return n >= 8 ? 'staff' : n >= 5 ? 'senior' : n >= 2 ? 'mid' : 'junior';
+  }
+  return null;
+}
+
+// "Senior Data Engineer at Acme" / "Engenheiro de Dados - Acme" / "Data Engineer @ Acme"
+function splitTitle(title) {
+  const match = title.match(/^(.+?)\s+(?:at|@|na|no|en|\||[-–—])\s+(.+)$/i);
+  if (match && ROLE_WORDS.test(match[1])) return { name: match[1].trim(), company: match[2].trim() };
+  return { name: title, company: null };
+}
+
+export function analyzeJobPosting(text, hints = {}, dictionary) {
+  const lines = text.split('\n').map(line => line.replace(/^[-#*\s]+/, '').trim()).filter(Boolean);
+
+  let name = hints.name || labeled(text, 'job title|title|position|role|cargo|vaga|posição|puesto');
+  if (!name) name = lines.find(line => line.length <= 80 && ROLE_WORDS.test(line)) || lines.find(line => line.length <= 80) || '';
+
+  const split = splitTitle(name);
+  const company = hints.company
+    || labeled(text, 'company|empresa|organization|employer|compañía')
+    || split.company
+    || text.match(/\b(?:about|sobre (?:a|o|nós na|a empresa)|acerca de)\s+([A-Z][\w&.'\- ]{1,40}?)\s*(?:\n|:|$)/u)?.[1]?.trim()
+    || '';
+
+  const skills = extractSkills(text, dictionary);
+  const byCategory = {};
+  for (const skill of skills) {
+    const area = dictionary.focusAreas[skill.category];
+    if (area) byCategory[area] = (byCategory[area] || 0) + skill.mentions;
+  }
+  const focusAreas = Object.entries(byCategory).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([area]) => area);
+
+  return {
+    name: split.name.slice(0, 120),
+    company: company.slice(0, 120),
+    seniority: detectSeniority(split.name, text),
+    key_skills: skills.map(s => s.name).join(', '),
+    focus_areas: focusAreas.join(', '),
+    job_description: text.slice(0, MAX_DESCRIPTION_CHARS),
+    skills
+  };
+}
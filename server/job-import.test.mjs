@@ -0,0 +1,59 @@
+// server/job-import.test.mjs - Texto do HTML importado e análise local da vaga (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeJobPosting, extractJobText, loadSkillsDictionary, skillPatternFor } from './job-import.mjs';
+
+const dictionary = loadSkillsDictionary();
+
+test('title, company, seniority and skills come from the posting text', () => {
+  const posting = analyzeJobPosting([
+    'Senior Data Engineer at Acme',
+    '',
+    'We build pipelines with Kafka and Airflow.',
+    'Requirements:',
+    '- 5+ years with Python and SQL',
+    '- dbt and Snowflake'
+  ].join('\n'), {}, dictionary);
+
+  assert.equal(posting.name, 'Senior Data Engineer');
+  assert.equal(posting.company, 'Acme');
+  assert.equal(posting.seniority, 'senior');
+  assert.deepEqual(posting.key_skills.split(', ').sort(), ['Airflow', 'Kafka', 'Python', 'SQL', 'Snowflake', 'dbt']);
+  assert.ok(posting.focus_areas.split(', ').includes('orchestration'));
+});
+
+test('labelled Portuguese postings and years of experience set the fields', () => {
+  const labelled = analyzeJobPosting('Cargo: Engenheiro de Dados Pleno\nEmpresa: Nubank\nExperiência com CI/CD', {}, dictionary);
+  assert.deepEqual([labelled.name, labelled.company, labelled.seniority, labelled.key_skills], ['Engenheiro de Dados Pleno', 'Nubank', 'mid', 'CI/CD']);
+
+  const byYears = analyzeJobPosting('Data Engineer\n10 years of experience with Spark', {}, dictionary);
+  assert.equal(byYears.seniority, 'staff');
+});
+
+test('hints from the document win over the heuristics', () => {
+  const posting = analyzeJobPosting('Some intro line\nWork with Kafka', { name: 'Analytics Engineer', company: 'Initech' }, dictionary);
+  assert.deepEqual([posting.name, posting.company], ['Analytics Engineer', 'Initech']);
+});
+
+test('HTML uses the JSON-LD JobPosting when present, otherwise the body text', async () => {
+  const ld = await extractJobText({
+    type: 'html',
+    buffer: Buffer.from(`<html><head><script type="application/ld+json">{"@type":"JobPosting","title":"Analytics Engineer",
+      "hiringOrganization":{"name":"Initech"},"description":"<p>Write dbt models</p><ul><li>SQL</li></ul>"}</script></head>
+      <body><p>ignored</p></body></html>`)
+  });
+  assert.deepEqual(ld, { text: 'Write dbt models\n\n- SQL', hints: { name: 'Analytics Engineer', company: 'Initech' } });
+
+  const plain = await extractJobText({
+    type: 'html',
+    buffer: Buffer.from('<html><head><meta property="og:site_name" content="Globex &amp; Co"></head><body><h1>Vaga: Engenheiro de Dados</h1><script>track()</script><p>Spark&nbsp;e Kafka</p></body></html>')
+  });
+  assert.deepEqual(plain, { text: 'Vaga: Engenheiro de Dados\nSpark e Kafka', hints: { name: undefined, company: 'Globex & Co' } });
+});
+
+test('skill patterns respect boundaries and include dictionary aliases', () => {
+  const count = (name, text) => (text.match(skillPatternFor(name, dictionary)) || []).length;
+  assert.equal(count('Kubernetes', 'We run k8s and Kubernetes'), 2);
+  assert.equal(count('SQL', 'NoSQL stores and PostgreSQL'), 0);
+  assert.equal(count('Go', 'Good Go code'), 1);
+});
@@ -0,0 +1,100 @@
+// server/languages.mjs - Idiomas suportados: stop words (chave do cache), detecção e instrução de idioma do prompt
+
+// whisperName = valor de "language" no verbose_json do Whisper
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    whisperName: 'english',
+    stopWords: [
+      'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'and', 'or', 'is', 'are', 'was', 'be', 'do', 'does',
+      'can', 'you', 'your', 'it', 'this', 'that', 'with', 'by', 'from', 'as', 'me', 'about', 'would', 'what', 'how'
+    ]
+  },
+  pt: {
+    name: 'Portuguese',
+    whisperName: 'portuguese',
+    stopWords: [
+      'o', 'a', 'os', 'as', 'um', 'uma', 'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas', 'que', 'e',
+      'ou', 'para', 'por', 'com', 'é', 'você', 'me', 'se', 'ao', 'sobre', 'como', 'qual', 'isso', 'esse', 'essa'
+    ]
+  },
+  es: {
+    name: 'Spanish',
+    whisperName: 'spanish',
+    stopWords: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'en', 'que', 'y', 'o', 'para', 'por', 'con', 'es', 'al',
+      'usted', 'tú', 'me', 'se', 'lo', 'sobre', 'cómo', 'como', 'cuál', 'qué', 'eso', 'ese', 'esa'
+    ]
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Idioma falado ('auto' = detectar) e idioma da resposta ('same' = o mesmo da pergunta)
+export const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'pt';
+export const DEFAULT_ANSWER_LANGUAGE = process.env.DEFAULT_ANSWER_LANGUAGE || 'same';
+
+const STOP_WORDS = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, lang]) => [code, new Set(lang.stopWords)])
+);
+
+// Letras e palavras que praticamente só aparecem em um dos idiomas
+const MARKERS = {
+  pt: /[ãõç]|(?<!\p{L})(não|você|vocês|também|então)(?!\p{L})/giu,
+  es: /[ñ¿¡]|ción(?!\p{L})|(?<!\p{L})(usted|también|pero|muy|cuál|qué)(?!\p{L})/giu,
+  en: /(?<!\p{L})(the|what|how|would|could|which|you're|i'm)(?!\p{L})/giu
+};
+
+export const isSpokenLanguage = (value) => value === 'auto' || Boolean(LANGUAGES[value]);
+export const isAnswerLanguage = (value) => value === 'same' || Boolean(LANGUAGES[value]);
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[.,?!;:'"¿¡()-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+export function stopWordsFor(language) {
+  return STOP_WORDS[language] || STOP_WORDS[DEFAULT_LANGUAGE] || STOP_WORDS.pt;
+}
+
+// Aceita o código ("en") ou o nome devolvido pelo Whisper ("english")
+export function languageCode(value) {
+  if (!value) return null;
+  const normalized = String(value).toLowerCase();
+  if (LANGUAGES[normalized]) return normalized;
+  return SUPPORTED_LANGUAGES.find(code => LANGUAGES[code].whisperName === normalized) || null;
+}
+
+// Heurística local (stop words + marcadores). Retorna null quando o texto não dá pista suficiente.
+export function detectLanguage(text) {
+  const tokens = tokenize(text || '');
+  if (tokens.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  let tie = false;
+  for (const code of SUPPORTED_LANGUAGES) {
+    const stopWordHits = tokens.filter(token => STOP_WORDS[code].has(token)).length;
+    const markerHits = (text.match(MARKERS[code]) || []).length;
+    const score = stopWordHits + markerHits * 2;
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+      tie = false;
+    } else if (score === bestScore && score > 0) {
+      tie = true;
+    }
+  }
+  return tie ? null : best;
+}
+
+// Instrução anexada ao system prompt; answerLanguage null = responder no idioma da pergunta
+export function languageInstruction(answerLanguage) {
+  if (!LANGUAGES[answerLanguage]) {
+    return 'LANGUAGE: Answer in the same language the question was asked in.';
+  }
+  return `LANGUAGE: Always answer in ${LANGUAGES[answerLanguage].name}, even if the question is in another language. Keep technical terms (tool names, APIs) as they are.`;
+}
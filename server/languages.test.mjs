@@ -0,0 +1,36 @@
+// server/languages.test.mjs - Detecção local do idioma e instrução de idioma da resposta (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, isAnswerLanguage, isSpokenLanguage, languageCode, languageInstruction, tokenize } from './languages.mjs';
+
+test('detectLanguage picks en, pt or es from stop words and markers', () => {
+  assert.equal(detectLanguage('How would you design the ingestion layer for this pipeline?'), 'en');
+  assert.equal(detectLanguage('Como você faria a ingestão dos dados neste pipeline?'), 'pt');
+  assert.equal(detectLanguage('¿Cómo diseñarías la capa de ingesta para este pipeline?'), 'es');
+});
+
+test('detectLanguage returns null without enough evidence', () => {
+  assert.equal(detectLanguage(''), null);
+  assert.equal(detectLanguage(null), null);
+  assert.equal(detectLanguage('Kafka Spark Airflow'), null);
+});
+
+test('languageCode accepts codes and the names Whisper reports', () => {
+  assert.equal(languageCode('en'), 'en');
+  assert.equal(languageCode('Portuguese'), 'pt');
+  assert.equal(languageCode('spanish'), 'es');
+  assert.equal(languageCode('klingon'), null);
+  assert.equal(languageCode(undefined), null);
+});
+
+test('spoken and answer languages accept their own special values', () => {
+  assert.ok(isSpokenLanguage('auto') && !isSpokenLanguage('same'));
+  assert.ok(isAnswerLanguage('same') && !isAnswerLanguage('auto'));
+  assert.ok(isSpokenLanguage('es') && isAnswerLanguage('es'));
+});
+
+test('languageInstruction pins the answer language or follows the question', () => {
+  assert.match(languageInstruction('en'), /Always answer in English/);
+  assert.match(languageInstruction(null), /same language the question was asked in/);
+  assert.deepEqual(tokenize('What is CDC? (change-data-capture)'), ['what', 'is', 'cdc', 'change', 'data', 'capture']);
+});
@@ -0,0 +1,586 @@
+// server/migrations.mjs - Migrações numeradas do schema (tabela schema_version)
+//
+// Cada migração roda uma única vez, em transação, em ordem crescente de versão.
+// As migrações são idempotentes (CREATE ... IF NOT EXISTS / addColumnIfMissing) porque bancos
+// criados antes do schema_version existir podem já ter parte das colunas.
+import { detectLanguage } from './languages.mjs';
+import { BUILTIN_TEMPLATES, DEFAULT_DESCRIPTION_LIMIT } from './prompts.mjs';
+import { DEFAULT_TERMS, DEFAULT_CORRECTIONS } from './vocabulary.mjs';
+import { generateSemanticKey } from './semantic-cache.mjs';
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+export function addColumnIfMissing(db, table, column, definition) {
+  if (!columnsOf(db, table).includes(column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  }
+}
+
+// Layout original do server/index.mjs (snake_case, id de sessão em texto)
+function createBaseTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      company TEXT,
+      seniority TEXT,
+      key_skills TEXT,
+      job_description TEXT,
+      is_default BOOLEAN DEFAULT FALSE
+    );
+
+    CREATE TABLE IF NOT EXISTS interview_sessions (
+      id TEXT PRIMARY KEY,
+      job_profile_id INTEGER,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME,
+      status TEXT,
+      total_questions INTEGER,
+      total_cost REAL,
+      FOREIGN KEY (job_profile_id) REFERENCES job_profiles(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS question_answers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT,
+      question TEXT,
+      answer TEXT,
+      processing_time_ms INTEGER,
+      tokens_input INTEGER,
+      tokens_output INTEGER,
+      cost REAL,
+      cached BOOLEAN,
+      tailored BOOLEAN,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES interview_sessions(id)
+    );
+  `);
+}
+
+// Bancos criados pelo antigo setup-db.mjs v2.1 usam camelCase, `description` e id de sessão inteiro.
+// As tabelas são renomeadas, recriadas no layout do servidor e os dados copiados.
+function convertSetupDbLayout(db) {
+  const legacyJobs = tableExists(db, 'job_profiles') && columnsOf(db, 'job_profiles').includes('isDefault');
+  const legacySessions = tableExists(db, 'interview_sessions') && columnsOf(db, 'interview_sessions').includes('jobProfileId');
+  const legacyQAs = tableExists(db, 'question_answers') && columnsOf(db, 'question_answers').includes('sessionId');
+  if (!legacyJobs && !legacySessions && !legacyQAs) return false;
+
+  // Sem isso o RENAME reescreve as FKs das outras tabelas para apontar para legacy_*
+  db.pragma('legacy_alter_table = ON');
+  if (legacyJobs) db.exec('ALTER TABLE job_profiles RENAME TO legacy_job_profiles');
+  if (legacySessions) db.exec('ALTER TABLE interview_sessions RENAME TO legacy_interview_sessions');
+  if (legacyQAs) db.exec('ALTER TABLE question_answers RENAME TO legacy_question_answers');
+  db.exec(`
+    DROP INDEX IF EXISTS idx_qa_session;
+    DROP INDEX IF EXISTS idx_sessions_job;
+  `);
+  db.pragma('legacy_alter_table = OFF');
+
+  createBaseTables(db);
+  addColumnIfMissing(db, 'job_profiles', 'focus_areas', 'TEXT');
+  addColumnIfMissing(db, 'job_profiles', 'created_at', 'DATETIME');
+  addColumnIfMissing(db, 'question_answers', 'follow_up_question', 'TEXT');
+  addColumnIfMissing(db, 'question_answers', 'cloud_cost_estimate', 'TEXT');
+
+  if (legacyJobs) {
+    db.exec(`
+      INSERT INTO job_profiles (id, name, company, seniority, key_skills, job_description, is_default, focus_areas, created_at)
+      SELECT id, name, company, seniority, key_skills, description, isDefault, focus_areas, createdAt
+      FROM legacy_job_profiles;
+      DROP TABLE legacy_job_profiles;
+    `);
+  }
+
+  // startedAt/endedAt eram epoch ms
+  if (legacySessions) {
+    db.exec(`
+      INSERT INTO interview_sessions (id, job_profile_id, started_at, ended_at, status, total_questions, total_cost)
+      SELECT CAST(id AS TEXT), jobProfileId,
+        datetime(startedAt / 1000, 'unixepoch'),
+        CASE WHEN endedAt IS NULL THEN NULL ELSE datetime(endedAt / 1000, 'unixepoch') END,
+        status, totalQuestions, totalCost
+      FROM legacy_interview_sessions;
+      DROP TABLE legacy_interview_sessions;
+    `);
+  }
+
+  if (legacyQAs) {
+    db.exec(`
+      INSERT INTO question_answers (
+        id, session_id, question, answer, processing_time_ms, tokens_input, tokens_output,
+        cost, cached, tailored, created_at, follow_up_question, cloud_cost_estimate
+      )
+      SELECT id, CAST(sessionId AS TEXT), question, answer, processingTimeMs, tokensInput, tokensOutput,
+        cost, cached, tailored, createdAt, followUpQuestion, cloudCostEstimate
+      FROM legacy_question_answers;
+      DROP TABLE legacy_question_answers;
+    `);
+  }
+
+  return true;
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      if (!convertSetupDbLayout(db)) createBaseTables(db);
+    }
+  },
+  {
+    version: 2,
+    name: 'transcription_provider_and_models',
+    up(db) {
+      addColumnIfMissing(db, 'interview_sessions', 'transcription_provider', 'TEXT');
+      addColumnIfMissing(db, 'interview_sessions', 'model', 'TEXT');
+      addColumnIfMissing(db, 'job_profiles', 'model', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'model', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'provider', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'token_usage_accounting',
+    up(db) {
+      addColumnIfMissing(db, 'question_answers', 'tokens_input_estimated', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'tokens_output_estimated', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'tokens_input_reported', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'tokens_output_reported', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'usage_source', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'semantic_cache',
+    up(db) {
+      // Embeddings normalizados (Float32) + resposta, separados por perfil de vaga.
+      // created_at/last_hit_at em epoch ms.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS semantic_cache (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_profile_id INTEGER,
+          question TEXT NOT NULL,
+          semantic_key TEXT NOT NULL,
+          answer TEXT NOT NULL,
+          embedding BLOB NOT NULL,
+          embedding_model TEXT NOT NULL,
+          model TEXT,
+          provider TEXT,
+          tailored BOOLEAN DEFAULT 0,
+          tokens_input INTEGER,
+          tokens_output INTEGER,
+          cost REAL,
+          hits INTEGER DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          last_hit_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_semantic_cache_profile ON semantic_cache(job_profile_id, embedding_model);
+        CREATE INDEX IF NOT EXISTS idx_semantic_cache_key ON semantic_cache(job_profile_id, semantic_key);
+      `);
+      addColumnIfMissing(db, 'semantic_cache', 'pinned', 'BOOLEAN DEFAULT 0');
+      addColumnIfMissing(db, 'question_answers', 'cache_entry_id', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'cache_similarity', 'REAL');
+    }
+  },
+  {
+    version: 5,
+    name: 'setup_db_v21_columns',
+    up(db) {
+      // Colunas que só existiam no layout do setup-db.mjs, agora parte do schema único
+      addColumnIfMissing(db, 'job_profiles', 'focus_areas', 'TEXT');
+      addColumnIfMissing(db, 'job_profiles', 'created_at', 'DATETIME');
+      addColumnIfMissing(db, 'question_answers', 'follow_up_question', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'cloud_cost_estimate', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_qa_session ON question_answers(session_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_job ON interview_sessions(job_profile_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'qa_search_index',
+    up(db) {
+      addColumnIfMissing(db, 'question_answers', 'starred', 'BOOLEAN DEFAULT 0');
+
+      // rowid do qa_search = question_answers.id. Os campos do perfil são copiados para o índice
+      // (FTS5 não indexa JOIN), então triggers mantêm tudo sincronizado.
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS qa_search USING fts5(
+          question, answer, job_name, company, key_skills, job_description,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS qa_search_insert AFTER INSERT ON question_answers BEGIN
+          INSERT INTO qa_search (rowid, question, answer, job_name, company, key_skills, job_description)
+          SELECT NEW.id, NEW.question, NEW.answer, j.name, j.company, j.key_skills, j.job_description
+          FROM (SELECT 1) LEFT JOIN interview_sessions s ON s.id = NEW.session_id
+          LEFT JOIN job_profiles j ON j.id = s.job_profile_id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS qa_search_update AFTER UPDATE OF question, answer ON question_answers BEGIN
+          UPDATE qa_search SET question = NEW.question, answer = NEW.answer WHERE rowid = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS qa_search_delete AFTER DELETE ON question_answers BEGIN
+          DELETE FROM qa_search WHERE rowid = OLD.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS qa_search_job_update
+        AFTER UPDATE OF name, company, key_skills, job_description ON job_profiles BEGIN
+          UPDATE qa_search
+          SET job_name = NEW.name, company = NEW.company, key_skills = NEW.key_skills, job_description = NEW.job_description
+          WHERE rowid IN (
+            SELECT qa.id FROM question_answers qa
+            JOIN interview_sessions s ON s.id = qa.session_id
+            WHERE s.job_profile_id = NEW.id
+          );
+        END;
+
+        DELETE FROM qa_search;
+        INSERT INTO qa_search (rowid, question, answer, job_name, company, key_skills, job_description)
+        SELECT qa.id, qa.question, qa.answer, j.name, j.company, j.key_skills, j.job_description
+        FROM question_answers qa
+        LEFT JOIN interview_sessions s ON s.id = qa.session_id
+        LEFT JOIN job_profiles j ON j.id = s.job_profile_id;
+
+        CREATE INDEX IF NOT EXISTS idx_qa_created ON question_answers(created_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'session_languages',
+    up(db) {
+      // language = idioma falado ('auto' = detectar), answer_language = idioma da resposta ('same' = o da pergunta).
+      // NULL nos perfis = usar o padrão do servidor.
+      for (const table of ['job_profiles', 'interview_sessions']) {
+        addColumnIfMissing(db, table, 'language', 'TEXT');
+        addColumnIfMissing(db, table, 'answer_language', 'TEXT');
+      }
+      // Nas perguntas ficam os idiomas efetivos (já resolvidos)
+      addColumnIfMissing(db, 'question_answers', 'language', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'answer_language', 'TEXT');
+
+      // Cache escopado pelo idioma da resposta; entradas antigas são classificadas pelo texto da resposta
+      addColumnIfMissing(db, 'semantic_cache', 'language', 'TEXT');
+      const setLanguage = db.prepare('UPDATE semantic_cache SET language = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, answer FROM semantic_cache WHERE language IS NULL').all()) {
+        setLanguage.run(detectLanguage(row.answer), row.id);
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_semantic_cache_language ON semantic_cache(job_profile_id, language)');
+    }
+  },
+  {
+    version: 8,
+    name: 'prompt_templates',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS prompt_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT,
+          system_prompt TEXT NOT NULL,
+          job_context TEXT,
+          description_limit INTEGER DEFAULT ${DEFAULT_DESCRIPTION_LIMIT},
+          is_default BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // NULL = usar o template padrão
+      addColumnIfMissing(db, 'job_profiles', 'prompt_template_id', 'INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL');
+
+      const insert = db.prepare(`
+        INSERT OR IGNORE INTO prompt_templates (name, description, system_prompt, job_context, is_default)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      BUILTIN_TEMPLATES.forEach((template, index) => {
+        insert.run(template.name, template.description, template.system_prompt, template.job_context, index === 0 ? 1 : 0);
+      });
+    }
+  },
+  {
+    version: 9,
+    name: 'vocabulary',
+    up(db) {
+      // job_profile_id NULL = vale para todos os perfis
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS vocabulary_terms (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          term TEXT NOT NULL,
+          job_profile_id INTEGER REFERENCES job_profiles(id) ON DELETE CASCADE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS vocabulary_corrections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          heard TEXT NOT NULL,
+          replacement TEXT NOT NULL,
+          job_profile_id INTEGER REFERENCES job_profiles(id) ON DELETE CASCADE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_vocabulary_terms_job ON vocabulary_terms(job_profile_id);
+        CREATE INDEX IF NOT EXISTS idx_vocabulary_corrections_job ON vocabulary_corrections(job_profile_id);
+      `);
+
+      // Termos fixos usados no prompt antes do vocabulário existir
+      if (db.prepare('SELECT COUNT(*) as count FROM vocabulary_terms').get().count === 0) {
+        const insertTerm = db.prepare('INSERT INTO vocabulary_terms (term) VALUES (?)');
+        DEFAULT_TERMS.forEach(term => insertTerm.run(term));
+      }
+      if (db.prepare('SELECT COUNT(*) as count FROM vocabulary_corrections').get().count === 0) {
+        const insertCorrection = db.prepare('INSERT INTO vocabulary_corrections (heard, replacement) VALUES (?, ?)');
+        DEFAULT_CORRECTIONS.forEach(([heard, replacement]) => insertCorrection.run(heard, replacement));
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'budgets',
+    up(db) {
+      // Custo de transcrição passa a ser gravado para entrar na conta dos limites
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS transcriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT REFERENCES interview_sessions(id) ON DELETE CASCADE,
+          provider TEXT,
+          model TEXT,
+          duration_seconds REAL,
+          cost REAL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_transcriptions_session ON transcriptions(session_id);
+        CREATE INDEX IF NOT EXISTS idx_transcriptions_created ON transcriptions(created_at);
+      `);
+
+      // NULL = sem limite próprio (sessão cai no SESSION_BUDGET_USD; perfil fica sem limite diário)
+      addColumnIfMissing(db, 'interview_sessions', 'budget_usd', 'REAL');
+      addColumnIfMissing(db, 'job_profiles', 'daily_budget_usd', 'REAL');
+    }
+  },
+  {
+    version: 11,
+    name: 'users',
+    up(db) {
+      // Tokens de login e API keys ficam na mesma tabela; só o hash SHA-256 é guardado
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'member',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          kind TEXT NOT NULL,
+          name TEXT,
+          token_hash TEXT NOT NULL UNIQUE,
+          prefix TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          expires_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id);
+      `);
+
+      // owner_id NULL = dado de antes das contas; o primeiro usuário cadastrado fica com ele
+      for (const table of ['job_profiles', 'interview_sessions', 'question_answers', 'semantic_cache']) {
+        addColumnIfMissing(db, table, 'owner_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_owner ON ${table}(owner_id)`);
+      }
+    }
+  },
+  {
+    version: 12,
+    name: 'transcript_speakers',
+    up(db) {
+      // Cada segmento final guarda o texto e quem falou (interviewer = áudio do sistema, candidate = microfone).
+      // Parciais do streaming só registram o custo: text fica NULL.
+      addColumnIfMissing(db, 'transcriptions', 'speaker', "TEXT DEFAULT 'interviewer'");
+      addColumnIfMissing(db, 'transcriptions', 'text', 'TEXT');
+      addColumnIfMissing(db, 'transcriptions', 'language', 'TEXT');
+    }
+  },
+  {
+    version: 13,
+    name: 'question_detection',
+    up(db) {
+      // Classificação de cada fala final do entrevistador (question, follow_up, statement, noise).
+      // classification_cost = custo do classificador LLM, somado ao gasto junto com cost.
+      addColumnIfMissing(db, 'transcriptions', 'classification', 'TEXT');
+      addColumnIfMissing(db, 'transcriptions', 'confidence', 'REAL');
+      addColumnIfMissing(db, 'transcriptions', 'classification_source', 'TEXT');
+      addColumnIfMissing(db, 'transcriptions', 'classification_cost', 'REAL NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 14,
+    name: 'answer_modes',
+    up(db) {
+      // Estilo da resposta (talking_points, star, code_first, deep_dive). No cache, NULL = resposta de antes
+      // dos modos, que continua servindo para qualquer modo.
+      addColumnIfMissing(db, 'question_answers', 'answer_mode', 'TEXT');
+      addColumnIfMissing(db, 'semantic_cache', 'answer_mode', 'TEXT');
+    }
+  },
+  {
+    version: 15,
+    name: 'follow_ups',
+    up(db) {
+      // follow_up_question (do setup-db.mjs) passa a guardar as perguntas previstas como array JSON;
+      // o custo da previsão fica separado do custo da resposta e entra no gasto da sessão
+      addColumnIfMissing(db, 'question_answers', 'follow_up_cost', 'REAL NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 16,
+    name: 'cloud_cost_estimates',
+    up(db) {
+      // cloud_cost_estimate (do setup-db.mjs) guarda a estimativa em JSON; cloud_estimate_cost é o custo da
+      // chamada que dimensionou a solução, somado ao gasto da sessão
+      addColumnIfMissing(db, 'question_answers', 'cloud_estimate_cost', 'REAL NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 17,
+    name: 'mock_interviews',
+    up(db) {
+      // kind: 'live' (entrevista real) ou 'mock' (treino com o entrevistador simulado). Na simulação, cada pergunta
+      // do plano é uma linha de question_answers com a resposta ideal em answer; candidate_answer, score e
+      // feedback chegam quando o candidato responde. practice_cost = correção + voz do entrevistador.
+      addColumnIfMissing(db, 'interview_sessions', 'kind', "TEXT NOT NULL DEFAULT 'live'");
+      addColumnIfMissing(db, 'question_answers', 'mock_position', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'skill', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'candidate_answer', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'score', 'INTEGER');
+      addColumnIfMissing(db, 'question_answers', 'feedback', 'TEXT');
+      addColumnIfMissing(db, 'question_answers', 'answered_at', 'DATETIME');
+      addColumnIfMissing(db, 'question_answers', 'practice_cost', 'REAL NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 18,
+    name: 'session_reports',
+    up(db) {
+      // Relatório de revisão (JSON), um por sessão; regerar substitui o relatório e soma o custo
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS session_reports (
+          session_id TEXT PRIMARY KEY REFERENCES interview_sessions(id) ON DELETE CASCADE,
+          report TEXT NOT NULL,
+          model TEXT,
+          cost REAL NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_session_reports_created ON session_reports(created_at);
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'prompt_template_owners',
+    up(db) {
+      // owner_id NULL = template compartilhado (os embutidos e os de antes das contas), editável só por admin.
+      // O nome passa a ser único por dono: a tabela é recriada sem o UNIQUE da coluna (os ids são mantidos,
+      // então job_profiles.prompt_template_id continua valendo)
+      db.exec(`
+        CREATE TABLE prompt_templates_owned (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          system_prompt TEXT NOT NULL,
+          job_context TEXT,
+          description_limit INTEGER DEFAULT ${DEFAULT_DESCRIPTION_LIMIT},
+          is_default BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO prompt_templates_owned (id, name, description, system_prompt, job_context, description_limit, is_default, created_at, updated_at)
+          SELECT id, name, description, system_prompt, job_context, description_limit, is_default, created_at, updated_at FROM prompt_templates;
+        DROP TABLE prompt_templates;
+        ALTER TABLE prompt_templates_owned RENAME TO prompt_templates;
+
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_owner_name ON prompt_templates(COALESCE(owner_id, 0), name);
+      `);
+    }
+  },
+  {
+    version: 20,
+    name: 'transcription_owners',
+    up(db) {
+      // DAILY_BUDGET_USD passa a ser por usuário: transcrições sem sessão também precisam de dono.
+      // As antigas herdam o da sessão; as sem sessão de antes ficam sem dono (fora de qualquer limite diário).
+      addColumnIfMissing(db, 'transcriptions', 'owner_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+      db.exec(`
+        UPDATE transcriptions SET owner_id = (SELECT owner_id FROM interview_sessions s WHERE s.id = transcriptions.session_id)
+        WHERE owner_id IS NULL AND session_id IS NOT NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_transcriptions_owner ON transcriptions(owner_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_question_answers_owner_created ON question_answers(owner_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 21,
+    name: 'semantic_key_word_order',
+    up(db) {
+      // A chave do match exato deixou de ordenar as palavras; as entradas antigas são recalculadas
+      // (o idioma da pergunta não foi salvo, então vem da detecção local)
+      const update = db.prepare('UPDATE semantic_cache SET semantic_key = ? WHERE id = ?');
+      for (const { id, question } of db.prepare('SELECT id, question FROM semantic_cache').all()) {
+        update.run(generateSemanticKey(question, detectLanguage(question)), id);
+      }
+    }
+  }
+];
+
+// Aplica as migrações pendentes e retorna a lista das que rodaram
+export function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const current = db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+  const pending = migrations.filter(m => m.version > current).sort((a, b) => a.version - b.version);
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+  // better-sqlite3 liga foreign_keys por padrão; recriar tabelas exige desligar (fora da transação)
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const migration of pending) {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+export function schemaVersion(db) {
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+}
@@ -0,0 +1,63 @@
+// server/migrations.test.mjs - Ordem das migrações, reexecução e bancos nos layouts antigos (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate, migrations, schemaVersion } from './migrations.mjs';
+
+test('versions are unique and consecutive from 1', () => {
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((m, i) => i + 1));
+  assert.equal(new Set(migrations.map(m => m.name)).size, migrations.length);
+});
+
+test('a new database gets every migration once', () => {
+  const db = new Database(':memory:');
+  const applied = migrate(db);
+  assert.equal(applied.length, migrations.length);
+  assert.deepEqual(applied[0], { version: 1, name: 'initial_schema' });
+  assert.equal(schemaVersion(db), migrations.length);
+  assert.deepEqual(migrate(db), []);
+  assert.equal(db.pragma('foreign_keys', { simple: true }), 1);
+});
+
+test('a database from the original index.mjs keeps its rows', () => {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE job_profiles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, company TEXT, seniority TEXT,
+      key_skills TEXT, job_description TEXT, is_default BOOLEAN DEFAULT FALSE);
+    CREATE TABLE interview_sessions (id TEXT PRIMARY KEY, job_profile_id INTEGER, started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME, status TEXT, total_questions INTEGER, total_cost REAL);
+    CREATE TABLE question_answers (id INTEGER PRIMARY KEY AUTOINCREMENT, session_id TEXT, question TEXT, answer TEXT,
+      processing_time_ms INTEGER, tokens_input INTEGER, tokens_output INTEGER, cost REAL, cached BOOLEAN, tailored BOOLEAN,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+    INSERT INTO job_profiles (id, name) VALUES (1, 'Data Engineer');
+    INSERT INTO interview_sessions (id, job_profile_id) VALUES ('1700000000000', 1);
+    INSERT INTO question_answers (session_id, question, answer) VALUES ('1700000000000', 'What is a Kafka partition?', 'An ordered log.');
+  `);
+
+  migrate(db);
+  assert.equal(db.prepare('SELECT question FROM question_answers WHERE session_id = ?').get('1700000000000').question, 'What is a Kafka partition?');
+  // O índice de busca é preenchido com as linhas que já existiam
+  assert.equal(db.prepare("SELECT COUNT(*) as count FROM qa_search WHERE qa_search MATCH 'kafka'").get().count, 1);
+});
+
+test('a camelCase database from the old setup-db.mjs is converted to the server layout', () => {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE job_profiles (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, company TEXT, seniority TEXT,
+      key_skills TEXT, description TEXT, isDefault BOOLEAN, focus_areas TEXT, createdAt DATETIME);
+    CREATE TABLE interview_sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, jobProfileId INTEGER, startedAt INTEGER, endedAt INTEGER,
+      status TEXT, totalQuestions INTEGER, totalCost REAL);
+    CREATE TABLE question_answers (id INTEGER PRIMARY KEY AUTOINCREMENT, sessionId INTEGER, question TEXT, answer TEXT,
+      processingTimeMs INTEGER, tokensInput INTEGER, tokensOutput INTEGER, cost REAL, cached BOOLEAN, tailored BOOLEAN,
+      createdAt DATETIME, followUpQuestion TEXT, cloudCostEstimate TEXT);
+    INSERT INTO job_profiles (id, name, description, isDefault) VALUES (7, 'Backend Engineer', 'Build APIs', 1);
+    INSERT INTO interview_sessions (id, jobProfileId, startedAt, endedAt, status) VALUES (3, 7, 1735725600000, NULL, 'active');
+    INSERT INTO question_answers (sessionId, question, answer, followUpQuestion) VALUES (3, 'Why REST?', 'Simplicity.', 'And gRPC?');
+  `);
+
+  migrate(db);
+  assert.deepEqual(db.prepare('SELECT job_description, is_default FROM job_profiles WHERE id = 7').get(), { job_description: 'Build APIs', is_default: 1 });
+  assert.deepEqual(db.prepare('SELECT id, started_at, ended_at FROM interview_sessions').get(), { id: '3', started_at: '2025-01-01 10:00:00', ended_at: null });
+  assert.deepEqual(db.prepare('SELECT session_id, follow_up_question FROM question_answers').get(), { session_id: '3', follow_up_question: 'And gRPC?' });
+  assert.equal(db.prepare("SELECT name FROM sqlite_master WHERE name LIKE 'legacy_%'").get(), undefined);
+});
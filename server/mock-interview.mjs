@@ -0,0 +1,96 @@
+// server/mock-interview.mjs - Entrevista simulada: plano de perguntas a partir do perfil da vaga e correção das respostas
+//
+// O plano sai numa chamada só (pergunta, skill avaliada e resposta ideal de cada item) e fica em question_answers,
+// com a resposta ideal no lugar da resposta sugerida: a sessão simulada aparece no histórico, na busca e nos
+// exports como qualquer outra. A fala do candidato é transcrita pelo caminho normal (speaker "candidate") e
+// corrigida contra a resposta ideal (nota de 0 a 10 + comentário).
+import { LANGUAGES } from './languages.mjs';
+import { completeChat, parseJsonReply } from './models.mjs';
+
+export const MAX_MOCK_QUESTIONS = 15;
+
+export function mockInterviewConfigFromEnv(env = process.env) {
+  return {
+    questions: Math.min(parseInt(env.MOCK_INTERVIEW_QUESTIONS || '5', 10), MAX_MOCK_QUESTIONS),
+    model: env.MOCK_INTERVIEW_MODEL || null, // null = modelo da sessão/perfil
+    timeoutMs: parseInt(env.MOCK_INTERVIEW_TIMEOUT_MS || '60000', 10)
+  };
+}
+
+const PLAN_PROMPT = `You are a hiring manager preparing a job interview for the role below. Write {{count}} interview questions that together cover the key skills, matched to the seniority: mostly technical, plus one behavioral question. Order them like a real interview, from warm-up to the hardest. For each question give the skill it assesses and a concise ideal answer (key points a strong candidate would make, at most 120 words). {{language}}
+Reply with JSON only: [{"question": "...", "skill": "...", "idealAnswer": "..."}]`;
+
+const GRADE_PROMPT = `You are an interviewer grading a candidate's spoken answer (transcribed, so ignore filler words and transcription errors). Compare it with the ideal answer and score it from 0 to 10 for correctness, depth and clarity at the seniority of the role. Then write short feedback for the candidate: what was good, what was missing or wrong, and one concrete way to improve. At most 120 words, addressed to the candidate. {{language}}
+Reply with JSON only: {"score": <integer 0-10>, "feedback": "..."}`;
+
+function languageLine(language, what) {
+  return LANGUAGES[language] ? `Write ${what} in ${LANGUAGES[language].name}.` : `Write ${what} in English.`;
+}
+
+function roleDescription(job) {
+  return [
+    `Role: ${job.name}${job.company ? ` at ${job.company}` : ''}`,
+    job.seniority && `Seniority: ${job.seniority}`,
+    job.key_skills && `Key skills: ${job.key_skills}`,
+    job.focus_areas && `Focus areas: ${job.focus_areas}`,
+    job.job_description && `Description: ${job.job_description.slice(0, 1500)}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * plan({ job, count, language, modelId }) -> { questions: [{ question, skill, idealAnswer }], model, provider, tokens, cost }
+ * grade({ job, question, idealAnswer, answer, language, modelId }) -> { score, feedback, model, cost }
+ * modelId = modelo da sessão; MOCK_INTERVIEW_MODEL, quando definido, tem preferência.
+ */
+export function createMockInterviewer({ config, chatModels, providerGuard }) {
+  const complete = (modelId, messages, { maxTokens, temperature }) => completeChat(
+    { chatModels, providerGuard },
+    { modelId: config.model || modelId, messages, maxTokens, temperature },
+    { timeoutMs: config.timeoutMs }
+  );
+
+  return {
+    config,
+
+    async plan({ job, count = config.questions, language = null, modelId = null }) {
+      const messages = [
+        {
+          role: 'system',
+          content: PLAN_PROMPT.replace('{{count}}', String(count)).replace('{{language}}', languageLine(language, 'the questions and ideal answers'))
+        },
+        { role: 'user', content: roleDescription(job) }
+      ];
+      const { reply, ...call } = await complete(modelId, messages, { maxTokens: 250 * count, temperature: 0.7 });
+
+      const parsed = parseJsonReply(reply, /\[[\s\S]*\]/);
+      const questions = (Array.isArray(parsed) ? parsed : [])
+        .filter(item => typeof item?.question === 'string' && item.question.trim())
+        .slice(0, count)
+        .map(item => ({
+          question: item.question.trim(),
+          skill: typeof item.skill === 'string' ? item.skill.trim() : null,
+          idealAnswer: typeof item.idealAnswer === 'string' ? item.idealAnswer.trim() : ''
+        }));
+      if (questions.length === 0) throw new Error(`Could not read a question plan from ${call.model}`);
+      return { questions, ...call };
+    },
+
+    async grade({ job, question, idealAnswer, answer, language = null, modelId = null }) {
+      const messages = [
+        { role: 'system', content: GRADE_PROMPT.replace('{{language}}', languageLine(language, 'the feedback')) },
+        {
+          role: 'user',
+          content: `${roleDescription(job)}\n\nQuestion: ${question}\n\nIdeal answer: ${idealAnswer}\n\nCandidate's answer: ${answer.slice(0, 6000)}`
+        }
+      ];
+      const { reply, model, cost } = await complete(modelId, messages, { maxTokens: 400, temperature: 0.2 });
+
+      const parsed = parseJsonReply(reply, /\{[\s\S]*\}/);
+      const score = Number(parsed?.score);
+      if (!Number.isFinite(score) || typeof parsed.feedback !== 'string') {
+        throw new Error(`Could not read a grade from ${model}`);
+      }
+      return { score: Math.min(10, Math.max(0, Math.round(score))), feedback: parsed.feedback.trim(), model, cost };
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// server/mock-interview.test.mjs - Leitura do plano de perguntas e da nota, e as vozes configuradas (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockInterviewer, mockInterviewConfigFromEnv, MAX_MOCK_QUESTIONS } from './mock-interview.mjs';
+import { createSpeechRegistry } from './speech.mjs';
+
+const job = { name: 'Data Engineer', seniority: 'senior', key_skills: 'Kafka, Spark' };
+
+// Modelo falso que responde sempre o mesmo texto e guarda o prompt recebido
+function interviewerReplying(reply, env = {}) {
+  const bodies = [];
+  const chatModels = {
+    resolve: (id) => ({
+      id: id || 'fake', provider: 'fake', model: 'fake', tokenizer: 'o200k_base',
+      client: { chat: { completions: { create: async (body) => { bodies.push(body); return { choices: [{ message: { content: reply } }] }; } } } }
+    }),
+    estimateCost: () => 0
+  };
+  const providerGuard = { call: (provider, fn) => fn({ signal: null }) };
+  return { interviewer: createMockInterviewer({ config: mockInterviewConfigFromEnv(env), chatModels, providerGuard }), bodies };
+}
+
+test('MOCK_INTERVIEW_QUESTIONS is capped at MAX_MOCK_QUESTIONS', () => {
+  assert.equal(mockInterviewConfigFromEnv({}).questions, 5);
+  assert.equal(mockInterviewConfigFromEnv({ MOCK_INTERVIEW_QUESTIONS: '40' }).questions, MAX_MOCK_QUESTIONS);
+});
+
+test('plan keeps well-formed questions up to the requested count', async () => {
+  const { interviewer, bodies } = interviewerReplying(`Plan:
+    [{"question": " What is a Kafka partition? ", "skill": "Kafka", "idealAnswer": "An ordered log."},
+     {"question": "", "skill": "Spark"},
+     {"question": "Tell me about a conflict", "skill": 3},
+     {"question": "Explain the Spark shuffle", "skill": "Spark", "idealAnswer": "Data exchange."}]`);
+  const { questions, model } = await interviewer.plan({ job, count: 2, language: 'pt', modelId: 'session-model' });
+
+  assert.deepEqual(questions, [
+    { question: 'What is a Kafka partition?', skill: 'Kafka', idealAnswer: 'An ordered log.' },
+    { question: 'Tell me about a conflict', skill: null, idealAnswer: '' }
+  ]);
+  assert.equal(model, 'session-model');
+  assert.match(bodies[0].messages[0].content, /Write 2 interview questions/);
+  assert.match(bodies[0].messages[0].content, /in Portuguese/);
+  assert.match(bodies[0].messages[1].content, /Seniority: senior\nKey skills: Kafka, Spark/);
+});
+
+test('plan fails when the reply has no questions', async () => {
+  await assert.rejects(interviewerReplying('Sorry, I cannot help').interviewer.plan({ job }), /Could not read a question plan from fake/);
+});
+
+test('grade clamps the score to 0-10 and requires feedback', async () => {
+  const grade = (reply) => interviewerReplying(reply).interviewer.grade({ job, question: 'q', idealAnswer: 'i', answer: 'a' });
+  assert.deepEqual(await grade('{"score": 12.4, "feedback": " Solid. "}'), { score: 10, feedback: 'Solid.', model: 'fake', cost: 0 });
+  assert.equal((await grade('{"score": "6.6", "feedback": "Ok"}')).score, 7);
+  await assert.rejects(grade('{"score": 7}'), /Could not read a grade/);
+});
+
+test('speech voices: browser by default, server voices only when configured', () => {
+  const voices = createSpeechRegistry({});
+  assert.equal(voices.get().name, 'browser');
+  assert.ok(!voices.has('openai'));
+  assert.throws(() => voices.get('openai'), /Unknown speech provider/);
+  assert.throws(() => createSpeechRegistry({ TTS_PROVIDER: 'openai' }), /"openai" is not configured/);
+  assert.equal(createSpeechRegistry({ TTS_BASE_URL: 'http://localhost:8880/v1', TTS_PROVIDER: 'openai-compatible' }).get().local, true);
+});
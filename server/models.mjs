@@ -0,0 +1,153 @@
+// server/models.mjs - Registro de providers/modelos de chat com preços vindos de models.json
+import { OpenAI, AzureOpenAI } from 'openai';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { countMessageTokens, countTextTokens } from './tokens.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'models.json');
+
+// Cria o client conforme o tipo do provider. Retorna null se faltar credencial/endpoint.
+// maxRetries: 0 - retries, backoff e timeout ficam com o providerGuard (resilience.mjs)
+function createClient(provider, env) {
+  const apiKey = provider.apiKeyEnv ? env[provider.apiKeyEnv] : provider.apiKey;
+
+  switch (provider.type) {
+    case 'openai':
+      return apiKey ? new OpenAI({ apiKey, maxRetries: 0 }) : null;
+
+    case 'openai-compatible': {
+      // Ollama/llama.cpp não exigem chave, mas o SDK sim
+      const baseURL = (provider.baseURLEnv && env[provider.baseURLEnv]) || provider.baseURL;
+      return baseURL ? new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 }) : null;
+    }
+
+    case 'azure': {
+      // Em deployments Azure o campo "model" de cada modelo é o nome do deployment
+      const endpoint = (provider.endpointEnv && env[provider.endpointEnv]) || provider.endpoint;
+      if (!endpoint || !apiKey) return null;
+      return new AzureOpenAI({ endpoint, apiKey, apiVersion: provider.apiVersion, maxRetries: 0 });
+    }
+
+    default:
+      throw new Error(`Unknown provider type: ${provider.type}`);
+  }
+}
+
+// Preços no arquivo de config são em USD por 1M de tokens
+export function createModelRegistry({ configPath = process.env.MODELS_CONFIG || DEFAULT_CONFIG_PATH, env = process.env } = {}) {
+  const config = JSON.parse(readFileSync(configPath, 'utf8'));
+  const clients = new Map();
+
+  for (const [name, provider] of Object.entries(config.providers || {})) {
+    clients.set(name, createClient(provider, env));
+  }
+
+  for (const [id, entry] of Object.entries({ ...config.models, ...config.embeddingModels })) {
+    if (!clients.has(entry.provider)) {
+      throw new Error(`Model "${id}" references unknown provider "${entry.provider}"`);
+    }
+  }
+
+  const defaultModel = env.DEFAULT_MODEL || config.defaultModel;
+  if (!config.models?.[defaultModel]) {
+    throw new Error(`Default model "${defaultModel}" is not in ${configPath}`);
+  }
+
+  const embeddingModel = env.EMBEDDING_MODEL || config.defaultEmbeddingModel;
+  if (embeddingModel && !config.embeddingModels?.[embeddingModel]) {
+    throw new Error(`Embedding model "${embeddingModel}" is not in ${configPath}`);
+  }
+
+  const isAvailable = (id) => Boolean(config.models[id] && clients.get(config.models[id].provider));
+
+  return {
+    defaultModel,
+    has: (id) => Boolean(config.models[id]),
+    isAvailable,
+
+    // Retorna { id, provider, model, client, pricing, tokenizer, streamUsage } pronto para chamar chat.completions
+    resolve(id) {
+      const modelId = id || defaultModel;
+      const entry = config.models[modelId];
+      if (!entry) throw new Error(`Unknown model: ${modelId}`);
+
+      const client = clients.get(entry.provider);
+      if (!client) throw new Error(`Provider "${entry.provider}" for model "${modelId}" is not configured`);
+
+      return {
+        id: modelId,
+        provider: entry.provider,
+        model: entry.model || modelId,
+        client,
+        pricing: entry.pricing,
+        tokenizer: entry.tokenizer || 'o200k_base',
+        // Pede o chunk final de usage (stream_options.include_usage) só a quem suporta
+        streamUsage: Boolean(config.providers[entry.provider].streamUsage)
+      };
+    },
+
+    embeddingModel,
+    embeddingProvider: embeddingModel ? config.embeddingModels[embeddingModel].provider : null,
+
+    // Gera o embedding de um texto com o modelo de embeddings configurado
+    async embed(text, { signal } = {}) {
+      if (!embeddingModel) throw new Error('No embedding model configured');
+      const entry = config.embeddingModels[embeddingModel];
+      const client = clients.get(entry.provider);
+      if (!client) throw new Error(`Provider "${entry.provider}" for embedding model "${embeddingModel}" is not configured`);
+
+      // encoding_format explícito: o SDK pede base64 por padrão e servidores locais costumam ignorar
+      const result = await client.embeddings.create({ model: entry.model || embeddingModel, input: text, encoding_format: 'float' }, { signal });
+      return {
+        vector: result.data[0].embedding,
+        model: embeddingModel,
+        cost: ((result.usage?.prompt_tokens || 0) * (entry.pricing?.input || 0)) / 1_000_000
+      };
+    },
+
+    estimateCost(tokensIn, tokensOut, id) {
+      const pricing = config.models[id]?.pricing;
+      if (!pricing) return 0;
+      return ((tokensIn * pricing.input) + (tokensOut * pricing.output)) / 1_000_000;
+    },
+
+    list: () => Object.entries(config.models).map(([id, entry]) => ({
+      id,
+      provider: entry.provider,
+      pricing: entry.pricing,
+      available: isAvailable(id),
+      default: id === defaultModel
+    }))
+  };
+}
+
+// Chamada de chat sem streaming das tarefas auxiliares (classificador, follow-ups, estimativa de nuvem, treino,
+// relatório). O custo usa o usage reportado pelo provider, ou a contagem local quando ele não manda.
+// guard = opções do providerGuard.call ({ timeoutMs, retries }). Retorna { reply, model, provider, tokens, cost }.
+export async function completeChat({ chatModels, providerGuard }, { modelId, messages, maxTokens, temperature }, guard = {}) {
+  const { id, provider, model, client, tokenizer } = chatModels.resolve(modelId);
+  const response = await providerGuard.call(`chat:${provider}`, ({ signal }) => client.chat.completions.create({
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature
+  }, { signal }), guard);
+
+  const reply = response.choices[0]?.message?.content || '';
+  const tokens = {
+    input: response.usage?.prompt_tokens ?? countMessageTokens(messages, tokenizer),
+    output: response.usage?.completion_tokens ?? countTextTokens(reply, tokenizer)
+  };
+  return { reply, model: id, provider, tokens, cost: chatModels.estimateCost(tokens.input, tokens.output, id) };
+}
+
+// Primeiro bloco JSON da resposta (o modelo às vezes escreve algo antes); null se não der para ler
+export function parseJsonReply(reply, pattern) {
+  try {
+    return JSON.parse(reply.match(pattern)?.[0] || 'null');
+  } catch {
+    return null;
+  }
+}
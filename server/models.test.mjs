@@ -0,0 +1,106 @@
+// server/models.test.mjs - Registro de modelos (disponibilidade, preços, config) e a chamada de chat das tarefas auxiliares (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { completeChat, createModelRegistry, parseJsonReply } from './models.mjs';
+
+// Registro com um modelo de $1/$2 por 1M de tokens e um client que devolve reply/usage fixos
+function fakeDeps(reply, usage) {
+  const calls = [];
+  const chatModels = {
+    resolve: (id) => ({
+      id: id || 'default-model',
+      provider: 'fake',
+      model: 'fake-model',
+      tokenizer: 'o200k_base',
+      client: { chat: { completions: { create: async (body) => { calls.push(body); return { choices: [{ message: { content: reply } }], usage }; } } } }
+    }),
+    estimateCost: (input, output) => (input * 1 + output * 2) / 1_000_000
+  };
+  const providerGuard = { call: async (provider, fn, guard) => { calls.push({ provider, guard }); return fn({ signal: null }); } };
+  return { deps: { chatModels, providerGuard }, calls };
+}
+
+const messages = [{ role: 'user', content: 'Hello there' }];
+
+test('completeChat charges the usage reported by the provider', async () => {
+  const { deps, calls } = fakeDeps('{"ok": true}', { prompt_tokens: 100, completion_tokens: 50 });
+  const result = await completeChat(deps, { modelId: 'm1', messages, maxTokens: 40, temperature: 0 }, { retries: 0 });
+
+  assert.deepEqual(result.tokens, { input: 100, output: 50 });
+  assert.equal(result.cost, 200 / 1_000_000);
+  assert.equal(result.model, 'm1');
+  assert.deepEqual(calls[0], { provider: 'chat:fake', guard: { retries: 0 } });
+  assert.equal(calls[1].max_tokens, 40);
+});
+
+test('completeChat counts tokens locally when the provider reports no usage', async () => {
+  const { deps } = fakeDeps('Hi', undefined);
+  const { tokens } = await completeChat(deps, { messages, maxTokens: 10, temperature: 0 });
+  assert.ok(tokens.input > 0);
+  assert.ok(tokens.output > 0);
+});
+
+test('parseJsonReply reads the first JSON block and returns null otherwise', () => {
+  assert.deepEqual(parseJsonReply('Sure! {"type": "question"} done', /\{[\s\S]*\}/), { type: 'question' });
+  assert.deepEqual(parseJsonReply('```json\n["a?", "b?"]\n```', /\[[\s\S]*\]/), ['a?', 'b?']);
+  assert.equal(parseJsonReply('{"broken": ', /\{[\s\S]*\}/), null);
+  assert.equal(parseJsonReply('no json here', /\{[\s\S]*\}/), null);
+});
+
+// models.json mínimo: um provider que precisa de chave e um local que só precisa de URL
+const registryConfig = {
+  defaultModel: 'local-small',
+  providers: {
+    cloud: { type: 'openai', apiKeyEnv: 'CLOUD_KEY' },
+    local: { type: 'openai-compatible', baseURLEnv: 'LOCAL_URL', streamUsage: true }
+  },
+  models: {
+    'cloud-big': { provider: 'cloud', model: 'gpt-big', pricing: { input: 2, output: 8 } },
+    'local-small': { provider: 'local', tokenizer: 'cl100k_base' }
+  }
+};
+
+function withConfig(config, fn) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'models-'));
+  try {
+    const configPath = path.join(dir, 'models.json');
+    writeFileSync(configPath, JSON.stringify(config));
+    return fn(configPath);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('models without credentials are listed but not available', () => {
+  withConfig(registryConfig, (configPath) => {
+    const registry = createModelRegistry({ configPath, env: { LOCAL_URL: 'http://localhost:11434/v1' } });
+    assert.deepEqual(registry.list().map(m => [m.id, m.available, m.default]), [['cloud-big', false, false], ['local-small', true, true]]);
+    assert.throws(() => registry.resolve('cloud-big'), /Provider "cloud" for model "cloud-big" is not configured/);
+    assert.throws(() => registry.resolve('nope'), /Unknown model: nope/);
+
+    const local = registry.resolve();
+    assert.deepEqual([local.id, local.model, local.tokenizer, local.streamUsage], ['local-small', 'local-small', 'cl100k_base', true]);
+  });
+});
+
+test('estimateCost uses the per-1M prices and is zero for unpriced models', () => {
+  withConfig(registryConfig, (configPath) => {
+    const registry = createModelRegistry({ configPath, env: { CLOUD_KEY: 'sk-test' } });
+    assert.equal(registry.estimateCost(1000, 500, 'cloud-big'), 0.006);
+    assert.equal(registry.estimateCost(1000, 500, 'local-small'), 0);
+    assert.equal(registry.resolve('cloud-big').model, 'gpt-big');
+  });
+});
+
+test('a bad config fails at startup', () => {
+  withConfig({ ...registryConfig, defaultModel: 'missing' }, (configPath) => {
+    assert.throws(() => createModelRegistry({ configPath, env: {} }), /Default model "missing" is not in/);
+  });
+  withConfig({ ...registryConfig, models: { x: { provider: 'ghost' } }, defaultModel: 'x' }, (configPath) => {
+    assert.throws(() => createModelRegistry({ configPath, env: {} }), /references unknown provider "ghost"/);
+  });
+  assert.doesNotThrow(() => createModelRegistry({ env: {} }));
+});
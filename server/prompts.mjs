@@ -0,0 +1,121 @@
+// server/prompts.mjs - Templates de prompt (personas por tipo de vaga): variáveis, renderização e montagem das mensagens
+import { languageInstruction } from './languages.mjs';
+import { ANSWER_MODES } from './answer-modes.mjs';
+
+// Variáveis aceitas em system_prompt e job_context ({{nome}})
+export const TEMPLATE_VARIABLES = {
+  position: 'Job title of the profile',
+  company: 'Company name ("the company" when empty)',
+  seniority: 'junior, mid, senior or staff',
+  key_skills: 'Comma-separated key skills',
+  focus_areas: 'Comma-separated focus areas',
+  description: 'Job description, cut at the template\'s description_limit ("N/A" when empty)'
+};
+
+export const DEFAULT_DESCRIPTION_LIMIT = 2000;
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const JOB_CONTEXT = `### JOB CONTEXT FOR THIS INTERVIEW (TAILOR YOUR ANSWERS TO THIS):
+- **Position:** {{position}} at {{company}}
+- **Seniority:** {{seniority}}
+- **Key Skills:** {{key_skills}}
+- **Description:** {{description}}`;
+
+// Semeados pela migração; o primeiro é o padrão (mesmo prompt usado antes dos templates existirem)
+export const BUILTIN_TEMPLATES = [
+  {
+    name: 'Data Engineer',
+    description: 'Pipelines, warehousing, streaming and data modeling',
+    system_prompt: 'You are a world-class Senior Data Engineer acting as a co-pilot during a live technical interview. Your goal is to provide answers that are technically accurate, concise, and demonstrate seniority. RULES: 1. Be direct. No fluff. 2. Use Markdown for code blocks and lists. 3. If the user provides context from a job description, tailor your answer to it.',
+    job_context: JOB_CONTEXT
+  },
+  {
+    name: 'Backend Engineer',
+    description: 'APIs, distributed systems, databases and reliability',
+    system_prompt: 'You are a world-class Senior Backend Engineer acting as a co-pilot during a live technical interview. Answer questions on API design, distributed systems, databases, concurrency, caching and reliability. RULES: 1. Be direct. No fluff. 2. State trade-offs explicitly (consistency, latency, cost). 3. Use Markdown for code blocks and lists. 4. If the user provides context from a job description, tailor your answer to it.',
+    job_context: JOB_CONTEXT
+  },
+  {
+    name: 'ML Engineer',
+    description: 'Model training, evaluation, serving and MLOps',
+    system_prompt: 'You are a world-class Senior Machine Learning Engineer acting as a co-pilot during a live technical interview. Answer questions on modeling, feature engineering, evaluation metrics, training infrastructure, model serving and monitoring. RULES: 1. Be direct. No fluff. 2. Mention how you would validate the approach (metrics, baselines, offline vs online). 3. Use Markdown for code blocks, formulas and lists. 4. If the user provides context from a job description, tailor your answer to it.',
+    job_context: JOB_CONTEXT
+  },
+  {
+    name: 'Analytics Engineer',
+    description: 'SQL, dbt, metrics, dashboards and stakeholder communication',
+    system_prompt: 'You are a world-class Senior Analytics Engineer acting as a co-pilot during a live technical interview. Answer questions on SQL, dimensional modeling, dbt, metric definitions, experimentation and BI tools. RULES: 1. Be direct. No fluff. 2. Prefer concrete SQL examples. 3. Tie technical choices to the business question. 4. Use Markdown for code blocks and lists. 5. If the user provides context from a job description, tailor your answer to it.',
+    job_context: JOB_CONTEXT
+  }
+];
+
+// Retorna os nomes usados no texto que não existem em TEMPLATE_VARIABLES
+export function unknownVariables(text) {
+  const names = [...(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  return [...new Set(names.filter(name => !(name in TEMPLATE_VARIABLES)))];
+}
+
+// Retorna a mensagem de erro ou null
+export function validateTemplate({ name, system_prompt, job_context, description_limit }) {
+  if (!name || !String(name).trim()) return 'Name is required';
+  if (!system_prompt || !String(system_prompt).trim()) return 'system_prompt is required';
+  const unknown = [...unknownVariables(system_prompt), ...unknownVariables(job_context)];
+  if (unknown.length > 0) {
+    return `Unknown template variable(s): ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`;
+  }
+  if (description_limit !== undefined && description_limit !== null) {
+    const limit = Number(description_limit);
+    if (!Number.isInteger(limit) || limit < 0) return 'description_limit must be a non-negative integer';
+  }
+  return null;
+}
+
+export function templateVariables(job, descriptionLimit = DEFAULT_DESCRIPTION_LIMIT) {
+  return {
+    position: job.name || '',
+    company: job.company || 'the company',
+    seniority: job.seniority || '',
+    key_skills: job.key_skills || '',
+    focus_areas: job.focus_areas || '',
+    description: job.job_description ? job.job_description.slice(0, descriptionLimit) : 'N/A'
+  };
+}
+
+export function renderTemplate(text, variables) {
+  return (text || '').replace(VARIABLE_PATTERN, (match, name) => (name in variables ? variables[name] : match));
+}
+
+// Monta exatamente as mensagens enviadas ao modelo (usado pelo answer-stream e pelo preview).
+// O contexto da vaga só entra quando há perfil; depois vem o formato do modo de resposta e, sempre por
+// último no system, a instrução de idioma.
+export function buildMessages({ template, job, question, previousQAs = [], answerLanguage, mode = null }) {
+  // Sem perfil as variáveis viram vazio/fallback, para o system prompt nunca sair com {{...}} cru
+  const variables = templateVariables(job || {}, template.description_limit ?? DEFAULT_DESCRIPTION_LIMIT);
+  let systemPrompt = renderTemplate(template.system_prompt, variables);
+
+  const tailored = Boolean(job);
+  if (job && template.job_context) {
+    systemPrompt += `\n\n${renderTemplate(template.job_context, variables)}`;
+  }
+
+  if (mode) systemPrompt += `\n\n${ANSWER_MODES[mode].instruction}`;
+
+  // Sem idioma definido (detecção inconclusiva) o modelo segue o idioma da pergunta
+  systemPrompt += `\n\n${languageInstruction(answerLanguage)}`;
+
+  // Contexto da conversa (Last 3 Q&A)
+  const contextMessages = previousQAs.slice(-3).flatMap(qa => [
+    { role: 'user', content: qa.question },
+    { role: 'assistant', content: qa.answer }
+  ]);
+
+  return {
+    tailored,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...contextMessages,
+      { role: 'user', content: question }
+    ]
+  };
+}
@@ -0,0 +1,45 @@
+// server/prompts.test.mjs - Validação e renderização dos templates e as mensagens enviadas ao modelo (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_TEMPLATES, buildMessages, renderTemplate, templateVariables, unknownVariables, validateTemplate } from './prompts.mjs';
+
+const job = { name: 'Data Engineer', company: '', seniority: 'senior', key_skills: 'Kafka, Spark', job_description: 'Build pipelines. '.repeat(10) };
+
+test('validateTemplate requires a name and a prompt and rejects unknown variables', () => {
+  assert.equal(validateTemplate({ name: 'SRE', system_prompt: 'You are a {{ seniority }} {{position}}.' }), null);
+  assert.equal(validateTemplate({ name: ' ', system_prompt: 'x' }), 'Name is required');
+  assert.equal(validateTemplate({ name: 'SRE' }), 'system_prompt is required');
+  assert.match(validateTemplate({ name: 'SRE', system_prompt: '{{role}}', job_context: '{{salary}} {{role}}' }), /^Unknown template variable\(s\): \{\{role\}\}, \{\{salary\}\}/);
+  assert.equal(validateTemplate({ name: 'SRE', system_prompt: 'x', description_limit: 1.5 }), 'description_limit must be a non-negative integer');
+  assert.deepEqual(unknownVariables('{{a}} {{ a }} {{company}}'), ['a']);
+});
+
+test('variables fall back for empty fields and the description is cut at the limit', () => {
+  const variables = templateVariables(job, 20);
+  assert.equal(variables.company, 'the company');
+  assert.equal(variables.description, 'Build pipelines. Bui');
+  assert.equal(templateVariables({}).description, 'N/A');
+  assert.equal(renderTemplate('{{position}} at {{company}}, {{unknown}}', variables), 'Data Engineer at the company, {{unknown}}');
+});
+
+test('buildMessages adds job context, mode and language, in that order, and the last 3 Q&As', () => {
+  const previousQAs = [1, 2, 3, 4].map(n => ({ question: `q${n}`, answer: `a${n}` }));
+  const { tailored, messages } = buildMessages({
+    template: BUILTIN_TEMPLATES[0], job, question: 'What is a watermark?', previousQAs, answerLanguage: 'en', mode: 'talking_points'
+  });
+
+  assert.equal(tailored, true);
+  const system = messages[0].content;
+  assert.ok(system.indexOf('**Position:** Data Engineer at the company') < system.indexOf('LANGUAGE: Always answer in English'));
+  assert.ok(!system.includes('{{'));
+  assert.deepEqual(messages.slice(1).map(m => m.content), ['q2', 'a2', 'q3', 'a3', 'q4', 'a4', 'What is a watermark?']);
+});
+
+test('without a profile the prompt has no job context and no raw variables', () => {
+  const { tailored, messages } = buildMessages({
+    template: { system_prompt: 'You help a {{seniority}} {{position}} at {{company}}.', job_context: 'JOB {{key_skills}}' },
+    job: null, question: 'Hi?'
+  });
+  assert.equal(tailored, false);
+  assert.equal(messages[0].content, 'You help a   at the company.\n\nLANGUAGE: Answer in the same language the question was asked in.');
+});
@@ -0,0 +1,157 @@
+// server/question-detection.mjs - Classifica cada fala do entrevistador antes de gastar uma resposta
+//
+// Tipos: question (pergunta nova, inclusive pedidos como "tell me about..."), follow_up (aprofunda a
+// anterior), statement (comentário, small talk, instrução) e noise (fillers, fragmentos). Só question e
+// follow_up com confiança >= QUESTION_MIN_CONFIDENCE são respondidas.
+//
+// As heurísticas (pontuação, palavras interrogativas e pedidos em en/pt/es) não custam nada. Com
+// QUESTION_DETECTION=llm, só os casos em que elas ficam abaixo de QUESTION_LLM_BELOW vão para um modelo de chat;
+// se a chamada falhar, vale o resultado das heurísticas.
+import { completeChat, parseJsonReply } from './models.mjs';
+
+export const CLASSIFICATIONS = ['question', 'follow_up', 'statement', 'noise'];
+export const DETECTION_MODES = ['off', 'heuristic', 'llm'];
+const ANSWERABLE = new Set(['question', 'follow_up']);
+
+export function detectionConfigFromEnv(env = process.env) {
+  return {
+    mode: env.QUESTION_DETECTION || 'heuristic',
+    minConfidence: parseFloat(env.QUESTION_MIN_CONFIDENCE || '0.5'),
+    llmBelow: parseFloat(env.QUESTION_LLM_BELOW || '0.8'),
+    model: env.QUESTION_DETECTION_MODEL || null, // null = modelo padrão do models.json
+    timeoutMs: parseInt(env.QUESTION_DETECTION_TIMEOUT_MS || '4000', 10)
+  };
+}
+
+// Comparações sem acento e em minúsculas ("você" = "voce", "¿Cómo" = "como")
+function normalize(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/’/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+const FILLERS = new Set([
+  'um', 'uh', 'uhm', 'umm', 'hmm', 'hm', 'mm', 'ah', 'eh', 'er', 'erm', 'oh', 'ok', 'okay', 'yeah', 'yep', 'yes', 'no',
+  'right', 'so', 'well', 'like', 'cool', 'great', 'nice', 'sure', 'alright', 'thanks', 'the', 'a', 'and',
+  'ne', 'ta', 'entao', 'bom', 'certo', 'beleza', 'sim', 'nao', 'ahn', 'e', 'pois', 'tipo', 'obrigado',
+  'bueno', 'vale', 'si', 'claro', 'pues', 'este', 'o', 'y', 'gracias'
+]);
+
+// Primeira palavra (depois dos fillers) que abre uma pergunta
+const INTERROGATIVES = new Set([
+  'what', 'why', 'how', 'when', 'where', 'which', 'who', 'whom', 'whose', 'can', 'could', 'would', 'will', 'do',
+  'does', 'did', 'is', 'are', 'was', 'were', 'have', 'has', 'should', 'shall', 'may', "what's", "how's", "where's",
+  'qual', 'quais', 'como', 'quando', 'onde', 'quem', 'porque', 'quanto', 'quantos', 'quantas', 'voce', 'pode',
+  'poderia', 'consegue', 'cual', 'cuales', 'cuando', 'donde', 'quien', 'quienes', 'cuanto', 'cuantos', 'puedes',
+  'podrias', 'usted', 'tienes'
+]);
+const INTERROGATIVE_PHRASES = ['o que', 'por que', 'pra que', 'para que', 'que tipo', 'que es', 'que tal', 'en que'];
+
+// Pedidos sem ponto de interrogação, no começo da fala ("Tell me about...", "Me fale sobre...")
+const REQUESTS = [
+  'tell me', 'explain', 'describe', 'walk me through', 'talk me through', 'talk about', 'give me', 'share',
+  "let's talk about", 'imagine', 'suppose', 'design', 'compare', 'me fale', 'me conte', 'fale sobre', 'conte',
+  'explique', 'me explique', 'descreva', 'cuentame', 'hablame', 'explica', 'explicame', 'describa'
+];
+// ... ou em qualquer ponto dela
+const CURIOSITY = [
+  'i would like to know', "i'd like to know", 'i want to know', "i'm curious", 'gostaria de saber', 'quero saber',
+  'me gustaria saber', 'quiero saber'
+];
+
+// Começos típicos de quem aprofunda a pergunta anterior
+const FOLLOW_UPS = [
+  'and ', 'what about', 'how about', 'what if', 'why', 'can you elaborate', 'elaborate', 'go deeper', 'more about',
+  'for example', 'any other', 'anything else', 'but ', 'so why', 'e se', 'e quanto', 'e como', 'e por que',
+  'e no caso', 'mas ', 'por exemplo', 'pode detalhar', 'y si', 'y que', 'y como', 'y por que', 'pero ', 'por ejemplo'
+];
+
+function result(type, confidence, reason) {
+  return { type, confidence, reason };
+}
+
+export function classifyHeuristic(text, { previousQuestion = null } = {}) {
+  const normalized = normalize(text || '');
+  const words = normalized.match(/[a-z0-9']+/g) || [];
+  const content = words.filter(word => !FILLERS.has(word));
+  if (content.length === 0) return result('noise', 0.95, 'only filler words');
+
+  const hasQuestionMark = /[?¿]/.test(text);
+  if (words.length < 3 && !hasQuestionMark) return result('noise', 0.7, 'fragment');
+
+  // "So, um, what would you..." -> a pergunta começa depois dos fillers
+  const firstContent = words.findIndex(word => !FILLERS.has(word));
+  const opening = words.slice(firstContent).join(' ');
+  const interrogative = INTERROGATIVES.has(words[firstContent]) || INTERROGATIVE_PHRASES.some(p => opening.startsWith(p));
+  const request = REQUESTS.some(p => opening.startsWith(p)) || CURIOSITY.some(p => normalized.includes(p));
+  const followUp = Boolean(previousQuestion) && words.length <= 12 && FOLLOW_UPS.some(p => normalized.startsWith(p));
+
+  if (/[?]\s*$/.test(text)) {
+    return followUp ? result('follow_up', 0.85, 'short question continuing the previous one') : result('question', 0.9, 'ends with a question mark');
+  }
+  if (interrogative || request) {
+    const reason = interrogative ? 'starts with an interrogative' : 'asks the candidate to talk about something';
+    return followUp ? result('follow_up', 0.7, reason) : result('question', 0.75, reason);
+  }
+  if (hasQuestionMark) return result('question', 0.65, 'contains a question');
+  if (followUp) return result('follow_up', 0.55, 'continues the previous question');
+  return result('statement', words.length >= 4 ? 0.6 : 0.5, 'no question cues');
+}
+
+const CLASSIFIER_PROMPT = `You classify one transcribed utterance from a job interviewer. Reply with JSON only: {"type": "question" | "follow_up" | "statement" | "noise", "confidence": number between 0 and 1}.
+- question: asks the candidate something new, including requests like "tell me about..."
+- follow_up: continues or digs into the previous question
+- statement: comments, small talk, instructions, the interviewer talking about the company or themselves
+- noise: fillers, fragments, transcription garbage`;
+
+/**
+ * classify(text, { previousQuestion, heuristicOnly }) -> { type, confidence, source, reason, answerable, cost }
+ * source: 'heuristic' | 'llm' | 'off'. cost = custo do classificador LLM em USD (0 nas heurísticas).
+ * isAnswerable({ type, confidence }) -> boolean (para classificações já salvas em transcriptions)
+ */
+export function createQuestionDetector({ config, chatModels, providerGuard }) {
+  const isAnswerable = ({ type, confidence }) => ANSWERABLE.has(type) && confidence >= config.minConfidence;
+  const decide = (classification, source, cost = 0) => ({
+    ...classification,
+    source,
+    cost,
+    answerable: isAnswerable(classification)
+  });
+
+  async function classifyWithLlm(text, previousQuestion) {
+    const messages = [
+      { role: 'system', content: CLASSIFIER_PROMPT },
+      { role: 'user', content: `${previousQuestion ? `Previous question: ${previousQuestion}\n` : ''}Utterance: ${text}` }
+    ];
+    const { reply, model: id, cost } = await completeChat(
+      { chatModels, providerGuard },
+      { modelId: config.model, messages, maxTokens: 40, temperature: 0 },
+      { timeoutMs: config.timeoutMs, retries: 0 }
+    );
+
+    const parsed = parseJsonReply(reply, /\{[\s\S]*\}/);
+    if (!CLASSIFICATIONS.includes(parsed?.type)) throw new Error(`Unexpected classifier reply: ${reply.slice(0, 80)}`);
+    const confidence = Math.min(1, Math.max(0, Number(parsed.confidence) || 0));
+    return { classification: result(parsed.type, confidence, `classified by ${id}`), cost };
+  }
+
+  return {
+    config,
+    isAnswerable,
+
+    async classify(text, { previousQuestion = null, heuristicOnly = false } = {}) {
+      if (config.mode === 'off') return decide(result('question', 1, 'question detection disabled'), 'off');
+
+      const heuristic = classifyHeuristic(text, { previousQuestion });
+      if (config.mode !== 'llm' || heuristicOnly || heuristic.confidence >= config.llmBelow) {
+        return decide(heuristic, 'heuristic');
+      }
+
+      try {
+        const { classification, cost } = await classifyWithLlm(text, previousQuestion);
+        return decide(classification, 'llm', cost);
+      } catch (err) {
+        console.error('Question classifier failed, using heuristics:', err.message);
+        return decide(heuristic, 'heuristic');
+      }
+    }
+  };
+}
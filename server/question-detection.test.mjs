@@ -0,0 +1,51 @@
+// server/question-detection.test.mjs - Heurísticas do classificador e a regra de resposta (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyHeuristic, createQuestionDetector, detectionConfigFromEnv } from './question-detection.mjs';
+
+test('classifyHeuristic recognises questions, requests, follow-ups, statements and noise', () => {
+  assert.equal(classifyHeuristic('What is a Kafka partition?').type, 'question');
+  assert.equal(classifyHeuristic('So, um, tell me about your last project').type, 'question');
+  assert.equal(classifyHeuristic('Me fale sobre o seu último projeto').type, 'question');
+  assert.equal(classifyHeuristic('¿Cómo escalarías este pipeline?').type, 'question');
+  assert.equal(classifyHeuristic('And what about retries?', { previousQuestion: 'How do you handle failures?' }).type, 'follow_up');
+  assert.equal(classifyHeuristic('Thanks, our team uses Airflow a lot.').type, 'statement');
+  assert.equal(classifyHeuristic('um, yeah, okay').type, 'noise');
+  assert.equal(classifyHeuristic('right then').type, 'noise');
+});
+
+test('only confident questions and follow-ups are answerable', async () => {
+  const detector = createQuestionDetector({ config: detectionConfigFromEnv({ QUESTION_MIN_CONFIDENCE: '0.7' }) });
+  assert.equal((await detector.classify('What is a Kafka partition?')).answerable, true);
+  assert.equal((await detector.classify('Thanks, our team uses Airflow a lot.')).answerable, false);
+  assert.equal(detector.isAnswerable({ type: 'question', confidence: 0.65 }), false);
+  assert.equal(detector.isAnswerable({ type: 'follow_up', confidence: 0.7 }), true);
+});
+
+test('detection off answers everything', async () => {
+  const detector = createQuestionDetector({ config: detectionConfigFromEnv({ QUESTION_DETECTION: 'off' }) });
+  const classification = await detector.classify('um');
+  assert.equal(classification.answerable, true);
+  assert.equal(classification.source, 'off');
+});
+
+test('llm mode falls back to the heuristics when the classifier reply is unreadable', async () => {
+  const chatModels = {
+    resolve: () => ({
+      id: 'fake', provider: 'fake', model: 'fake', tokenizer: 'o200k_base',
+      client: { chat: { completions: { create: async () => ({ choices: [{ message: { content: 'not json' } }] }) } } }
+    }),
+    estimateCost: () => 0
+  };
+  const providerGuard = { call: (provider, fn) => fn({ signal: null }) };
+  const detector = createQuestionDetector({ config: detectionConfigFromEnv({ QUESTION_DETECTION: 'llm' }), chatModels, providerGuard });
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const classification = await detector.classify('Kafka partitions in your last project');
+    assert.equal(classification.source, 'heuristic');
+  } finally {
+    console.error = original;
+  }
+});
@@ -0,0 +1,274 @@
+// server/resilience.mjs - Chamadas a providers (chat, embeddings, transcrição) com retry, timeout,
+// limite global de concorrência e circuit breaker por provider
+//
+// Toda falha sai como ProviderCallError com um code estável, que as rotas devolvem como JSON/SSE
+// e o front traduz em mensagem (src/api.js).
+import { APIConnectionError } from 'openai';
+
+// code -> status HTTP devolvido pelas rotas
+const ERROR_STATUS = {
+  PROVIDER_TIMEOUT: 504,
+  PROVIDER_RATE_LIMITED: 429,
+  PROVIDER_UNAVAILABLE: 502,
+  PROVIDER_UNREACHABLE: 502,
+  PROVIDER_AUTH_FAILED: 502,
+  PROVIDER_BAD_REQUEST: 502,
+  PROVIDER_ERROR: 502,
+  PROVIDER_CIRCUIT_OPEN: 503,
+  PROVIDER_BUSY: 503
+};
+
+const RETRYABLE = new Set(['PROVIDER_TIMEOUT', 'PROVIDER_RATE_LIMITED', 'PROVIDER_UNAVAILABLE', 'PROVIDER_UNREACHABLE']);
+
+export class ProviderCallError extends Error {
+  constructor(code, message, { provider, retryAfterMs = null, attempts = 1, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderCallError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 502;
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = attempts;
+    this.retryable = RETRYABLE.has(code);
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, provider: this.provider, retryAfterMs: this.retryAfterMs };
+  }
+}
+
+export function resilienceConfigFromEnv(env = process.env) {
+  return {
+    maxRetries: parseInt(env.PROVIDER_MAX_RETRIES || '2', 10),
+    baseDelayMs: parseInt(env.PROVIDER_RETRY_BASE_MS || '500', 10),
+    maxDelayMs: parseInt(env.PROVIDER_RETRY_MAX_MS || '8000', 10),
+    timeoutMs: parseInt(env.PROVIDER_TIMEOUT_MS || '30000', 10),
+    maxConcurrent: parseInt(env.PROVIDER_MAX_CONCURRENT || '4', 10),
+    queueTimeoutMs: parseInt(env.PROVIDER_QUEUE_TIMEOUT_MS || '15000', 10),
+    failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    cooldownMs: parseInt(env.CIRCUIT_COOLDOWN_MS || '30000', 10)
+  };
+}
+
+// Retry-After vem em segundos ou como data HTTP; a OpenAI também manda retry-after-ms
+function retryAfterMs(headers) {
+  if (!headers) return null;
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = parseFloat(get('retry-after-ms'));
+  if (Number.isFinite(ms)) return ms;
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Converte erros do SDK da OpenAI (APIError tem status/headers) e de rede em ProviderCallError
+function classify(err, provider, { timedOut = false, attempts = 1 } = {}) {
+  if (err instanceof ProviderCallError) return err;
+  const options = { provider, attempts, cause: err };
+
+  if (timedOut) return new ProviderCallError('PROVIDER_TIMEOUT', `${provider} did not respond in time`, options);
+
+  const status = err?.status;
+  if (status === 429) {
+    return new ProviderCallError('PROVIDER_RATE_LIMITED', `${provider} rate limit reached`, {
+      ...options,
+      retryAfterMs: retryAfterMs(err.headers)
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new ProviderCallError('PROVIDER_AUTH_FAILED', `${provider} rejected the credentials`, options);
+  }
+  if (status >= 500) {
+    return new ProviderCallError('PROVIDER_UNAVAILABLE', `${provider} is unavailable (HTTP ${status})`, {
+      ...options,
+      retryAfterMs: retryAfterMs(err.headers)
+    });
+  }
+  if (status >= 400) {
+    return new ProviderCallError('PROVIDER_BAD_REQUEST', `${provider} rejected the request: ${err.message}`, options);
+  }
+  // APIConnectionError do SDK (inclui o timeout dele) ou erro de socket (ECONNREFUSED, ENOTFOUND...)
+  if (err instanceof APIConnectionError || /^E[A-Z]+$/.test(err?.code || '')) {
+    return new ProviderCallError('PROVIDER_UNREACHABLE', `Could not reach ${provider}`, options);
+  }
+  return new ProviderCallError('PROVIDER_ERROR', err?.message || `${provider} call failed`, options);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createProviderGuard(config) {
+  // --- Limite global de concorrência (fila FIFO) ---
+  let active = 0;
+  const queue = [];
+
+  function acquire(provider) {
+    if (active < config.maxConcurrent) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(new ProviderCallError('PROVIDER_BUSY', 'Too many provider calls in flight, try again shortly', { provider }));
+      }, config.queueTimeoutMs);
+      queue.push(waiter);
+    });
+  }
+
+  function release() {
+    const next = queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(); // a vaga passa direto para o próximo
+    } else {
+      active--;
+    }
+  }
+
+  // --- Circuit breaker por provider: closed -> open (após N falhas seguidas) -> half-open (1 tentativa) ---
+  const breakers = new Map();
+
+  function breakerFor(provider) {
+    if (!breakers.has(provider)) {
+      breakers.set(provider, { state: 'closed', failures: 0, openedAt: null, probing: false, lastError: null });
+    }
+    return breakers.get(provider);
+  }
+
+  function checkBreaker(provider) {
+    const breaker = breakerFor(provider);
+    if (breaker.state === 'open') {
+      const waitMs = breaker.openedAt + config.cooldownMs - Date.now();
+      if (waitMs > 0) {
+        throw new ProviderCallError('PROVIDER_CIRCUIT_OPEN', `${provider} is temporarily disabled after repeated failures`, {
+          provider,
+          retryAfterMs: waitMs
+        });
+      }
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.probing) {
+        throw new ProviderCallError('PROVIDER_CIRCUIT_OPEN', `${provider} is being re-checked, try again shortly`, { provider });
+      }
+      breaker.probing = true;
+    }
+  }
+
+  function recordSuccess(provider) {
+    const breaker = breakerFor(provider);
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.probing = false;
+  }
+
+  // Só falhas transitórias contam: credencial errada não se resolve abrindo o circuito
+  function recordFailure(provider, error) {
+    const breaker = breakerFor(provider);
+    breaker.probing = false;
+    breaker.lastError = { code: error.code, message: error.message, at: new Date().toISOString() };
+    if (!error.retryable) return;
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= config.failureThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  function backoff(attempt, error) {
+    if (error.retryAfterMs !== null) return error.retryAfterMs;
+    // Full jitter: aleatório entre 0 e o teto exponencial
+    return Math.random() * Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  }
+
+  // Mantém a vaga de concorrência até o fim do stream e aborta se ficar timeoutMs sem chunk
+  async function* guardStream(stream, { provider, controller, timeoutMs }) {
+    let timedOut = false;
+    let timer;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    try {
+      arm();
+      for await (const chunk of stream) {
+        arm();
+        yield chunk;
+      }
+    } catch (err) {
+      const error = classify(err, provider, { timedOut });
+      recordFailure(provider, error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      release();
+    }
+  }
+
+  return {
+    config,
+
+    // fn({ signal }) faz a chamada ao SDK. Com stream: true, o retorno é um async iterable protegido
+    // (retry só acontece antes do primeiro chunk; depois disso a resposta já está indo para o cliente).
+    async call(provider, fn, { timeoutMs = config.timeoutMs, retries = config.maxRetries, stream = false } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        checkBreaker(provider);
+        try {
+          await acquire(provider);
+        } catch (err) {
+          breakerFor(provider).probing = false;
+          throw err;
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs);
+
+        try {
+          const result = await fn({ signal: controller.signal });
+          clearTimeout(timer);
+          recordSuccess(provider);
+          if (stream) return guardStream(result, { provider, controller, timeoutMs });
+          release();
+          return result;
+        } catch (err) {
+          clearTimeout(timer);
+          release();
+          const error = classify(err, provider, { timedOut, attempts: attempt + 1 });
+          const delay = error.retryable ? backoff(attempt, error) : 0;
+          // Retry-After maior que o teto: melhor falhar já e deixar a UI avisar
+          if (!error.retryable || attempt >= retries || delay > config.maxDelayMs) {
+            recordFailure(provider, error);
+            throw error;
+          }
+          breakerFor(provider).probing = false;
+          await sleep(delay);
+        }
+      }
+    },
+
+    status() {
+      const now = Date.now();
+      return {
+        concurrency: { active, queued: queue.length, max: config.maxConcurrent },
+        providers: [...breakers.entries()].map(([provider, breaker]) => ({
+          provider,
+          state: breaker.state,
+          failures: breaker.failures,
+          retryInMs: breaker.state === 'open' ? Math.max(0, breaker.openedAt + config.cooldownMs - now) : 0,
+          lastError: breaker.lastError
+        }))
+      };
+    }
+  };
+}
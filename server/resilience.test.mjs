@@ -0,0 +1,176 @@
+// server/resilience.test.mjs - Retry, circuit breaker, fila e streams do providerGuard (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderGuard, resilienceConfigFromEnv } from './resilience.mjs';
+
+// Atrasos de 1ms: os testes não esperam backoff de verdade. O relógio do breaker é Date.now falso.
+function guardWith(overrides = {}) {
+  return createProviderGuard({ ...resilienceConfigFromEnv({}), baseDelayMs: 1, maxDelayMs: 50, timeoutMs: 1000, ...overrides });
+}
+
+function httpError(status, headers) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+// Provider falso: responde com a fila de resultados (Error = falha) e conta as chamadas
+function fakeProvider(...results) {
+  const provider = async () => {
+    provider.calls++;
+    const result = results.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  provider.calls = 0;
+  return provider;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+test('429 and 5xx are retried until the provider answers', async () => {
+  const guard = guardWith();
+  const provider = fakeProvider(httpError(429), httpError(503), 'ok');
+  assert.equal(await guard.call('openai', provider), 'ok');
+  assert.equal(provider.calls, 3);
+});
+
+test('retries stop at maxRetries with the last error', async () => {
+  const guard = guardWith({ maxRetries: 1 });
+  const provider = fakeProvider(httpError(500), httpError(502), 'never');
+  await assert.rejects(guard.call('openai', provider), { code: 'PROVIDER_UNAVAILABLE', attempts: 2, status: 502 });
+  assert.equal(provider.calls, 2);
+});
+
+test('other 4xx are not retried and do not count towards the circuit', async () => {
+  const guard = guardWith({ failureThreshold: 1 });
+  const badRequest = fakeProvider(httpError(400), 'never');
+  await assert.rejects(guard.call('openai', badRequest), { code: 'PROVIDER_BAD_REQUEST', retryable: false });
+  assert.equal(badRequest.calls, 1);
+
+  const auth = fakeProvider(httpError(401));
+  await assert.rejects(guard.call('openai', auth), { code: 'PROVIDER_AUTH_FAILED' });
+  assert.equal(guard.status().providers[0].state, 'closed');
+});
+
+test('a Retry-After longer than maxDelayMs fails at once with the wait', async () => {
+  const guard = guardWith();
+  const provider = fakeProvider(httpError(429, { 'retry-after': '60' }), 'never');
+  await assert.rejects(guard.call('openai', provider), { code: 'PROVIDER_RATE_LIMITED', retryAfterMs: 60000 });
+  assert.equal(provider.calls, 1);
+});
+
+test('the circuit opens after failureThreshold failures and rejects without calling the provider', async (t) => {
+  let clock = 1000;
+  t.mock.method(Date, 'now', () => clock);
+  const guard = guardWith({ maxRetries: 0, failureThreshold: 2, cooldownMs: 30000 });
+
+  const provider = fakeProvider(httpError(503), httpError(503), 'never');
+  await assert.rejects(guard.call('ollama', provider), { code: 'PROVIDER_UNAVAILABLE' });
+  await assert.rejects(guard.call('ollama', provider), { code: 'PROVIDER_UNAVAILABLE' });
+  await assert.rejects(guard.call('ollama', provider), { code: 'PROVIDER_CIRCUIT_OPEN', status: 503, retryAfterMs: 30000 });
+  assert.equal(provider.calls, 2);
+
+  clock += 10000;
+  const [breaker] = guard.status().providers;
+  assert.deepEqual([breaker.state, breaker.retryInMs], ['open', 20000]);
+
+  // Um provider aberto não bloqueia os outros
+  assert.equal(await guard.call('openai', fakeProvider('ok')), 'ok');
+});
+
+test('after the cooldown a single probe goes through and its success closes the circuit', async (t) => {
+  let clock = 1000;
+  t.mock.method(Date, 'now', () => clock);
+  const guard = guardWith({ maxRetries: 0, failureThreshold: 1, cooldownMs: 30000 });
+  await assert.rejects(guard.call('ollama', fakeProvider(httpError(503))), { code: 'PROVIDER_UNAVAILABLE' });
+
+  clock += 30000;
+  const answer = deferred();
+  const probe = guard.call('ollama', () => answer.promise);
+  const other = fakeProvider('never');
+  await assert.rejects(guard.call('ollama', other), { code: 'PROVIDER_CIRCUIT_OPEN' });
+  assert.equal(other.calls, 0);
+  assert.equal(guard.status().providers[0].state, 'half-open');
+
+  answer.resolve('ok');
+  assert.equal(await probe, 'ok');
+  assert.equal(guard.status().providers[0].state, 'closed');
+  assert.equal(await guard.call('ollama', fakeProvider('again')), 'again');
+});
+
+test('a failed probe reopens the circuit for another cooldown', async (t) => {
+  let clock = 1000;
+  t.mock.method(Date, 'now', () => clock);
+  const guard = guardWith({ maxRetries: 0, failureThreshold: 3, cooldownMs: 30000 });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(guard.call('ollama', fakeProvider(httpError(503))));
+  }
+
+  clock += 30000;
+  await assert.rejects(guard.call('ollama', fakeProvider(httpError(503))), { code: 'PROVIDER_UNAVAILABLE' });
+  const [breaker] = guard.status().providers;
+  assert.deepEqual([breaker.state, breaker.retryInMs], ['open', 30000]);
+});
+
+test('calls over maxConcurrent wait in FIFO order and time out in the queue', async () => {
+  const guard = guardWith({ maxConcurrent: 1, queueTimeoutMs: 30 });
+  const first = deferred();
+  const order = [];
+
+  const running = guard.call('openai', () => first.promise);
+  const queued = [1, 2, 3].map(n => guard.call('openai', async () => {
+    order.push(n);
+    return n;
+  }));
+  assert.deepEqual(guard.status().concurrency, { active: 1, queued: 3, max: 1 });
+
+  first.resolve('first');
+  assert.equal(await running, 'first');
+  assert.deepEqual(await Promise.all(queued), [1, 2, 3]);
+  assert.deepEqual(order, [1, 2, 3]);
+  assert.deepEqual(guard.status().concurrency, { active: 0, queued: 0, max: 1 });
+
+  const stuck = deferred();
+  const holding = guard.call('openai', () => stuck.promise);
+  await assert.rejects(guard.call('openai', fakeProvider('never')), { code: 'PROVIDER_BUSY', status: 503 });
+  stuck.resolve('done');
+  await holding;
+});
+
+test('guardStream holds the slot until the stream ends', async () => {
+  const guard = guardWith({ maxConcurrent: 1 });
+  const stream = await guard.call('openai', async () => (async function* () {
+    yield 'a';
+    yield 'b';
+  })(), { stream: true });
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    assert.equal(guard.status().concurrency.active, 1);
+  }
+  assert.deepEqual(chunks, ['a', 'b']);
+  assert.equal(guard.status().concurrency.active, 0);
+});
+
+test('guardStream aborts a stream that stops sending chunks', async () => {
+  const guard = guardWith({ maxConcurrent: 1, failureThreshold: 1 });
+  const stream = await guard.call('openai', async ({ signal }) => (async function* () {
+    yield 'a';
+    // Fica parado até o abort do guard, como o SDK quando o provider trava no meio da resposta
+    await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  })(), { stream: true, timeoutMs: 20 });
+
+  const chunks = [];
+  await assert.rejects(async () => {
+    for await (const chunk of stream) chunks.push(chunk);
+  }, { code: 'PROVIDER_TIMEOUT', status: 504 });
+  assert.deepEqual(chunks, ['a']);
+  assert.equal(guard.status().concurrency.active, 0);
+  assert.equal(guard.status().providers[0].state, 'open');
+});
@@ -0,0 +1,111 @@
+// server/search.mjs - Busca full-text (FTS5) no histórico de perguntas e respostas
+
+// Marcadores de controle usados pelo snippet(); viram <mark> depois do escape de HTML
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Pesos do bm25 por coluna: question, answer, job_name, company, key_skills, job_description
+const RANK = 'bm25(qa_search, 4.0, 2.0, 1.0, 1.0, 1.0, 0.5)';
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function highlight(snippet) {
+  if (!snippet) return '';
+  return escapeHtml(snippet)
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
+
+// Converte o texto digitado numa query FTS5 segura: "frases entre aspas" viram phrase queries,
+// palavras soltas viram prefixos ("skew" acha "skewed"). Operadores do FTS5 não são expostos.
+export function toMatchQuery(text) {
+  const terms = [];
+  for (const [, phrase, word] of (text || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = phrase ?? word;
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+    const quoted = `"${term.replace(/"/g, '""')}"`;
+    terms.push(phrase !== undefined ? quoted : `${quoted}*`);
+  }
+  return terms.join(' ');
+}
+
+export function createQASearch(db) {
+  // Filtros: ownerId (obrigatório: só o histórico do usuário), jobProfileId (null = sem perfil),
+  // from/to (YYYY-MM-DD, inclusivos), cached/tailored/starred (boolean)
+  function buildFilters({ ownerId = null, jobProfileId, from, to, cached, tailored, starred }) {
+    const where = ['qa.owner_id IS ?'];
+    const params = [ownerId];
+    if (jobProfileId !== undefined) {
+      where.push('s.job_profile_id IS ?');
+      params.push(jobProfileId);
+    }
+    if (from) {
+      where.push('date(qa.created_at) >= date(?)');
+      params.push(from);
+    }
+    if (to) {
+      where.push('date(qa.created_at) <= date(?)');
+      params.push(to);
+    }
+    for (const [column, value] of [['cached', cached], ['tailored', tailored], ['starred', starred]]) {
+      if (value === undefined) continue;
+      where.push(`COALESCE(qa.${column}, 0) = ?`);
+      params.push(value ? 1 : 0);
+    }
+    return { where, params };
+  }
+
+  return {
+    // Retorna { total, results }; sem query, lista pelos filtros ordenando por data
+    search({ query, sort, limit = 20, offset = 0, ...filters } = {}) {
+      const match = toMatchQuery(query);
+      const { where, params } = buildFilters(filters);
+      if (match) {
+        where.unshift('qa_search MATCH ?');
+        params.unshift(match);
+      }
+
+      const from = match
+        ? 'qa_search JOIN question_answers qa ON qa.id = qa_search.rowid'
+        : 'question_answers qa';
+      const joins = `
+        LEFT JOIN interview_sessions s ON s.id = qa.session_id
+        LEFT JOIN job_profiles j ON j.id = s.job_profile_id
+      `;
+      const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const orderBy = match && sort !== 'date' ? `${RANK}, qa.created_at DESC` : 'qa.created_at DESC, qa.id DESC';
+
+      const snippets = match
+        ? `snippet(qa_search, 0, '${MARK_START}', '${MARK_END}', '…', 24) as question_snippet,
+           snippet(qa_search, 1, '${MARK_START}', '${MARK_END}', '…', 32) as answer_snippet`
+        : 'NULL as question_snippet, NULL as answer_snippet';
+
+      const total = db.prepare(`SELECT COUNT(*) as count FROM ${from} ${joins} ${whereSql}`).get(...params).count;
+      const rows = db.prepare(`
+        SELECT qa.id, qa.session_id, qa.question, qa.answer, qa.created_at, qa.cached, qa.tailored,
+          COALESCE(qa.starred, 0) as starred, qa.model, qa.cost,
+          s.job_profile_id, j.name as job_name, j.company,
+          ${snippets}
+        FROM ${from} ${joins}
+        ${whereSql}
+        ORDER BY ${orderBy}
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      // Sem match o "snippet" é só o começo do texto (já escapado, como os destacados)
+      const results = rows.map(({ question_snippet, answer_snippet, ...row }) => ({
+        ...row,
+        questionSnippet: question_snippet !== null ? highlight(question_snippet) : escapeHtml(row.question || ''),
+        answerSnippet: answer_snippet !== null ? highlight(answer_snippet) : escapeHtml((row.answer || '').slice(0, 240))
+      }));
+
+      return { total, results };
+    }
+  };
+}
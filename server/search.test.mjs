@@ -0,0 +1,47 @@
+// server/search.test.mjs - Query FTS5 segura, filtros por dono/perfil e trechos destacados (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { createQASearch, toMatchQuery } from './search.mjs';
+
+function setup() {
+  const db = new Database(':memory:');
+  migrate(db);
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')").run();
+  db.prepare("INSERT INTO job_profiles (id, name, company, owner_id) VALUES (1, 'Data Engineer', 'Acme', 1)").run();
+  db.prepare("INSERT INTO interview_sessions (id, job_profile_id, owner_id) VALUES ('s1', 1, 1), ('s2', NULL, 1)").run();
+  const insert = db.prepare(`
+    INSERT INTO question_answers (session_id, question, answer, owner_id, cached, starred, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  insert.run('s1', 'How do you handle skewed joins in Spark?', 'Salt the <key> and repartition.', 1, 0, 1, '2025-01-10 10:00:00');
+  insert.run('s2', 'What is a Kafka consumer group?', 'Consumers share the partitions of a topic.', 1, 1, 0, '2025-01-12 10:00:00');
+  insert.run(null, 'How do you handle skew in Spark?', 'Bob answer.', 2, 0, 0, '2025-01-12 10:00:00');
+  return createQASearch(db);
+}
+
+test('toMatchQuery turns words into prefixes, keeps phrases and drops FTS5 syntax', () => {
+  assert.equal(toMatchQuery('skew spark'), '"skew"* "spark"*');
+  assert.equal(toMatchQuery('"consumer group" kafka'), '"consumer group" "kafka"*');
+  assert.equal(toMatchQuery('NEAR( * - "'), '"NEAR("*');
+  assert.equal(toMatchQuery(''), '');
+});
+
+test('search only sees the owner history and highlights escaped snippets', () => {
+  const search = setup();
+  const { total, results } = search.search({ ownerId: 1, query: 'skew' });
+  assert.equal(total, 1);
+  assert.equal(results[0].job_name, 'Data Engineer');
+  assert.equal(results[0].questionSnippet, 'How do you handle <mark>skewed</mark> joins in Spark?');
+  assert.equal(results[0].answerSnippet, 'Salt the &lt;key&gt; and repartition.');
+});
+
+test('filters by profile, date range and flags, newest first without a query', () => {
+  const search = setup();
+  assert.deepEqual(search.search({ ownerId: 1 }).results.map(r => r.session_id), ['s2', 's1']);
+  assert.deepEqual(search.search({ ownerId: 1, jobProfileId: null }).results.map(r => r.session_id), ['s2']);
+  assert.deepEqual(search.search({ ownerId: 1, to: '2025-01-11' }).results.map(r => r.session_id), ['s1']);
+  assert.deepEqual(search.search({ ownerId: 1, starred: true }).results.map(r => r.session_id), ['s1']);
+  assert.deepEqual(search.search({ ownerId: 1, cached: true, from: '2025-01-12' }).results.map(r => r.session_id), ['s2']);
+  assert.equal(search.search({ ownerId: 1, limit: 1 }).total, 2);
+});
@@ -0,0 +1,269 @@
+// server/semantic-cache.mjs - Cache semântico por embeddings, persistido no SQLite e separado por usuário e perfil de vaga
+import { createHash } from 'crypto';
+import { tokenize, stopWordsFor } from './languages.mjs';
+
+// Normaliza: lowercase, remove pontuação e as stop words do idioma da pergunta, mantendo a ordem das palavras
+// ("Kafka vs Spark" e "Spark vs Kafka" são perguntas diferentes). Usada no atalho de match exato, que evita a
+// chamada de embedding quando a pergunta se repete quase literalmente; o resto passa pelo limiar de similaridade.
+export function generateSemanticKey(text, language) {
+  const stopWords = stopWordsFor(language);
+  const normalized = tokenize(text)
+    .filter(word => !stopWords.has(word))
+    .join(' ');
+  return createHash('md5').update(normalized).digest('hex');
+}
+
+// Vetores são normalizados antes de salvar, então similaridade de cosseno = produto escalar
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0)) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+function toBlob(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function fromBlob(blob) {
+  // Copia para garantir alinhamento de 4 bytes
+  return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+function dot(a, b) {
+  if (a.length !== b.length) return -1;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Colunas expostas pela API de administração (o embedding fica de fora)
+const ENTRY_COLUMNS = `
+  id, job_profile_id, language, answer_mode, question, answer, embedding_model, model, provider, tailored,
+  tokens_input, tokens_output, cost, hits, pinned, created_at, last_hit_at,
+  hits * COALESCE(cost, 0) as saved_cost
+`;
+
+// ownerId = usuário dono das entradas: respostas de um usuário nunca aparecem para outro.
+// maxEntries vale por usuário.
+export function createSemanticCache({ db, embed, threshold = 0.9, ttlMs = 1000 * 60 * 60 * 24, maxEntries = 500 }) {
+  // Entradas fixadas (pinned) não expiram nem são removidas pelo limite de tamanho
+  // language = idioma da resposta: uma resposta em português nunca é reaproveitada numa sessão em inglês.
+  // answer_mode = formato da resposta (bullets não servem para quem pediu STAR); NULL = entrada de antes dos modos.
+  const selectCandidates = db.prepare(`
+    SELECT id, semantic_key, embedding FROM semantic_cache
+    WHERE owner_id IS ? AND job_profile_id IS ? AND language IS ? AND (answer_mode IS ? OR answer_mode IS NULL)
+      AND embedding_model = ? AND (pinned = 1 OR created_at > ?)
+  `);
+  const selectByKey = db.prepare(`
+    SELECT id FROM semantic_cache
+    WHERE owner_id IS ? AND job_profile_id IS ? AND language IS ? AND (answer_mode IS ? OR answer_mode IS NULL)
+      AND semantic_key = ? AND (pinned = 1 OR created_at > ?)
+    ORDER BY pinned DESC, created_at DESC LIMIT 1
+  `);
+  const selectEntry = db.prepare('SELECT * FROM semantic_cache WHERE id = ?');
+  const recordHit = db.prepare('UPDATE semantic_cache SET hits = hits + 1, last_hit_at = ? WHERE id = ?');
+  const insertEntry = db.prepare(`
+    INSERT INTO semantic_cache (
+      owner_id, job_profile_id, language, answer_mode, question, semantic_key, answer, embedding, embedding_model,
+      model, provider, tailored, tokens_input, tokens_output, cost, hits, pinned, created_at, last_hit_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const pruneExpired = db.prepare('DELETE FROM semantic_cache WHERE pinned = 0 AND created_at <= ?');
+  const pruneOverflow = db.prepare(`
+    DELETE FROM semantic_cache WHERE id IN (
+      SELECT id FROM semantic_cache WHERE owner_id IS ? AND pinned = 0 ORDER BY last_hit_at DESC LIMIT -1 OFFSET ?
+    )
+  `);
+
+  let embedWarned = false;
+
+  // Embedding falho não pode derrubar a resposta: o cache só fica desligado para essa pergunta
+  async function safeEmbed(text) {
+    try {
+      const { vector, model } = await embed(text);
+      return { vector: normalizeVector(vector), model };
+    } catch (err) {
+      if (!embedWarned) {
+        console.warn('Semantic cache disabled for this request, embedding failed:', err.message);
+        embedWarned = true;
+      }
+      return null;
+    }
+  }
+
+  function hit(id, similarity) {
+    recordHit.run(Date.now(), id);
+    return { entry: selectEntry.get(id), similarity };
+  }
+
+  return {
+    threshold,
+
+    // Retorna { entry, similarity, embedding } — entry é null em caso de miss.
+    // O embedding calculado volta junto para ser reaproveitado no store().
+    // questionLanguage escolhe as stop words da chave; answerLanguage é o escopo das entradas.
+    async lookup({ question, ownerId = null, jobProfileId = null, questionLanguage, answerLanguage = null, answerMode = null }) {
+      const since = Date.now() - ttlMs;
+      const semanticKey = generateSemanticKey(question, questionLanguage);
+
+      const exact = selectByKey.get(ownerId, jobProfileId, answerLanguage, answerMode, semanticKey, since);
+      if (exact) return { ...hit(exact.id, 1), semanticKey, embedding: null };
+
+      const embedding = await safeEmbed(question);
+      if (!embedding) return { entry: null, similarity: null, semanticKey, embedding: null };
+
+      let best = null;
+      let bestSimilarity = -1;
+      for (const row of selectCandidates.iterate(ownerId, jobProfileId, answerLanguage, answerMode, embedding.model, since)) {
+        const similarity = dot(embedding.vector, fromBlob(row.embedding));
+        if (similarity > bestSimilarity) {
+          best = row;
+          bestSimilarity = similarity;
+        }
+      }
+
+      if (best && bestSimilarity >= threshold) {
+        return { ...hit(best.id, bestSimilarity), semanticKey, embedding };
+      }
+      return { entry: null, similarity: best ? bestSimilarity : null, semanticKey, embedding };
+    },
+
+    async store({
+      question, semanticKey, embedding, ownerId = null, jobProfileId = null, questionLanguage, answerLanguage = null,
+      answerMode = null, answer, model, provider, tailored, tokens, cost
+    }) {
+      const vector = embedding || await safeEmbed(question);
+      if (!vector) return null;
+
+      const now = Date.now();
+      const result = insertEntry.run(
+        ownerId, jobProfileId, answerLanguage, answerMode, question, semanticKey || generateSemanticKey(question, questionLanguage), answer,
+        toBlob(vector.vector), vector.model, model, provider, tailored ? 1 : 0,
+        tokens.input, tokens.output, cost, 0, 0, now, now
+      );
+
+      pruneExpired.run(now - ttlMs);
+      pruneOverflow.run(ownerId, maxEntries);
+      return result.lastInsertRowid;
+    },
+
+    // --- Administração ---
+
+    list({ ownerId = null, jobProfileId, search, limit = 50, offset = 0 } = {}) {
+      const where = ['owner_id IS ?'];
+      const params = [ownerId];
+      if (jobProfileId !== undefined) {
+        where.push('job_profile_id IS ?');
+        params.push(jobProfileId);
+      }
+      if (search) {
+        where.push('(question LIKE ? OR answer LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`);
+      }
+      const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+      const total = db.prepare(`SELECT COUNT(*) as count FROM semantic_cache ${whereSql}`).get(...params).count;
+      const entries = db.prepare(`
+        SELECT ${ENTRY_COLUMNS} FROM semantic_cache ${whereSql}
+        ORDER BY pinned DESC, last_hit_at DESC LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+      return { total, entries };
+    },
+
+    get: (id, ownerId = null) => db.prepare(`SELECT ${ENTRY_COLUMNS} FROM semantic_cache WHERE id = ? AND owner_id IS ?`).get(id, ownerId),
+
+    stats(ownerId = null) {
+      const byProfile = db.prepare(`
+        SELECT c.job_profile_id, j.name as job_name,
+          COUNT(*) as entries,
+          SUM(c.pinned) as pinned,
+          COALESCE(SUM(c.hits), 0) as hits,
+          COALESCE(SUM(c.hits * COALESCE(c.cost, 0)), 0) as saved_cost
+        FROM semantic_cache c
+        LEFT JOIN job_profiles j ON j.id = c.job_profile_id
+        WHERE c.owner_id IS ?
+        GROUP BY c.job_profile_id
+        ORDER BY hits DESC
+      `).all(ownerId);
+
+      return {
+        entries: byProfile.reduce((acc, row) => acc + row.entries, 0),
+        hits: byProfile.reduce((acc, row) => acc + row.hits, 0),
+        savedCost: byProfile.reduce((acc, row) => acc + row.saved_cost, 0),
+        threshold,
+        ttlHours: ttlMs / (60 * 60 * 1000),
+        maxEntries,
+        byProfile
+      };
+    },
+
+    remove: (id, ownerId = null) => db.prepare('DELETE FROM semantic_cache WHERE id = ? AND owner_id IS ?').run(id, ownerId).changes > 0,
+
+    setPinned: (id, pinned, ownerId = null) => db.prepare('UPDATE semantic_cache SET pinned = ? WHERE id = ? AND owner_id IS ?')
+      .run(pinned ? 1 : 0, id, ownerId).changes > 0,
+
+    // jobProfileId undefined = todos os perfis do usuário. Fixadas só saem com includePinned.
+    flush({ ownerId = null, jobProfileId, includePinned = false } = {}) {
+      const where = ['owner_id IS ?'];
+      const params = [ownerId];
+      if (jobProfileId !== undefined) {
+        where.push('job_profile_id IS ?');
+        params.push(jobProfileId);
+      }
+      if (!includePinned) where.push('pinned = 0');
+      const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      return db.prepare(`DELETE FROM semantic_cache ${whereSql}`).run(...params).changes;
+    },
+
+    // Embedding vai em base64 (Float32) para que o import não precise chamar o provider de novo
+    exportEntries({ ownerId = null, jobProfileId } = {}) {
+      const rows = jobProfileId === undefined
+        ? db.prepare('SELECT * FROM semantic_cache WHERE owner_id IS ? ORDER BY id').all(ownerId)
+        : db.prepare('SELECT * FROM semantic_cache WHERE owner_id IS ? AND job_profile_id IS ? ORDER BY id').all(ownerId, jobProfileId);
+
+      return {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: rows.map(({ id, owner_id, embedding, ...row }) => ({ ...row, embedding: embedding.toString('base64') }))
+      };
+    },
+
+    // Entradas sem embedding são reindexadas com o modelo atual; duplicadas são ignoradas.
+    // A chave é sempre recalculada: exportações antigas trazem a chave de palavras ordenadas.
+    // ownsProfile(id) diz se o perfil é do usuário; entradas de perfis alheios entram sem perfil.
+    async importEntries(data, { ownerId = null, ownsProfile = () => true } = {}) {
+      if (!data || !Array.isArray(data.entries)) throw new Error('Invalid cache export: "entries" must be an array');
+
+      const selectDuplicate = db.prepare(
+        'SELECT id FROM semantic_cache WHERE owner_id IS ? AND job_profile_id IS ? AND language IS ? AND semantic_key = ? AND answer = ?'
+      );
+
+      let imported = 0;
+      let skipped = 0;
+      for (const entry of data.entries) {
+        const semanticKey = entry.question && generateSemanticKey(entry.question, entry.language);
+        const jobProfileId = entry.job_profile_id && ownsProfile(entry.job_profile_id) ? entry.job_profile_id : null;
+        if (!entry.question || !entry.answer || selectDuplicate.get(ownerId, jobProfileId, entry.language ?? null, semanticKey, entry.answer)) {
+          skipped++;
+          continue;
+        }
+
+        const vector = entry.embedding && entry.embedding_model
+          ? { vector: normalizeVector(fromBlob(Buffer.from(entry.embedding, 'base64'))), model: entry.embedding_model }
+          : await safeEmbed(entry.question);
+        if (!vector) {
+          skipped++;
+          continue;
+        }
+
+        const now = Date.now();
+        insertEntry.run(
+          ownerId, jobProfileId, entry.language ?? null, entry.answer_mode ?? null, entry.question, semanticKey, entry.answer, toBlob(vector.vector), vector.model, entry.model ?? null, entry.provider ?? null,
+          entry.tailored ? 1 : 0, entry.tokens_input ?? 0, entry.tokens_output ?? 0, entry.cost ?? 0,
+          entry.hits ?? 0, entry.pinned ? 1 : 0, entry.created_at ?? now, entry.last_hit_at ?? now
+        );
+        imported++;
+      }
+      return { imported, skipped };
+    }
+  };
+}
@@ -0,0 +1,108 @@
+// server/semantic-cache.test.mjs - Chave do match exato, limiar de similaridade e administração do cache (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { createSemanticCache, generateSemanticKey } from './semantic-cache.mjs';
+
+test('semantic key ignores case, punctuation and stop words but keeps word order', () => {
+  assert.equal(generateSemanticKey('What is a Kafka partition?', 'en'), generateSemanticKey('what is kafka partition', 'en'));
+  assert.notEqual(generateSemanticKey('Kafka vs Spark', 'en'), generateSemanticKey('Spark vs Kafka', 'en'));
+});
+
+// Embedding falso: cada pergunta vira um vetor fixo, para controlar a similaridade entre elas
+function cacheWith(vectors, threshold = 0.9) {
+  const db = new Database(':memory:');
+  migrate(db);
+  const cache = createSemanticCache({ db, threshold, embed: async text => ({ vector: vectors[text], model: 'fake' }) });
+  return cache;
+}
+
+async function storeAnswer(cache, question) {
+  const lookup = await cache.lookup({ question, questionLanguage: 'en' });
+  await cache.store({
+    question, semanticKey: lookup.semanticKey, embedding: lookup.embedding, questionLanguage: 'en',
+    answer: `answer to ${question}`, model: 'm', provider: 'p', tailored: false, tokens: { input: 1, output: 1 }, cost: 0.01
+  });
+}
+
+test('reordered question is not an exact hit and must pass the similarity threshold', async () => {
+  const cache = cacheWith({ 'Kafka vs Spark': [1, 0], 'Spark vs Kafka': [0.6, 0.8] });
+  await storeAnswer(cache, 'Kafka vs Spark');
+
+  const miss = await cache.lookup({ question: 'Spark vs Kafka', questionLanguage: 'en' });
+  assert.equal(miss.entry, null);
+  assert.ok(Math.abs(miss.similarity - 0.6) < 1e-6);
+});
+
+test('repeated question is an exact hit without an embedding call', async () => {
+  let embedCalls = 0;
+  const db = new Database(':memory:');
+  migrate(db);
+  const cache = createSemanticCache({ db, embed: async () => { embedCalls++; return { vector: [1, 0], model: 'fake' }; } });
+  await storeAnswer(cache, 'What is a Kafka partition?');
+  embedCalls = 0;
+
+  const hit = await cache.lookup({ question: 'what is a kafka partition', questionLanguage: 'en' });
+  assert.equal(hit.similarity, 1);
+  assert.equal(hit.entry.answer, 'answer to What is a Kafka partition?');
+  assert.equal(embedCalls, 0);
+});
+
+// --- Administração (por usuário) ---
+
+async function adminCache() {
+  const db = new Database(':memory:');
+  migrate(db);
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')").run();
+  let embedCalls = 0;
+  const cache = createSemanticCache({ db, embed: async () => { embedCalls++; return { vector: [1, 0], model: 'fake' }; } });
+  const store = (question, cost) => cache.store({
+    question, ownerId: 1, questionLanguage: 'en', answer: `answer to ${question}`, model: 'm', provider: 'p',
+    tailored: false, tokens: { input: 1, output: 1 }, cost
+  });
+  const first = await store('What is a Kafka partition?', 0.01);
+  const second = await store('How does Spark shuffle data?', 0.02);
+  return { cache, first, second, embedCalls: () => embedCalls };
+}
+
+test('admin actions only touch the owner entries and flush keeps pinned ones', async () => {
+  const { cache, first, second } = await adminCache();
+  await cache.lookup({ question: 'what is a kafka partition', ownerId: 1, questionLanguage: 'en' });
+  await cache.lookup({ question: 'what is a kafka partition', ownerId: 1, questionLanguage: 'en' });
+
+  const stats = cache.stats(1);
+  assert.deepEqual([stats.entries, stats.hits], [2, 2]);
+  assert.ok(Math.abs(stats.savedCost - 0.02) < 1e-9);
+  assert.equal(cache.stats(2).entries, 0);
+
+  assert.equal(cache.setPinned(first, true, 2), false);
+  assert.equal(cache.remove(first, 2), false);
+  assert.equal(cache.setPinned(first, true, 1), true);
+  assert.deepEqual(cache.list({ ownerId: 1 }).entries.map(e => e.id), [first, second]);
+  assert.equal(cache.list({ ownerId: 1, search: 'shuffle' }).total, 1);
+
+  assert.equal(cache.flush({ ownerId: 1 }), 1);
+  assert.deepEqual(cache.list({ ownerId: 1 }).entries.map(e => e.id), [first]);
+  assert.equal(cache.flush({ ownerId: 1, includePinned: true }), 1);
+});
+
+test('an export imports for another user without new embedding calls and skips duplicates', async () => {
+  const { cache, embedCalls } = await adminCache();
+  const exported = JSON.parse(JSON.stringify(cache.exportEntries({ ownerId: 1 })));
+  const before = embedCalls();
+
+  assert.deepEqual(await cache.importEntries(exported, { ownerId: 2 }), { imported: 2, skipped: 0 });
+  assert.deepEqual(await cache.importEntries(exported, { ownerId: 2 }), { imported: 0, skipped: 2 });
+  assert.equal(embedCalls(), before);
+  assert.equal(cache.list({ ownerId: 2 }).total, 2);
+
+  // Sem embedding no arquivo, a pergunta é reindexada com o modelo atual
+  const [entry] = exported.entries;
+  const { embedding, ...withoutEmbedding } = entry;
+  assert.ok(embedding);
+  assert.deepEqual(await cache.importEntries({ entries: [{ ...withoutEmbedding, answer: 'other answer' }] }, { ownerId: 2 }), { imported: 1, skipped: 0 });
+  assert.equal(embedCalls(), before + 1);
+
+  await assert.rejects(cache.importEntries({}, { ownerId: 2 }), /"entries" must be an array/);
+});
@@ -0,0 +1,416 @@
+// server/session-export.mjs - Exportação de sessões (Markdown, JSON, HTML, CSV, transcrição) e importação do JSON
+import archiver from 'archiver';
+import { parseFollowUps } from './follow-ups.mjs';
+
+export const EXPORT_VERSION = 1;
+
+// Datas do SQLite (CURRENT_TIMESTAMP) vêm em UTC sem fuso; ended_at é gravado em ISO
+function toDate(value) {
+  if (!value) return null;
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600).toString().padStart(2, '0');
+  const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+  const s = (total % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function money(value) {
+  return `$${(value || 0).toFixed(4)}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Markdown mínimo das respostas do modelo: blocos de código, listas, negrito e código inline
+function markdownToHtml(markdown) {
+  const inline = (text) => escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+
+  const html = [];
+  let list = null;
+  let code = null;
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+
+  for (const line of (markdown || '').split('\n')) {
+    if (code !== null) {
+      if (line.trim().startsWith('```')) {
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (line.trim().startsWith('```')) {
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*]\s+(.*)/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)/);
+    const heading = line.match(/^(#{1,6})\s+(.*)/);
+    if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      if (list !== tag) {
+        closeList();
+        html.push(`<${tag}>`);
+        list = tag;
+      }
+      html.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+    } else if (heading) {
+      closeList();
+      html.push(`<h4>${inline(heading[2])}</h4>`);
+    } else if (line.trim()) {
+      closeList();
+      html.push(`<p>${inline(line)}</p>`);
+    } else {
+      closeList();
+    }
+  }
+  closeList();
+  if (code !== null) html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  return html.join('\n');
+}
+
+// RFC 4180: aspas em volta quando há vírgula, aspas ou quebra de linha
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function sessionTotals(qas) {
+  return {
+    questions: qas.length,
+    cost: qas.reduce((acc, qa) => acc + (qa.cost || 0), 0),
+    cached: qas.filter(qa => qa.cached).length
+  };
+}
+
+// Carrega tudo o que os formatos precisam; null se a sessão não existir ou for de outro usuário
+export function loadSessionExport(db, sessionId, ownerId = null) {
+  const session = db.prepare('SELECT * FROM interview_sessions WHERE id = ? AND owner_id IS ?').get(sessionId, ownerId);
+  if (!session) return null;
+
+  const job = session.job_profile_id
+    ? db.prepare('SELECT * FROM job_profiles WHERE id = ?').get(session.job_profile_id) || null
+    : null;
+  const qas = db.prepare('SELECT * FROM question_answers WHERE session_id = ? ORDER BY created_at, id').all(sessionId);
+  // Segmentos finais com o speaker (parciais do streaming não têm texto)
+  const transcript = db.prepare('SELECT * FROM transcriptions WHERE session_id = ? AND text IS NOT NULL ORDER BY created_at, id').all(sessionId);
+  const reportRow = db.prepare('SELECT * FROM session_reports WHERE session_id = ?').get(sessionId);
+  const report = reportRow ? { ...JSON.parse(reportRow.report), cost: reportRow.cost } : null;
+  return { session, job, qas, transcript, report };
+}
+
+// Estimativa de custo de nuvem (JSON em cloud_cost_estimate) como tabela; texto antigo do setup-db fica de fora
+function cloudCostMarkdown(value) {
+  let estimate;
+  try {
+    estimate = JSON.parse(value);
+  } catch {
+    return '';
+  }
+  if (!Array.isArray(estimate?.items)) return '';
+  const providers = Object.entries(estimate.providers);
+  const usd = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+  const rows = estimate.items.map(item =>
+    `| ${item.label} | ${item.quantity} ${item.unit} | ${providers.map(([id]) => usd(item.costs[id])).join(' | ')} |`
+  );
+  return [
+    '**Cloud cost estimate (monthly):**',
+    '',
+    `| Service | Sizing | ${providers.map(([, name]) => name).join(' | ')} |`,
+    `|---|---|${providers.map(() => '---').join('|')}|`,
+    ...rows,
+    `| **Total** | | ${providers.map(([id]) => `**${usd(estimate.totals[id])}**`).join(' | ')} |`,
+    '',
+    ...estimate.assumptions.map(a => `- ${a}`),
+    ''
+  ].join('\n') + '\n';
+}
+
+// Treino (entrevista simulada): a resposta do candidato, a nota e o comentário vêm antes da resposta ideal
+const isPractice = (qa) => Number.isInteger(qa.mock_position);
+
+function practiceMarkdown(qa) {
+  let md = qa.skill ? `*Skill: ${qa.skill}*\n\n` : '';
+  if (qa.candidate_answer === null || qa.candidate_answer === undefined) return `${md}*Not answered*\n\n`;
+  md += `**Your answer:**\n${qa.candidate_answer}\n\n`;
+  md += `**Score:** ${qa.score}/10\n\n**Feedback:**\n${qa.feedback}\n\n`;
+  return md;
+}
+
+// Relatório de revisão (session-report.mjs) no fim do resumo
+function reportMarkdown(report) {
+  if (!report) return '';
+  const minutes = (seconds) => `${Math.round(seconds / 60)} min`;
+  let md = '## Review\n\n';
+  if (report.summary) md += `${report.summary}\n\n`;
+  const { covered, missing } = report.coverage;
+  if (covered.length > 0) md += `**Skills covered:** ${covered.map(c => `${c.skill} (${c.mentions})`).join(', ')}\n\n`;
+  if (missing.length > 0) md += `**Skills never covered:** ${missing.join(', ')}\n\n`;
+  if (report.weakTopics.length > 0) {
+    md += `**Weakest topics:**\n${report.weakTopics.map(t => `- **${t.topic}:** ${t.reason}`).join('\n')}\n\n`;
+  }
+  if (report.timeByTopic.length > 0) {
+    md += `**Time by topic:**\n${report.timeByTopic.map(t => `- ${t.topic}: ${minutes(t.seconds)} (${t.questions} question${t.questions === 1 ? '' : 's'})`).join('\n')}\n\n`;
+  }
+  if (report.studyItems.length > 0) {
+    md += `**Study next:**\n${report.studyItems.map(s => `- **${s.topic}:** ${s.item}`).join('\n')}\n\n`;
+  }
+  return md;
+}
+
+function renderMarkdown({ session, job, qas, report }) {
+  const totals = sessionTotals(qas);
+  let md = `# ${session.kind === 'mock' ? 'Mock Interview' : 'Interview'} Summary - Session ${session.id}\n\n`;
+  if (job) md += `**Position:** ${job.name}${job.company ? ` at ${job.company}` : ''}\n`;
+  md += `**Date:** ${toDate(session.started_at).toLocaleString()}\n`;
+  md += `**Total Cost:** ${money(session.total_cost ?? totals.cost)}\n\n---\n\n`;
+
+  qas.forEach((qa, i) => {
+    md += `### Q${i + 1}: ${qa.question}\n\n`;
+    if (isPractice(qa)) md += practiceMarkdown(qa);
+    md += `**${isPractice(qa) ? 'Ideal answer' : 'Answer'}:**\n${qa.answer}\n\n`;
+    md += cloudCostMarkdown(qa.cloud_cost_estimate);
+    const followUps = parseFollowUps(qa.follow_up_question);
+    if (followUps.length > 0) md += `**Likely follow-ups:**\n${followUps.map(q => `- ${q}`).join('\n')}\n\n`;
+    md += `*Cost: ${money(qa.cost)} | Cached: ${Boolean(qa.cached)} | Tailored: ${Boolean(qa.tailored)}*\n\n---\n\n`;
+  });
+  return md + reportMarkdown(report);
+}
+
+// Formato canônico: todas as colunas, aceito de volta por importSessionExport
+function renderJson({ session, job, qas, transcript, report }) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+    job,
+    qas,
+    transcript,
+    report
+  }, null, 2);
+}
+
+function renderHtml({ session, job, qas }) {
+  const totals = sessionTotals(qas);
+  const title = `Interview ${job ? `- ${job.name}` : ''} (${toDate(session.started_at).toLocaleDateString()})`;
+  const cards = qas.map((qa, i) => `
+    <section class="qa">
+      <h3><span class="num">Q${i + 1}</span> ${escapeHtml(qa.question)}</h3>
+      <div class="meta">
+        ${qa.cached ? '<span class="badge cache">CACHE</span>' : ''}
+        ${qa.tailored ? '<span class="badge tailored">TAILORED</span>' : ''}
+        ${qa.model ? `<span class="badge">${escapeHtml(qa.model)}</span>` : ''}
+        <span>${money(qa.cost)}</span>
+        ${qa.processing_time_ms ? `<span>${qa.processing_time_ms}ms</span>` : ''}
+        ${qa.skill ? `<span class="badge">${escapeHtml(qa.skill)}</span>` : ''}
+        ${Number.isInteger(qa.score) ? `<span class="badge score">${qa.score}/10</span>` : ''}
+      </div>
+      ${isPractice(qa) ? `
+      <div class="practice">
+        <p><strong>Your answer:</strong> ${qa.candidate_answer ? escapeHtml(qa.candidate_answer) : '<em>not answered</em>'}</p>
+        ${qa.feedback ? `<p><strong>Feedback:</strong> ${escapeHtml(qa.feedback)}</p>` : ''}
+      </div>
+      <h4>Ideal answer</h4>` : ''}
+      <div class="answer">${markdownToHtml(qa.answer)}</div>
+      ${parseFollowUps(qa.follow_up_question).map(q => `<div class="follow-up">→ ${escapeHtml(q)}</div>`).join('')}
+    </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.55; }
+  header { border-bottom: 2px solid #e5e7eb; margin-bottom: 1.5rem; }
+  header p { color: #6b7280; margin: 0.25rem 0 1rem; }
+  .qa { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem 1.25rem; margin-bottom: 1rem; }
+  .qa h3 { margin: 0 0 0.5rem; font-size: 1.05rem; }
+  .num { color: #7c3aed; margin-right: 0.25rem; }
+  .meta { display: flex; gap: 0.5rem; flex-wrap: wrap; font-size: 0.8rem; color: #6b7280; margin-bottom: 0.75rem; }
+  .badge { background: #f3f4f6; border-radius: 4px; padding: 0 0.4rem; }
+  .badge.cache { background: #dbeafe; color: #1d4ed8; }
+  .badge.tailored { background: #dcfce7; color: #15803d; }
+  .badge.score { background: #ede9fe; color: #6d28d9; }
+  .practice { background: #f9fafb; border-left: 3px solid #7c3aed; padding: 0.25rem 0.75rem; margin-bottom: 0.75rem; }
+  .follow-up { font-size: 0.85rem; color: #92400e; margin-top: 0.25rem; }
+  pre { background: #111827; color: #f9fafb; padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+  code { font-family: ui-monospace, Menlo, monospace; font-size: 0.875em; }
+  p code, li code { background: #f3f4f6; padding: 0 0.25rem; border-radius: 3px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(job ? `${job.name}${job.company ? ` at ${job.company}` : ''}` : `Session ${session.id}`)}</h1>
+  <p>${escapeHtml(toDate(session.started_at).toLocaleString())} • ${totals.questions} questions • ${totals.cached} cached • ${money(session.total_cost ?? totals.cost)}</p>
+</header>
+${cards}
+</body>
+</html>
+`;
+}
+
+const CSV_COLUMNS = [
+  'number', 'id', 'created_at', 'question', 'answer_chars', 'model', 'provider', 'cached', 'tailored', 'starred',
+  'processing_time_ms', 'tokens_input', 'tokens_output', 'usage_source', 'cost', 'cache_similarity', 'skill', 'score'
+];
+
+function renderCsv({ qas }) {
+  const rows = qas.map((qa, i) => ({
+    ...qa,
+    number: i + 1,
+    answer_chars: (qa.answer || '').length,
+    cached: qa.cached ? 1 : 0,
+    tailored: qa.tailored ? 1 : 0,
+    starred: qa.starred ? 1 : 0
+  }));
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(col => csvCell(row[col])).join(','))].join('\r\n') + '\r\n';
+}
+
+const SPEAKER_LABELS = { interviewer: 'INTERVIEWER', candidate: 'CANDIDATE' };
+
+// "INTERVIEWER (statement)": a classificação explica por que uma fala não teve resposta
+function speakerLabel({ speaker, classification }) {
+  const label = SPEAKER_LABELS[speaker] || speaker;
+  return classification ? `${label} (${classification})` : label;
+}
+
+// Tempo relativo ao início da sessão, como numa gravação. Com a transcrição por speaker, as falas dos dois
+// lados entram intercaladas com as respostas sugeridas; sessões antigas só têm as perguntas.
+function renderTranscript({ session, job, qas, transcript = [] }) {
+  const start = toDate(session.started_at);
+  const lines = [
+    `Interview transcript - session ${session.id}`,
+    job ? `Position: ${job.name}${job.company ? ` at ${job.company}` : ''}` : null,
+    `Started: ${start.toISOString()}`,
+    ''
+  ].filter(line => line !== null);
+
+  if (transcript.length === 0) {
+    for (const qa of qas) {
+      const at = formatElapsed(toDate(qa.created_at) - start);
+      lines.push(`[${at}] INTERVIEWER: ${qa.question}`);
+      lines.push(`[${at}] ANSWER: ${qa.answer}`);
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  const events = [
+    ...transcript.map(segment => ({ at: toDate(segment.created_at), line: `${speakerLabel(segment)}: ${segment.text}` })),
+    ...qas.map(qa => ({ at: toDate(qa.created_at), line: `ANSWER: ${qa.answer}` }))
+  ];
+  // sort é estável: no mesmo segundo, a fala vem antes da resposta
+  events.sort((a, b) => a.at - b.at);
+  for (const event of events) lines.push(`[${formatElapsed(event.at - start)}] ${event.line}`);
+  return lines.join('\n') + '\n';
+}
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: renderJson },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: renderCsv },
+  transcript: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderTranscript }
+};
+
+export function renderSessionExport(data, format) {
+  const spec = EXPORT_FORMATS[format];
+  return {
+    body: spec.render(data),
+    contentType: spec.contentType,
+    filename: `interview-${data.session.id}.${spec.extension}`
+  };
+}
+
+// Escreve o zip direto na resposta HTTP (stream); sessões inexistentes ou de outro usuário são ignoradas
+export async function streamSessionsZip(db, sessionIds, format, output, ownerId = null) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  let count = 0;
+  for (const id of sessionIds) {
+    const data = loadSessionExport(db, id, ownerId);
+    if (!data) continue;
+    const { body, filename } = renderSessionExport(data, format);
+    archive.append(body, { name: filename });
+    count++;
+  }
+  await archive.finalize();
+  await done;
+  return count;
+}
+
+// better-sqlite3 não aceita boolean; JSON editado à mão pode trazer true/false
+const toSqlValue = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+// Importa um export JSON para ownerId. O id da sessão é mantido quando livre; o perfil só é religado
+// se ainda existir e for do mesmo usuário.
+export function importSessionExport(db, data, ownerId = null) {
+  if (!data || data.version !== EXPORT_VERSION || !data.session?.id || !Array.isArray(data.qas)) {
+    throw new Error(`Invalid session export: expected version ${EXPORT_VERSION} with "session" and "qas"`);
+  }
+
+  const sessionColumns = db.prepare('PRAGMA table_info(interview_sessions)').all().map(col => col.name);
+  const qaColumns = db.prepare('PRAGMA table_info(question_answers)').all().map(col => col.name).filter(name => name !== 'id');
+  const transcriptColumns = db.prepare('PRAGMA table_info(transcriptions)').all().map(col => col.name).filter(name => name !== 'id');
+
+  return db.transaction(() => {
+    const exists = db.prepare('SELECT 1 FROM interview_sessions WHERE id = ?').get(data.session.id);
+    const sessionId = exists ? `${data.session.id}-${Date.now().toString(36)}` : data.session.id;
+    const jobId = data.session.job_profile_id;
+    const jobExists = jobId && db.prepare('SELECT 1 FROM job_profiles WHERE id = ? AND owner_id IS ?').get(jobId, ownerId);
+
+    const session = { ...data.session, id: sessionId, job_profile_id: jobExists ? jobId : null, owner_id: ownerId };
+    const columns = sessionColumns.filter(col => col in session);
+    db.prepare(`INSERT INTO interview_sessions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(...columns.map(col => toSqlValue(session[col])));
+
+    for (const qa of data.qas) {
+      const row = { ...qa, session_id: sessionId, owner_id: ownerId };
+      const cols = qaColumns.filter(col => col in row);
+      db.prepare(`INSERT INTO question_answers (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+        .run(...cols.map(col => toSqlValue(row[col])));
+    }
+
+    // Exports de antes da transcrição por speaker não têm "transcript"
+    for (const segment of data.transcript || []) {
+      const row = { ...segment, session_id: sessionId, owner_id: ownerId };
+      const cols = transcriptColumns.filter(col => col in row);
+      db.prepare(`INSERT INTO transcriptions (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+        .run(...cols.map(col => toSqlValue(row[col])));
+    }
+
+    // Exports de antes do relatório pós-sessão não têm "report"
+    if (data.report) {
+      const { cost = 0, ...report } = data.report;
+      db.prepare('INSERT INTO session_reports (session_id, report, model, cost) VALUES (?, ?, ?, ?)')
+        .run(sessionId, JSON.stringify({ ...report, sessionId }), report.model || null, cost);
+    }
+
+    return { sessionId, questions: data.qas.length };
+  })();
+}
@@ -0,0 +1,73 @@
+// server/session-export.test.mjs - Formatos de exportação e ida e volta do JSON (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { importSessionExport, loadSessionExport, renderSessionExport } from './session-export.mjs';
+
+// Sessão s1 do usuário 1 com duas perguntas e uma fala do candidato entre elas
+function setup() {
+  const db = new Database(':memory:');
+  migrate(db);
+  db.prepare("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x'), (2, 'bob', 'x')").run();
+  db.prepare("INSERT INTO interview_sessions (id, owner_id, started_at) VALUES ('s1', 1, '2025-01-01 10:00:00')").run();
+  const insert = db.prepare(`
+    INSERT INTO question_answers (session_id, question, answer, cost, cached, follow_up_question, owner_id, created_at)
+    VALUES ('s1', ?, ?, ?, ?, ?, 1, ?)
+  `);
+  insert.run('What is <b>CDC</b>, "really"?', '**Change** data capture:\n- reads the `WAL`', 0.002, 0, '["Which tools?"]', '2025-01-01 10:00:05');
+  insert.run('Kafka or Kinesis?', 'Depends, on scale.', 0, 1, null, '2025-01-01 10:01:10');
+  db.prepare(`
+    INSERT INTO transcriptions (session_id, speaker, text, classification, owner_id, created_at)
+    VALUES ('s1', 'interviewer', 'What is CDC, really?', 'question', 1, '2025-01-01 10:00:04'),
+           ('s1', 'candidate', 'We used Debezium.', NULL, 1, '2025-01-01 10:00:40')
+  `).run();
+  return db;
+}
+
+test('exports are only loaded for the session owner', () => {
+  const db = setup();
+  assert.equal(loadSessionExport(db, 's1', 2), null);
+  assert.equal(loadSessionExport(db, 's1', 1).qas.length, 2);
+});
+
+test('csv quotes cells with commas, quotes and line breaks', () => {
+  const { body, contentType, filename } = renderSessionExport(loadSessionExport(setup(), 's1', 1), 'csv');
+  const [header, first, second] = body.split('\r\n');
+  assert.equal(filename, 'interview-s1.csv');
+  assert.match(contentType, /^text\/csv/);
+  assert.ok(header.startsWith('number,id,created_at,question,answer_chars'));
+  assert.ok(first.includes(',"What is <b>CDC</b>, ""really""?",'));
+  assert.ok(second.includes(',Kafka or Kinesis?,18,'));
+});
+
+test('html escapes the question and renders the answer markdown', () => {
+  const { body } = renderSessionExport(loadSessionExport(setup(), 's1', 1), 'html');
+  assert.ok(body.includes('What is &lt;b&gt;CDC&lt;/b&gt;, &quot;really&quot;?'));
+  assert.ok(body.includes('<p><strong>Change</strong> data capture:</p>\n<ul>\n<li>reads the <code>WAL</code></li>\n</ul>'));
+  assert.ok(body.includes('<div class="follow-up">→ Which tools?</div>'));
+});
+
+test('the transcript interleaves both speakers with the answers by time', () => {
+  const { body } = renderSessionExport(loadSessionExport(setup(), 's1', 1), 'transcript');
+  assert.deepEqual(body.split('\n').filter(line => line.startsWith('[')).map(line => line.match(/^\[([\d:]+)\] ([A-Z]+(?: \(\w+\))?)/).slice(1).join(' ')), [
+    '00:00:04 INTERVIEWER (question)',
+    '00:00:05 ANSWER',
+    '00:00:40 CANDIDATE',
+    '00:01:10 ANSWER'
+  ]);
+});
+
+test('a JSON export imports back for another user under a free session id', () => {
+  const db = setup();
+  const exported = JSON.parse(renderSessionExport(loadSessionExport(db, 's1', 1), 'json').body);
+
+  const { sessionId, questions } = importSessionExport(db, exported, 2);
+  assert.notEqual(sessionId, 's1');
+  assert.equal(questions, 2);
+  const imported = loadSessionExport(db, sessionId, 2);
+  assert.deepEqual(imported.qas.map(qa => [qa.question, qa.owner_id]), [['What is <b>CDC</b>, "really"?', 2], ['Kafka or Kinesis?', 2]]);
+  assert.equal(imported.transcript.length, 2);
+
+  assert.throws(() => importSessionExport(db, { version: 99, session: { id: 'x' }, qas: [] }, 2), /Invalid session export/);
+});
@@ -0,0 +1,263 @@
+// server/session-report.mjs - Relatório de revisão gerado quando a sessão termina
+//
+// A parte determinística sai daqui: quais key_skills do perfil apareceram na conversa (perguntas, transcrição
+// e respostas do candidato, com os aliases de skills.json) e quanto tempo cada tema ocupou. O modelo, numa
+// chamada só, escreve o resumo, os temas com as respostas mais fracas e o que estudar. Sem modelo (limite
+// atingido ou erro do provider) o relatório fica só com a parte local.
+import { LANGUAGES } from './languages.mjs';
+import { completeChat, parseJsonReply } from './models.mjs';
+import { skillPatternFor } from './job-import.mjs';
+
+export function reportConfigFromEnv(env = process.env) {
+  return {
+    enabled: env.SESSION_REPORTS !== 'false',
+    model: env.SESSION_REPORT_MODEL || null, // null = modelo da sessão/perfil
+    timeoutMs: parseInt(env.SESSION_REPORT_TIMEOUT_MS || '60000', 10)
+  };
+}
+
+// Uma pergunta sem a seguinte (a última, ou o candidato sumiu) conta no máximo isso
+const MAX_QUESTION_SECONDS = 15 * 60;
+const OTHER_TOPIC = 'Other';
+
+const REPORT_PROMPT = `You review a job interview for the candidate, right after it ended. Using the conversation below, write:
+- summary: what the interview covered and how it went, in 3 to 5 sentences;
+- weakTopics: up to 5 topics where the candidate's answers were weakest (wrong, vague or missing key points), each with a one-sentence reason. When the candidate's own words are not in the transcript, pick the topics that looked hardest (deep follow-ups, long suggested answers);
+- studyItems: up to 8 concrete things to study before the next interview, prioritising the weak topics and the key skills that never came up.
+Address the candidate directly. {{language}}
+Reply with JSON only: {"summary": "...", "weakTopics": [{"topic": "...", "reason": "..."}], "studyItems": [{"topic": "...", "item": "..."}]}`;
+
+function languageLine(language) {
+  return LANGUAGES[language] ? `Write in ${LANGUAGES[language].name}.` : 'Write in English.';
+}
+
+// CURRENT_TIMESTAMP do SQLite ("YYYY-MM-DD HH:MM:SS", UTC) ou ISO (ended_at)
+function toTime(value) {
+  if (!value) return null;
+  const time = Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+// "Python, SQL,  Spark" -> ['Python', 'SQL', 'Spark'] (sem repetidas)
+export function parseKeySkills(value) {
+  const seen = new Set();
+  return (value || '').split(/[,;\n]/).map(skill => skill.trim()).filter(skill => {
+    const key = skill.toLowerCase();
+    if (!skill || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Texto em que uma pergunta "fala" de uma skill: a pergunta, a skill do plano (treino) e a resposta do candidato
+const questionText = (qa) => [qa.question, qa.skill, qa.candidate_answer].filter(Boolean).join('\n');
+
+/**
+ * Cobertura das key_skills e tempo por tema, sem modelo.
+ * -> { coverage: { covered: [{ skill, mentions }], missing: [skill] }, timeByTopic: [{ topic, seconds, questions }],
+ *      scoresBySkill: [{ skill, average, questions }] | null }
+ */
+export function analyzeSession({ session, job, qas, transcript }, dictionary) {
+  const skills = parseKeySkills(job?.key_skills).map(name => ({ name, pattern: skillPatternFor(name, dictionary) }));
+  // Os padrões são globais (flag g): match() em vez de test(), que guardaria lastIndex entre chamadas
+  const countIn = (pattern, text) => (text.match(pattern) || []).length;
+  const topicsOf = (qa) => {
+    const text = questionText(qa);
+    const matched = skills.filter(skill => countIn(skill.pattern, text) > 0).map(skill => skill.name);
+    return matched.length > 0 ? matched : [qa.skill || OTHER_TOPIC];
+  };
+
+  const spoken = transcript.map(segment => segment.text).join('\n');
+  const asked = qas.map(questionText).join('\n');
+  const coverage = { covered: [], missing: [] };
+  for (const skill of skills) {
+    const mentions = countIn(skill.pattern, asked) + countIn(skill.pattern, spoken);
+    if (mentions > 0) coverage.covered.push({ skill: skill.name, mentions });
+    else coverage.missing.push(skill.name);
+  }
+  coverage.covered.sort((a, b) => b.mentions - a.mentions);
+
+  // Ao vivo, a pergunta ocupa do momento em que foi feita até a próxima; no treino, da resposta anterior até a
+  // resposta dela (perguntas puladas não contam)
+  const practice = session.kind === 'mock';
+  const timed = practice
+    ? qas.filter(qa => qa.answered_at).sort((a, b) => toTime(a.answered_at) - toTime(b.answered_at))
+    : qas;
+  const lastActivity = Math.max(...[...qas.map(qa => toTime(qa.answered_at || qa.created_at)), ...transcript.map(s => toTime(s.created_at))]
+    .filter(Number.isFinite));
+  const sessionEnd = toTime(session.ended_at) ?? lastActivity;
+
+  const time = new Map();
+  timed.forEach((qa, i) => {
+    const start = practice ? (i === 0 ? toTime(session.started_at) : toTime(timed[i - 1].answered_at)) : toTime(qa.created_at);
+    const end = practice ? toTime(qa.answered_at) : (i + 1 < timed.length ? toTime(timed[i + 1].created_at) : sessionEnd);
+    const seconds = Number.isFinite(start) && Number.isFinite(end) ? Math.min(Math.max(end - start, 0) / 1000, MAX_QUESTION_SECONDS) : 0;
+    const topics = topicsOf(qa);
+    for (const topic of topics) {
+      const entry = time.get(topic) || { topic, seconds: 0, questions: 0 };
+      entry.seconds += seconds / topics.length;
+      entry.questions += 1;
+      time.set(topic, entry);
+    }
+  });
+  const timeByTopic = [...time.values()]
+    .map(entry => ({ ...entry, seconds: Math.round(entry.seconds) }))
+    .sort((a, b) => b.seconds - a.seconds || b.questions - a.questions);
+
+  let scoresBySkill = null;
+  const scored = qas.filter(qa => Number.isInteger(qa.score));
+  if (practice && scored.length > 0) {
+    const bySkill = new Map();
+    for (const qa of scored) {
+      for (const topic of topicsOf(qa)) {
+        const entry = bySkill.get(topic) || { skill: topic, total: 0, questions: 0 };
+        entry.total += qa.score;
+        entry.questions += 1;
+        bySkill.set(topic, entry);
+      }
+    }
+    scoresBySkill = [...bySkill.values()]
+      .map(({ skill, total, questions }) => ({ skill, average: Math.round((total / questions) * 10) / 10, questions }))
+      .sort((a, b) => a.average - b.average);
+  }
+
+  return { coverage, timeByTopic, scoresBySkill };
+}
+
+// Conversa para o modelo: transcrição com speaker (cortada no fim) e as perguntas com o que foi respondido
+function conversationText({ session, job, qas, transcript }, { coverage }) {
+  const lines = [
+    job ? `Role: ${job.name}${job.company ? ` at ${job.company}` : ''}${job.seniority ? ` (${job.seniority})` : ''}` : null,
+    job?.key_skills && `Key skills: ${job.key_skills}`,
+    coverage.missing.length > 0 && `Key skills that never came up: ${coverage.missing.join(', ')}`,
+    session.kind === 'mock' && 'This was a practice interview with an AI interviewer; answers were graded from 0 to 10.'
+  ].filter(Boolean);
+
+  if (transcript.length > 0) {
+    const spoken = transcript.map(s => `${s.speaker === 'candidate' ? 'CANDIDATE' : 'INTERVIEWER'}: ${s.text}`).join('\n');
+    lines.push('', 'Transcript:', spoken.length > 12000 ? `${spoken.slice(0, 12000)}\n[...]` : spoken);
+  }
+
+  lines.push('', 'Questions:');
+  qas.forEach((qa, i) => {
+    lines.push(`Q${i + 1}: ${qa.question}`);
+    if (session.kind === 'mock') {
+      lines.push(qa.candidate_answer
+        ? `Candidate's answer (score ${qa.score}/10): ${qa.candidate_answer.slice(0, 800)}\nFeedback: ${qa.feedback}`
+        : 'Not answered');
+    } else {
+      lines.push(`Suggested answer shown to the candidate: ${(qa.answer || '').slice(0, 400)}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+const cleanList = (value, keys, limit) => (Array.isArray(value) ? value : [])
+  .filter(item => keys.every(key => typeof item?.[key] === 'string' && item[key].trim()))
+  .slice(0, limit)
+  .map(item => Object.fromEntries(keys.map(key => [key, item[key].trim()])));
+
+/**
+ * generate(sessionId, { llm }) -> { report, cost } (gravado em session_reports; cost acumula entre regerações)
+ * isPending(sessionId) -> true enquanto a geração em segundo plano não terminou
+ * llm = false: só a parte local (limite de gasto atingido)
+ */
+export function createSessionReporter({ config, db, chatModels, providerGuard, skillsDictionary }) {
+  const selectSession = db.prepare(`
+    SELECT s.*, COALESCE(s.model, j.model) as resolved_model FROM interview_sessions s
+    LEFT JOIN job_profiles j ON j.id = s.job_profile_id WHERE s.id = ?
+  `);
+  const selectJob = db.prepare('SELECT * FROM job_profiles WHERE id = ?');
+  const selectQAs = db.prepare('SELECT * FROM question_answers WHERE session_id = ? ORDER BY created_at, id');
+  const selectTranscript = db.prepare(`
+    SELECT speaker, text, created_at FROM transcriptions WHERE session_id = ? AND text IS NOT NULL ORDER BY created_at, id
+  `);
+  const upsertReport = db.prepare(`
+    INSERT INTO session_reports (session_id, report, model, cost) VALUES (?, ?, ?, ?)
+    ON CONFLICT(session_id) DO UPDATE SET
+      report = excluded.report, model = excluded.model, cost = session_reports.cost + excluded.cost, created_at = CURRENT_TIMESTAMP
+  `);
+  const pending = new Map();
+
+  async function review(data, analysis) {
+    const { language, answer_language: answerLanguage } = data.session;
+    const messages = [
+      { role: 'system', content: REPORT_PROMPT.replace('{{language}}', languageLine(answerLanguage === 'same' ? language : answerLanguage)) },
+      { role: 'user', content: conversationText(data, analysis) }
+    ];
+
+    const { reply, model: id, cost } = await completeChat(
+      { chatModels, providerGuard },
+      { modelId: config.model || data.session.resolved_model, messages, maxTokens: 1200, temperature: 0.3 },
+      { timeoutMs: config.timeoutMs }
+    );
+
+    const parsed = parseJsonReply(reply, /\{[\s\S]*\}/);
+    if (typeof parsed?.summary !== 'string') {
+      return { model: id, cost, error: `Could not read a review from ${id}` };
+    }
+    return {
+      model: id,
+      cost,
+      summary: parsed.summary.trim(),
+      weakTopics: cleanList(parsed.weakTopics, ['topic', 'reason'], 5),
+      studyItems: cleanList(parsed.studyItems, ['topic', 'item'], 8)
+    };
+  }
+
+  async function generate(sessionId, { llm = true } = {}) {
+    const session = selectSession.get(sessionId);
+    if (!session) throw new Error(`Session not found: ${sessionId}`);
+    const data = {
+      session,
+      job: session.job_profile_id ? selectJob.get(session.job_profile_id) || null : null,
+      qas: selectQAs.all(sessionId),
+      transcript: selectTranscript.all(sessionId)
+    };
+    const analysis = analyzeSession(data, skillsDictionary);
+
+    let written = { model: null, cost: 0, note: 'Spending limit reached: only the local analysis was generated' };
+    if (llm) {
+      try {
+        written = await review(data, analysis);
+      } catch (err) {
+        written = { model: null, cost: 0, error: err.message };
+      }
+    }
+
+    // Sem resumo do modelo, os temas mais fracos do treino saem das notas
+    const { model, cost, summary = null, weakTopics, studyItems = [], error = null, note = null } = written;
+    const report = {
+      sessionId,
+      kind: session.kind,
+      generatedAt: new Date().toISOString(),
+      model,
+      summary,
+      coverage: analysis.coverage,
+      timeByTopic: analysis.timeByTopic,
+      scoresBySkill: analysis.scoresBySkill,
+      weakTopics: weakTopics || (analysis.scoresBySkill || [])
+        .filter(entry => entry.average < 7)
+        .slice(0, 5)
+        .map(entry => ({ topic: entry.skill, reason: `Average score ${entry.average}/10` })),
+      studyItems,
+      error,
+      note
+    };
+    upsertReport.run(sessionId, JSON.stringify(report), model, cost);
+    return { report, cost };
+  }
+
+  return {
+    config,
+    isPending: (sessionId) => pending.has(sessionId),
+
+    // Uma geração por sessão: quem pede durante a geração recebe a mesma promise
+    generate(sessionId, options) {
+      if (pending.has(sessionId)) return pending.get(sessionId);
+      const promise = generate(sessionId, options).finally(() => pending.delete(sessionId));
+      pending.set(sessionId, promise);
+      return promise;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// server/session-report.test.mjs - Parte local do relatório: skills cobertas, tempo por tema e notas (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSession, parseKeySkills } from './session-report.mjs';
+
+const dictionary = { skills: [{ name: 'Kubernetes', aliases: ['k8s'] }] };
+const job = { key_skills: 'Kafka, Kubernetes, kafka, Airflow' };
+
+test('parseKeySkills splits the profile list and drops repeats', () => {
+  assert.deepEqual(parseKeySkills('Python, SQL;  Spark\npython,'), ['Python', 'SQL', 'Spark']);
+  assert.deepEqual(parseKeySkills(null), []);
+});
+
+test('live sessions: coverage uses aliases and each question lasts until the next one', () => {
+  const { coverage, timeByTopic, scoresBySkill } = analyzeSession({
+    session: { kind: 'live', started_at: '2025-01-01 09:59:00', ended_at: '2025-01-01T10:05:00.000Z' },
+    job,
+    qas: [
+      { question: 'How do you partition a Kafka topic?', created_at: '2025-01-01 10:00:00' },
+      { question: 'How do you deploy on k8s?', created_at: '2025-01-01 10:02:00' }
+    ],
+    transcript: [{ speaker: 'candidate', text: 'We used kafka with three brokers', created_at: '2025-01-01 10:00:30' }]
+  }, dictionary);
+
+  assert.deepEqual(coverage, { covered: [{ skill: 'Kafka', mentions: 2 }, { skill: 'Kubernetes', mentions: 1 }], missing: ['Airflow'] });
+  assert.deepEqual(timeByTopic, [
+    { topic: 'Kubernetes', seconds: 180, questions: 1 },
+    { topic: 'Kafka', seconds: 120, questions: 1 }
+  ]);
+  assert.equal(scoresBySkill, null);
+});
+
+test('a question with no skill goes to Other and the last one is capped at 15 minutes', () => {
+  const { timeByTopic } = analyzeSession({
+    session: { kind: 'live', ended_at: '2025-01-01T12:00:00.000Z' },
+    job,
+    qas: [{ question: 'Tell me about yourself', created_at: '2025-01-01 10:00:00' }],
+    transcript: []
+  }, dictionary);
+  assert.deepEqual(timeByTopic, [{ topic: 'Other', seconds: 900, questions: 1 }]);
+});
+
+test('practice sessions time each answer and average the scores per skill, weakest first', () => {
+  const { timeByTopic, scoresBySkill } = analyzeSession({
+    session: { kind: 'mock', started_at: '2025-01-01 10:00:00', ended_at: '2025-01-01T10:10:00.000Z' },
+    job,
+    qas: [
+      { question: 'Explain Kafka consumer groups', skill: 'Kafka', candidate_answer: 'They share partitions', score: 8, created_at: '2025-01-01 10:00:00', answered_at: '2025-01-01 10:01:00' },
+      { question: 'Why would a pod restart?', skill: 'Kubernetes', candidate_answer: 'Not sure', score: 3, created_at: '2025-01-01 10:00:00', answered_at: '2025-01-01 10:04:00' },
+      { question: 'How do Kafka offsets work?', skill: 'Kafka', candidate_answer: 'They track position', score: 6, created_at: '2025-01-01 10:00:00', answered_at: '2025-01-01 10:05:00' },
+      { question: 'Skipped question about Airflow', skill: 'Airflow', created_at: '2025-01-01 10:00:00' }
+    ],
+    transcript: []
+  }, dictionary);
+
+  assert.deepEqual(timeByTopic, [
+    { topic: 'Kubernetes', seconds: 180, questions: 1 },
+    { topic: 'Kafka', seconds: 120, questions: 2 }
+  ]);
+  assert.deepEqual(scoresBySkill, [
+    { skill: 'Kubernetes', average: 3, questions: 1 },
+    { skill: 'Kafka', average: 7, questions: 2 }
+  ]);
+});
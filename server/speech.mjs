@@ -0,0 +1,87 @@
+// server/speech.mjs - Vozes plugáveis do entrevistador simulado (text-to-speech)
+import { OpenAI } from 'openai';
+
+// Toda voz expõe a mesma interface:
+//   { name, model, local, client, costPerChar, synthesize({ text, language, signal }) -> { audio, mimeType } | null }
+// client = true: o servidor não gera áudio (null) e o navegador fala o texto com a Web Speech API.
+
+// Só o texto na tela
+function createTextVoice() {
+  return { name: 'text', model: null, local: true, client: false, costPerChar: 0, synthesize: async () => null };
+}
+
+// Substituto sem custo nem configuração: speechSynthesis do navegador
+function createBrowserVoice() {
+  return { name: 'browser', model: null, local: true, client: true, costPerChar: 0, synthesize: async () => null };
+}
+
+// OpenAI oficial ou qualquer servidor compatível com /v1/audio/speech (Kokoro, Piper, LocalAI...)
+function createOpenAIVoice({ name, apiKey, baseURL, model, voice, costPerChar, local }) {
+  // Retries/timeout ficam com o providerGuard (resilience.mjs), não com o SDK
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+    local,
+    client: false,
+    costPerChar,
+    async synthesize({ text, signal }) {
+      const response = await client.audio.speech.create({ model, voice, input: text, response_format: 'mp3' }, { signal });
+      return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg' };
+    }
+  };
+}
+
+// Monta o registro a partir do ambiente. 'openai' só existe com chave configurada, 'openai-compatible' só com
+// TTS_BASE_URL; 'text' e 'browser' estão sempre disponíveis.
+export function createSpeechRegistry(env = process.env) {
+  const voices = new Map([['text', createTextVoice()], ['browser', createBrowserVoice()]]);
+
+  if (env.OPENAI_API_KEY) {
+    voices.set('openai', createOpenAIVoice({
+      name: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      model: 'tts-1',
+      voice: env.TTS_VOICE || 'alloy',
+      costPerChar: 15 / 1_000_000,
+      local: false
+    }));
+  }
+
+  if (env.TTS_BASE_URL) {
+    voices.set('openai-compatible', createOpenAIVoice({
+      name: 'openai-compatible',
+      apiKey: env.TTS_API_KEY,
+      baseURL: env.TTS_BASE_URL,
+      model: env.TTS_MODEL || 'tts-1',
+      voice: env.TTS_VOICE || 'alloy',
+      costPerChar: parseFloat(env.TTS_COST_PER_CHAR || '0'),
+      local: true
+    }));
+  }
+
+  const defaultName = env.TTS_PROVIDER || 'browser';
+  if (!voices.has(defaultName)) {
+    throw new Error(`Speech provider "${defaultName}" is not configured`);
+  }
+
+  return {
+    defaultName,
+    // Resolve a voz pedida caindo para o padrão do ambiente
+    get(name) {
+      if (!name) return voices.get(defaultName);
+      const voice = voices.get(name);
+      if (!voice) throw new Error(`Unknown speech provider: ${name}`);
+      return voice;
+    },
+    has: (name) => voices.has(name),
+    list: () => [...voices.values()].map(({ name, model, local, client }) => ({
+      name,
+      model,
+      local,
+      client,
+      default: name === defaultName
+    }))
+  };
+}
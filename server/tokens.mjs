@@ -0,0 +1,18 @@
+// server/tokens.mjs - Contagem local de tokens (fallback quando o provider não reporta usage)
+import { getEncoding } from 'js-tiktoken';
+
+const encodings = new Map();
+
+function encodingFor(name = 'o200k_base') {
+  if (!encodings.has(name)) encodings.set(name, getEncoding(name));
+  return encodings.get(name);
+}
+
+export function countTextTokens(text, encodingName) {
+  return text ? encodingFor(encodingName).encode(text).length : 0;
+}
+
+// Mesma conta do formato de chat da OpenAI: ~3 tokens de overhead por mensagem + 3 do priming da resposta
+export function countMessageTokens(messages, encodingName) {
+  return messages.reduce((total, msg) => total + 3 + countTextTokens(msg.content, encodingName), 3);
+}
@@ -0,0 +1,21 @@
+// server/tokens.test.mjs - Contagem local de tokens usada quando o provider não reporta usage (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countMessageTokens, countTextTokens } from './tokens.mjs';
+
+test('countTextTokens counts with the requested encoding and is zero for empty text', () => {
+  assert.equal(countTextTokens('hello world'), 2);
+  assert.equal(countTextTokens('hello world', 'cl100k_base'), 2);
+  assert.equal(countTextTokens(''), 0);
+  assert.equal(countTextTokens(null), 0);
+  assert.throws(() => countTextTokens('hello', 'no_such_encoding'));
+});
+
+test('countMessageTokens adds 3 tokens per message plus 3 for the reply priming', () => {
+  const messages = [
+    { role: 'system', content: 'hello world' },
+    { role: 'user', content: 'hello world' }
+  ];
+  assert.equal(countMessageTokens(messages), 3 + (3 + 2) * 2);
+  assert.equal(countMessageTokens([]), 3);
+});
@@ -0,0 +1,107 @@
+// server/transcription.mjs - Backends de transcrição plugáveis
+import { OpenAI } from 'openai';
+import { createHash } from 'crypto';
+
+// Todo provider expõe a mesma interface:
+//   { name, model, local, costPerSecond, transcribe({ buffer, filename, mimeType, language, prompt, signal }) -> { text, language } }
+// language undefined = o provider detecta o idioma; o detectado volta em "language" quando disponível.
+
+function normalizeResult(result) {
+  // response_format 'text' devolve string; servidores compatíveis costumam devolver { text }
+  const text = typeof result === 'string' ? result : result?.text || '';
+  return { text: text.trim(), language: result?.language || null };
+}
+
+// OpenAI oficial ou qualquer servidor compatível (whisper.cpp, faster-whisper-server, LocalAI...)
+function createOpenAITranscriber({ name, apiKey, baseURL, model, costPerSecond, local }) {
+  // Retries/timeout ficam com o providerGuard (resilience.mjs), não com o SDK
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+    local,
+    costPerSecond,
+    async transcribe({ buffer, filename, mimeType, language, prompt, signal }) {
+      const file = new File([buffer], filename || 'audio.webm', { type: mimeType });
+      const result = await client.audio.transcriptions.create({
+        file,
+        model,
+        language,
+        prompt,
+        // Só o verbose_json informa o idioma detectado
+        response_format: language ? 'json' : 'verbose_json'
+      }, { signal });
+      return normalizeResult(result);
+    }
+  };
+}
+
+// Provider determinístico para testes e demos: nunca envia áudio para lugar nenhum
+function createFakeTranscriber({ text }) {
+  return {
+    name: 'fake',
+    model: 'fake',
+    local: true,
+    costPerSecond: 0,
+    async transcribe({ buffer, language }) {
+      if (text) return { text, language: language || null };
+      const digest = createHash('sha1').update(buffer).digest('hex').slice(0, 8);
+      return { text: `Fake transcript ${digest}`, language: language || null };
+    }
+  };
+}
+
+// Monta o registro de providers a partir do ambiente. 'openai' só existe com chave configurada,
+// 'openai-compatible' só com TRANSCRIPTION_BASE_URL, e 'fake' está sempre disponível.
+export function createTranscriptionRegistry(env = process.env) {
+  const providers = new Map();
+
+  if (env.OPENAI_API_KEY) {
+    providers.set('openai', createOpenAITranscriber({
+      name: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      model: 'whisper-1',
+      costPerSecond: 0.006 / 60,
+      local: false
+    }));
+  }
+
+  if (env.TRANSCRIPTION_BASE_URL) {
+    providers.set('openai-compatible', createOpenAITranscriber({
+      name: 'openai-compatible',
+      apiKey: env.TRANSCRIPTION_API_KEY,
+      baseURL: env.TRANSCRIPTION_BASE_URL,
+      model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+      costPerSecond: parseFloat(env.TRANSCRIPTION_COST_PER_SECOND || '0'),
+      local: true
+    }));
+  }
+
+  providers.set('fake', createFakeTranscriber({ text: env.FAKE_TRANSCRIPT }));
+
+  const defaultName = env.TRANSCRIPTION_PROVIDER
+    || (providers.has('openai') ? 'openai' : providers.has('openai-compatible') ? 'openai-compatible' : 'fake');
+
+  if (!providers.has(defaultName)) {
+    throw new Error(`Transcription provider "${defaultName}" is not configured`);
+  }
+
+  return {
+    defaultName,
+    // Resolve o provider pedido (sessão) caindo para o padrão do ambiente
+    get(name) {
+      if (!name) return providers.get(defaultName);
+      const provider = providers.get(name);
+      if (!provider) throw new Error(`Unknown transcription provider: ${name}`);
+      return provider;
+    },
+    has: (name) => providers.has(name),
+    list: () => [...providers.values()].map(({ name, model, local }) => ({
+      name,
+      model,
+      local,
+      default: name === defaultName
+    }))
+  };
+}
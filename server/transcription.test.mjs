@@ -0,0 +1,33 @@
+// server/transcription.test.mjs - Quais providers de transcrição existem e qual é o padrão (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranscriptionRegistry } from './transcription.mjs';
+
+test('without configuration only the fake provider exists and is the default', () => {
+  const registry = createTranscriptionRegistry({});
+  assert.deepEqual(registry.list(), [{ name: 'fake', model: 'fake', local: true, default: true }]);
+  assert.equal(registry.get().name, 'fake');
+  assert.throws(() => registry.get('openai'), /Unknown transcription provider: openai/);
+});
+
+test('the default prefers openai, then a compatible server, unless TRANSCRIPTION_PROVIDER says otherwise', () => {
+  const env = { OPENAI_API_KEY: 'sk-test', TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1' };
+  assert.equal(createTranscriptionRegistry(env).defaultName, 'openai');
+  assert.equal(createTranscriptionRegistry({ TRANSCRIPTION_BASE_URL: env.TRANSCRIPTION_BASE_URL }).defaultName, 'openai-compatible');
+  assert.equal(createTranscriptionRegistry({ ...env, TRANSCRIPTION_PROVIDER: 'fake' }).get().name, 'fake');
+  assert.throws(() => createTranscriptionRegistry({ TRANSCRIPTION_PROVIDER: 'openai' }), /"openai" is not configured/);
+
+  const compatible = createTranscriptionRegistry({ ...env, TRANSCRIPTION_COST_PER_SECOND: '0.0001' }).get('openai-compatible');
+  assert.deepEqual([compatible.local, compatible.costPerSecond, compatible.model], [true, 0.0001, 'whisper-1']);
+});
+
+test('the fake provider is deterministic and never needs the network', async () => {
+  const fake = createTranscriptionRegistry({}).get('fake');
+  const first = await fake.transcribe({ buffer: Buffer.from('audio'), language: 'en' });
+  assert.deepEqual(first, await fake.transcribe({ buffer: Buffer.from('audio'), language: 'en' }));
+  assert.match(first.text, /^Fake transcript [0-9a-f]{8}$/);
+  assert.equal(first.language, 'en');
+
+  const fixed = createTranscriptionRegistry({ FAKE_TRANSCRIPT: 'What is a Kafka partition?' }).get('fake');
+  assert.deepEqual(await fixed.transcribe({ buffer: Buffer.alloc(1) }), { text: 'What is a Kafka partition?', language: null });
+});
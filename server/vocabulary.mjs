@@ -0,0 +1,114 @@
+// server/vocabulary.mjs - Vocabulário da transcrição: dica (prompt do Whisper) e correções pós-transcrição
+
+// O Whisper só considera os ~224 últimos tokens do prompt; acima disso os termos seriam descartados
+const MAX_HINT_CHARS = 800;
+
+// Semeados pela migração como vocabulário global (job_profile_id NULL)
+export const DEFAULT_TERMS = [
+  'SQL', 'Spark', 'Kafka', 'Airflow', 'ETL', 'Python', 'PySpark', 'dbt', 'AWS', 'GCP', 'Azure', 'Snowflake', 'Databricks'
+];
+
+export const DEFAULT_CORRECTIONS = [
+  ['air flow', 'Airflow'],
+  ['data bricks', 'Databricks'],
+  ['snow flake', 'Snowflake'],
+  ['pie spark', 'PySpark'],
+  ['py spark', 'PySpark'],
+  ['big query', 'BigQuery'],
+  ['red shift', 'Redshift'],
+  ['cafka', 'Kafka'],
+  ['kafca', 'Kafka'],
+  ['d b t', 'dbt'],
+  ['kuber netes', 'Kubernetes'],
+  ['post gres', 'Postgres'],
+  ['mongo db', 'MongoDB'],
+  ['elastic search', 'Elasticsearch'],
+  ['terra form', 'Terraform'],
+  ['data dog', 'Datadog']
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "air flow" casa "air flow", "Air-Flow" e "air  flow"; nunca dentro de outra palavra
+function correctionPattern(heard) {
+  const words = heard.trim().split(/\s+/).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[\\s-]+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// key_skills é texto separado por vírgula
+const splitTerms = (value) => (value || '').split(',').map(term => term.trim()).filter(Boolean);
+
+export function createVocabulary(db) {
+  const selectTerms = db.prepare(`
+    SELECT term FROM vocabulary_terms
+    WHERE job_profile_id IS NULL OR job_profile_id = ?
+    ORDER BY job_profile_id IS NULL, id
+  `);
+  const selectCorrections = db.prepare(`
+    SELECT heard, replacement, job_profile_id FROM vocabulary_corrections
+    WHERE job_profile_id IS NULL OR job_profile_id = ?
+  `);
+
+  // Regras compiladas por perfil; invalidate() depois de qualquer alteração no banco
+  const compiled = new Map();
+
+  function rulesFor(jobProfileId) {
+    const key = jobProfileId ?? null;
+    if (!compiled.has(key)) {
+      // Mais longas primeiro ("apache air flow" antes de "air flow"); no empate, a do perfil vence a global
+      const rules = selectCorrections.all(key)
+        .sort((a, b) => b.heard.length - a.heard.length || (b.job_profile_id !== null) - (a.job_profile_id !== null))
+        .map(row => ({ heard: row.heard, replacement: row.replacement, pattern: correctionPattern(row.heard) }));
+      compiled.set(key, rules);
+    }
+    return compiled.get(key);
+  }
+
+  return {
+    invalidate() {
+      compiled.clear();
+    },
+
+    // Prompt do Whisper: skills do perfil > glossário do perfil > glossário global > nomes das correções
+    hintPrompt(job) {
+      const jobProfileId = job?.id ?? null;
+      const candidates = [
+        ...splitTerms(job?.key_skills),
+        ...selectTerms.all(jobProfileId).map(row => row.term),
+        ...rulesFor(jobProfileId).map(rule => rule.replacement)
+      ];
+
+      const seen = new Set();
+      const terms = [];
+      let length = 0;
+      for (const term of candidates) {
+        const normalized = term.toLowerCase();
+        if (seen.has(normalized)) continue;
+        if (length + term.length + 2 > MAX_HINT_CHARS) break;
+        seen.add(normalized);
+        terms.push(term);
+        length += term.length + 2;
+      }
+
+      const context = job?.name ? `Technical interview for ${job.name}.` : 'Technical interview.';
+      return terms.length > 0 ? `${context} Terms: ${terms.join(', ')}.` : context;
+    },
+
+    // Retorna { text, corrections: [{ heard, replacement, count }] }
+    correct(text, jobProfileId = null) {
+      let corrected = text;
+      const corrections = [];
+      for (const rule of rulesFor(jobProfileId)) {
+        let count = 0;
+        corrected = corrected.replace(rule.pattern, () => {
+          count++;
+          return rule.replacement;
+        });
+        if (count > 0) corrections.push({ heard: rule.heard, replacement: rule.replacement, count });
+      }
+      return { text: corrected, corrections };
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// server/vocabulary.test.mjs - Dica do Whisper e correções pós-transcrição por perfil (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.mjs';
+import { createVocabulary } from './vocabulary.mjs';
+
+// Banco migrado (glossário e correções padrão semeados) com um perfil próprio
+function setup() {
+  const db = new Database(':memory:');
+  migrate(db);
+  db.prepare("INSERT INTO job_profiles (id, name, key_skills) VALUES (1, 'Data Engineer', 'Flink, kafka, Iceberg')").run();
+  db.prepare("INSERT INTO vocabulary_terms (term, job_profile_id) VALUES ('Trino', 1)").run();
+  db.prepare("INSERT INTO vocabulary_corrections (heard, replacement, job_profile_id) VALUES ('ice berg', 'Iceberg', 1), ('cafka', 'Confluent Kafka', 1)").run();
+  return { db, vocabulary: createVocabulary(db) };
+}
+
+test('the hint lists profile skills first and each term once', () => {
+  const { vocabulary } = setup();
+  const hint = vocabulary.hintPrompt({ id: 1, name: 'Data Engineer', key_skills: 'Flink, kafka, Iceberg' });
+  assert.ok(hint.startsWith('Technical interview for Data Engineer. Terms: Flink, kafka, Iceberg, Trino, '));
+  assert.equal(hint.match(/kafka/gi).length, 2); // "kafka" do perfil e "Confluent Kafka" da correção
+  assert.equal(vocabulary.hintPrompt(null).startsWith('Technical interview. Terms: SQL, Spark'), true);
+});
+
+test('corrections match whole words across spaces and hyphens, and the profile wins ties', () => {
+  const { vocabulary } = setup();
+  const { text, corrections } = vocabulary.correct('We moved from Air-Flow to  air flow, then cafka and the ice berg tables. Cafkaesque stays.', 1);
+  assert.equal(text, 'We moved from Airflow to  Airflow, then Confluent Kafka and the Iceberg tables. Cafkaesque stays.');
+  assert.deepEqual(corrections.map(c => [c.replacement, c.count]).sort(), [['Airflow', 2], ['Confluent Kafka', 1], ['Iceberg', 1]]);
+
+  // Sem perfil, só as globais
+  assert.equal(vocabulary.correct('cafka and ice berg').text, 'Kafka and ice berg');
+});
+
+test('invalidate picks up corrections added to the database', () => {
+  const { db, vocabulary } = setup();
+  assert.equal(vocabulary.correct('click house').text, 'click house');
+  db.prepare("INSERT INTO vocabulary_corrections (heard, replacement) VALUES ('click house', 'ClickHouse')").run();
+  assert.equal(vocabulary.correct('click house').text, 'click house');
+  vocabulary.invalidate();
+  assert.equal(vocabulary.correct('click house').text, 'ClickHouse');
+});
@@ -4,7 +4,20 @@ import { useParallelQueue } from './useParallelQueue';
 import { useKeyboardShortcuts } from './useKeyboardShortcuts';
 import { JobProfileManager } from './components/JobProfileManager';
 import { QACard } from './components/QACard';
-import { api } from './api';
+import { CacheManager } from './components/CacheManager';
+import { SearchView } from './components/SearchView';
+import { SessionHistory } from './components/SessionHistory';
+import { PromptTemplateManager } from './components/PromptTemplateManager';
+import { VocabularyManager } from './components/VocabularyManager';
+import { ProviderStatus } from './components/ProviderStatus';
+import { LoginScreen } from './components/LoginScreen';
+import { AccountManager } from './components/AccountManager';
+import { ClassificationBadge } from './components/ClassificationBadge';
+import { AnswerModeSelect } from './components/AnswerModeSelect';
+import { MockInterview } from './components/MockInterview';
+import { api, describeError, hasAuthToken, setAuthToken, setUnauthorizedHandler } from './api';
+
+const SKIPPED_LIMIT = 5; // falas não respondidas mantidas na tela
 
 // --- Componentes Auxiliares (Mantidos) ---
 
@@ -89,12 +102,19 @@ function StealthMode({ status, elapsed, qaCount, cost, currentQ, onPause, onResu
 
 // --- Main App ---
 export default function App() {
+  // Conta: undefined = ainda verificando o token salvo; null = precisa entrar
+  const [user, setUser] = useState(undefined);
+  const [showAccount, setShowAccount] = useState(false);
+
   // Estados principais
   const [sessionId, setSessionId] = useState(null);
   const [sessionActive, setSessionActive] = useState(false);
   const [qaList, setQaList] = useState([]);
   const [starredIds, setStarredIds] = useState(new Set());
   const [currentTranscription, setCurrentTranscription] = useState('');
+  const [candidateSpeech, setCandidateSpeech] = useState(''); // última fala do candidato (captura com dois canais)
+  const [skippedSegments, setSkippedSegments] = useState([]); // falas que a detecção de perguntas não mandou responder
+  const [answerMode, setAnswerMode] = useState('auto'); // estilo das respostas; 'auto' = sugerido pelo servidor
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [currentAnswer, setCurrentAnswer] = useState(null); // Novo estado para streaming
@@ -105,6 +125,13 @@ export default function App() {
   const [error, setError] = useState(null);
   const [stealthMode, setStealthMode] = useState(false);
   const [showJobManager, setShowJobManager] = useState(false);
+  const [showCacheManager, setShowCacheManager] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showPrompts, setShowPrompts] = useState(false);
+  const [showVocabulary, setShowVocabulary] = useState(false);
+  const [showPractice, setShowPractice] = useState(false);
+  const [budgetAlert, setBudgetAlert] = useState(null); // { message, exceeded, action }
   
   // Job context
   const [selectedJob, setSelectedJob] = useState(null);
@@ -113,7 +140,7 @@ export default function App() {
   // Métricas
   const [sessionCost, setSessionCost] = useState(0);
   const [lastLatency, setLastLatency] = useState(0);
-  const [cacheStats, setCacheStats] = useState({ hits: 0, misses: 0 }); // Simplificado
+  const [cacheStats, setCacheStats] = useState({ hits: 0, misses: 0 });
   
   // Refs
   const qaIdCounter = useRef(0);
@@ -122,15 +149,43 @@ export default function App() {
   const sessionStartRef = useRef(0);
   const abortControllerRef = useRef(null); // Para cancelar o streaming
 
-  // Carrega job default na montagem
+  // Valida o token salvo; token expirado/revogado em qualquer chamada volta para o login
   useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    if (!hasAuthToken()) {
+      setUser(null);
+      return;
+    }
+    api.getMe().then(setUser).catch(() => setUser(null));
+  }, []);
+
+  // Carrega o job default do usuário depois do login
+  useEffect(() => {
+    if (!user) return;
     api.getDefaultJob().then(job => {
       if (job) setSelectedJob(job);
     });
+  }, [user]);
+
+  // Follow-ups previstos e estimativa de custo de nuvem chegam depois do "done", sem segurar a fila:
+  // atualizam o card quando chegarem
+  const readAnswerExtras = useCallback(async (stream, id) => {
+    const update = (changes) => setQaList(prev => prev.map(qa => (qa.id === id ? { ...qa, ...changes } : qa)));
+    try {
+      for await (const chunk of stream) {
+        if (chunk.type === 'followups') update({ followUps: chunk.questions });
+        else if (chunk.type === 'cloud_cost_estimate') update({ cloudCostEstimate: chunk.estimate });
+        else continue;
+        setSessionCost(c => c + (chunk.cost || 0));
+      }
+    } catch {
+      // Os extras são opcionais: se a conexão cair aqui, a resposta já está salva
+    }
   }, []);
 
   // Processamento de pergunta (Agora com Streaming)
-  const processQuestion = useCallback(async (question) => {
+  // metadata.language = idioma detectado na transcrição (sessões em modo automático)
+  const processQuestion = useCallback(async (question, metadata = {}) => {
     const start = performance.now();
     
     // 1. Prepara contexto (Last 3 Q&A)
@@ -157,20 +212,32 @@ export default function App() {
 
     let fullAnswer = '';
     let finalResult = {};
+    const stream = api.streamAnswer(question, sessionId, previousQAs, metadata.language, answerMode, {
+      transcriptionId: metadata.transcriptionId,
+      force: metadata.force
+    });
 
     try {
-      for await (const chunk of api.streamAnswer(question, sessionId, previousQAs)) {
+      // Leitura manual (e não for await): sair do loop no "done" não pode fechar o stream dos extras
+      while (true) {
+        const { value: chunk, done } = await stream.next();
+        if (done) break;
         if (chunk.type === 'content') {
           fullAnswer += chunk.content;
           setCurrentAnswer(prev => ({
             ...prev,
             answer: fullAnswer,
           }));
+        } else if (chunk.type === 'budget_warning') {
+          setBudgetAlert({ message: chunk.message, exceeded: chunk.exceeded, action: chunk.action });
         } else if (chunk.type === 'done') {
           finalResult = chunk;
           break;
         } else if (chunk.type === 'error') {
-          throw new Error(chunk.message);
+          const error = new Error(chunk.message);
+          error.code = chunk.code;
+          error.retryAfterMs = chunk.retryAfterMs;
+          throw error;
         }
       }
 
@@ -184,31 +251,42 @@ export default function App() {
         tailored: finalResult.tailored,
         cost: finalResult.cost,
         tokens: finalResult.usage.tokens,
+        model: finalResult.model,
+        provider: finalResult.provider,
+        cacheSimilarity: finalResult.cache?.hit ? finalResult.cache.similarity : null,
+        qaId: finalResult.qaId ?? null, // id no banco (favoritos, busca)
+        language: finalResult.language,
+        answerLanguage: finalResult.answerLanguage,
+        mode: finalResult.mode, // { mode, suggested, reason }
         timestamp: Date.now()
       };
 
       setQaList(prev => [...prev, newQA]);
       setExpandedQA(newQA.id);
       setCurrentAnswer(null); // Limpa o estado de streaming
+      readAnswerExtras(stream, newQA.id);
       
       // 4. Atualiza Métricas
       setSessionCost(c => c + parseFloat(finalResult.cost || 0));
       setLastTailored(finalResult.tailored);
       setLastLatency(newQA.processingTimeMs);
       
-      // Atualiza Cache Stats (simulado, idealmente viria do backend)
-      setCacheStats(prev => ({
-        hits: prev.hits + (finalResult.usage.cached ? 1 : 0),
-        misses: prev.misses + (finalResult.usage.cached ? 0 : 1),
-      }));
+      // Atualiza Cache Stats (contagem do servidor para a sessão)
+      api.getCacheStats(sessionId)
+        .then(stats => stats.session && setCacheStats(stats.session))
+        .catch(() => {});
       
     } catch (err) {
-      setError(err.message);
+      if (err.code === 'BUDGET_EXCEEDED') {
+        setBudgetAlert({ message: err.message, exceeded: true, action: err.budget?.action });
+      } else {
+        setError(describeError(err));
+      }
       setCurrentAnswer(null);
     } finally {
       setIsGenerating(false);
     }
-  }, [qaList, sessionId]);
+  }, [qaList, sessionId, answerMode, readAnswerExtras]);
 
   // Fila paralela com debounce (Mantida)
   const { add: queueQuestion, getStats: getQueueStats } = useParallelQueue(processQuestion, {
@@ -216,31 +294,66 @@ export default function App() {
     debounceMs: 250
   });
 
-  // Captura de áudio otimizada (Atualizada)
-  const handleAudioChunk = useCallback(async (base64, mimeType, estimatedDuration) => {
+  // Texto final de um segmento: do entrevistador vira pergunta na fila (se a detecção de perguntas deixar);
+  // do candidato só fica na transcrição
+  const handleTranscript = useCallback((result, speaker) => {
+    if (!result.text || result.text.trim().length < 5) return;
+
+    if (speaker === 'candidate') {
+      setCandidateSpeech(result.text.trim());
+      return;
+    }
+
+    const question = result.text.trim();
+    setCandidateSpeech('');
+
+    // Comentários, small talk e ruído ficam visíveis (com a classificação), mas não gastam resposta
+    if (result.classification && !result.classification.answerable) {
+      setCurrentTranscription('');
+      setSkippedSegments(prev => [
+        { id: Date.now(), text: question, language: result.language, classification: result.classification },
+        ...prev
+      ].slice(0, SKIPPED_LIMIT));
+      return;
+    }
+
+    setCurrentTranscription(question);
+
+    // Adiciona à fila de processamento (Q&A)
+    queueQuestion(question, { language: result.language, transcriptionId: result.transcriptionId });
+    setCurrentTranscription('');
+  }, [queueQuestion]);
+
+  // "Answer anyway": a classificação errou, a fala vai para a fila como pergunta
+  const answerSkipped = useCallback((segment) => {
+    setSkippedSegments(prev => prev.filter(s => s.id !== segment.id));
+    queueQuestion(segment.text, { language: segment.language, force: true });
+  }, [queueQuestion]);
+
+  const handleTranscriptionError = useCallback((err) => {
+    if (err.code === 'BUDGET_EXCEEDED') {
+      setBudgetAlert({ message: err.message, exceeded: true, action: err.budget?.action });
+    } else {
+      setError(describeError(err).slice(0, 100));
+    }
+  }, []);
+
+  // Captura de áudio otimizada (Atualizada) - upload por segmento quando o WebSocket não está disponível
+  const handleAudioChunk = useCallback(async (audioBlob, mimeType, estimatedDuration, speaker) => {
     if (!sessionActive) return;
     
     setIsTranscribing(true);
     
     try {
       // 1. Transcrição
-      const result = await api.transcribe(base64, mimeType, estimatedDuration);
+      const result = await api.transcribe(audioBlob, mimeType, estimatedDuration, sessionId, speaker);
       setIsTranscribing(false);
-      
-      if (!result.text || result.text.trim().length < 5) return;
-      
-      const question = result.text.trim();
-      setCurrentTranscription(question);
-      
-      // 2. Adiciona à fila de processamento (Q&A)
-      queueQuestion(question);
-      setCurrentTranscription('');
-      
+      handleTranscript(result, speaker);
     } catch (err) {
       setIsTranscribing(false);
-      setError(err.message.slice(0, 100));
+      handleTranscriptionError(err);
     }
-  }, [sessionActive, queueQuestion]);
+  }, [sessionActive, sessionId, handleTranscript, handleTranscriptionError]);
 
   const {
     status: audioStatus,
@@ -252,6 +365,11 @@ export default function App() {
     stop
   } = useOptimizedAudioCapture({
     onChunk: handleAudioChunk,
+    // Streaming: o texto parcial aparece enquanto a pessoa ainda fala
+    streamUrl: sessionActive && sessionId ? api.voiceStreamUrl(sessionId) : null,
+    onPartial: (text, speaker) => (speaker === 'candidate' ? setCandidateSpeech(text) : setCurrentTranscription(text)),
+    onTranscript: handleTranscript,
+    onStreamError: handleTranscriptionError,
     silenceThreshold: 800, // VAD de 800ms
     maxChunkMs: 12000,
     minChunkMs: 3000
@@ -269,6 +387,11 @@ export default function App() {
     return () => clearInterval(timerRef.current);
   }, [sessionActive, audioStatus]);
 
+  // Limite com "block": o servidor recusa tudo, então a captura para de mandar áudio
+  useEffect(() => {
+    if (budgetAlert?.exceeded && budgetAlert.action === 'block' && audioStatus === 'recording') pause();
+  }, [budgetAlert, audioStatus, pause]);
+
   // Scroll automático
   useEffect(() => {
     if (scrollRef.current && !stealthMode) {
@@ -304,6 +427,17 @@ export default function App() {
     return `${m}:${sec}`;
   };
 
+  const logout = async () => {
+    await api.logout().catch(() => {});
+    setAuthToken(null);
+    setShowAccount(false);
+    setSelectedJob(null);
+    setUser(null);
+  };
+
+  if (user === undefined) return null;
+  if (!user) return <LoginScreen onLogin={setUser} />;
+
   // Render modo stealth
   if (stealthMode && sessionActive) {
     return (
@@ -325,6 +459,33 @@ export default function App() {
     <div className="app">
       <header className="app-header">
         {/* ... (Header Mantido) ... */}
+        <button className="btn-control" onClick={() => setShowHistory(true)} title="Past sessions">
+          🕘 History
+        </button>
+        <button
+          className="btn-control"
+          onClick={() => setShowPractice(true)}
+          disabled={sessionActive}
+          title={sessionActive ? 'Stop the live session to practice' : 'Mock interview with an AI interviewer'}
+        >
+          🎯 Practice
+        </button>
+        <button className="btn-control" onClick={() => setShowSearch(true)} title="Search past answers">
+          🔍 Search
+        </button>
+        <button className="btn-control" onClick={() => setShowPrompts(true)} title="Prompt templates">
+          📝 Prompts
+        </button>
+        <button className="btn-control" onClick={() => setShowVocabulary(true)} title="Transcription vocabulary">
+          📖 Vocabulary
+        </button>
+        <button className="btn-control" onClick={() => setShowCacheManager(true)} title="Answer cache">
+          🗄 Cache
+        </button>
+        <ProviderStatus active={sessionActive} />
+        <button className="btn-control" onClick={() => setShowAccount(true)} title="Account, API keys and users">
+          👤 {user.username}
+        </button>
       </header>
 
       <main className="app-main" ref={scrollRef}>
@@ -346,7 +507,9 @@ export default function App() {
                 <div className="waiting-state">
                   <p>Listening for questions...</p>
                   <span className="hint">
-                    {audioSource === 'system' ? 'Capturing system audio' : 'Capturing microphone'}
+                    {audioSource === 'both'
+                      ? 'Capturing system audio (interviewer) and microphone (you)'
+                      : audioSource === 'system' ? 'Capturing system audio' : 'Capturing microphone'}
                   </span>
                 </div>
               )}
@@ -359,12 +522,16 @@ export default function App() {
                   onToggle={() => setExpandedQA(expandedQA === qa.id ? null : qa.id)}
                   isStarred={starredIds.has(qa.id)}
                   onStar={() => {
+                    const starred = !starredIds.has(qa.id);
                     setStarredIds(prev => {
                       const next = new Set(prev);
-                      next.has(qa.id) ? next.delete(qa.id) : next.add(qa.id);
+                      starred ? next.add(qa.id) : next.delete(qa.id);
                       return next;
                     });
+                    // Persiste para o filtro "starred" da busca
+                    if (qa.qaId) api.starQA(qa.qaId, starred).catch(err => setError(err.message));
                   }}
+                  onAskFollowUp={(followUp) => queueQuestion(followUp, { language: qa.language, force: true })}
                 />
               ))}
               
@@ -381,8 +548,14 @@ export default function App() {
                 />
               )}
 
-              {(isTranscribing || currentTranscription || isGenerating) && (
+              {(isTranscribing || currentTranscription || candidateSpeech || isGenerating) && (
                 <div className="processing-state">
+                  {candidateSpeech && (
+                    <div className="processing-item preview candidate">
+                      <span className="label">You:</span>
+                      <span className="text">{candidateSpeech}</span>
+                    </div>
+                  )}
                   {isTranscribing && (
                     <div className="processing-item">
                       <span className="spinner">🎤</span>
@@ -406,12 +579,41 @@ export default function App() {
                   )}
                 </div>
               )}
+
+              {skippedSegments.length > 0 && (
+                <div className="skipped-segments">
+                  <div className="skipped-header">
+                    <span>Not answered</span>
+                    <button className="btn-close" onClick={() => setSkippedSegments([])} title="Clear">×</button>
+                  </div>
+                  {skippedSegments.map(segment => (
+                    <div key={segment.id} className="skipped-segment">
+                      <ClassificationBadge {...segment.classification} />
+                      <span className="text">{segment.text}</span>
+                      <button className="btn-secondary" onClick={() => answerSkipped(segment)}>Answer anyway</button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className="control-bar">
               {/* ... (Control Bar Mantido) ... */}
+              <AnswerModeSelect value={answerMode} onChange={setAnswerMode} />
             </div>
 
+            {budgetAlert && (
+              <div className={`budget-alert ${budgetAlert.exceeded ? 'exceeded' : ''}`}>
+                <span>
+                  {budgetAlert.exceeded ? '⛔' : '⚠️'} {budgetAlert.message}
+                  {budgetAlert.exceeded && budgetAlert.action === 'cache-only' && ' — answering from cache only'}
+                  {budgetAlert.exceeded && budgetAlert.action === 'downgrade' && ' — using the fallback model'}
+                  {budgetAlert.exceeded && budgetAlert.action === 'block' && ' — capture paused'}
+                </span>
+                <button className="btn-close" onClick={() => setBudgetAlert(null)}>×</button>
+              </div>
+            )}
+
             <MetricsPanel
               metrics={audioMetrics}
               cost={sessionCost}
@@ -424,6 +626,58 @@ export default function App() {
       </main>
 
       {/* ... (Modals e Erros Mantidos) ... */}
+      {showHistory && (
+        <div className="modal-overlay" onClick={() => setShowHistory(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <SessionHistory onClose={() => setShowHistory(false)} />
+          </div>
+        </div>
+      )}
+      {showPractice && (
+        <div className="modal-overlay" onClick={() => setShowPractice(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <MockInterview defaultJobId={selectedJob?.id} onClose={() => setShowPractice(false)} />
+          </div>
+        </div>
+      )}
+      {showSearch && (
+        <div className="modal-overlay" onClick={() => setShowSearch(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <SearchView onClose={() => setShowSearch(false)} />
+          </div>
+        </div>
+      )}
+      {showPrompts && (
+        <div className="modal-overlay" onClick={() => setShowPrompts(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <PromptTemplateManager user={user} onClose={() => setShowPrompts(false)} />
+          </div>
+        </div>
+      )}
+
+      {showVocabulary && (
+        <div className="modal-overlay" onClick={() => setShowVocabulary(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <VocabularyManager user={user} onClose={() => setShowVocabulary(false)} />
+          </div>
+        </div>
+      )}
+
+      {showCacheManager && (
+        <div className="modal-overlay" onClick={() => setShowCacheManager(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <CacheManager onClose={() => setShowCacheManager(false)} />
+          </div>
+        </div>
+      )}
+
+      {showAccount && (
+        <div className="modal-overlay" onClick={() => setShowAccount(false)}>
+          <div className="modal large" onClick={e => e.stopPropagation()}>
+            <AccountManager user={user} onClose={() => setShowAccount(false)} onLogout={logout} />
+          </div>
+        </div>
+      )}
     </div>
   );
 }
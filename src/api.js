@@ -1,9 +1,50 @@
 const BASE_URL = 
   process.env.NODE_ENV === "production" ? "" : "http://localhost:3001";
 
+// Token de login (ou API key) enviado em todo /api/*
+const TOKEN_KEY = "interview-agent-token";
+let authToken = localStorage.getItem(TOKEN_KEY);
+let onUnauthorized = null;
+
+export function setAuthToken(token) {
+  authToken = token;
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+export const hasAuthToken = () => Boolean(authToken);
+
+// Chamado quando o servidor recusa o token (expirado ou revogado)
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+function authHeaders(headers = {}) {
+  return authToken ? { ...headers, Authorization: `Bearer ${authToken}` } : headers;
+}
+
+function checkUnauthorized(response) {
+  if (response.status === 401 && authToken) {
+    setAuthToken(null);
+    onUnauthorized?.();
+  }
+}
+
+// Erros vêm em JSON ({ error, code }, mais retryAfterMs/provider dos providers e budget no 402 do limite de gasto)
+async function throwApiError(response) {
+  checkUnauthorized(response);
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+  error.code = errorData.code;
+  error.provider = errorData.provider;
+  error.retryAfterMs = errorData.retryAfterMs;
+  error.budget = errorData.budget;
+  throw error;
+}
+
 async function request(endpoint, options = {} ) {
   const { body, ...rest } = options;
-  const headers = { ...rest.headers };
+  const headers = authHeaders(rest.headers);
 
   if (body) {
     headers["Content-Type"] = "application/json";
@@ -15,15 +56,61 @@ async function request(endpoint, options = {} ) {
     body: body ? JSON.stringify(body) : undefined,
   });
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-  }
+  if (!response.ok) await throwApiError(response);
 
+  if (response.status === 204) return null;
   return response.json();
 }
 
+// Baixa o arquivo e salva com o nome do Content-Disposition, por um link temporário para o Blob
+async function download(endpoint) {
+  const response = await fetch(`${BASE_URL}${endpoint}`, { headers: authHeaders() });
+  if (!response.ok) await throwApiError(response);
+
+  const filename = response.headers.get("Content-Disposition")?.match(/filename="?([^";]+)"?/)?.[1] || "download";
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Mensagens para os códigos de erro dos providers (server/resilience.mjs)
+const PROVIDER_ERROR_MESSAGES = {
+  PROVIDER_TIMEOUT: "The AI provider took too long to respond. Try again.",
+  PROVIDER_RATE_LIMITED: "The AI provider is rate limiting requests.",
+  PROVIDER_UNAVAILABLE: "The AI provider is having problems right now.",
+  PROVIDER_UNREACHABLE: "Could not reach the AI provider. Check the network or the local server.",
+  PROVIDER_AUTH_FAILED: "The AI provider rejected the API key. Check the server configuration.",
+  PROVIDER_BAD_REQUEST: "The AI provider rejected the request.",
+  PROVIDER_CIRCUIT_OPEN: "The AI provider is paused after repeated failures.",
+  PROVIDER_BUSY: "Too many requests in flight. Try again in a moment.",
+};
+
+// Texto para exibir ao usuário; erros sem código conhecido mantêm a mensagem original
+export function describeError(err) {
+  const message = PROVIDER_ERROR_MESSAGES[err?.code];
+  if (!message) return err?.message || "Unexpected error";
+  return err.retryAfterMs ? `${message} Retry in ${Math.ceil(err.retryAfterMs / 1000)}s.` : message;
+}
+
 export const api = {
+  // Contas
+  getAuthStatus: () => request("/api/auth/status"),
+  login: (username, password) => request("/api/auth/login", { method: "POST", body: { username, password } }),
+  register: (username, password) => request("/api/auth/register", { method: "POST", body: { username, password } }),
+  logout: () => request("/api/auth/logout", { method: "POST" }),
+  getMe: () => request("/api/auth/me"),
+  changePassword: (currentPassword, newPassword) =>
+    request("/api/auth/password", { method: "POST", body: { currentPassword, newPassword } }),
+  getApiKeys: () => request("/api/auth/api-keys"),
+  createApiKey: (name) => request("/api/auth/api-keys", { method: "POST", body: { name } }),
+  deleteApiKey: (id) => request(`/api/auth/api-keys/${id}`, { method: "DELETE" }),
+  getUsers: () => request("/api/users"),
+  createUser: (data) => request("/api/users", { method: "POST", body: data }),
+  deleteUser: (id) => request(`/api/users/${id}`, { method: "DELETE" }),
+
   // Job Profiles
   getJobs: () => request("/api/jobs"),
   createJob: (data) => request("/api/jobs", { method: "POST", body: data }),
@@ -31,49 +118,155 @@ export const api = {
   deleteJob: (id) => request(`/api/jobs/${id}`, { method: "DELETE" }),
   setDefaultJob: (id) => request(`/api/jobs/${id}/default`, { method: "POST" }),
   getDefaultJob: () => request("/api/jobs/default"),
+  // Extrai título/empresa/senioridade/skills de uma vaga (PDF, DOCX, HTML, TXT) para pré-preencher o formulário
+  async importJobDocument(file) {
+    const form = new FormData();
+    form.append("file", file, file.name);
+
+    const response = await fetch(`${BASE_URL}/api/jobs/import`, { method: "POST", headers: authHeaders(), body: form });
+    if (!response.ok) await throwApiError(response);
+    return response.json();
+  },
+
+  // Templates de prompt
+  getPrompts: () => request("/api/prompts"),
+  getPromptVariables: () => request("/api/prompts/variables"),
+  createPrompt: (data) => request("/api/prompts", { method: "POST", body: data }),
+  updatePrompt: (id, data) => request(`/api/prompts/${id}`, { method: "PUT", body: data }),
+  deletePrompt: (id) => request(`/api/prompts/${id}`, { method: "DELETE" }),
+  setDefaultPrompt: (id) => request(`/api/prompts/${id}/default`, { method: "POST" }),
+  // params: { templateId | template (rascunho), jobId, sessionId, question }
+  previewPrompt: (params) => request("/api/prompts/preview", { method: "POST", body: params }),
+
+  // Vocabulário da transcrição (jobProfileId null = global)
+  getVocabulary: (params = {}) => request(`/api/vocabulary?${new URLSearchParams(params)}`),
+  addVocabularyTerm: (term, jobProfileId = null) =>
+    request("/api/vocabulary/terms", { method: "POST", body: { term, jobProfileId } }),
+  deleteVocabularyTerm: (id) => request(`/api/vocabulary/terms/${id}`, { method: "DELETE" }),
+  addVocabularyCorrection: (heard, replacement, jobProfileId = null) =>
+    request("/api/vocabulary/corrections", { method: "POST", body: { heard, replacement, jobProfileId } }),
+  deleteVocabularyCorrection: (id) => request(`/api/vocabulary/corrections/${id}`, { method: "DELETE" }),
+  testVocabulary: (text, jobProfileId = null) =>
+    request("/api/vocabulary/test", { method: "POST", body: { text, jobProfileId } }),
 
   // Sessions
-  createSession: (jobId) => request("/api/session/create", { method: "POST", body: { jobId } }),
+  // options: { transcriptionProvider, model, language, answerLanguage }
+  createSession: (jobId, options = {}) =>
+    request("/api/session/create", { method: "POST", body: { jobId, ...options } }),
   endSession: (sessionId, totalQuestions) =>
     request("/api/session/end", { method: "POST", body: { sessionId, totalQuestions } }),
+  getSessionUsage: (sessionId) => request(`/api/session/${sessionId}/usage`),
+  setSessionBudget: (sessionId, budgetUsd) =>
+    request(`/api/session/${sessionId}/budget`, { method: "POST", body: { budgetUsd } }),
+  getBudget: (sessionId) => request(`/api/budget?${new URLSearchParams(sessionId ? { sessionId } : {})}`),
 
-  // Core AI - Transcrição
-  transcribe: (audioBase64, mimeType, estimatedDuration) =>
-    request("/api/voice/transcribe", {
+  // Histórico de sessões
+  listSessions: (params = {}) => request(`/api/sessions?${new URLSearchParams(params)}`),
+  getSession: (id) => request(`/api/sessions/${id}`),
+  deleteSession: (id) => request(`/api/sessions/${id}`, { method: "DELETE" }),
+  importSession: (data) => request("/api/sessions/import", { method: "POST", body: data }),
+  // Relatório pós-sessão: { status: "pending" } enquanto é gerado; erro REPORT_NOT_FOUND se não houver
+  getSessionReport: (id) => request(`/api/sessions/${id}/report`),
+  generateSessionReport: (id) => request(`/api/sessions/${id}/report`, { method: "POST" }),
+  // Downloads pelo fetch, com o token no header (nunca na URL)
+  downloadSessionExport: (id, format = "markdown") =>
+    download(`/api/session/${id}/export?${new URLSearchParams({ format })}`),
+  downloadSessionsZip: (ids, format = "markdown") =>
+    download(`/api/sessions/export?${new URLSearchParams({ ids: ids.join(","), format })}`),
+
+  // Entrevista simulada (treino); options: { questionCount, transcriptionProvider, model, language }
+  getMockVoices: () => request("/api/mock/voices"),
+  startMockInterview: (jobId, options = {}) =>
+    request("/api/mock/start", { method: "POST", body: { jobId, ...options } }),
+  getMockInterview: (sessionId) => request(`/api/mock/${sessionId}`),
+  answerMockQuestion: (sessionId, qaId, answer) =>
+    request(`/api/mock/${sessionId}/questions/${qaId}/answer`, { method: "POST", body: { answer } }),
+  // Áudio da pergunta como Blob; null quando a voz não gera áudio no servidor (text, browser)
+  async getMockSpeech(sessionId, qaId, voice) {
+    const response = await fetch(`${BASE_URL}/api/mock/${sessionId}/questions/${qaId}/speech`, {
       method: "POST",
-      body: { audioBase64, mimeType, estimatedDuration },
-    }),
+      headers: authHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ voice }),
+    });
+    if (!response.ok) await throwApiError(response);
+    return response.status === 204 ? null : response.blob();
+  },
+
+  // Cache semântico (administração)
+  listCache: (params = {}) => request(`/api/cache?${new URLSearchParams(params)}`),
+  getCacheStats: (sessionId) => request(`/api/cache/stats${sessionId ? `?sessionId=${sessionId}` : ""}`),
+  pinCacheEntry: (id, pinned) => request(`/api/cache/${id}/pin`, { method: "POST", body: { pinned } }),
+  deleteCacheEntry: (id) => request(`/api/cache/${id}`, { method: "DELETE" }),
+  flushCache: (params) => request(`/api/cache?${new URLSearchParams(params)}`, { method: "DELETE" }),
+  exportCache: (params = {}) => request(`/api/cache/export?${new URLSearchParams(params)}`),
+  importCache: (data) => request("/api/cache/import", { method: "POST", body: data }),
+
+  // Histórico - Busca full-text e favoritos
+  search: (params = {}) => request(`/api/search?${new URLSearchParams(params)}`),
+  starQA: (id, starred) => request(`/api/qa/${id}/star`, { method: "POST", body: { starred } }),
+
+  // Core AI - Modelos de chat
+  getModels: () => request("/api/ai/models"),
+  getAnswerModes: () => request("/api/ai/modes"),
+  getLanguages: () => request("/api/languages"),
+  getProviderStatus: () => request("/api/providers/status"),
+
+  // Core AI - Transcrição
+  getTranscriptionProviders: () => request("/api/voice/providers"),
+  // WebSocket de transcrição incremental; o token vai na URL porque o navegador não manda header no upgrade
+  voiceStreamUrl: (sessionId) =>
+    `${(BASE_URL || window.location.origin).replace(/^http/, "ws")}/api/voice/stream?${new URLSearchParams({ sessionId, format: "webm", access_token: authToken || "" })}`,
+  // Envia o Blob como multipart (binário, sem o overhead de ~33% do base64)
+  // speaker: "interviewer" (padrão) ou "candidate" (microfone na captura com dois canais)
+  async transcribe(audioBlob, mimeType, estimatedDuration, sessionId, speaker) {
+    const form = new FormData();
+    form.append("audio", audioBlob, "audio.webm");
+    form.append("mimeType", mimeType);
+    form.append("estimatedDuration", String(estimatedDuration));
+    if (sessionId) form.append("sessionId", sessionId);
+    if (speaker) form.append("speaker", speaker);
+
+    const response = await fetch(`${BASE_URL}/api/voice/transcribe`, { method: "POST", headers: authHeaders(), body: form });
+    if (!response.ok) await throwApiError(response);
+    return response.json();
+  },
     
   // Core AI - Streaming de Resposta (SSE)
-  async *streamAnswer(question, sessionId, previousQAs) {
+  // language: idioma da pergunta quando já conhecido (transcrição); senão o servidor decide
+  // mode: "auto" (o servidor sugere pelo tipo da pergunta) ou um id de /api/ai/modes; o modo define max_tokens e temperature
+  // transcriptionId: a fala de onde veio a pergunta (o servidor recusa o que foi classificado como não-pergunta);
+  // force: responder mesmo assim ("Answer anyway", follow-up sugerido)
+  async *streamAnswer(question, sessionId, previousQAs, language, mode = "auto", { transcriptionId, force } = {}) {
     const response = await fetch(`${BASE_URL}/api/ai/answer-stream`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         question,
         sessionId,
+        language,
         previousQAs,
-        maxTokens: 1024,
-        temperature: 0.4
+        mode,
+        transcriptionId,
+        force
       }),
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP error! status: ${response.status}. Details: ${errorText.slice(0, 100)}`);
-    }
+    // Erros antes do stream vêm em JSON; 402 = limite de gasto atingido
+    if (!response.ok) await throwApiError(response);
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
+    // Uma linha pode chegar partida entre chunks: a parte final fica aqui até o próximo
+    let buffer = '';
 
     while (true) {
       const { done, value } = await reader.read();
-      if (done) break;
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
 
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.startsWith('data: '));
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
 
-      for (const line of lines) {
+      for (const line of lines.filter(line => line.startsWith('data: '))) {
         const data = line.slice(6);
         if (data === '[DONE]') return;
         try {
@@ -83,6 +276,7 @@ export const api = {
           // Ignora linhas inválidas
         }
       }
+      if (done) return;
     }
   }
 };
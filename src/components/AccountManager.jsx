@@ -0,0 +1,191 @@
+// src/components/AccountManager.jsx - Senha, API keys e (para admins) usuários da instância
+import { useState, useEffect, useCallback } from 'react';
+import { api, setAuthToken } from '../api';
+
+function UserAdmin({ currentUserId }) {
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState({ username: '', password: '', role: 'member' });
+
+  const loadUsers = useCallback(() => {
+    api.getUsers().then(setUsers).catch(err => console.error('Failed to load users:', err));
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await api.createUser(form);
+      setForm({ username: '', password: '', role: 'member' });
+      loadUsers();
+    } catch (err) {
+      alert('Failed to create user: ' + err.message);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!confirm(`Delete "${user.username}" and all of their profiles, sessions and answers?`)) return;
+    try {
+      await api.deleteUser(user.id);
+      loadUsers();
+    } catch (err) {
+      alert('Failed to delete: ' + err.message);
+    }
+  };
+
+  return (
+    <>
+      <h4>Users</h4>
+      <div className="job-list">
+        {users.map(user => (
+          <div key={user.id} className="job-card">
+            <div className="job-card-header">
+              <div className="job-title">
+                <strong>{user.username}</strong>
+                {user.role === 'admin' && <span className="badge-default">ADMIN</span>}
+              </div>
+              {user.id !== currentUserId && (
+                <button className="btn-delete" onClick={() => handleDelete(user)} title="Delete">🗑</button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <form className="form-row search-filters" onSubmit={handleCreate}>
+        <input placeholder="Username" value={form.username} onChange={e => setForm(prev => ({ ...prev, username: e.target.value }))} required />
+        <input
+          type="password"
+          placeholder="Initial password"
+          value={form.password}
+          onChange={e => setForm(prev => ({ ...prev, password: e.target.value }))}
+          required
+        />
+        <select value={form.role} onChange={e => setForm(prev => ({ ...prev, role: e.target.value }))}>
+          <option value="member">Member</option>
+          <option value="admin">Admin</option>
+        </select>
+        <button type="submit" className="btn-secondary">Add</button>
+      </form>
+    </>
+  );
+}
+
+export function AccountManager({ user, onClose, onLogout }) {
+  const [keys, setKeys] = useState([]);
+  const [keyName, setKeyName] = useState('');
+  const [newKey, setNewKey] = useState(null);
+  const [passwords, setPasswords] = useState({ current: '', next: '' });
+
+  const loadKeys = useCallback(() => {
+    api.getApiKeys().then(setKeys).catch(err => console.error('Failed to load API keys:', err));
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    try {
+      setNewKey(await api.createApiKey(keyName));
+      setKeyName('');
+      loadKeys();
+    } catch (err) {
+      alert('Failed to create API key: ' + err.message);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
+    try {
+      await api.deleteApiKey(id);
+      loadKeys();
+    } catch (err) {
+      alert('Failed to revoke: ' + err.message);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    try {
+      // O servidor encerra todos os logins e devolve um token novo para este
+      const session = await api.changePassword(passwords.current, passwords.next);
+      setAuthToken(session.token);
+      setPasswords({ current: '', next: '' });
+      alert('Password changed. Other devices were signed out.');
+    } catch (err) {
+      alert('Failed to change password: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="job-manager account-manager">
+      <div className="job-manager-header">
+        <h3>Account: {user.username}</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      <div className="job-form">
+        <h4>API keys</h4>
+        <p className="import-info">
+          For scripts: send the key as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code>.
+          It is shown only once.
+        </p>
+        {newKey && (
+          <div className="import-info api-key-created">
+            <strong>{newKey.name}:</strong> <code>{newKey.key}</code>
+          </div>
+        )}
+        <div className="job-list">
+          {keys.length === 0 && <div className="empty">No API keys.</div>}
+          {keys.map(key => (
+            <div key={key.id} className="job-card">
+              <div className="job-card-header">
+                <div className="job-title">
+                  <strong>{key.name}</strong> <code>{key.prefix}…</code>
+                </div>
+                <button className="btn-delete" onClick={() => handleRevoke(key.id)} title="Revoke">🗑</button>
+              </div>
+              <div className="job-company">
+                Created {key.created_at} • {key.last_used_at ? `last used ${key.last_used_at}` : 'never used'}
+              </div>
+            </div>
+          ))}
+        </div>
+        <form className="form-row search-filters" onSubmit={handleCreateKey}>
+          <input placeholder="Key name (e.g., export script)" value={keyName} onChange={e => setKeyName(e.target.value)} required />
+          <button type="submit" className="btn-secondary">Create</button>
+        </form>
+
+        <h4>Password</h4>
+        <form className="form-row search-filters" onSubmit={handleChangePassword}>
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={passwords.current}
+            onChange={e => setPasswords(prev => ({ ...prev, current: e.target.value }))}
+            required
+          />
+          <input
+            type="password"
+            placeholder="New password"
+            autoComplete="new-password"
+            value={passwords.next}
+            onChange={e => setPasswords(prev => ({ ...prev, next: e.target.value }))}
+            required
+          />
+          <button type="submit" className="btn-secondary">Change</button>
+        </form>
+
+        {user.role === 'admin' && <UserAdmin currentUserId={user.id} />}
+
+        <div className="form-actions">
+          <button type="button" className="btn-secondary danger" onClick={onLogout}>Sign out</button>
+        </div>
+      </div>
+    </div>
+  );
+}
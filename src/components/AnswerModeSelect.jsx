@@ -0,0 +1,23 @@
+// src/components/AnswerModeSelect.jsx - Escolha do estilo das próximas respostas (Auto = o servidor sugere pela pergunta)
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+
+export function AnswerModeSelect({ value, onChange }) {
+  const [modes, setModes] = useState([]);
+
+  useEffect(() => {
+    api.getAnswerModes().then(setModes).catch(() => setModes([]));
+  }, []);
+
+  return (
+    <label className="answer-mode-select" title="Answer style for the next questions">
+      <span>Style</span>
+      <select value={value} onChange={e => onChange(e.target.value)}>
+        <option value="auto">Auto</option>
+        {modes.map(mode => (
+          <option key={mode.id} value={mode.id} title={mode.description}>{mode.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
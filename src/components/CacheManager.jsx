@@ -0,0 +1,199 @@
+// src/components/CacheManager.jsx - Inspeção e limpeza do cache semântico do servidor
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { api } from '../api';
+
+export function CacheManager({ onClose }) {
+  const [jobs, setJobs] = useState([]);
+  const [profileFilter, setProfileFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [stats, setStats] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // '' = todos os perfis; 'none' = entradas sem perfil
+  const filterParams = useCallback(() => {
+    const params = {};
+    if (profileFilter) params.jobProfileId = profileFilter;
+    if (search) params.search = search;
+    return params;
+  }, [profileFilter, search]);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [list, cacheStats] = await Promise.all([api.listCache(filterParams()), api.getCacheStats()]);
+      setEntries(list.entries);
+      setTotal(list.total);
+      setStats(cacheStats);
+    } catch (err) {
+      console.error('Failed to load cache:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterParams]);
+
+  useEffect(() => {
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const jobName = (id) => {
+    if (id === null) return 'No profile';
+    return jobs.find(j => j.id === id)?.name || `Profile #${id}`;
+  };
+
+  const handlePin = async (entry, e) => {
+    e.stopPropagation();
+    try {
+      await api.pinCacheEntry(entry.id, !entry.pinned);
+      loadEntries();
+    } catch (err) {
+      alert('Failed to pin: ' + err.message);
+    }
+  };
+
+  const handleDelete = async (id, e) => {
+    e.stopPropagation();
+    if (!confirm('Delete this cached answer?')) return;
+    try {
+      await api.deleteCacheEntry(id);
+      loadEntries();
+    } catch (err) {
+      alert('Failed to delete: ' + err.message);
+    }
+  };
+
+  const handleFlush = async () => {
+    const scope = profileFilter ? `"${jobName(profileFilter === 'none' ? null : Number(profileFilter))}"` : 'ALL profiles';
+    if (!confirm(`Flush cached answers for ${scope}? Pinned entries are kept.`)) return;
+    try {
+      const params = profileFilter ? { jobProfileId: profileFilter } : { all: 'true' };
+      const { deleted } = await api.flushCache(params);
+      alert(`${deleted} entries removed`);
+      loadEntries();
+    } catch (err) {
+      alert('Failed to flush: ' + err.message);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const data = await api.exportCache(profileFilter ? { jobProfileId: profileFilter } : {});
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `semantic-cache-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export: ' + err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const { imported, skipped } = await api.importCache(data);
+      alert(`${imported} entries imported${skipped ? `, ${skipped} skipped` : ''}`);
+      loadEntries();
+    } catch (err) {
+      alert('Failed to import: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="job-manager cache-manager">
+      <div className="job-manager-header">
+        <h3>Answer Cache</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      {stats && (
+        <div className="cache-stats">
+          <span><strong>{stats.entries}</strong> entries</span>
+          <span><strong>{stats.hits}</strong> hits</span>
+          <span><strong>${stats.savedCost.toFixed(4)}</strong> saved</span>
+          <span className="hint">threshold {stats.threshold} • TTL {stats.ttlHours}h</span>
+        </div>
+      )}
+
+      <div className="cache-filters form-row">
+        <select value={profileFilter} onChange={e => setProfileFilter(e.target.value)}>
+          <option value="">All profiles</option>
+          <option value="none">No profile</option>
+          {jobs.map(job => (
+            <option key={job.id} value={job.id}>{job.name}</option>
+          ))}
+        </select>
+        <input
+          placeholder="Search questions and answers..."
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+        />
+      </div>
+
+      <div className="job-list">
+        {loading ? (
+          <div className="loading">Loading...</div>
+        ) : entries.length === 0 ? (
+          <div className="empty">No cached answers.</div>
+        ) : (
+          entries.map(entry => (
+            <div
+              key={entry.id}
+              className={`job-card cache-entry ${entry.pinned ? 'default' : ''}`}
+              onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+            >
+              <div className="job-card-header">
+                <div className="job-title">
+                  <strong>{entry.question}</strong>
+                  {entry.pinned ? <span className="badge-default">PINNED</span> : null}
+                </div>
+                <div className="cache-entry-actions">
+                  <button className="btn-delete" onClick={(e) => handlePin(entry, e)} title={entry.pinned ? 'Unpin' : 'Pin'}>
+                    {entry.pinned ? '📌' : '📍'}
+                  </button>
+                  <button className="btn-delete" onClick={(e) => handleDelete(entry.id, e)} title="Delete">
+                    🗑
+                  </button>
+                </div>
+              </div>
+
+              <div className="job-company">
+                {jobName(entry.job_profile_id)} • {entry.hits} hits • saved ${entry.saved_cost.toFixed(4)} • {entry.model || 'unknown model'}
+              </div>
+
+              {expandedId === entry.id && (
+                <div className="markdown-body">
+                  {entry.answer.split('\n').map((line, i) => (
+                    <p key={i}>{line}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+        {!loading && total > entries.length && (
+          <div className="empty">Showing {entries.length} of {total}</div>
+        )}
+      </div>
+
+      <div className="form-actions cache-actions">
+        <button type="button" className="btn-secondary" onClick={handleExport}>Export</button>
+        <button type="button" className="btn-secondary" onClick={() => fileInputRef.current.click()}>Import</button>
+        <button type="button" className="btn-secondary danger" onClick={handleFlush}>Flush</button>
+        <input ref={fileInputRef} type="file" accept="application/json" hidden onChange={handleImport} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+// src/components/ClassificationBadge.jsx - Tipo e confiança que a detecção de perguntas deu a uma fala
+const LABELS = { question: 'Question', follow_up: 'Follow-up', statement: 'Statement', noise: 'Noise' };
+
+export function ClassificationBadge({ type, confidence, source, reason }) {
+  if (!type) return null;
+  const title = [reason, source && `via ${source}`].filter(Boolean).join(' — ');
+  return (
+    <span className={`classification-badge ${type}`} title={title}>
+      {LABELS[type] || type}
+      {confidence !== null && confidence !== undefined && ` ${Math.round(confidence * 100)}%`}
+    </span>
+  );
+}
@@ -0,0 +1,66 @@
+// src/components/CloudCostEstimate.jsx - Estimativa mensal por provider (serviços, dimensionamento e premissas)
+import { useState } from "react";
+
+const money = (value, currency) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 0 }).format(value);
+
+export function CloudCostEstimate({ estimate }) {
+  const [open, setOpen] = useState(false);
+  const providers = Object.entries(estimate.providers);
+  const cheapest = providers.reduce((best, [id]) => (estimate.totals[id] < estimate.totals[best] ? id : best), providers[0][0]);
+
+  return (
+    <div className="cost-section">
+      <div className="cost-header" onClick={() => setOpen(!open)}>
+        <span className="icon">💰</span>
+        <strong>Cloud cost estimate</strong>
+        <span className="cost-summary">
+          {providers.map(([id, name]) => `${name} ${money(estimate.totals[id], estimate.currency)}`).join(" · ")} / month
+        </span>
+        <span className="toggle">{open ? "▼" : "▶"}</span>
+      </div>
+      {open && (
+        <div className="cost-content">
+          <table>
+            <thead>
+              <tr>
+                <th>Service</th>
+                <th>Sizing</th>
+                {providers.map(([id, name]) => <th key={id}>{name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {estimate.items.map((item) => (
+                <tr key={`${item.service}-${item.purpose}`}>
+                  <td>
+                    {item.label}
+                    {item.purpose && <div className="cost-purpose">{item.purpose}</div>}
+                  </td>
+                  <td>{item.quantity} {item.unit}</td>
+                  {providers.map(([id]) => (
+                    <td key={id} title={item.products[id]}>{money(item.costs[id], estimate.currency)}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="cost-total">
+                <td colSpan={2}>Total / month</td>
+                {providers.map(([id]) => (
+                  <td key={id} className={id === cheapest ? "cheapest" : undefined}>{money(estimate.totals[id], estimate.currency)}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+          {estimate.assumptions.length > 0 && (
+            <ul className="cost-assumptions">
+              {estimate.assumptions.map((assumption) => <li key={assumption}>{assumption}</li>)}
+            </ul>
+          )}
+          <blockquote>
+            Rough on-demand list prices{estimate.region ? ` (${estimate.region})` : ""}
+            {estimate.pricesUpdated ? `, price table from ${estimate.pricesUpdated}` : ""}. No discounts, support plans or free tiers.
+          </blockquote>
+        </div>
+      )}
+    </div>
+  );
+}
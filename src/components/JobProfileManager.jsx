@@ -1,29 +1,48 @@
 // src/components/JobProfileManager.jsx - Componente completo
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { api } from '../api';
 
+const EMPTY_FORM = {
+  name: '',
+  company: '',
+  job_description: '',
+  key_skills: '',
+  seniority: 'senior',
+  focus_areas: '',
+  model: '',
+  language: '',
+  answer_language: '',
+  prompt_template_id: '',
+  daily_budget_usd: '',
+  isDefault: false
+};
+
+// key_skills é guardado como texto separado por vírgula
+const splitSkills = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
 export function JobProfileManager({ onSelect, selectedId, onClose }) {
   const [jobs, setJobs] = useState([]);
+  const [models, setModels] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [prompts, setPrompts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({
-    name: '',
-    company: '',
-    description: '',
-    key_skills: '',
-    seniority: 'senior',
-    focus_areas: '',
-    isDefault: false
-  });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [importing, setImporting] = useState(false);
+  const [importInfo, setImportInfo] = useState(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
     loadJobs();
+    api.getModels().then(setModels).catch(err => console.error('Failed to load models:', err));
+    api.getLanguages().then(data => setLanguages(data.languages)).catch(err => console.error('Failed to load languages:', err));
+    api.getPrompts().then(setPrompts).catch(err => console.error('Failed to load prompt templates:', err));
   }, []);
 
   const loadJobs = async () => {
     setLoading(true);
     try {
-      const data = await api.listJobs();
+      const data = await api.getJobs();
       setJobs(data);
     } catch (err) {
       console.error('Failed to load jobs:', err);
@@ -35,31 +54,53 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const skills = form.key_skills.split(',').map(s => s.trim()).filter(Boolean);
-      const areas = form.focus_areas.split(',').map(s => s.trim()).filter(Boolean);
-      
-      await api.createJob({
-        ...form,
-        key_skills: skills,
-        focus_areas: areas
+      const { isDefault, ...data } = form;
+      const job = await api.createJob({
+        ...data,
+        key_skills: splitSkills(form.key_skills).join(', '),
+        focus_areas: splitSkills(form.focus_areas).join(', '),
+        prompt_template_id: form.prompt_template_id ? Number(form.prompt_template_id) : null,
+        daily_budget_usd: form.daily_budget_usd === '' ? null : Number(form.daily_budget_usd)
       });
+      if (isDefault) await api.setDefaultJob(job.id);
       
       setShowForm(false);
-      setForm({
-        name: '',
-        company: '',
-        description: '',
-        key_skills: '',
-        seniority: 'senior',
-        focus_areas: '',
-        isDefault: false
-      });
+      setForm(EMPTY_FORM);
+      setImportInfo(null);
       loadJobs();
     } catch (err) {
       alert('Failed to create job: ' + err.message);
     }
   };
 
+  // Abre o formulário já preenchido com o que foi extraído do documento, para revisão
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const result = await api.importJobDocument(file);
+      setForm({
+        ...EMPTY_FORM,
+        name: result.name,
+        company: result.company,
+        seniority: result.seniority || EMPTY_FORM.seniority,
+        job_description: result.job_description,
+        key_skills: result.key_skills,
+        focus_areas: result.focus_areas,
+        language: result.language || ''
+      });
+      setImportInfo({ filename: result.source.filename, skills: result.skills.length, seniorityFound: Boolean(result.seniority) });
+      setShowForm(true);
+    } catch (err) {
+      alert('Failed to import job description: ' + err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const handleDelete = async (id, e) => {
     e.stopPropagation();
     if (!confirm('Delete this job profile?')) return;
@@ -92,13 +133,13 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
           jobs.map(job => (
             <div 
               key={job.id} 
-              className={`job-card ${selectedId === job.id ? 'selected' : ''} ${job.isDefault ? 'default' : ''}`}
+              className={`job-card ${selectedId === job.id ? 'selected' : ''} ${job.is_default ? 'default' : ''}`}
               onClick={() => selectJob(job)}
             >
               <div className="job-card-header">
                 <div className="job-title">
                   <strong>{job.name}</strong>
-                  {job.isDefault && <span className="badge-default">DEFAULT</span>}
+                  {job.is_default ? <span className="badge-default">DEFAULT</span> : null}
                 </div>
                 <button 
                   className="btn-delete" 
@@ -112,11 +153,11 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
               <div className="job-company">{job.company || 'Unknown Company'} • {job.seniority}</div>
               
               <div className="job-skills">
-                {job.key_skills.slice(0, 4).map(skill => (
+                {splitSkills(job.key_skills).slice(0, 4).map(skill => (
                   <span key={skill} className="skill-tag">{skill}</span>
                 ))}
-                {job.key_skills.length > 4 && (
-                  <span className="skill-more">+{job.key_skills.length - 4}</span>
+                {splitSkills(job.key_skills).length > 4 && (
+                  <span className="skill-more">+{splitSkills(job.key_skills).length - 4}</span>
                 )}
               </div>
             </div>
@@ -125,12 +166,30 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
       </div>
 
       {!showForm ? (
-        <button className="btn-add" onClick={() => setShowForm(true)}>
-          + New Job Profile
-        </button>
+        <div className="job-manager-actions">
+          <button className="btn-add" onClick={() => setShowForm(true)}>
+            + New Job Profile
+          </button>
+          <button className="btn-add" onClick={() => fileInputRef.current.click()} disabled={importing}>
+            {importing ? 'Reading...' : '⇪ Import Job Description'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".pdf,.docx,.html,.htm,.txt,.md"
+            hidden
+            onChange={handleImport}
+          />
+        </div>
       ) : (
         <form className="job-form" onSubmit={handleSubmit}>
           <h4>Create Job Profile</h4>
+          {importInfo && (
+            <p className="import-info">
+              Pre-filled from <strong>{importInfo.filename}</strong>: {importInfo.skills} skills found
+              {!importInfo.seniorityFound && ', seniority not detected'}. Review before saving.
+            </p>
+          )}
           
           <div className="form-row">
             <input 
@@ -161,12 +220,76 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
             </select>
           </div>
           
+          <div className="form-row">
+            <select 
+              value={form.model}
+              onChange={e => setForm({...form, model: e.target.value})}
+            >
+              <option value="">Default model</option>
+              {models.map(m => (
+                <option key={m.id} value={m.id} disabled={!m.available}>
+                  {m.id} ({m.provider}{m.available ? '' : ', not configured'})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-row">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Daily budget in USD (optional)"
+              value={form.daily_budget_usd}
+              onChange={e => setForm({...form, daily_budget_usd: e.target.value})}
+              title="Spend cap per day across all sessions of this profile"
+            />
+          </div>
+
+          <div className="form-row">
+            <select
+              value={form.prompt_template_id}
+              onChange={e => setForm({...form, prompt_template_id: e.target.value})}
+              title="Persona and prompt used for this profile"
+            >
+              <option value="">Default prompt template</option>
+              {prompts.map(p => (
+                <option key={p.id} value={p.id}>Prompt: {p.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-row">
+            <select
+              value={form.language}
+              onChange={e => setForm({...form, language: e.target.value})}
+              title="Language spoken in the interview"
+            >
+              <option value="">Default spoken language</option>
+              <option value="auto">Auto-detect</option>
+              {languages.map(l => (
+                <option key={l.code} value={l.code}>Spoken: {l.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.answer_language}
+              onChange={e => setForm({...form, answer_language: e.target.value})}
+              title="Language of the generated answers"
+            >
+              <option value="">Default answer language</option>
+              <option value="same">Answer in the question's language</option>
+              {languages.map(l => (
+                <option key={l.code} value={l.code}>Answer in {l.name}</option>
+              ))}
+            </select>
+          </div>
+          
           <div className="form-row">
             <textarea 
               placeholder="Paste full job description here..."
               rows={6}
-              value={form.description}
-              onChange={e => setForm({...form, description: e.target.value})}
+              value={form.job_description}
+              onChange={e => setForm({...form, job_description: e.target.value})}
               required
             />
           </div>
@@ -198,7 +321,7 @@ export function JobProfileManager({ onSelect, selectedId, onClose }) {
           </label>
           
           <div className="form-actions">
-            <button type="button" className="btn-secondary" onClick={() => setShowForm(false)}>
+            <button type="button" className="btn-secondary" onClick={() => { setShowForm(false); setForm(EMPTY_FORM); setImportInfo(null); }}>
               Cancel
             </button>
             <button type="submit" className="btn-primary">
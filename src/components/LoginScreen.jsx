@@ -0,0 +1,83 @@
+// src/components/LoginScreen.jsx - Entrar ou criar conta (o primeiro cadastro vira admin e herda os dados existentes)
+import { useState, useEffect } from 'react';
+import { api, setAuthToken } from '../api';
+
+export function LoginScreen({ onLogin }) {
+  const [status, setStatus] = useState(null); // { setupRequired, signupAllowed }
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    api.getAuthStatus()
+      .then(data => {
+        setStatus(data);
+        if (data.setupRequired) setMode('register');
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const setField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      const session = mode === 'register'
+        ? await api.register(form.username, form.password)
+        : await api.login(form.username, form.password);
+      setAuthToken(session.token);
+      onLogin(session.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="app">
+      <main className="app-main">
+        <div className="start-screen login-screen">
+          <div className="hero">
+            <h2>{mode === 'register' ? 'Create account' : 'Sign in'}</h2>
+            <p className="subtitle">
+              {status?.setupRequired
+                ? 'No accounts yet: the first account becomes the admin and keeps the existing profiles and sessions.'
+                : 'Your profiles, sessions and answers are only visible to you.'}
+            </p>
+          </div>
+
+          <form className="job-form" onSubmit={handleSubmit}>
+            <div className="form-row">
+              <input placeholder="Username" autoComplete="username" value={form.username} onChange={setField('username')} required />
+            </div>
+            <div className="form-row">
+              <input
+                type="password"
+                placeholder="Password"
+                autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+                value={form.password}
+                onChange={setField('password')}
+                required
+              />
+            </div>
+            {error && <p className="import-info">{error}</p>}
+            <div className="form-actions">
+              {status?.signupAllowed && !status.setupRequired && (
+                <button type="button" className="btn-secondary" onClick={() => setMode(m => (m === 'login' ? 'register' : 'login'))}>
+                  {mode === 'login' ? 'Create an account' : 'I have an account'}
+                </button>
+              )}
+              <button type="submit" className="btn-primary" disabled={submitting}>
+                {mode === 'register' ? 'Create account' : 'Sign in'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </main>
+    </div>
+  );
+}
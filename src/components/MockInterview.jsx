@@ -0,0 +1,307 @@
+// src/components/MockInterview.jsx - Treino com entrevistador simulado: perguntas do perfil, resposta falada e correção
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useOptimizedAudioCapture } from '../useOptimizedAudioCapture';
+import { api, describeError } from '../api';
+
+// Voz "browser": a Web Speech API faz o papel do TTS (sem custo, qualidade do sistema operacional)
+function speakInBrowser(text, language) {
+  if (!window.speechSynthesis) return;
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  if (language && language !== 'auto') utterance.lang = language;
+  window.speechSynthesis.speak(utterance);
+}
+
+function ScoreBadge({ score }) {
+  const level = score >= 7 ? 'good' : score >= 4 ? 'fair' : 'weak';
+  return <span className={`badge score ${level}`}>{score}/10</span>;
+}
+
+export function MockInterview({ defaultJobId, onClose }) {
+  const [jobs, setJobs] = useState([]);
+  const [voices, setVoices] = useState([]);
+  const [transcribers, setTranscribers] = useState([]);
+  const [setup, setSetup] = useState({ jobId: defaultJobId ? String(defaultJobId) : '', questionCount: 5, voice: '', transcriptionProvider: '' });
+  const [mock, setMock] = useState(null); // { session, questions }
+  const [currentId, setCurrentId] = useState(null); // null com mock = resumo
+  const [draft, setDraft] = useState(''); // resposta transcrita (editável)
+  const [partial, setPartial] = useState('');
+  const [result, setResult] = useState(null); // correção da pergunta atual, com a próxima em "next"
+  const [busy, setBusy] = useState(null); // 'starting' | 'grading'
+  const [transcribing, setTranscribing] = useState(false);
+  const [error, setError] = useState(null);
+  const audioRef = useRef(null);
+  const mockRef = useRef(null);
+  mockRef.current = mock;
+
+  const sessionId = mock?.session.id ?? null;
+  const current = mock?.questions.find(q => q.id === currentId) || null;
+
+  useEffect(() => {
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+    api.getMockVoices()
+      .then(list => {
+        setVoices(list);
+        setSetup(prev => ({ ...prev, voice: list.find(v => v.default)?.name || 'text' }));
+      })
+      .catch(err => console.error('Failed to load voices:', err));
+    api.getTranscriptionProviders().then(setTranscribers).catch(err => console.error('Failed to load transcription providers:', err));
+  }, []);
+
+  const appendTranscript = useCallback((transcript) => {
+    const text = transcript.text?.trim();
+    setPartial('');
+    if (text) setDraft(prev => (prev ? `${prev} ${text}` : text));
+  }, []);
+
+  // Upload por segmento quando o WebSocket não está disponível
+  const handleChunk = useCallback(async (audioBlob, mimeType, estimatedDuration, speaker) => {
+    setTranscribing(true);
+    try {
+      appendTranscript(await api.transcribe(audioBlob, mimeType, estimatedDuration, sessionId, speaker));
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setTranscribing(false);
+    }
+  }, [sessionId, appendTranscript]);
+
+  const { status: audioStatus, error: audioError, startRecording, stop } = useOptimizedAudioCapture({
+    onChunk: handleChunk,
+    streamUrl: sessionId ? api.voiceStreamUrl(sessionId) : null,
+    onPartial: (text) => setPartial(text),
+    onTranscript: appendTranscript,
+    onStreamError: (err) => setError(describeError(err))
+  });
+  const recording = audioStatus === 'recording' || audioStatus === 'starting';
+
+  // Fechar o modal encerra a sessão de treino (aparece como concluída no histórico)
+  useEffect(() => () => {
+    stop();
+    window.speechSynthesis?.cancel();
+    audioRef.current?.pause();
+    const ended = mockRef.current;
+    if (ended) {
+      api.endSession(ended.session.id, ended.questions.filter(q => q.answered).length).catch(() => {});
+    }
+  }, [stop]);
+
+  const ask = useCallback(async (question, session) => {
+    const voice = voices.find(v => v.name === setup.voice);
+    if (!voice || voice.name === 'text') return;
+    if (voice.client) return speakInBrowser(question.question, session.language);
+    try {
+      const audio = await api.getMockSpeech(session.id, question.id, voice.name);
+      if (!audio) return;
+      audioRef.current?.pause();
+      audioRef.current = new Audio(URL.createObjectURL(audio));
+      audioRef.current.play();
+    } catch (err) {
+      setError(describeError(err));
+    }
+  }, [voices, setup.voice]);
+
+  const openQuestion = (question, session = mock.session) => {
+    setResult(null);
+    setDraft('');
+    setPartial('');
+    setCurrentId(question.id);
+    ask(question, session);
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setBusy('starting');
+    setError(null);
+    try {
+      const data = await api.startMockInterview(Number(setup.jobId), {
+        questionCount: Number(setup.questionCount),
+        transcriptionProvider: setup.transcriptionProvider || undefined
+      });
+      setMock(data);
+      openQuestion(data.questions[0], data.session);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSubmit = async () => {
+    stop();
+    setBusy('grading');
+    setError(null);
+    try {
+      const { next, cost, ...graded } = await api.answerMockQuestion(sessionId, current.id, draft);
+      setMock(prev => ({ ...prev, questions: prev.questions.map(q => (q.id === graded.id ? graded : q)) }));
+      setResult({ ...graded, next });
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Pular: a próxima pergunta sem resposta depois desta (ou o resumo)
+  const handleSkip = () => {
+    stop();
+    const pending = mock.questions.filter(q => !q.answered && q.id !== current.id);
+    const next = pending.find(q => q.position > current.position) || pending[0];
+    if (next) openQuestion(next);
+    else setCurrentId(null);
+  };
+
+  const answered = mock ? mock.questions.filter(q => q.answered) : [];
+  const averageScore = answered.length
+    ? (answered.reduce((acc, q) => acc + q.score, 0) / answered.length).toFixed(1)
+    : null;
+
+  return (
+    <div className="job-manager mock-interview">
+      <div className="job-manager-header">
+        <h3>Practice Interview</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      {error && <div className="mock-error">{error}</div>}
+
+      {!mock ? (
+        <form className="job-form" onSubmit={handleStart}>
+          <p className="import-info">
+            The interviewer asks questions planned from the profile's key skills and seniority. Answer out loud (or type),
+            then get a score and feedback against an ideal answer. The session is saved to your history.
+          </p>
+          <div className="form-row">
+            <select value={setup.jobId} onChange={e => setSetup({ ...setup, jobId: e.target.value })} required>
+              <option value="">Choose a job profile</option>
+              {jobs.map(job => (
+                <option key={job.id} value={job.id}>{job.name}{job.company ? ` @ ${job.company}` : ''}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-row search-filters">
+            <input
+              type="number"
+              min={1}
+              max={15}
+              value={setup.questionCount}
+              onChange={e => setSetup({ ...setup, questionCount: e.target.value })}
+              title="Number of questions"
+            />
+            <select value={setup.voice} onChange={e => setSetup({ ...setup, voice: e.target.value })} title="Interviewer voice">
+              {voices.map(voice => (
+                <option key={voice.name} value={voice.name}>
+                  {voice.name === 'text' ? 'Text only' : voice.name === 'browser' ? 'Browser voice' : `Voice: ${voice.name}`}
+                </option>
+              ))}
+            </select>
+            <select
+              value={setup.transcriptionProvider}
+              onChange={e => setSetup({ ...setup, transcriptionProvider: e.target.value })}
+              title="Transcription provider"
+            >
+              <option value="">Default transcription</option>
+              {transcribers.map(provider => (
+                <option key={provider.name} value={provider.name}>
+                  {provider.name}{provider.local ? ' (local)' : ''}{provider.default ? ' - default' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn-primary" disabled={busy === 'starting' || !setup.jobId}>
+              {busy === 'starting' ? 'Preparing questions...' : 'Start practice'}
+            </button>
+          </div>
+        </form>
+      ) : current ? (
+        <div className="job-form mock-question">
+          <div className="mock-progress">
+            <span>Question {current.position} of {mock.questions.length}</span>
+            {current.skill && <span className="mock-skill">{current.skill}</span>}
+          </div>
+          <div className="mock-question-text">
+            {current.question}
+            <button type="button" className="btn-secondary" onClick={() => ask(current, mock.session)} title="Ask again">🔊</button>
+          </div>
+
+          {result ? (
+            <div className="mock-result">
+              <div className="mock-result-header">
+                <ScoreBadge score={result.score} />
+                <strong>Feedback</strong>
+              </div>
+              <p>{result.feedback}</p>
+              <details>
+                <summary>Ideal answer</summary>
+                <div className="markdown-body">
+                  {result.idealAnswer.split('\n').map((line, i) => <p key={i}>{line}</p>)}
+                </div>
+              </details>
+              <div className="form-actions">
+                <button type="button" className="btn-secondary" onClick={() => openQuestion(current)}>Try again</button>
+                {result.next ? (
+                  <button type="button" className="btn-primary" onClick={() => openQuestion(result.next)}>Next question</button>
+                ) : (
+                  <button type="button" className="btn-primary" onClick={() => setCurrentId(null)}>See summary</button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="form-row">
+                <textarea
+                  rows={6}
+                  placeholder="Record your answer or type it here..."
+                  value={partial ? `${draft} ${partial}`.trim() : draft}
+                  onChange={e => setDraft(e.target.value)}
+                  readOnly={recording}
+                />
+              </div>
+              {audioError && <span className="hint">{audioError}</span>}
+              <div className="form-actions">
+                {recording ? (
+                  <button type="button" className="btn-secondary danger" onClick={stop}>⏹ Stop recording</button>
+                ) : (
+                  <button type="button" className="btn-secondary" onClick={() => startRecording('practice')}>🎙 Record answer</button>
+                )}
+                <button type="button" className="btn-secondary" onClick={handleSkip} disabled={Boolean(busy)}>Skip</button>
+                <button
+                  type="button"
+                  className="btn-primary"
+                  onClick={handleSubmit}
+                  disabled={!draft.trim() || recording || transcribing || Boolean(busy)}
+                >
+                  {busy === 'grading' ? 'Grading...' : 'Submit answer'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="job-form mock-summary">
+          <div className="cache-stats">
+            <span><strong>{answered.length}</strong> of {mock.questions.length} answered</span>
+            {averageScore !== null && <span><strong>{averageScore}</strong>/10 average</span>}
+          </div>
+          <div className="job-list">
+            {mock.questions.map(question => (
+              <div key={question.id} className="job-card" onClick={() => openQuestion(question)}>
+                <div className="job-card-header">
+                  <div className="job-title">
+                    <span>Q{question.position}. {question.question}</span>
+                  </div>
+                  {question.answered ? <ScoreBadge score={question.score} /> : <span className="hint">skipped</span>}
+                </div>
+                {question.feedback && <div className="job-company">{question.feedback}</div>}
+              </div>
+            ))}
+          </div>
+          <div className="form-actions">
+            <button type="button" className="btn-primary" onClick={onClose}>Finish</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+// src/components/PromptTemplateManager.jsx - Editor de templates de prompt (personas) com preview das mensagens
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../api';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description: '',
+  system_prompt: '',
+  job_context: '',
+  description_limit: 2000,
+  shared: false
+};
+
+function PromptPreview({ template, jobs }) {
+  const [jobId, setJobId] = useState('');
+  const [question, setQuestion] = useState('How would you design an idempotent pipeline?');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runPreview = async () => {
+    setError(null);
+    try {
+      const params = { question, template };
+      if (jobId) params.jobId = Number(jobId);
+      setPreview(await api.previewPrompt(params));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="prompt-preview">
+      <div className="form-row search-filters">
+        <select value={jobId} onChange={e => setJobId(e.target.value)}>
+          <option value="">No profile</option>
+          {jobs.map(job => (
+            <option key={job.id} value={job.id}>{job.name}</option>
+          ))}
+        </select>
+        <input placeholder="Sample question" value={question} onChange={e => setQuestion(e.target.value)} />
+        <button type="button" className="btn-secondary" onClick={runPreview}>Preview</button>
+      </div>
+
+      {error && <p className="import-info">{error}</p>}
+      {preview && (
+        <>
+          <p className="import-info">
+            {preview.messages.length} messages • ~{preview.tokens} input tokens
+            {preview.tailored ? ' • tailored to profile' : ''}
+          </p>
+          {preview.messages.map((message, i) => (
+            <div key={i} className="prompt-message">
+              <span className="prompt-role">{message.role}</span>
+              <pre>{message.content}</pre>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export function PromptTemplateManager({ user, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [variables, setVariables] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTemplates(await api.getPrompts());
+    } catch (err) {
+      console.error('Failed to load prompt templates:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+    api.getPromptVariables().then(setVariables).catch(err => console.error('Failed to load variables:', err));
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+  }, [loadTemplates]);
+
+  const editTemplate = (template) => {
+    setSelectedId(template?.id ?? null);
+    setForm(template
+      ? {
+          name: template.name,
+          description: template.description || '',
+          system_prompt: template.system_prompt,
+          job_context: template.job_context || '',
+          description_limit: template.description_limit,
+          shared: Boolean(template.shared)
+        }
+      : EMPTY_TEMPLATE);
+  };
+
+  const setField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = { ...form, description_limit: Number(form.description_limit) };
+    try {
+      const saved = selectedId ? await api.updatePrompt(selectedId, data) : await api.createPrompt(data);
+      setSelectedId(saved.id);
+      loadTemplates();
+    } catch (err) {
+      alert('Failed to save template: ' + err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this template? Job profiles using it will fall back to the default.')) return;
+    try {
+      await api.deletePrompt(selectedId);
+      setForm(null);
+      setSelectedId(null);
+      loadTemplates();
+    } catch (err) {
+      alert('Failed to delete: ' + err.message);
+    }
+  };
+
+  const handleSetDefault = async () => {
+    try {
+      await api.setDefaultPrompt(selectedId);
+      loadTemplates();
+    } catch (err) {
+      alert('Failed to set default: ' + err.message);
+    }
+  };
+
+  const selected = templates.find(t => t.id === selectedId);
+  const isAdmin = user?.role === 'admin';
+  // Compartilhados (embutidos e os criados por admin) são só leitura para os demais usuários
+  const readOnly = Boolean(selected?.shared) && !isAdmin;
+
+  return (
+    <div className="job-manager prompt-manager">
+      <div className="job-manager-header">
+        <h3>Prompt Templates</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      {!form ? (
+        <>
+          <div className="job-list">
+            {loading ? (
+              <div className="loading">Loading...</div>
+            ) : (
+              templates.map(template => (
+                <div
+                  key={template.id}
+                  className={`job-card ${template.is_default ? 'default' : ''}`}
+                  onClick={() => editTemplate(template)}
+                >
+                  <div className="job-card-header">
+                    <div className="job-title">
+                      <strong>{template.name}</strong>
+                      {template.is_default ? <span className="badge-default">DEFAULT</span> : null}
+                      {template.shared ? <span className="badge-default">SHARED</span> : null}
+                    </div>
+                  </div>
+                  <div className="job-company">
+                    {template.description || 'No description'} • {template.jobs} profile{template.jobs === 1 ? '' : 's'}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+          <button className="btn-add" onClick={() => editTemplate(null)}>
+            + New Template
+          </button>
+        </>
+      ) : (
+        <form className="job-form" onSubmit={handleSubmit}>
+          <h4>{selectedId ? `${readOnly ? 'View' : 'Edit'} "${selected?.name || form.name}"` : 'New Template'}</h4>
+          {readOnly && <p className="hint">Shared template: only an admin can change it. You can still use it in your job profiles.</p>}
+
+          <div className="form-row">
+            <input placeholder="Name (e.g., Backend Engineer)" value={form.name} onChange={setField('name')} required />
+          </div>
+          <div className="form-row">
+            <input placeholder="Short description" value={form.description} onChange={setField('description')} />
+          </div>
+          <div className="form-row">
+            <textarea
+              placeholder="System prompt (persona and rules)"
+              rows={6}
+              value={form.system_prompt}
+              onChange={setField('system_prompt')}
+              required
+            />
+          </div>
+          <div className="form-row">
+            <textarea
+              placeholder="Job context (appended only when the session has a job profile)"
+              rows={6}
+              value={form.job_context}
+              onChange={setField('job_context')}
+            />
+          </div>
+          <div className="form-row">
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={form.description_limit}
+              onChange={setField('description_limit')}
+              title="Characters of the job description inserted by {{description}}"
+            />
+          </div>
+
+          <p className="import-info prompt-variables">
+            Variables:{' '}
+            {variables.map(v => (
+              <code key={v.name} title={v.description}>{`{{${v.name}}}`}</code>
+            ))}
+          </p>
+
+          {isAdmin && !selectedId && (
+            <label className="form-checkbox">
+              <input type="checkbox" checked={form.shared} onChange={e => setForm(prev => ({ ...prev, shared: e.target.checked }))} />
+              Shared with all users
+            </label>
+          )}
+
+          <PromptPreview template={{ ...form, description_limit: Number(form.description_limit) }} jobs={jobs} />
+
+          <div className="form-actions">
+            <button type="button" className="btn-secondary" onClick={() => { setForm(null); setSelectedId(null); }}>Back</button>
+            {selectedId && !selected?.is_default && !readOnly && (
+              <>
+                {isAdmin && selected?.shared ? (
+                  <button type="button" className="btn-secondary" onClick={handleSetDefault}>Set as default</button>
+                ) : null}
+                <button type="button" className="btn-secondary danger" onClick={handleDelete}>Delete</button>
+              </>
+            )}
+            {!readOnly && <button type="submit" className="btn-primary">Save</button>}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
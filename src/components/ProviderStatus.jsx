@@ -0,0 +1,35 @@
+// src/components/ProviderStatus.jsx - Indicador de circuit breakers abertos (providers pausados após falhas seguidas)
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+
+const POLL_MS = 10000;
+
+const LABELS = { chat: 'Answers', transcription: 'Transcription', embeddings: 'Cache' };
+
+export function ProviderStatus({ active }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!active) return;
+    const load = () => api.getProviderStatus().then(setStatus).catch(() => setStatus(null));
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  const degraded = (status?.providers || []).filter(p => p.state !== 'closed');
+  if (degraded.length === 0) return null;
+
+  return (
+    <span className="provider-status" title="Calls to these providers are paused after repeated failures">
+      {degraded.map(p => {
+        const [kind, name] = p.provider.split(':');
+        return (
+          <span key={p.provider} className={`provider-badge ${p.state}`}>
+            ⚡ {LABELS[kind] || kind} ({name}) {p.state === 'open' ? `paused, retry in ${Math.ceil(p.retryInMs / 1000)}s` : 're-checking'}
+          </span>
+        );
+      })}
+    </span>
+  );
+}
@@ -1,6 +1,10 @@
 import { useState } from "react";
+import { CloudCostEstimate } from "./CloudCostEstimate";
 
-export function QACard({ qa, isExpanded, onToggle, isStarred, onStar, isStreaming = false }) {
+const MODE_LABELS = { talking_points: "POINTS", star: "STAR", code_first: "CODE", deep_dive: "DEEP DIVE" };
+
+// onAskFollowUp: sem ele (histórico), as perguntas previstas aparecem só como texto
+export function QACard({ qa, isExpanded, onToggle, isStarred, onStar, onAskFollowUp, isStreaming = false }) {
   const [copied, setCopied] = useState(false);
 
   const copyToClipboard = (text) => {
@@ -16,8 +20,21 @@ export function QACard({ qa, isExpanded, onToggle, isStarred, onStar, isStreamin
         <span className="qa-q">{qa.question.slice(0, 80)}...</span>
         <div className="qa-badges">
           {isStreaming && <span className="badge streaming">STREAMING</span>}
-          {qa.cached && <span className="badge cache">CACHE</span>}
+          {qa.cached && (
+            <span className="badge cache" title={qa.cacheSimilarity != null ? `Similarity ${qa.cacheSimilarity.toFixed(2)}` : undefined}>
+              CACHE
+            </span>
+          )}
           {qa.tailored && <span className="badge tailored">TAILORED</span>}
+          {qa.practice?.score !== null && qa.practice?.score !== undefined && (
+            <span className="badge score" title={qa.practice.skill || undefined}>{qa.practice.score}/10</span>
+          )}
+          {qa.mode && (
+            <span className="badge mode" title={qa.mode.suggested ? `Auto: ${qa.mode.reason}` : qa.mode.reason || undefined}>
+              {MODE_LABELS[qa.mode.mode] || qa.mode.mode}
+            </span>
+          )}
+          {qa.model && <span className="badge model" title={qa.provider}>{qa.model}</span>}
           {qa.processingTimeMs > 0 && (
             <span className="badge time">{qa.processingTimeMs}ms</span>
           )}
@@ -34,9 +51,21 @@ export function QACard({ qa, isExpanded, onToggle, isStarred, onStar, isStreamin
           <div className="qa-section">
             <strong>Q:</strong> {qa.question}
           </div>
+          {qa.practice && (
+            <div className="qa-section practice">
+              {qa.practice.answer ? (
+                <>
+                  <strong>Your answer:</strong> {qa.practice.answer}
+                  <p className="practice-feedback">{qa.practice.feedback}</p>
+                </>
+              ) : (
+                <span className="hint">Not answered</span>
+              )}
+            </div>
+          )}
           <div className="qa-section answer">
             <div className="answer-header">
-              <strong>A:</strong>
+              <strong>{qa.practice ? "Ideal answer:" : "A:"}</strong>
               <button onClick={() => copyToClipboard(qa.answer)} className="copy-btn">
                 {copied ? "✓ Copied!" : "Copy"}
               </button>
@@ -48,6 +77,28 @@ export function QACard({ qa, isExpanded, onToggle, isStarred, onStar, isStreamin
               {isStreaming && <span className="inline-block w-2 h-4 bg-purple-400 ml-1 animate-pulse" />}
             </div>
           </div>
+          {qa.cloudCostEstimate && <CloudCostEstimate estimate={qa.cloudCostEstimate} />}
+          {qa.followUps?.length > 0 && (
+            <div className="follow-up-section">
+              <div className="follow-up-header">
+                <span className="icon">🔮</span>
+                <strong>Likely follow-ups</strong>
+              </div>
+              <div className="follow-up-chips">
+                {qa.followUps.map((followUp) => (
+                  <button
+                    key={followUp}
+                    className="btn-use-followup"
+                    disabled={!onAskFollowUp}
+                    onClick={() => onAskFollowUp(followUp)}
+                    title={onAskFollowUp ? "Answer this now" : undefined}
+                  >
+                    {followUp}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           {qa.cost > 0 && <span className="cost-tag">Cost: ${qa.cost.toFixed(5)}</span>}
         </div>
       )}
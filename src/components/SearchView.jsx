@@ -0,0 +1,166 @@
+// src/components/SearchView.jsx - Busca no histórico de perguntas e respostas de todas as sessões
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../api';
+
+const PAGE_SIZE = 20;
+
+// Os snippets chegam do servidor com HTML escapado e <mark> nos termos encontrados
+function Snippet({ html, className }) {
+  return <span className={className} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+// created_at vem do SQLite em UTC, sem fuso ("YYYY-MM-DD HH:MM:SS")
+function formatDate(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString() : '';
+}
+
+export function SearchView({ onClose }) {
+  const [jobs, setJobs] = useState([]);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ jobProfileId: '', from: '', to: '', cached: '', tailored: '', starred: '' });
+  const [sort, setSort] = useState('relevance');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Só envia os filtros preenchidos ('' = sem filtro)
+  const searchParams = useCallback((offset) => {
+    const params = { limit: PAGE_SIZE, offset, sort };
+    if (query.trim()) params.q = query.trim();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== '') params[key] = value;
+    }
+    return params;
+  }, [query, filters, sort]);
+
+  const runSearch = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      const data = await api.search(searchParams(offset));
+      setResults(prev => (offset === 0 ? data.results : [...prev, ...data.results]));
+      setTotal(data.total);
+    } catch (err) {
+      console.error('Search failed:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchParams]);
+
+  useEffect(() => {
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+  }, []);
+
+  // Debounce da digitação/filtros
+  useEffect(() => {
+    const timer = setTimeout(() => runSearch(0), 250);
+    return () => clearTimeout(timer);
+  }, [runSearch]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  const handleStar = async (result, e) => {
+    e.stopPropagation();
+    try {
+      const { starred } = await api.starQA(result.id, !result.starred);
+      setResults(prev => prev.map(r => (r.id === result.id ? { ...r, starred: starred ? 1 : 0 } : r)));
+    } catch (err) {
+      alert('Failed to star: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="job-manager search-view">
+      <div className="job-manager-header">
+        <h3>Search History</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      <div className="cache-filters form-row">
+        <input
+          autoFocus
+          placeholder='Search questions, answers and job profiles... ("exact phrase" supported)'
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+        <select value={sort} onChange={e => setSort(e.target.value)}>
+          <option value="relevance">Relevance</option>
+          <option value="date">Newest</option>
+        </select>
+      </div>
+
+      <div className="cache-filters form-row search-filters">
+        <select value={filters.jobProfileId} onChange={setFilter('jobProfileId')}>
+          <option value="">All profiles</option>
+          <option value="none">No profile</option>
+          {jobs.map(job => (
+            <option key={job.id} value={job.id}>{job.name}</option>
+          ))}
+        </select>
+        <input type="date" value={filters.from} onChange={setFilter('from')} title="From" />
+        <input type="date" value={filters.to} onChange={setFilter('to')} title="To" />
+        <select value={filters.cached} onChange={setFilter('cached')}>
+          <option value="">Cached: any</option>
+          <option value="true">Cached</option>
+          <option value="false">Generated</option>
+        </select>
+        <select value={filters.tailored} onChange={setFilter('tailored')}>
+          <option value="">Tailored: any</option>
+          <option value="true">Tailored</option>
+          <option value="false">Generic</option>
+        </select>
+        <select value={filters.starred} onChange={setFilter('starred')}>
+          <option value="">Starred: any</option>
+          <option value="true">★ Starred</option>
+        </select>
+      </div>
+
+      <div className="job-list">
+        {loading && results.length === 0 ? (
+          <div className="loading">Searching...</div>
+        ) : results.length === 0 ? (
+          <div className="empty">No matching answers.</div>
+        ) : (
+          results.map(result => (
+            <div
+              key={result.id}
+              className="job-card search-result"
+              onClick={() => setExpandedId(expandedId === result.id ? null : result.id)}
+            >
+              <div className="job-card-header">
+                <div className="job-title">
+                  <Snippet html={result.questionSnippet} className="search-question" />
+                </div>
+                <button className="btn-delete" onClick={(e) => handleStar(result, e)} title={result.starred ? 'Unstar' : 'Star'}>
+                  {result.starred ? '★' : '☆'}
+                </button>
+              </div>
+
+              <div className="job-company">
+                {result.job_name || 'No profile'}{result.company ? ` @ ${result.company}` : ''}
+                {' • '}{formatDate(result.created_at)}
+                {result.cached ? ' • cached' : ''}
+                {result.tailored ? ' • tailored' : ''}
+              </div>
+
+              {expandedId === result.id ? (
+                <div className="markdown-body">
+                  {result.answer.split('\n').map((line, i) => (
+                    <p key={i}>{line}</p>
+                  ))}
+                </div>
+              ) : (
+                <Snippet html={result.answerSnippet} className="search-snippet" />
+              )}
+            </div>
+          ))
+        )}
+        {total > results.length && (
+          <button type="button" className="btn-secondary search-more" disabled={loading} onClick={() => runSearch(results.length)}>
+            {loading ? 'Loading...' : `Show more (${results.length} of ${total})`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+// src/components/SessionHistory.jsx - Lista de sessões passadas e visualização (somente leitura) de uma sessão
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { QACard } from './QACard';
+import { ClassificationBadge } from './ClassificationBadge';
+import { SessionReport } from './SessionReport';
+import { api } from '../api';
+
+const PAGE_SIZE = 20;
+
+const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+  { value: 'json', label: 'JSON' },
+  { value: 'csv', label: 'CSV (metrics)' },
+  { value: 'transcript', label: 'Transcript' }
+];
+
+const SPEAKER_LABELS = { interviewer: 'Interviewer', candidate: 'You' };
+
+function ExportFormatSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={e => onChange(e.target.value)}>
+      {EXPORT_FORMATS.map(f => (
+        <option key={f.value} value={f.value}>{f.label}</option>
+      ))}
+    </select>
+  );
+}
+
+// Datas do SQLite vêm em UTC sem fuso ("YYYY-MM-DD HH:MM:SS"); ended_at pode vir em ISO
+function parseDate(value) {
+  if (!value) return null;
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+function formatDuration(startedAt, endedAt) {
+  const start = parseDate(startedAt);
+  const end = parseDate(endedAt);
+  if (!start || !end) return null;
+  const minutes = Math.round((end - start) / 60000);
+  return minutes < 60 ? `${minutes}min` : `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// follow_up_question: array JSON de perguntas previstas (ou uma pergunta em texto, layout antigo)
+function parseFollowUps(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // texto puro
+  }
+  return [value];
+}
+
+// cloud_cost_estimate: JSON da estimativa; texto solto (layout antigo do setup-db) é ignorado
+function parseCloudCostEstimate(value) {
+  try {
+    const estimate = JSON.parse(value);
+    return Array.isArray(estimate?.items) ? estimate : null;
+  } catch {
+    return null;
+  }
+}
+
+// Converte a linha de question_answers no formato usado pelo QACard da sessão ao vivo
+function toQA(row, index) {
+  return {
+    id: index + 1,
+    qaId: row.id,
+    question: row.question || '',
+    answer: row.answer || '',
+    processingTimeMs: row.processing_time_ms,
+    cached: Boolean(row.cached),
+    tailored: Boolean(row.tailored),
+    cost: row.cost || 0,
+    model: row.model,
+    provider: row.provider,
+    cacheSimilarity: row.cache_similarity,
+    mode: row.answer_mode ? { mode: row.answer_mode } : null,
+    followUps: parseFollowUps(row.follow_up_question),
+    cloudCostEstimate: parseCloudCostEstimate(row.cloud_cost_estimate),
+    // Treino: a resposta do candidato e a correção; answer é a resposta ideal
+    practice: row.mock_position !== null && row.mock_position !== undefined
+      ? { skill: row.skill, answer: row.candidate_answer, score: row.score, feedback: row.feedback }
+      : null,
+    starred: Boolean(row.starred)
+  };
+}
+
+function SessionDetail({ sessionId, onBack, onDeleted }) {
+  const [session, setSession] = useState(null);
+  const [exportFormat, setExportFormat] = useState('markdown');
+  const [qas, setQas] = useState([]);
+  const [expandedQA, setExpandedQA] = useState(null);
+  const [view, setView] = useState('qas'); // 'qas' | 'transcript' | 'report'
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.getSession(sessionId)
+      .then(data => {
+        setSession(data);
+        setQas(data.qas.map(toQA));
+      })
+      .catch(err => setError(err.message));
+  }, [sessionId]);
+
+  const handleStar = async (qa) => {
+    try {
+      await api.starQA(qa.qaId, !qa.starred);
+      setQas(prev => prev.map(q => (q.qaId === qa.qaId ? { ...q, starred: !qa.starred } : q)));
+    } catch (err) {
+      alert('Failed to star: ' + err.message);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      await api.downloadSessionExport(sessionId, exportFormat);
+    } catch (err) {
+      alert('Failed to export: ' + err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this session and all its answers?')) return;
+    try {
+      await api.deleteSession(sessionId);
+      onDeleted();
+    } catch (err) {
+      alert('Failed to delete: ' + err.message);
+    }
+  };
+
+  if (error) return <div className="empty">{error}</div>;
+  if (!session) return <div className="loading">Loading...</div>;
+
+  const { metrics } = session;
+  const toggleView = (next) => setView(current => (current === next ? 'qas' : next));
+  return (
+    <>
+      <div className="cache-stats">
+        <button className="btn-secondary" onClick={onBack}>← Back</button>
+        <span><strong>{session.job_name || 'No profile'}</strong>{session.company ? ` @ ${session.company}` : ''}</span>
+        <span>{parseDate(session.started_at).toLocaleString()}</span>
+        <span className="hint">{session.status}</span>
+        {session.kind === 'mock' && <span className="badge-default">PRACTICE</span>}
+      </div>
+
+      <div className="cache-stats">
+        <span><strong>{metrics.questions}</strong> questions</span>
+        {metrics.averageScore !== null && <span><strong>{metrics.averageScore}</strong>/10 average score</span>}
+        <span><strong>${metrics.cost.toFixed(4)}</strong> cost</span>
+        <span><strong>{metrics.cached}</strong> cached</span>
+        <span><strong>{metrics.tailored}</strong> tailored</span>
+        <span><strong>{metrics.avgProcessingMs}ms</strong> avg latency</span>
+        <span><strong>{metrics.tokensInput + metrics.tokensOutput}</strong> tokens</span>
+        {session.transcript.length > 0 && (
+          <button className="btn-secondary" onClick={() => toggleView('transcript')}>
+            {view === 'transcript' ? 'Questions & answers' : 'Transcript'}
+          </button>
+        )}
+        <button className="btn-secondary" onClick={() => toggleView('report')}>
+          {view === 'report' ? 'Questions & answers' : 'Report'}
+        </button>
+      </div>
+
+      {view === 'report' ? (
+        <SessionReport sessionId={sessionId} />
+      ) : view === 'transcript' ? (
+        <div className="job-list transcript-list">
+          {session.transcript.map(segment => (
+            <div key={segment.id} className={`transcript-line ${segment.speaker}`}>
+              <span className="transcript-speaker">{SPEAKER_LABELS[segment.speaker] || segment.speaker}</span>
+              <span className="transcript-text">{segment.text}</span>
+              <ClassificationBadge type={segment.classification} confidence={segment.confidence} source={segment.classification_source} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="job-list history-qa-list">
+          {qas.length === 0 ? (
+            <div className="empty">No questions in this session.</div>
+          ) : (
+            qas.map(qa => (
+              <QACard
+                key={qa.qaId}
+                qa={qa}
+                isExpanded={expandedQA === qa.id}
+                onToggle={() => setExpandedQA(expandedQA === qa.id ? null : qa.id)}
+                isStarred={qa.starred}
+                onStar={() => handleStar(qa)}
+              />
+            ))
+          )}
+        </div>
+      )}
+
+      <div className="form-actions cache-actions">
+        <ExportFormatSelect value={exportFormat} onChange={setExportFormat} />
+        <button type="button" className="btn-secondary" onClick={handleExport}>Export</button>
+        <button type="button" className="btn-secondary danger" onClick={handleDelete}>Delete session</button>
+      </div>
+    </>
+  );
+}
+
+export function SessionHistory({ onClose }) {
+  const [jobs, setJobs] = useState([]);
+  const [filters, setFilters] = useState({ jobProfileId: '', status: '', from: '', to: '' });
+  const [sessions, setSessions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [checkedIds, setCheckedIds] = useState(new Set());
+  const [exportFormat, setExportFormat] = useState('markdown');
+  const [loading, setLoading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadSessions = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      const params = { limit: PAGE_SIZE, offset };
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== '') params[key] = value;
+      }
+      const data = await api.listSessions(params);
+      setSessions(prev => (offset === 0 ? data.sessions : [...prev, ...data.sessions]));
+      setTotal(data.total);
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+  }, []);
+
+  useEffect(() => {
+    loadSessions(0);
+  }, [loadSessions]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  const toggleChecked = (id, e) => {
+    e.stopPropagation();
+    setCheckedIds(prev => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  };
+
+  const handleExportZip = async () => {
+    try {
+      await api.downloadSessionsZip([...checkedIds], exportFormat);
+    } catch (err) {
+      alert('Failed to export: ' + err.message);
+    }
+  };
+
+  // Aceita o JSON gerado pelo export (formato "json")
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { questions } = await api.importSession(JSON.parse(await file.text()));
+      alert(`Session imported (${questions} questions)`);
+      loadSessions(0);
+    } catch (err) {
+      alert('Failed to import: ' + err.message);
+    }
+  };
+
+  const handleDeleted = () => {
+    setCheckedIds(prev => {
+      const next = new Set(prev);
+      next.delete(selectedId);
+      return next;
+    });
+    setSelectedId(null);
+    loadSessions(0);
+  };
+
+  return (
+    <div className="job-manager session-history">
+      <div className="job-manager-header">
+        <h3>Session History</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      {selectedId ? (
+        <SessionDetail sessionId={selectedId} onBack={() => setSelectedId(null)} onDeleted={handleDeleted} />
+      ) : (
+        <>
+          <div className="cache-filters form-row search-filters">
+            <select value={filters.jobProfileId} onChange={setFilter('jobProfileId')}>
+              <option value="">All profiles</option>
+              <option value="none">No profile</option>
+              {jobs.map(job => (
+                <option key={job.id} value={job.id}>{job.name}</option>
+              ))}
+            </select>
+            <select value={filters.status} onChange={setFilter('status')}>
+              <option value="">Any status</option>
+              <option value="active">Active</option>
+              <option value="completed">Completed</option>
+            </select>
+            <input type="date" value={filters.from} onChange={setFilter('from')} title="From" />
+            <input type="date" value={filters.to} onChange={setFilter('to')} title="To" />
+          </div>
+
+          <div className="job-list">
+            {loading && sessions.length === 0 ? (
+              <div className="loading">Loading...</div>
+            ) : sessions.length === 0 ? (
+              <div className="empty">No sessions yet.</div>
+            ) : (
+              sessions.map(session => (
+                <div key={session.id} className="job-card" onClick={() => setSelectedId(session.id)}>
+                  <div className="job-card-header">
+                    <div className="job-title">
+                      <input
+                        type="checkbox"
+                        checked={checkedIds.has(session.id)}
+                        onClick={(e) => toggleChecked(session.id, e)}
+                        onChange={() => {}}
+                      />
+                      <strong>{session.job_name || 'No profile'}</strong>
+                      {session.status === 'active' && <span className="badge-default">ACTIVE</span>}
+                      {session.kind === 'mock' && <span className="badge-default">PRACTICE</span>}
+                    </div>
+                    <span className="hint">{parseDate(session.started_at).toLocaleString()}</span>
+                  </div>
+                  <div className="job-company">
+                    {session.questions} questions • ${session.cost.toFixed(4)}
+                    {session.cached > 0 && ` • ${session.cached} cached`}
+                    {formatDuration(session.started_at, session.ended_at) && ` • ${formatDuration(session.started_at, session.ended_at)}`}
+                    {session.model && ` • ${session.model}`}
+                  </div>
+                </div>
+              ))
+            )}
+            {total > sessions.length && (
+              <button type="button" className="btn-secondary search-more" disabled={loading} onClick={() => loadSessions(sessions.length)}>
+                {loading ? 'Loading...' : `Show more (${sessions.length} of ${total})`}
+              </button>
+            )}
+          </div>
+
+          <div className="form-actions cache-actions">
+            <ExportFormatSelect value={exportFormat} onChange={setExportFormat} />
+            {checkedIds.size > 0 ? (
+              <button type="button" className="btn-secondary" onClick={handleExportZip}>
+                Export {checkedIds.size} as zip
+              </button>
+            ) : (
+              <button type="button" className="btn-secondary" disabled>Select sessions to export</button>
+            )}
+            <button type="button" className="btn-secondary" onClick={() => fileInputRef.current.click()}>Import JSON</button>
+            <input ref={fileInputRef} type="file" accept="application/json" hidden onChange={handleImport} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
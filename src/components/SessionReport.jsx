@@ -0,0 +1,147 @@
+// src/components/SessionReport.jsx - Relatório pós-sessão: resumo, cobertura das key skills, tempo por tema e o que estudar
+import { useState, useEffect, useCallback } from 'react';
+import { api, describeError } from '../api';
+
+// Enquanto o servidor gera o relatório (logo depois do fim da sessão)
+const POLL_INTERVAL_MS = 3000;
+
+const formatMinutes = (seconds) => (seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`);
+
+export function SessionReport({ sessionId }) {
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'pending' | 'missing' | 'ready'
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await api.getSessionReport(sessionId);
+      if (data.status === 'ready') setReport(data);
+      setStatus(data.status);
+    } catch (err) {
+      if (err.code === 'REPORT_NOT_FOUND') setStatus('missing');
+      else setError(describeError(err));
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (status !== 'pending') return;
+    const timer = setTimeout(load, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [status, load]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError(null);
+    try {
+      setReport(await api.generateSessionReport(sessionId));
+      setStatus('ready');
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (status === 'loading') return <div className="loading">{error || 'Loading report...'}</div>;
+  if (status === 'pending') return <div className="loading">Generating the review report...</div>;
+
+  if (status === 'missing') {
+    return (
+      <div className="empty session-report">
+        {error && <div className="mock-error">{error}</div>}
+        <p>No report for this session yet.</p>
+        <button className="btn-primary" onClick={handleGenerate} disabled={generating}>
+          {generating ? 'Generating...' : 'Generate report'}
+        </button>
+      </div>
+    );
+  }
+
+  const { coverage, timeByTopic, weakTopics, studyItems, scoresBySkill } = report;
+  const longest = Math.max(1, ...timeByTopic.map(entry => entry.seconds));
+  return (
+    <div className="job-list session-report">
+      {error && <div className="mock-error">{error}</div>}
+      {(report.error || report.note) && <div className="hint">{report.error ? `Review unavailable: ${report.error}` : report.note}</div>}
+
+      {report.summary && (
+        <section className="report-section">
+          <h4>Summary</h4>
+          <p>{report.summary}</p>
+        </section>
+      )}
+
+      <section className="report-section">
+        <h4>Key skills</h4>
+        {coverage.covered.length === 0 && coverage.missing.length === 0 ? (
+          <p className="hint">The job profile has no key skills.</p>
+        ) : (
+          <div className="report-skills">
+            {coverage.covered.map(({ skill, mentions }) => (
+              <span key={skill} className="report-skill covered" title={`${mentions} mentions`}>✓ {skill}</span>
+            ))}
+            {coverage.missing.map(skill => (
+              <span key={skill} className="report-skill missing" title="Never came up">✗ {skill}</span>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {weakTopics.length > 0 && (
+        <section className="report-section">
+          <h4>Weakest topics</h4>
+          <ul>
+            {weakTopics.map(({ topic, reason }) => <li key={topic}><strong>{topic}:</strong> {reason}</li>)}
+          </ul>
+        </section>
+      )}
+
+      {scoresBySkill && (
+        <section className="report-section">
+          <h4>Scores by skill</h4>
+          <ul>
+            {scoresBySkill.map(({ skill, average, questions }) => (
+              <li key={skill}><strong>{skill}:</strong> {average}/10 ({questions} {questions === 1 ? 'question' : 'questions'})</li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {timeByTopic.length > 0 && (
+        <section className="report-section">
+          <h4>Time by topic</h4>
+          {timeByTopic.map(({ topic, seconds, questions }) => (
+            <div key={topic} className="report-time">
+              <span className="report-time-topic">{topic}</span>
+              <div className="report-time-bar"><div style={{ width: `${(seconds / longest) * 100}%` }} /></div>
+              <span className="hint">{formatMinutes(seconds)} · {questions}q</span>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {studyItems.length > 0 && (
+        <section className="report-section">
+          <h4>Study next</h4>
+          <ul>
+            {studyItems.map(({ topic, item }, i) => <li key={i}><strong>{topic}:</strong> {item}</li>)}
+          </ul>
+        </section>
+      )}
+
+      <div className="form-actions">
+        <span className="hint">
+          {new Date(report.generatedAt).toLocaleString()}{report.model ? ` · ${report.model}` : ''} · ${report.cost.toFixed(4)}
+        </span>
+        <button className="btn-secondary" onClick={handleGenerate} disabled={generating}>
+          {generating ? 'Generating...' : 'Regenerate'}
+        </button>
+      </div>
+    </div>
+  );
+}
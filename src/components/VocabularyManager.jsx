@@ -0,0 +1,173 @@
+// src/components/VocabularyManager.jsx - Glossário (dica da transcrição) e correções pós-transcrição, globais ou por perfil
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../api';
+
+export function VocabularyManager({ user, onClose }) {
+  const [jobs, setJobs] = useState([]);
+  // 'none' = vocabulário global; id = só o do perfil
+  const [scope, setScope] = useState('none');
+  const [terms, setTerms] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+  const [newTerm, setNewTerm] = useState('');
+  const [newCorrection, setNewCorrection] = useState({ heard: '', replacement: '' });
+  const [testText, setTestText] = useState('');
+  const [testResult, setTestResult] = useState(null);
+
+  const jobProfileId = scope === 'none' ? null : Number(scope);
+  // O global vale para todos os usuários: só admin altera
+  const readOnly = jobProfileId === null && user?.role !== 'admin';
+
+  const loadVocabulary = useCallback(async () => {
+    try {
+      const data = await api.getVocabulary({ jobProfileId: scope });
+      setTerms(data.terms);
+      setCorrections(data.corrections);
+    } catch (err) {
+      console.error('Failed to load vocabulary:', err);
+    }
+  }, [scope]);
+
+  useEffect(() => {
+    api.getJobs().then(setJobs).catch(err => console.error('Failed to load jobs:', err));
+  }, []);
+
+  useEffect(() => {
+    loadVocabulary();
+    setTestResult(null);
+  }, [loadVocabulary]);
+
+  const handleAddTerm = async (e) => {
+    e.preventDefault();
+    try {
+      await api.addVocabularyTerm(newTerm, jobProfileId);
+      setNewTerm('');
+      loadVocabulary();
+    } catch (err) {
+      alert('Failed to add term: ' + err.message);
+    }
+  };
+
+  const handleAddCorrection = async (e) => {
+    e.preventDefault();
+    try {
+      await api.addVocabularyCorrection(newCorrection.heard, newCorrection.replacement, jobProfileId);
+      setNewCorrection({ heard: '', replacement: '' });
+      loadVocabulary();
+    } catch (err) {
+      alert('Failed to add correction: ' + err.message);
+    }
+  };
+
+  const handleDelete = async (remove, id) => {
+    try {
+      await remove(id);
+      loadVocabulary();
+    } catch (err) {
+      alert('Failed to delete: ' + err.message);
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      setTestResult(await api.testVocabulary(testText, jobProfileId));
+    } catch (err) {
+      alert('Failed to test: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="job-manager vocabulary-manager">
+      <div className="job-manager-header">
+        <h3>Vocabulary</h3>
+        <button className="btn-close" onClick={onClose}>×</button>
+      </div>
+
+      <div className="cache-filters form-row">
+        <select value={scope} onChange={e => setScope(e.target.value)}>
+          <option value="none">Global (all profiles)</option>
+          {jobs.map(job => (
+            <option key={job.id} value={job.id}>{job.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="job-form">
+        <h4>Glossary</h4>
+        <p className="import-info">
+          Sent to the transcription backend as a hint{jobProfileId ? ', together with the global glossary and the profile\'s key skills' : ''}.
+          {readOnly && ' The global vocabulary is shared by all users and only an admin can change it; pick a job profile to add your own.'}
+        </p>
+        <div className="vocabulary-terms">
+          {terms.length === 0 && <span className="hint">No terms.</span>}
+          {terms.map(term => (
+            <span key={term.id} className="vocabulary-chip">
+              {term.term}
+              {!readOnly && <button type="button" onClick={() => handleDelete(api.deleteVocabularyTerm, term.id)} title="Remove">×</button>}
+            </span>
+          ))}
+        </div>
+        {!readOnly && (
+          <form className="form-row search-filters" onSubmit={handleAddTerm}>
+            <input placeholder="New term (e.g., Iceberg)" value={newTerm} onChange={e => setNewTerm(e.target.value)} required />
+            <button type="submit" className="btn-secondary">Add</button>
+          </form>
+        )}
+
+        <h4>Corrections</h4>
+        <p className="import-info">Applied to every transcript before it is answered. Matching ignores case, extra spaces and hyphens.</p>
+        <div className="job-list vocabulary-corrections">
+          {corrections.length === 0 ? (
+            <div className="empty">No corrections.</div>
+          ) : (
+            corrections.map(correction => (
+              <div key={correction.id} className="job-card">
+                <div className="job-card-header">
+                  <div className="job-title">
+                    <span>"{correction.heard}" → <strong>{correction.replacement}</strong></span>
+                  </div>
+                  {!readOnly && (
+                    <button className="btn-delete" onClick={() => handleDelete(api.deleteVocabularyCorrection, correction.id)} title="Delete">
+                      🗑
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+        {!readOnly && (
+          <form className="form-row search-filters" onSubmit={handleAddCorrection}>
+            <input
+              placeholder='Heard (e.g., "air flow")'
+              value={newCorrection.heard}
+              onChange={e => setNewCorrection(prev => ({ ...prev, heard: e.target.value }))}
+              required
+            />
+            <input
+              placeholder="Replace with (e.g., Airflow)"
+              value={newCorrection.replacement}
+              onChange={e => setNewCorrection(prev => ({ ...prev, replacement: e.target.value }))}
+              required
+            />
+            <button type="submit" className="btn-secondary">Add</button>
+          </form>
+        )}
+
+        <h4>Test</h4>
+        <div className="form-row search-filters">
+          <input placeholder="Paste a transcript to try the corrections" value={testText} onChange={e => setTestText(e.target.value)} />
+          <button type="button" className="btn-secondary" onClick={handleTest}>Test</button>
+        </div>
+        {testResult && (
+          <div className="import-info">
+            <p><strong>{testResult.text || '(empty)'}</strong></p>
+            <p>{testResult.corrections.length > 0
+              ? testResult.corrections.map(c => `${c.heard} → ${c.replacement} (${c.count}x)`).join(', ')
+              : 'No corrections applied.'}</p>
+            <p>Hint: {testResult.hint}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,232 @@
 import { useState, useRef, useCallback } from "react";
 
+const SLICE_MS = 500;
+const MIME_TYPE = "audio/webm;codecs=opus";
+
+// Fonte -> canais gravados. Sozinha, qualquer fonte é o entrevistador (numa entrevista presencial o
+// microfone capta quem pergunta). Com "both", o áudio do sistema é o entrevistador e o microfone é o
+// candidato: cada um tem gravador, VAD e transcrição próprios. No treino ("practice"), quem pergunta é o
+// entrevistador simulado e o microfone é sempre o candidato.
+const CHANNELS = {
+  microphone: [{ source: "microphone", speaker: "interviewer" }],
+  practice: [{ source: "microphone", speaker: "candidate" }],
+  system: [{ source: "system", speaker: "interviewer" }],
+  both: [
+    { source: "system", speaker: "interviewer" },
+    { source: "microphone", speaker: "candidate" }
+  ]
+};
+
+async function openSource(source) {
+  const stream = await (source === "system"
+    ? navigator.mediaDevices.getDisplayMedia({ video: false, audio: true })
+    : navigator.mediaDevices.getUserMedia({ audio: {
+        sampleRate: 16000,
+        channelCount: 1,
+        echoCancellation: true, // no modo "both", evita que o alto-falante vaze para o canal do candidato
+        noiseSuppression: true
+      } }));
+
+  const audioTrack = stream.getAudioTracks()[0];
+  if (!audioTrack) {
+    stream.getTracks().forEach((track) => track.stop());
+    throw new Error(`No audio track found in the selected source (${source}).`);
+  }
+  return new MediaStream([audioTrack]);
+}
+
+function drainStream(channel) {
+  const { socket } = channel;
+  if (!socket || !channel.streamReady || socket.readyState !== WebSocket.OPEN) return;
+  for (const item of channel.streamQueue) socket.send(item);
+  channel.streamQueue = [];
+}
+
+function sendControl(channel, type) {
+  if (!channel.socket) return;
+  channel.streamQueue.push(JSON.stringify({ type }));
+  drainStream(channel);
+}
+
+// Um socket por canal; o speaker vai na URL e volta em cada evento
+function openStream(channel, url, optionsRef) {
+  const socket = new WebSocket(`${url}&${new URLSearchParams({ sliceMs: SLICE_MS, speaker: channel.speaker })}`);
+  channel.socket = socket;
+  channel.streamQueue = [];
+  channel.streamReady = false;
+
+  socket.onmessage = (event) => {
+    const data = JSON.parse(event.data);
+    const { onPartial, onTranscript, onStreamError } = optionsRef.current;
+    if (data.type === "ready") {
+      channel.streamReady = true;
+      drainStream(channel);
+    } else if (data.type === "partial") {
+      onPartial?.(data.text, channel.speaker);
+    } else if (data.type === "final") {
+      onTranscript?.(data, channel.speaker);
+    } else if (data.type === "error") {
+      const error = new Error(data.message);
+      error.code = data.code;
+      error.retryAfterMs = data.retryAfterMs;
+      error.budget = data.budget;
+      onStreamError?.(error, channel.speaker);
+    }
+  };
+
+  // Recusado (token, sessão) ou conexão perdida: o resto da captura deste canal segue pelo upload HTTP
+  socket.onclose = () => {
+    if (channel.socket !== socket) return;
+    channel.socket = null;
+    channel.streamQueue = [];
+    channel.streamReady = false;
+  };
+}
+
+// Fecha o segmento atual. No streaming, o gravador é parado e reiniciado (onstop) para que cada segmento
+// seja uma gravação WebM completa, com cabeçalho próprio; no upload HTTP, pede o slice atual.
+function sendChunk(channel) {
+  if (channel.recorder.state === "recording") {
+    if (channel.socket) {
+      channel.restarting = true;
+      channel.recorder.stop();
+    } else {
+      channel.recorder.requestData();
+    }
+  }
+  clearTimeout(channel.chunkTimer);
+  channel.chunkTimer = null;
+}
+
+function handleSlice(channel, data, optionsRef, setMetrics) {
+  // Só o primeiro slice traz o cabeçalho WebM; os seguintes são reaproveitados com ele na frente
+  const isFirst = !channel.header;
+  if (isFirst) channel.header = data;
+
+  if (channel.socket) {
+    // Streaming: o servidor junta os slices da gravação atual num segmento
+    channel.streamQueue.push(data);
+    drainStream(channel);
+    setMetrics((prev) => ({ bytesSent: prev.bytesSent + data.size, chunksSent: prev.chunksSent + 1 }));
+  } else {
+    channel.audioData.push(data);
+    const parts = isFirst ? channel.audioData : [channel.header, ...channel.audioData];
+    const blob = new Blob(parts, { type: MIME_TYPE });
+
+    // Envia o chunk como Blob binário
+    const estimatedDuration = blob.size / (16000 * 1 * 2); // Aproximação
+    optionsRef.current.onChunk(blob, MIME_TYPE, estimatedDuration, channel.speaker);
+    setMetrics((prev) => ({ bytesSent: prev.bytesSent + blob.size, chunksSent: prev.chunksSent + 1 }));
+
+    channel.audioData = []; // Reset para o próximo chunk
+  }
+
+  // Reinicia o timer de segurança
+  clearTimeout(channel.chunkTimer);
+  channel.chunkTimer = setTimeout(() => sendChunk(channel), optionsRef.current.maxChunkMs);
+}
+
+// VAD simples por volume médio, por canal: o silêncio depois da fala fecha o segmento
+function processAudio(channel, optionsRef) {
+  if (channel.recorder.state !== "recording") return;
+
+  const dataArray = new Uint8Array(channel.analyser.frequencyBinCount);
+  channel.analyser.getByteFrequencyData(dataArray);
+
+  const average = dataArray.reduce((a, b) => a + b) / dataArray.length;
+  const isSpeech = average > 15; // Threshold ajustável
+
+  if (isSpeech) {
+    // Atividade de voz detectada
+    clearTimeout(channel.silenceTimer);
+    channel.silenceTimer = null;
+    if (!channel.speechActive) sendControl(channel, "speech");
+    channel.speechActive = true;
+  } else if (channel.speechActive && !channel.silenceTimer) {
+    // Silêncio detectado após fala
+    channel.silenceTimer = setTimeout(() => {
+      channel.silenceTimer = null;
+      channel.speechActive = false;
+      sendChunk(channel); // Força o envio do chunk após o silêncio
+    }, optionsRef.current.silenceThreshold);
+  }
+
+  channel.frame = requestAnimationFrame(() => processAudio(channel, optionsRef));
+}
+
+async function startChannel({ source, speaker }, optionsRef, setMetrics) {
+  const stream = await openSource(source);
+  const channel = {
+    source,
+    speaker,
+    stream,
+    header: null,
+    audioData: [],
+    socket: null,
+    streamQueue: [], // slices e mensagens de controle, em ordem, até o socket ficar pronto
+    streamReady: false,
+    restarting: false, // stop() pedido por sendChunk: onstop fecha o segmento e grava de novo
+    paused: false,
+    stopped: false,
+    speechActive: false,
+    silenceTimer: null,
+    chunkTimer: null,
+    frame: null
+  };
+
+  // AudioContext para o VAD
+  channel.audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
+  const sourceNode = channel.audioContext.createMediaStreamSource(stream);
+  channel.analyser = channel.audioContext.createAnalyser();
+  channel.analyser.fftSize = 256;
+  sourceNode.connect(channel.analyser);
+
+  channel.recorder = new MediaRecorder(stream, { mimeType: MIME_TYPE });
+  if (optionsRef.current.streamUrl) openStream(channel, optionsRef.current.streamUrl, optionsRef);
+
+  channel.recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) handleSlice(channel, event.data, optionsRef, setMetrics);
+  };
+  // O último slice sai antes do onstop. No fim da captura, o servidor transcreve o que falta e fecha o
+  // socket; no reinício, o flush fecha o segmento e a fala em curso continua no próximo.
+  channel.recorder.onstop = () => {
+    channel.restarting = false;
+    if (channel.stopped) return sendControl(channel, "end");
+    sendControl(channel, "flush");
+    if (channel.speechActive) sendControl(channel, "speech");
+    if (!channel.paused) channel.recorder.start(SLICE_MS);
+  };
+  channel.recorder.onstart = () => {
+    channel.header = null; // gravação nova: o primeiro slice traz o cabeçalho dela
+    processAudio(channel, optionsRef); // Inicia o loop de VAD
+    channel.chunkTimer = setTimeout(() => sendChunk(channel), optionsRef.current.maxChunkMs); // Timer de segurança
+  };
+  return channel;
+}
+
+function stopChannel(channel) {
+  channel.stopped = true;
+  channel.stream.getTracks().forEach((track) => track.stop());
+  if (channel.recorder.state !== "inactive") channel.recorder.stop();
+  else if (channel.paused && !channel.restarting) sendControl(channel, "end"); // pausado no streaming: o segmento já fechou
+  else if (!channel.restarting) channel.socket?.close(); // nunca gravou: não há o que transcrever
+  channel.audioContext.close();
+  cancelAnimationFrame(channel.frame);
+  clearTimeout(channel.silenceTimer);
+  clearTimeout(channel.chunkTimer);
+  channel.speechActive = false;
+}
+
+// Com streamUrl, os slices vão por WebSocket (server/audio-stream.mjs) e a transcrição volta em
+// onPartial (enquanto a pessoa fala) e onTranscript (segmento fechado). Sem ele, ou se o socket
+// cair, cada segmento é enviado por onChunk (POST /api/voice/transcribe). Todos os callbacks
+// recebem o speaker do canal por último.
 export function useOptimizedAudioCapture({
   onChunk,
+  streamUrl = null,
+  onPartial,
+  onTranscript,
+  onStreamError,
   silenceThreshold = 800, // ms de silêncio para forçar o chunk
   maxChunkMs = 12000, // 12 segundos max
   minChunkMs = 3000, // 3 segundos min
@@ -10,154 +235,86 @@ export function useOptimizedAudioCapture({
   const [error, setError] = useState(null);
   const [metrics, setMetrics] = useState({ bytesSent: 0, chunksSent: 0 });
 
-  const mediaRecorderRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const streamRef = useRef(null);
-  const silenceTimerRef = useRef(null);
-  const chunkTimerRef = useRef(null);
-  const audioDataRef = useRef([]);
-  const isSpeechActiveRef = useRef(false);
-
-  const sendChunk = useCallback(() => {
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === "recording") {
-      mediaRecorderRef.current.requestData();
-    }
-    clearTimeout(chunkTimerRef.current);
-    chunkTimerRef.current = null;
-  }, []);
-
-  const processAudio = useCallback(() => {
-    if (!analyserRef.current || !audioContextRef.current || status !== 'recording') return;
-
-    const dataArray = new Uint8Array(analyserRef.current.frequencyBinCount);
-    analyserRef.current.getByteFrequencyData(dataArray);
-    
-    // Calcula volume médio (simples VAD)
-    const average = dataArray.reduce((a, b) => a + b) / dataArray.length;
-    const isSpeech = average > 15; // Threshold ajustável
-
-    if (isSpeech) {
-      // Atividade de voz detectada
-      if (silenceTimerRef.current) {
-        clearTimeout(silenceTimerRef.current);
-        silenceTimerRef.current = null;
-      }
-      isSpeechActiveRef.current = true;
-    } else if (isSpeechActiveRef.current) {
-      // Silêncio detectado após fala
-      if (!silenceTimerRef.current) {
-        silenceTimerRef.current = setTimeout(() => {
-          isSpeechActiveRef.current = false;
-          sendChunk(); // Força o envio do chunk após o silêncio
-        }, silenceThreshold);
-      }
-    }
+  const channelsRef = useRef([]);
 
-    requestAnimationFrame(processAudio);
-  }, [silenceThreshold, status, sendChunk]);
+  // Socket, gravador e timers vivem mais que um render: leem sempre as opções atuais
+  const optionsRef = useRef({});
+  optionsRef.current = { onChunk, onPartial, onTranscript, onStreamError, streamUrl, silenceThreshold, maxChunkMs };
 
-  const startRecording = useCallback(async (sourceType) => {
+  // sourceType: "microphone", "system", "both" ou "practice"
+  const startRecording = useCallback(async (sourceType = "microphone") => {
     try {
       setStatus("starting");
-      
-      // 1. Obter Stream
-      const stream = await (sourceType === "system"
-        ? navigator.mediaDevices.getDisplayMedia({ video: false, audio: true })
-        : navigator.mediaDevices.getUserMedia({ audio: {
-            sampleRate: 16000,
-            channelCount: 1,
-            echoCancellation: true,
-            noiseSuppression: true
-          } }));
-
-      const audioTrack = stream.getAudioTracks()[0];
-      if (!audioTrack) {
-        throw new Error("No audio track found in the selected source.");
+      const specs = CHANNELS[sourceType];
+      if (!specs) throw new Error(`Unknown audio source: ${sourceType}`);
+
+      // 1. Obter as fontes: se uma for negada, as outras são fechadas
+      const channels = [];
+      try {
+        for (const spec of specs) channels.push(await startChannel(spec, optionsRef, setMetrics));
+      } catch (err) {
+        channels.forEach(stopChannel);
+        throw err;
       }
+      channelsRef.current = channels;
 
-      streamRef.current = new MediaStream([audioTrack]);
-      
-      // 2. Setup AudioContext para VAD
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
-      const sourceNode = audioContextRef.current.createMediaStreamSource(streamRef.current);
-      analyserRef.current = audioContextRef.current.createAnalyser();
-      analyserRef.current.fftSize = 256;
-      sourceNode.connect(analyserRef.current);
-
-      // 3. Setup MediaRecorder
-      mediaRecorderRef.current = new MediaRecorder(streamRef.current, { mimeType: "audio/webm;codecs=opus" });
-      audioDataRef.current = [];
-
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          audioDataRef.current.push(event.data);
-          const blob = new Blob(audioDataRef.current, { type: "audio/webm;codecs=opus" });
-          
-          // Envia o chunk
-          const reader = new FileReader();
-          reader.onloadend = () => {
-            const base64 = reader.result.split(",")[1];
-            const estimatedDuration = blob.size / (16000 * 1 * 2); // Aproximação
-            onChunk(base64, "audio/webm;codecs=opus", estimatedDuration);
-            setMetrics((prev) => ({ bytesSent: prev.bytesSent + blob.size, chunksSent: prev.chunksSent + 1 }));
-          };
-          reader.readAsDataURL(blob);
-          
-          audioDataRef.current = []; // Reset para o próximo chunk
-          
-          // Reinicia o timer de segurança
-          clearTimeout(chunkTimerRef.current);
-          chunkTimerRef.current = setTimeout(sendChunk, maxChunkMs);
-        }
-      };
-
-      mediaRecorderRef.current.onstart = () => {
-        setStatus("recording");
-        processAudio(); // Inicia o loop de VAD
-        chunkTimerRef.current = setTimeout(sendChunk, maxChunkMs); // Timer de segurança
-      };
-      
-      mediaRecorderRef.current.start(500); // Grava em timeslices de 500ms
-      
+      // 2. Todos os canais gravam em timeslices de 500ms, a partir do mesmo instante
+      channels.forEach((channel) => channel.recorder.start(SLICE_MS));
+      setStatus("recording");
     } catch (err) {
       setError(err.message);
       setStatus("error");
     }
-  }, [processAudio, maxChunkMs, onChunk, sendChunk]);
+  }, []);
 
   const pause = useCallback(() => {
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === "recording") {
-      mediaRecorderRef.current.pause();
-      setStatus("paused");
-      clearTimeout(silenceTimerRef.current);
-      clearTimeout(chunkTimerRef.current);
+    let paused = false;
+    for (const channel of channelsRef.current) {
+      if (channel.restarting) {
+        channel.paused = true; // entre o stop() e o onstop: o onstop não reinicia
+        paused = true;
+        continue;
+      }
+      if (channel.recorder.state !== "recording") continue;
+      if (channel.socket) {
+        // No streaming, a fala interrompida vira segmento agora e o gravador só volta no resume
+        channel.paused = true;
+        sendChunk(channel);
+      } else {
+        channel.recorder.pause();
+      }
+      clearTimeout(channel.silenceTimer);
+      clearTimeout(channel.chunkTimer);
+      channel.silenceTimer = null;
+      channel.speechActive = false;
+      paused = true;
     }
+    if (paused) setStatus("paused");
   }, []);
 
   const resume = useCallback(() => {
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === "paused") {
-      mediaRecorderRef.current.resume();
-      setStatus("recording");
-      processAudio(); // Reinicia o loop de VAD
-      chunkTimerRef.current = setTimeout(sendChunk, maxChunkMs);
+    let resumed = false;
+    for (const channel of channelsRef.current) {
+      if (channel.paused) {
+        // Gravação nova (onstart reinicia o VAD); se o onstop ainda não chegou, é ele quem a inicia
+        channel.paused = false;
+        if (channel.recorder.state === "inactive" && !channel.restarting) channel.recorder.start(SLICE_MS);
+        resumed = true;
+        continue;
+      }
+      if (channel.recorder.state !== "paused") continue;
+      channel.recorder.resume();
+      processAudio(channel, optionsRef); // Reinicia o loop de VAD
+      channel.chunkTimer = setTimeout(() => sendChunk(channel), optionsRef.current.maxChunkMs);
+      resumed = true;
     }
-  }, [maxChunkMs, sendChunk, processAudio]);
+    if (resumed) setStatus("recording");
+  }, []);
 
   const stop = useCallback(() => {
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach((track) => track.stop());
-    }
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
-      mediaRecorderRef.current.stop();
-    }
-    if (audioContextRef.current) {
-      audioContextRef.current.close();
-    }
-    clearTimeout(silenceTimerRef.current);
-    clearTimeout(chunkTimerRef.current);
+    channelsRef.current.forEach(stopChannel);
+    channelsRef.current = [];
     setStatus("idle");
-    isSpeechActiveRef.current = false;
   }, []);
 
   return { status, error, metrics, startRecording, pause, resume, stop };